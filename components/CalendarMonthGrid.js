@@ -0,0 +1,72 @@
+// components/CalendarMonthGrid.js
+import React from 'react';
+import { DateTime } from 'luxon';
+import { getEventsForDay, getEventStyle } from '../utils/calendarViewUtils';
+
+// Events listed per day cell before "+N more"
+const MAX_EVENTS_PER_DAY = 3;
+
+// Month view: six weeks of day cells. Clicking a day number opens that day; clicking the
+// cell's empty space selects the day as a range to ask about.
+const CalendarMonthGrid = ({ days, month, events, zone, selection, onSelectEvent, onSelectRange, onOpenDay }) => {
+  const now = DateTime.now().setZone(zone);
+
+  return (
+    <div className="flex flex-col h-full min-h-0 bg-white">
+      <div className="grid grid-cols-7 border-b border-gray-200">
+        {days.slice(0, 7).map(day => (
+          <div key={day.weekday} className="py-1 text-center text-xs uppercase text-gray-500">{day.toFormat('ccc')}</div>
+        ))}
+      </div>
+      <div className="grid flex-grow grid-cols-7 grid-rows-6 min-h-0">
+        {days.map(day => {
+          const items = getEventsForDay(events, day, zone);
+          const isOtherMonth = day.month !== month.month;
+          const isSelected = selection?.type === 'range' && selection.start.hasSame(day, 'day') &&
+            selection.end.diff(selection.start, 'hours').hours >= 24;
+          return (
+            <div
+              key={day.toISODate()}
+              onClick={() => onSelectRange(day, day.plus({ days: 1 }))}
+              className={`min-h-0 overflow-hidden border-b border-l border-gray-100 p-1 cursor-pointer hover:bg-gray-50 ${
+                isOtherMonth ? 'bg-gray-50 text-gray-400' : ''
+              } ${isSelected ? 'bg-blue-50' : ''}`}
+            >
+              <button
+                onClick={(e) => { e.stopPropagation(); onOpenDay(day); }}
+                className={`mb-0.5 w-6 h-6 rounded-full text-xs ${
+                  day.hasSame(now, 'day') ? 'bg-blue-600 text-white' : 'hover:bg-gray-200'
+                }`}
+                aria-label={`Open ${day.toFormat('MMM d')}`}
+              >
+                {day.day}
+              </button>
+              {items.slice(0, MAX_EVENTS_PER_DAY).map(({ event, start, isAllDay }) => (
+                <button
+                  key={`${event.calendarId}-${event.id}`}
+                  onClick={(e) => { e.stopPropagation(); onSelectEvent(event); }}
+                  className={`block w-full truncate rounded px-1 text-left text-xs ${
+                    isAllDay ? `border ${getEventStyle(event)}` : 'text-gray-700 hover:bg-gray-100'
+                  } ${selection?.type === 'event' && selection.event.id === event.id ? 'ring-1 ring-blue-500' : ''}`}
+                >
+                  {!isAllDay && <span className="text-gray-500 mr-1">{start.toFormat('h:mm').replace(':00', '')}{start.toFormat('a').toLowerCase()}</span>}
+                  {event.summary || '(No title)'}
+                </button>
+              ))}
+              {items.length > MAX_EVENTS_PER_DAY && (
+                <button
+                  onClick={(e) => { e.stopPropagation(); onOpenDay(day); }}
+                  className="px-1 text-xs text-gray-500 hover:underline"
+                >
+                  +{items.length - MAX_EVENTS_PER_DAY} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarMonthGrid;
@@ -0,0 +1,324 @@
+// components/CalendarSidePanel.js
+import React, { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { FiX, FiSend, FiLoader, FiMapPin, FiClock, FiUsers, FiTag, FiExternalLink, FiMessageSquare } from 'react-icons/fi';
+import ChatMessage from './ChatMessage';
+import { getEventTimes, formatTimeRange, PRIORITY_STYLES } from '../utils/calendarViewUtils';
+import { applyEventUpdates, replaceEventInArtifacts, submitEventEdit } from '../utils/eventEditUtils';
+
+// Outcome payloads that mean the calendar changed and should be reloaded
+const CHANGE_TYPES = ['event_created', 'event_updated', 'event_deleted'];
+const OUTCOME_TYPES = [...CHANGE_TYPES, 'events_listed', 'slots_suggested', 'conflict_detected'];
+
+const EVENT_SUGGESTIONS = ['What do I need to prepare?', 'Move this to another free time', 'What else is on that day?'];
+const RANGE_SUGGESTIONS = ['Am I free then?', 'Schedule focus time here', "What's on my calendar?"];
+
+// Text telling the assistant what the question is about (the user only sees their question)
+const describeSelection = (selection, zone) => {
+  if (selection.type === 'event') {
+    const { event } = selection;
+    const times = getEventTimes(event, zone);
+    const when = times ? `${times.start.toFormat('cccc, MMM d')} ${formatTimeRange(times)}` : 'unknown time';
+    return `About my event "${event.summary || '(No title)'}" on ${when} (ID: ${event.id}, calendar: ${event.calendarId || 'primary'}):`;
+  }
+  const isWholeDays = selection.start.hour === 0 && selection.end.hour === 0;
+  const when = isWholeDays
+    ? selection.start.toFormat('cccc, MMM d')
+    : `${selection.start.toFormat('cccc, MMM d, h:mm a')} to ${selection.end.toFormat('h:mm a')}`;
+  return `About ${when} (${selection.start.toISO()} to ${selection.end.toISO()}):`;
+};
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const result = await response.json();
+  return { ok: response.ok, status: response.status, result };
+};
+
+const EventDetails = ({ event, zone }) => {
+  const times = getEventTimes(event, zone);
+  const attendees = (event.attendees || []).filter(attendee => !attendee.resource);
+  return (
+    <div className="space-y-2 text-sm text-gray-700">
+      <h2 className="text-lg font-semibold text-gray-900">{event.summary || '(No title)'}</h2>
+      {times && (
+        <div className="flex items-start">
+          <FiClock className="mt-0.5 mr-2 flex-shrink-0 text-gray-500" />
+          <span>{times.start.toFormat('cccc, MMM d')} · {formatTimeRange(times)}{event.recurringEventId ? ' · Repeats' : ''}</span>
+        </div>
+      )}
+      {event.location && (
+        <div className="flex items-start"><FiMapPin className="mt-0.5 mr-2 flex-shrink-0 text-gray-500" />{event.location}</div>
+      )}
+      {attendees.length > 0 && (
+        <div className="flex items-start">
+          <FiUsers className="mt-0.5 mr-2 flex-shrink-0 text-gray-500" />
+          <span>{attendees.map(attendee => attendee.displayName || attendee.email).join(', ')}</span>
+        </div>
+      )}
+      {(event.priority || event.tags?.length > 0) && (
+        <div className="flex flex-wrap items-center gap-1">
+          {event.priority && (
+            <span className={`rounded-full border px-2 py-0.5 text-xs ${PRIORITY_STYLES[event.priority] || ''}`}>{event.priority} priority</span>
+          )}
+          {(event.tags || []).map(tag => (
+            <span key={tag} className="inline-flex items-center rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-700">
+              <FiTag className="mr-1" />{tag}
+            </span>
+          ))}
+        </div>
+      )}
+      {event.description && <p className="whitespace-pre-wrap text-gray-600">{event.description}</p>}
+      {event.htmlLink && (
+        <a href={event.htmlLink} target="_blank" rel="noopener noreferrer" className="inline-flex items-center text-blue-600 hover:underline">
+          Open in Google Calendar <FiExternalLink className="ml-1" />
+        </a>
+      )}
+    </div>
+  );
+};
+
+// Details of the selected event or time range, and a small thread to ask Athena about it.
+// Replies stream from /api/chat-stream like the chat page, and their event cards can be edited
+// in place; onCalendarChanged reloads the grid.
+const CalendarSidePanel = ({ selection, zone, onClose, onCalendarChanged }) => {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [conversationId, setConversationId] = useState(null);
+  const eventSourceRef = useRef(null);
+  const threadRef = useRef(null);
+
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+  useEffect(() => {
+    if (threadRef.current) threadRef.current.scrollTop = threadRef.current.scrollHeight;
+  }, [messages]);
+
+  const updateMessage = (id, update) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...update(msg) } : msg)));
+  };
+
+  const ask = (question) => {
+    const trimmed = question.trim();
+    if (!trimmed || isLoading || !selection) return;
+    setInput('');
+    setIsLoading(true);
+
+    const botId = `bot-${Date.now()}`;
+    setMessages(prev => [
+      ...prev,
+      { id: `user-${Date.now()}`, sender: 'user', type: 'user', text: trimmed },
+      { id: botId, sender: 'bot', type: 'bot', name: 'Athena', text: '', isStreaming: true, isProcessing: true },
+    ]);
+
+    const message = encodeURIComponent(`${describeSelection(selection, zone)} ${trimmed}`);
+    const thread = conversationId ? `conversationId=${encodeURIComponent(conversationId)}` : 'startNew=true';
+    const eventSource = new EventSource(`/api/chat-stream?message=${message}&${thread}&t=${Date.now()}`);
+    eventSourceRef.current = eventSource;
+    let changedCalendar = false;
+
+    const finish = () => {
+      eventSource.close();
+      eventSourceRef.current = null;
+      setIsLoading(false);
+      updateMessage(botId, () => ({ isStreaming: false, isProcessing: false }));
+      if (changedCalendar) onCalendarChanged();
+    };
+
+    eventSource.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (data.type === 'conversation') {
+        setConversationId(data.conversation.conversationId);
+      } else if (data.type === 'content') {
+        updateMessage(botId, msg => ({ text: msg.text + data.content, isProcessing: false }));
+      } else if (OUTCOME_TYPES.includes(data.type)) {
+        if (CHANGE_TYPES.includes(data.type)) changedCalendar = true;
+        updateMessage(botId, msg => ({ artifacts: [...(msg.artifacts || []), data] }));
+      } else if (data.type === 'confirmation_required') {
+        updateMessage(botId, () => ({ pendingAction: { ...data.action, status: 'pending' } }));
+      } else if (data.type === 'undo_available') {
+        updateMessage(botId, msg => ({ undos: [...(msg.undos || []), { ...data.undo, status: 'available' }] }));
+      } else if (data.type === 'error') {
+        updateMessage(botId, msg => ({ text: msg.text || data.content || 'Something went wrong.' }));
+        finish();
+      } else if (data.type === 'end') {
+        finish();
+      }
+    };
+    eventSource.onerror = () => {
+      updateMessage(botId, msg => ({ text: msg.text || 'The connection was interrupted. Please try again.' }));
+      finish();
+    };
+  };
+
+  // --- Action cards in replies (same endpoints as the chat page) ---
+  const handleActionDecision = async (actionId, decision) => {
+    const update = changes => setMessages(prev => prev.map(msg =>
+      msg.pendingAction?.actionId === actionId ? { ...msg, pendingAction: { ...msg.pendingAction, ...changes } } : msg
+    ));
+    update({ status: 'submitting' });
+    try {
+      const { ok, status, result } = await postJson('/api/actions/confirm', { actionId, decision });
+      if (!ok) {
+        update({ status: status === 410 ? 'expired' : 'failed', resultMessage: result.error });
+        return;
+      }
+      update({ status: result.status, resultMessage: result.message });
+      setMessages(prev => prev.map(msg =>
+        msg.pendingAction?.actionId === actionId
+          ? {
+              ...msg,
+              artifacts: [...(msg.artifacts || []), ...(result.artifacts || [])],
+              undos: result.undo ? [...(msg.undos || []), { ...result.undo, status: 'available' }] : msg.undos,
+            }
+          : msg
+      ));
+      if (result.status === 'confirmed') onCalendarChanged();
+    } catch (decisionError) {
+      update({ status: 'failed', resultMessage: decisionError.message });
+    }
+  };
+
+  const handleUndo = async (batchId) => {
+    const update = changes => setMessages(prev => prev.map(msg =>
+      msg.undos?.some(undo => undo.batchId === batchId)
+        ? { ...msg, undos: msg.undos.map(undo => (undo.batchId === batchId ? { ...undo, ...changes } : undo)) }
+        : msg
+    ));
+    update({ status: 'undoing' });
+    try {
+      const { ok, result } = await postJson('/api/actions/undo', { batchId });
+      update({ status: ok && result.success ? 'undone' : 'failed', resultMessage: result.message || result.error });
+      if (ok && result.success) onCalendarChanged();
+    } catch (undoError) {
+      update({ status: 'failed', resultMessage: undoError.message });
+    }
+  };
+
+  const handleBookSlot = async (messageId, artifactIndex, booking, slot) => {
+    const setBooking = bookingState => updateMessage(messageId, msg => ({
+      artifacts: msg.artifacts.map((artifact, index) => (index === artifactIndex ? { ...artifact, bookingState } : artifact)),
+    }));
+    setBooking({ status: 'booking', slotStart: slot.start });
+    try {
+      const { ok, result } = await postJson('/api/actions/book-slot', { booking, start: slot.start, end: slot.end, conversationId });
+      if (!ok) throw new Error(result.error || 'Booking failed');
+      setBooking({ status: result.success ? 'booked' : 'failed', slotStart: slot.start, resultMessage: result.message });
+      updateMessage(messageId, msg => ({
+        artifacts: [...msg.artifacts, ...(result.artifacts || [])],
+        undos: result.undo ? [...(msg.undos || []), { ...result.undo, status: 'available' }] : msg.undos,
+      }));
+      if (result.success) onCalendarChanged();
+    } catch (bookingError) {
+      setBooking({ status: 'failed', slotStart: slot.start, resultMessage: bookingError.message });
+    }
+  };
+
+  // Inline edits on reply cards, shown right away and rolled back on failure
+  const replaceEvent = (target, nextEvent) => setMessages(prev => prev.map(msg => {
+    if (!msg.artifacts) return msg;
+    const artifacts = replaceEventInArtifacts(msg.artifacts, target, nextEvent);
+    return artifacts === msg.artifacts ? msg : { ...msg, artifacts };
+  }));
+
+  const handleEditEvent = async (messageId, event, updates, options = {}) => {
+    const optimistic = applyEventUpdates(event, updates);
+    replaceEvent(event, optimistic);
+    const outcome = await submitEventEdit(event, updates, { ...options, conversationId });
+    if (!outcome.success) {
+      replaceEvent(optimistic, event);
+      return outcome;
+    }
+    replaceEvent(optimistic, outcome.event);
+    if (outcome.undo) {
+      updateMessage(messageId, msg => ({ undos: [...(msg.undos || []), { ...outcome.undo, status: 'available' }] }));
+    }
+    onCalendarChanged();
+    return outcome;
+  };
+
+  if (!selection) return null;
+  const suggestions = selection.type === 'event' ? EVENT_SUGGESTIONS : RANGE_SUGGESTIONS;
+
+  return (
+    <aside className="flex flex-col w-full md:w-96 flex-shrink-0 border-l border-gray-200 bg-gray-50 min-h-0">
+      <div className="flex items-start justify-between p-4 border-b border-gray-200 bg-white">
+        <div className="min-w-0 flex-grow">
+          {selection.type === 'event' ? (
+            <EventDetails event={selection.event} zone={zone} />
+          ) : (
+            <div className="text-sm text-gray-700">
+              <div className="text-xs uppercase text-gray-500">Selected time</div>
+              <div className="text-lg font-semibold text-gray-900">{describeSelection(selection, zone).replace(/^About | \(.*$/g, '')}</div>
+            </div>
+          )}
+        </div>
+        <button onClick={onClose} className="ml-2 p-1 text-gray-500 hover:text-gray-800" aria-label="Close panel">
+          <FiX />
+        </button>
+      </div>
+
+      <div ref={threadRef} className="flex-grow overflow-y-auto scrollbar-thin">
+        {messages.length === 0 ? (
+          <div className="p-4 space-y-2">
+            <div className="text-sm text-gray-500">Ask Athena about this {selection.type === 'event' ? 'event' : 'time'}:</div>
+            {suggestions.map(suggestion => (
+              <button
+                key={suggestion}
+                onClick={() => ask(suggestion)}
+                className="block w-full rounded-full border border-gray-300 bg-white px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-100"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        ) : (
+          messages.map(msg => (
+            <ChatMessage
+              key={msg.id}
+              message={msg}
+              showAvatar={false}
+              onActionDecision={handleActionDecision}
+              onUndo={handleUndo}
+              onBookSlot={handleBookSlot}
+              onEditEvent={handleEditEvent}
+            />
+          ))
+        )}
+      </div>
+
+      <div className="p-3 border-t border-gray-200 bg-white">
+        {conversationId && (
+          <Link href={`/chat?conversation=${conversationId}`} className="mb-2 inline-flex items-center text-xs text-blue-600 hover:underline">
+            <FiMessageSquare className="mr-1" /> Continue in chat
+          </Link>
+        )}
+        <div className="relative">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') ask(input); }}
+            disabled={isLoading}
+            placeholder="Ask Athena..."
+            className="w-full rounded-full border border-gray-300 bg-white py-2 pl-4 pr-10 text-sm text-gray-700 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-60"
+            aria-label="Ask about the selection"
+          />
+          <button
+            onClick={() => ask(input)}
+            disabled={isLoading || !input.trim()}
+            className="absolute right-1.5 top-1/2 -translate-y-1/2 rounded-full bg-blue-600 p-1.5 text-white hover:bg-blue-700 disabled:bg-gray-400"
+            aria-label="Send question"
+          >
+            {isLoading ? <FiLoader className="animate-spin" /> : <FiSend />}
+          </button>
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+export default CalendarSidePanel;
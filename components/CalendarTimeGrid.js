@@ -0,0 +1,130 @@
+// components/CalendarTimeGrid.js
+import React, { useEffect, useRef } from 'react';
+import { DateTime } from 'luxon';
+import {
+  getEventsForDay,
+  layoutTimedEvents,
+  formatTimeRange,
+  getEventStyle
+} from '../utils/calendarViewUtils';
+
+const HOUR_HEIGHT = 48; // px per hour row
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+// The grid opens scrolled to the start of a working day
+const INITIAL_SCROLL_HOUR = 7;
+
+const isSameEvent = (selection, event) =>
+  selection?.type === 'event' && selection.event.id === event.id && selection.event.calendarId === event.calendarId;
+
+// Day and week views: a column per day with timed events on an hour grid and an all-day row.
+// Clicking an hour selects it as a range to ask about; clicking a day header selects the day.
+const CalendarTimeGrid = ({ days, events, zone, selection, onSelectEvent, onSelectRange }) => {
+  const scrollRef = useRef(null);
+  const now = DateTime.now().setZone(zone);
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = INITIAL_SCROLL_HOUR * HOUR_HEIGHT;
+  }, []);
+
+  const columns = days.map(day => {
+    const items = getEventsForDay(events, day, zone);
+    return { day, allDay: items.filter(item => item.isAllDay), timed: layoutTimedEvents(items, day) };
+  });
+  const gridTemplate = { gridTemplateColumns: `3.5rem repeat(${days.length}, minmax(0, 1fr))` };
+
+  return (
+    <div className="flex flex-col h-full min-h-0 bg-white">
+      {/* Day headers and all-day events */}
+      <div className="grid border-b border-gray-200" style={gridTemplate}>
+        <div />
+        {columns.map(({ day, allDay }) => {
+          const isToday = day.hasSame(now, 'day');
+          return (
+            <div key={day.toISODate()} className="border-l border-gray-100 px-1 pb-1 min-w-0">
+              <button
+                onClick={() => onSelectRange(day, day.plus({ days: 1 }))}
+                className="w-full py-1 text-center hover:bg-gray-50 rounded"
+                title="Ask about this day"
+              >
+                <div className="text-xs uppercase text-gray-500">{day.toFormat('ccc')}</div>
+                <div className={`mx-auto w-8 h-8 leading-8 rounded-full text-lg ${isToday ? 'bg-blue-600 text-white' : 'text-gray-800'}`}>
+                  {day.day}
+                </div>
+              </button>
+              {allDay.map(({ event }) => (
+                <button
+                  key={`${event.calendarId}-${event.id}`}
+                  onClick={() => onSelectEvent(event)}
+                  className={`mt-0.5 block w-full truncate rounded border px-1 text-left text-xs ${getEventStyle(event)} ${
+                    isSameEvent(selection, event) ? 'ring-2 ring-blue-500' : ''
+                  }`}
+                >
+                  {event.summary || '(No title)'}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Hour grid */}
+      <div ref={scrollRef} className="flex-grow overflow-y-auto scrollbar-thin">
+        <div className="grid relative" style={{ ...gridTemplate, height: HOUR_HEIGHT * 24 }}>
+          <div className="relative">
+            {HOURS.map(hour => (
+              <div key={hour} className="absolute right-2 -translate-y-2 text-xs text-gray-400" style={{ top: hour * HOUR_HEIGHT }}>
+                {hour === 0 ? '' : DateTime.fromObject({ hour }).toFormat('h a')}
+              </div>
+            ))}
+          </div>
+          {columns.map(({ day, timed }) => (
+            <div key={day.toISODate()} className="relative border-l border-gray-100">
+              {HOURS.map(hour => {
+                const slotStart = day.set({ hour });
+                const isSelected = selection?.type === 'range' &&
+                  slotStart >= selection.start && slotStart < selection.end &&
+                  selection.end.diff(selection.start, 'hours').hours < 24;
+                return (
+                  <button
+                    key={hour}
+                    onClick={() => onSelectRange(slotStart, slotStart.plus({ hours: 1 }))}
+                    className={`absolute inset-x-0 border-t border-gray-100 hover:bg-blue-50 ${isSelected ? 'bg-blue-100' : ''}`}
+                    style={{ top: hour * HOUR_HEIGHT, height: HOUR_HEIGHT }}
+                    aria-label={`Select ${slotStart.toFormat('ccc h a')}`}
+                  />
+                );
+              })}
+              {timed.map(item => (
+                <button
+                  key={`${item.event.calendarId}-${item.event.id}`}
+                  onClick={() => onSelectEvent(item.event)}
+                  className={`absolute overflow-hidden rounded border-l-4 px-1 py-0.5 text-left text-xs shadow-sm ${getEventStyle(item.event)} ${
+                    isSameEvent(selection, item.event) ? 'ring-2 ring-blue-500 z-10' : ''
+                  }`}
+                  style={{
+                    top: `${item.top}%`,
+                    height: `${item.height}%`,
+                    left: `calc(${item.left}% + 2px)`,
+                    width: `calc(${item.width}% - 4px)`
+                  }}
+                  title={`${item.event.summary || '(No title)'} · ${formatTimeRange(item)}`}
+                >
+                  <div className="font-medium truncate">{item.event.summary || '(No title)'}</div>
+                  <div className="truncate opacity-80">{formatTimeRange(item)}</div>
+                </button>
+              ))}
+              {day.hasSame(now, 'day') && (
+                <div
+                  className="pointer-events-none absolute inset-x-0 border-t-2 border-red-500"
+                  style={{ top: (now.diff(day, 'minutes').minutes / (24 * 60)) * HOUR_HEIGHT * 24 }}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarTimeGrid;
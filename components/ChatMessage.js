@@ -0,0 +1,145 @@
+// components/ChatMessage.js
+import React from 'react';
+import { FiLoader } from 'react-icons/fi';
+import PendingActionCard from './PendingActionCard';
+import UndoNotice from './UndoNotice';
+import ToolOutcomeCards from './ToolOutcomeCards';
+
+const renderText = (text) => {
+  if (!text) return null;
+  
+  const lines = text.split('\n');
+  return lines.map((line, index) => {
+    return (
+      <div key={`line-${index}`} className="leading-relaxed">
+        {line || ' '}
+      </div>
+    );
+  });
+};
+
+const ChatMessage = ({ message, showAvatar = true, onActionDecision, onUndo, onBookSlot, onEditEvent, onDragEvent }) => {
+  const { text, sender, isStreaming, isProcessing, type, timestamp, name, artifacts, pendingAction, undos } = message;
+
+  const isUser = sender === 'user';
+  
+  // For Airbnb style, we use message bubbles with alignment
+  const alignment = isUser ? 'justify-end' : 'justify-start';
+  const bubbleColor = isUser ? 'bg-blue-50 text-gray-800' : 'bg-white text-gray-800'; 
+  const bubbleBorder = isUser ? 'border border-blue-100' : 'border border-gray-200'; 
+  const bubbleMaxWidth = 'max-w-[85%] sm:max-w-[75%] md:max-w-[70%]';
+  const avatarLetter = name ? name.charAt(0).toUpperCase() : isUser ? 'U' : 'A';
+  const avatarColor = isUser ? 'bg-blue-600' : 'bg-gray-700';
+
+  // Confirm/Cancel card for a destructive action waiting on the user, plus Undo for changes made
+  const actionCard = !isUser && (pendingAction || undos?.length)
+    ? (
+      <>
+        {pendingAction && <PendingActionCard action={pendingAction} onDecision={onActionDecision} />}
+        {(undos || []).map(undo => <UndoNotice key={undo.batchId} undo={undo} onUndo={onUndo} />)}
+      </>
+    )
+    : null;
+
+  // Special rendering for notification/status messages
+  if (type === 'notification') {
+    return (
+      <div className="flex justify-center my-3 px-4">
+        <div className="bg-gray-50 rounded-md py-3 px-4 text-sm text-gray-700 border border-gray-200 w-full max-w-2xl">
+          <div className="flex items-center">
+            <span className="mr-2">🔔</span>
+            {text}
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
+  if (type === 'error') {
+    return (
+      <div className="flex justify-center my-3">
+        <div className="p-4 rounded-md bg-red-100 text-red-700 text-sm border border-red-200 max-w-md text-center">
+          {text}
+        </div>
+      </div>
+    );
+  }
+  
+  if (type === 'loading') {
+    return (
+      <div className="w-full py-3 px-4">
+        <div className="max-w-2xl mx-auto flex items-center">
+          <FiLoader className="animate-spin text-gray-400 text-lg mr-3" />
+          <span className="text-sm text-gray-500">{text || 'Thinking...'}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full py-3 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className={`flex ${alignment} items-end mb-1`}>
+          {!isUser && showAvatar && (
+            <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 mr-2 mb-1">
+              <div className={`w-full h-full ${avatarColor} flex items-center justify-center text-white font-medium`}>
+                {avatarLetter}
+              </div>
+            </div>
+          )}
+          
+          <div className={bubbleMaxWidth}>
+            {name && !isUser && showAvatar && (
+              <div className="text-sm font-medium text-gray-800 mb-1 ml-1">
+                {name}
+              </div>
+            )}
+            
+            <div className={`${bubbleColor} ${bubbleBorder} rounded-2xl px-3 py-2 md:px-4 md:py-3 shadow-sm`}>
+              <div className="whitespace-pre-wrap break-words text-sm md:text-base relative leading-relaxed">
+                {renderText(text)}
+                
+                {isStreaming && !isProcessing && (
+                  <span className="inline-block w-1.5 h-4 ml-1 bg-blue-400 opacity-90 animate-pulse align-middle"></span>
+                )}
+                
+                {/* Only show the "Processing..." indicator briefly before the ProcessingCardStack appears */}
+                {isProcessing && !text && (
+                  <div className="inline-flex items-center text-xs text-gray-500 mt-1 animate-fadeIn">
+                    <FiLoader className="animate-spin mr-1" /> Initializing...
+                  </div>
+                )}
+              </div>
+            </div>
+            {/* Cards for what the tools did (events added, found, changed; free slots; conflicts) */}
+            {!isUser && (
+              <ToolOutcomeCards
+                artifacts={artifacts}
+                onBookSlot={onBookSlot ? (index, booking, slot) => onBookSlot(message.id, index, booking, slot) : undefined}
+                onEditEvent={onEditEvent ? (event, updates, options) => onEditEvent(message.id, event, updates, options) : undefined}
+                onDragEvent={onDragEvent ? event => onDragEvent(event && { messageId: message.id, event }) : undefined}
+              />
+            )}
+            {actionCard}
+            
+            {timestamp && (
+              <div className="text-xs text-gray-500 mt-1 ml-1 md:mt-2">
+                {timestamp}
+              </div>
+            )}
+          </div>
+          
+          {isUser && showAvatar && (
+            <div className="w-8 h-8 rounded-full overflow-hidden flex-shrink-0 ml-2 mb-1">
+              <div className={`w-full h-full ${avatarColor} flex items-center justify-center text-white font-medium`}>
+                {avatarLetter}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatMessage;
\ No newline at end of file
@@ -0,0 +1,152 @@
+// components/ConversationSidebar.js
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { FiPlus, FiEdit2, FiTrash2, FiCheck, FiX, FiMessageSquare, FiCalendar } from 'react-icons/fi';
+
+const formatUpdatedAt = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// One thread in the list; switches to inline editing for renames
+const ConversationItem = ({ conversation, isActive, disabled, onSelect, onRename, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const submitRename = () => {
+    const trimmed = title.trim();
+    setIsEditing(false);
+    if (trimmed && trimmed !== conversation.title) {
+      onRename(conversation.conversationId, trimmed);
+    } else {
+      setTitle(conversation.title);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="flex items-center gap-1 rounded-lg bg-white px-2 py-1.5 border border-blue-300">
+        <input
+          autoFocus
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitRename();
+            if (e.key === 'Escape') { setTitle(conversation.title); setIsEditing(false); }
+          }}
+          maxLength={200}
+          className="flex-grow min-w-0 bg-transparent text-sm text-gray-800 focus:outline-none"
+          aria-label="Conversation title"
+        />
+        <button onClick={submitRename} className="p-1 text-gray-500 hover:text-green-600" aria-label="Save title">
+          <FiCheck />
+        </button>
+        <button
+          onClick={() => { setTitle(conversation.title); setIsEditing(false); }}
+          className="p-1 text-gray-500 hover:text-gray-800"
+          aria-label="Cancel rename"
+        >
+          <FiX />
+        </button>
+      </li>
+    );
+  }
+
+  return (
+    <li
+      className={`group flex items-center rounded-lg px-2 py-1.5 text-sm ${
+        isActive ? 'bg-blue-50 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      <button
+        onClick={() => onSelect(conversation.conversationId)}
+        disabled={disabled}
+        className="flex flex-grow min-w-0 items-center text-left disabled:cursor-not-allowed"
+        title={conversation.title}
+      >
+        <FiMessageSquare className="mr-2 flex-shrink-0 opacity-60" />
+        <span className="truncate">{conversation.title}</span>
+      </button>
+      <span className="ml-2 flex-shrink-0 text-xs text-gray-400 group-hover:hidden">
+        {formatUpdatedAt(conversation.updatedAt)}
+      </span>
+      <span className="ml-1 hidden flex-shrink-0 group-hover:flex">
+        <button onClick={() => setIsEditing(true)} className="p-1 text-gray-500 hover:text-gray-800" aria-label="Rename conversation">
+          <FiEdit2 />
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm(`Delete "${conversation.title}"? This can't be undone.`)) {
+              onDelete(conversation.conversationId);
+            }
+          }}
+          disabled={disabled && isActive}
+          className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-40"
+          aria-label="Delete conversation"
+        >
+          <FiTrash2 />
+        </button>
+      </span>
+    </li>
+  );
+};
+
+// Lists the user's conversation threads; switching is disabled while a reply is streaming
+const ConversationSidebar = ({
+  conversations,
+  activeConversationId,
+  isLoading,
+  isBusy,
+  onSelect,
+  onNewConversation,
+  onRename,
+  onDelete,
+  className = ''
+}) => {
+  return (
+    <aside className={`flex flex-col w-64 flex-shrink-0 border-r border-gray-200 bg-gray-50 ${className}`}>
+      <div className="p-3">
+        <button
+          onClick={onNewConversation}
+          disabled={isBusy}
+          className="flex w-full items-center justify-center rounded-full border border-gray-300 bg-white px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+        >
+          <FiPlus className="mr-1" /> New conversation
+        </button>
+        <Link
+          href="/calendar"
+          className="mt-2 flex w-full items-center justify-center rounded-full px-3 py-2 text-sm text-blue-600 hover:bg-blue-50"
+        >
+          <FiCalendar className="mr-1" /> Calendar
+        </Link>
+      </div>
+      <nav className="flex-grow overflow-y-auto scrollbar-thin px-2 pb-3" aria-label="Conversations">
+        {isLoading && conversations.length === 0 ? (
+          <p className="px-2 text-sm text-gray-500">Loading conversations...</p>
+        ) : conversations.length === 0 ? (
+          <p className="px-2 text-sm text-gray-500">No conversations yet.</p>
+        ) : (
+          <ul className="space-y-1">
+            {conversations.map(conversation => (
+              <ConversationItem
+                key={conversation.conversationId}
+                conversation={conversation}
+                isActive={conversation.conversationId === activeConversationId}
+                disabled={isBusy}
+                onSelect={onSelect}
+                onRename={onRename}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        )}
+      </nav>
+    </aside>
+  );
+};
+
+export default ConversationSidebar;
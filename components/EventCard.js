@@ -0,0 +1,254 @@
+// components/EventCard.js
+import React, { useState } from 'react';
+import { FiCalendar, FiMapPin, FiUsers, FiEdit2, FiTag, FiLoader, FiMove } from 'react-icons/fi';
+import { EVENT_PRIORITIES, toEditForm, getEditUpdates } from '../utils/eventEditUtils';
+
+// Badge label and colors per attendee RSVP status
+const RESPONSE_STYLES = {
+  accepted: { label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  declined: { label: 'Declined', className: 'bg-red-100 text-red-800' },
+  tentative: { label: 'Maybe', className: 'bg-yellow-100 text-yellow-800' },
+  needsAction: { label: 'Awaiting', className: 'bg-gray-100 text-gray-700' }
+};
+
+// Card colors and badge per change the assistant made to the event
+const STATUS_STYLES = {
+  created: { label: 'Added', card: 'bg-green-50 border-green-200', badge: 'bg-green-100 text-green-800' },
+  updated: { label: 'Updated', card: 'bg-blue-50 border-blue-200', badge: 'bg-blue-100 text-blue-800' },
+  deleted: { label: 'Deleted', card: 'bg-gray-50 border-gray-200 opacity-75', badge: 'bg-gray-200 text-gray-700' }
+};
+
+const PRIORITY_BADGES = {
+  Urgent: 'bg-red-100 text-red-800',
+  High: 'bg-orange-100 text-orange-800',
+  Medium: 'bg-blue-100 text-blue-800',
+  Low: 'bg-gray-100 text-gray-700'
+};
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-2 py-1 text-sm text-gray-800 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// Inline form for the fields cards can edit. A failed save keeps the values; when the new
+// time is taken the error offers saving anyway.
+const EventEditForm = ({ event, saveState, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => saveState?.form || toEditForm(event));
+  const [formError, setFormError] = useState(null);
+  const setField = field => e => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const submit = (overrideConflicts = false) => {
+    const { updates, error } = getEditUpdates(event, form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    onSave(form, updates, overrideConflicts);
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <input value={form.summary} onChange={setField('summary')} className={`${inputClass} text-lg font-semibold`} aria-label="Title" autoFocus />
+      {form.start && (
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-xs text-gray-500">Starts
+            <input type="datetime-local" value={form.start} onChange={setField('start')} className={inputClass} />
+          </label>
+          <label className="text-xs text-gray-500">Ends
+            <input type="datetime-local" value={form.end} onChange={setField('end')} className={inputClass} />
+          </label>
+        </div>
+      )}
+      <input value={form.location} onChange={setField('location')} placeholder="Location" className={inputClass} aria-label="Location" />
+      <textarea value={form.description} onChange={setField('description')} placeholder="Description" rows={3} className={inputClass} aria-label="Description" />
+      <div className="grid grid-cols-2 gap-2">
+        <select value={form.priority} onChange={setField('priority')} className={inputClass} aria-label="Priority">
+          <option value="">No priority</option>
+          {EVENT_PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+        </select>
+        <input value={form.tags} onChange={setField('tags')} placeholder="Tags, comma separated" className={inputClass} aria-label="Tags" />
+      </div>
+      {(formError || saveState?.message) && (
+        <div className="text-red-700">{formError || saveState.message}</div>
+      )}
+      <div className="flex justify-end gap-2 pt-1">
+        <button onClick={onCancel} className="px-3 py-1 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100">Cancel</button>
+        {saveState?.conflict && (
+          <button onClick={() => submit(true)} className="px-3 py-1 rounded-full border border-amber-400 text-amber-800 hover:bg-amber-50">
+            Save anyway
+          </button>
+        )}
+        <button onClick={() => submit()} className="px-3 py-1 rounded-full bg-blue-600 text-white hover:bg-blue-700">Save</button>
+      </div>
+    </div>
+  );
+};
+
+// onEdit(updates, { overrideConflicts }) saves an inline edit and resolves to { success,
+// message, conflict }; onDrag(event | null) reports dragging the card to reschedule it.
+// Without them (or for a deleted event) the card is display-only.
+const EventCard = ({
+  title, 
+  startDate, 
+  startTime, 
+  endTime, 
+  location, 
+  description,
+  attendees = [],
+  priority = null,
+  tags = [],
+  status = null,
+  eventUrl = '',
+  event = null,
+  onEdit,
+  onDrag
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  // { status: 'saving' | 'failed', message, conflict, form } for the last inline save
+  const [saveState, setSaveState] = useState(null);
+
+  // Use the startDate directly if it's already formatted
+  // This handles cases where the date is already in the format "Apr 2"
+  const formattedDate = startDate || 'Today';
+  
+  const statusStyle = STATUS_STYLES[status];
+  const cardColors = statusStyle ? statusStyle.card : 'bg-white border-gray-200';
+  // A deleted event's link would lead nowhere
+  const link = status === 'deleted' ? '' : eventUrl;
+  const canEdit = !!onEdit && !!event?.id && status !== 'deleted';
+  // Only timed events can be dropped onto a time
+  const canDrag = !!onDrag && canEdit && !!event.start?.dateTime && !isEditing;
+
+  const save = async (form, updates, overrideConflicts) => {
+    setIsEditing(false);
+    if (Object.keys(updates).length === 0) return;
+    setSaveState({ status: 'saving' });
+    const outcome = await onEdit(updates, { overrideConflicts });
+    if (outcome.success) {
+      setSaveState(null);
+    } else {
+      // The card has rolled back; reopen the form with what the user typed
+      setSaveState({ status: 'failed', message: outcome.message, conflict: !!outcome.conflict, form });
+      setIsEditing(true);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <div className={`${cardColors} rounded-3xl shadow-md p-6 max-w-sm w-full border`}>
+        <EventEditForm
+          event={event}
+          saveState={saveState}
+          onSave={save}
+          onCancel={() => { setIsEditing(false); setSaveState(null); }}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`${cardColors} rounded-3xl shadow-md p-6 max-w-sm w-full animate-scaleDown border ${canDrag ? 'cursor-grab active:cursor-grabbing' : ''}`}
+      draggable={canDrag}
+      onDragStart={canDrag ? (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', title);
+        onDrag(event);
+      } : undefined}
+      onDragEnd={canDrag ? () => onDrag(null) : undefined}
+      title={canDrag ? 'Drag onto a time to reschedule' : undefined}
+    >
+      {(statusStyle || canEdit) && (
+        <div className="flex items-center justify-between mb-2">
+          {statusStyle ? (
+            <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${statusStyle.badge}`}>
+              {statusStyle.label}
+            </span>
+          ) : <span />}
+          {canEdit && (
+            <span className="flex items-center text-gray-500">
+              {saveState?.status === 'saving' && <FiLoader className="animate-spin mr-2" aria-label="Saving" />}
+              {canDrag && <FiMove className="mr-2 opacity-60" aria-hidden="true" />}
+              <button
+                onClick={() => setIsEditing(true)}
+                disabled={saveState?.status === 'saving'}
+                className="p-1 hover:text-gray-800 disabled:opacity-40"
+                aria-label="Edit event"
+              >
+                <FiEdit2 />
+              </button>
+            </span>
+          )}
+        </div>
+      )}
+      <h2 className={`text-2xl font-semibold text-gray-800 mb-4 ${status === 'deleted' ? 'line-through' : ''}`}>
+        {link ? (
+          <a href={link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+            {title}
+          </a>
+        ) : (
+          title
+        )}
+      </h2>
+      
+      <div className="flex items-start mb-3">
+        <FiCalendar className="text-gray-600 mt-1 mr-3 flex-shrink-0" />
+        <div>
+          <div className="text-lg font-medium">{formattedDate || 'Today'}</div>
+          <div className="text-gray-600">
+            {startTime && endTime ? `${startTime} – ${endTime}` : startTime === 'All Day' ? 'All Day' : startTime}
+          </div>
+        </div>
+      </div>
+      
+      {location && (
+        <div className="flex items-start mb-4">
+          <FiMapPin className="text-gray-600 mt-1 mr-3 flex-shrink-0" />
+          <div className="text-gray-800">{location}</div>
+        </div>
+      )}
+      
+      {attendees.length > 0 && (
+        <div className="flex items-start mb-4">
+          <FiUsers className="text-gray-600 mt-1 mr-3 flex-shrink-0" />
+          <div className="w-full">
+            <div className="text-gray-800 mb-1">
+              {attendees.length} {attendees.length === 1 ? 'attendee' : 'attendees'}
+              {' · '}
+              {attendees.filter(a => a.responseStatus === 'accepted').length} accepted
+            </div>
+            <ul className="space-y-1">
+              {attendees.map((attendee) => {
+                const style = RESPONSE_STYLES[attendee.responseStatus] || RESPONSE_STYLES.needsAction;
+                return (
+                  <li key={attendee.email} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-700 truncate mr-2" title={attendee.email}>
+                      {attendee.name}{attendee.organizer ? ' (organizer)' : attendee.self ? ' (you)' : ''}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${style.className}`}>{style.label}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </div>
+      )}
+      
+      {(priority || tags.length > 0) && (
+        <div className="flex flex-wrap items-center gap-1 mb-4">
+          {priority && (
+            <span className={`px-2 py-0.5 rounded-full text-xs ${PRIORITY_BADGES[priority] || PRIORITY_BADGES.Low}`}>{priority} priority</span>
+          )}
+          {tags.map(tag => (
+            <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700">
+              <FiTag className="mr-1" />{tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {description && (
+        <p className="text-gray-700 mt-4">{description}</p>
+      )}
+    </div>
+  );
+};
+
+export default EventCard;
\ No newline at end of file
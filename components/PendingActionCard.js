@@ -0,0 +1,82 @@
+// components/PendingActionCard.js
+import React from 'react';
+import { FiAlertTriangle, FiCheck, FiX, FiLoader } from 'react-icons/fi';
+import { DateTime } from 'luxon';
+
+// Formats an event start/end ({ dateTime } or { date }) for the preview list
+const formatWhen = (start, end) => {
+  if (start?.date && !start?.dateTime) {
+    return `${DateTime.fromISO(start.date).toFormat('EEE, MMM d')} (All day)`;
+  }
+  const startDt = DateTime.fromISO(start?.dateTime || start);
+  const endDt = DateTime.fromISO(end?.dateTime || end);
+  if (!startDt.isValid) return '';
+  const endText = endDt.isValid ? ` – ${endDt.toFormat('h:mm a')}` : '';
+  return `${startDt.toFormat('EEE, MMM d, h:mm a')}${endText}`;
+};
+
+const STATUS_TEXT = {
+  confirmed: 'Done',
+  cancelled: 'Cancelled',
+  failed: 'Failed',
+  expired: 'Expired'
+};
+
+const PendingActionCard = ({ action, onDecision }) => {
+  if (!action) return null;
+  const { summary, targets = [], changes, status = 'pending', resultMessage } = action;
+  const isPending = status === 'pending';
+  const isSubmitting = status === 'submitting';
+
+  return (
+    <div className="mt-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-gray-800 shadow-sm">
+      <div className="flex items-start mb-2">
+        <FiAlertTriangle className="text-amber-600 mt-0.5 mr-2 flex-shrink-0" />
+        <div className="font-medium">{summary}</div>
+      </div>
+
+      {targets.length > 0 && (
+        <ul className="mb-3 ml-6 space-y-1 max-h-48 overflow-y-auto">
+          {targets.map((target) => (
+            <li key={`${target.calendarId}-${target.id}`} className="flex justify-between">
+              <span className="truncate mr-2">{target.summary}</span>
+              <span className="text-gray-600 flex-shrink-0">{formatWhen(target.start, target.end)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {changes?.start && (
+        <div className="mb-3 ml-6 text-gray-700">
+          New time: {formatWhen(changes.start, changes.end)}
+        </div>
+      )}
+
+      {isPending || isSubmitting ? (
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => onDecision?.(action.actionId, 'cancel')}
+            disabled={isSubmitting}
+            className="inline-flex items-center px-3 py-1.5 rounded-full border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+          >
+            <FiX className="mr-1" /> Cancel
+          </button>
+          <button
+            onClick={() => onDecision?.(action.actionId, 'confirm')}
+            disabled={isSubmitting}
+            className="inline-flex items-center px-3 py-1.5 rounded-full bg-red-600 text-white hover:bg-red-700 disabled:opacity-60"
+          >
+            {isSubmitting ? <FiLoader className="animate-spin mr-1" /> : <FiCheck className="mr-1" />} Confirm
+          </button>
+        </div>
+      ) : (
+        <div className="ml-6 text-gray-700">
+          <span className="font-medium">{STATUS_TEXT[status] || status}</span>
+          {resultMessage ? `: ${resultMessage}` : ''}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingActionCard;
@@ -0,0 +1,80 @@
+// components/RescheduleTimePicker.js
+import React, { useState } from 'react';
+import { DateTime } from 'luxon';
+
+// Days and hours the picker offers (times are in the browser's timezone, like the cards)
+const DAY_COUNT = 5;
+const FIRST_HOUR = 7;
+const LAST_HOUR = 21;
+const HOURS = Array.from({ length: LAST_HOUR - FIRST_HOUR + 1 }, (_, index) => FIRST_HOUR + index);
+
+// Drop target shown while an event card is dragged: the event's day and the next few,
+// in half-hour slots. Dropping on a slot calls onPick(start) with the new start time.
+const RescheduleTimePicker = ({ event, onPick }) => {
+  const [hovered, setHovered] = useState(null); // ISO start of the slot under the card
+
+  const currentStart = DateTime.fromISO(event.start.dateTime).toLocal();
+  // Past events are moved forward, so start the days from today
+  const today = DateTime.now().startOf('day');
+  const firstDay = currentStart.startOf('day') < today ? today : currentStart.startOf('day');
+  const days = Array.from({ length: DAY_COUNT }, (_, index) => firstDay.plus({ days: index }));
+
+  // The half of the hour cell the pointer is over
+  const slotAt = (e, day, hour) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const minute = e.clientY - rect.top < rect.height / 2 ? 0 : 30;
+    return day.set({ hour, minute });
+  };
+
+  return (
+    <div className="fixed inset-x-0 bottom-24 z-30 flex justify-center px-3 pointer-events-none">
+      <div className="pointer-events-auto w-full max-w-2xl rounded-2xl border border-blue-200 bg-white p-3 shadow-xl animate-fadeIn">
+        <div className="mb-2 text-sm text-gray-700">
+          Drop on a new time for <span className="font-medium">"{event.summary || '(No title)'}"</span>
+          {hovered && <span className="ml-2 text-blue-700">{DateTime.fromISO(hovered).toFormat('EEE, MMM d, h:mm a')}</span>}
+        </div>
+        <div className="grid gap-px bg-gray-100 text-xs" style={{ gridTemplateColumns: `3rem repeat(${DAY_COUNT}, minmax(0, 1fr))` }}>
+          <div className="bg-white" />
+          {days.map(day => (
+            <div key={day.toISODate()} className="bg-white py-1 text-center text-gray-600">{day.toFormat('EEE d')}</div>
+          ))}
+          {HOURS.map(hour => (
+            <React.Fragment key={hour}>
+              <div className="bg-white pr-1 text-right text-gray-400">{DateTime.fromObject({ hour }).toFormat('h a')}</div>
+              {days.map(day => {
+                const hourStart = day.set({ hour });
+                const isCurrent = currentStart >= hourStart && currentStart < hourStart.plus({ hours: 1 });
+                const isHovered = hovered && DateTime.fromISO(hovered).hasSame(hourStart, 'hour') && DateTime.fromISO(hovered).hasSame(hourStart, 'day');
+                const isTopHalf = isHovered && DateTime.fromISO(hovered).minute === 0;
+                return (
+                  <div
+                    key={`${day.toISODate()}-${hour}`}
+                    onDragOver={(e) => {
+                      e.preventDefault();
+                      e.dataTransfer.dropEffect = 'move';
+                      const slot = slotAt(e, day, hour).toISO();
+                      if (slot !== hovered) setHovered(slot);
+                    }}
+                    onDragLeave={() => setHovered(null)}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      setHovered(null);
+                      onPick(slotAt(e, day, hour));
+                    }}
+                    className={`relative h-5 ${isCurrent ? 'bg-blue-50' : 'bg-white'}`}
+                  >
+                    {isHovered && (
+                      <div className={`absolute inset-x-0 h-1/2 bg-blue-500/60 ${isTopHalf ? 'top-0' : 'bottom-0'}`} />
+                    )}
+                  </div>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleTimePicker;
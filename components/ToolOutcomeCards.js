@@ -0,0 +1,246 @@
+// components/ToolOutcomeCards.js
+import React, { useState } from 'react';
+import { FiAlertTriangle, FiClock, FiCheck, FiLoader, FiPlus, FiMinus } from 'react-icons/fi';
+import { DateTime } from 'luxon';
+import EventCard from './EventCard';
+import { formatEventForCard } from '../utils/eventCardUtils';
+
+// A long lookup shows this many cards until expanded
+const MAX_LISTED_CARDS = 5;
+// Slot suggestions shown as cards until expanded (they arrive best first)
+const MAX_SLOT_CARDS = 4;
+
+// Card status per outcome type (see lib/services/requestContext.js for the payloads)
+const EVENT_STATUS = {
+  event_created: 'created',
+  event_updated: 'updated',
+  event_deleted: 'deleted'
+};
+
+// Formats a slot or requested time ({ dateTime } / ISO string) as "Tue, Apr 1, 10 AM – 11 AM"
+const formatRange = (start, end) => {
+  const startDt = DateTime.fromISO(start?.dateTime || start, { setZone: true });
+  const endDt = DateTime.fromISO(end?.dateTime || end, { setZone: true });
+  if (!startDt.isValid) return '';
+  const endText = endDt.isValid ? ` – ${endDt.toFormat('h:mm a')}` : '';
+  return `${startDt.toFormat('EEE, MMM d, h:mm a')}${endText}`;
+};
+
+// handlers: { onEditEvent, onDragEvent } from ToolOutcomeCards (absent for read-only cards)
+const renderEventCard = (event, key, status = null, handlers = {}) => {
+  const card = formatEventForCard(event);
+  if (!card) return null;
+  const { onEditEvent, onDragEvent } = handlers;
+  return (
+    <EventCard
+      key={key}
+      title={card.title}
+      startDate={card.startDate}
+      startTime={card.startTime}
+      endTime={card.endTime}
+      location={card.location}
+      description={card.description}
+      attendees={card.attendees}
+      priority={card.priority}
+      tags={card.tags}
+      eventUrl={card.eventUrl}
+      status={status}
+      event={event}
+      onEdit={onEditEvent ? (updates, options) => onEditEvent(event, updates, options) : undefined}
+      onDrag={onDragEvent}
+    />
+  );
+};
+
+// Signed points, e.g. "+15" / "-8"
+const formatPoints = points => `${points > 0 ? '+' : ''}${points}`;
+
+// One suggested time: score, pros/cons (with the points each added to the score, from
+// slot.scoreBreakdown) and a Book button when the event to book is known
+const SlotCard = ({ slot, isBest, canBook, bookingState, onBook }) => {
+  const pointsFor = new Map((slot.scoreBreakdown || []).map(item => [item.reason, item.points]));
+  const tieBreak = (slot.scoreBreakdown || []).find(item => item.factor === 'earlierInDay');
+  const isThisSlot = bookingState?.slotStart === slot.start;
+  const isBooking = isThisSlot && bookingState.status === 'booking';
+  const isBooked = isThisSlot && bookingState.status === 'booked';
+  // One booking per suggestion list; a failed one can be retried
+  const locked = bookingState && ['booking', 'booked'].includes(bookingState.status);
+
+  return (
+    <div className={`rounded-2xl border p-3 text-sm shadow-sm ${isBooked ? 'border-green-300 bg-green-50' : 'border-gray-200 bg-white'}`}>
+      <div className="flex items-start justify-between">
+        <div className="flex items-center font-medium text-gray-800">
+          <FiClock className="mr-2 flex-shrink-0 opacity-60" />
+          {formatRange(slot.start, slot.end)}
+        </div>
+        {typeof slot.score === 'number' && (
+          <span
+            className="ml-2 flex-shrink-0 rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-700"
+            title={tieBreak ? `Higher is a better fit (${formatPoints(tieBreak.points)} ${tieBreak.reason})` : 'Higher is a better fit'}
+          >
+            {isBest ? 'Best · ' : ''}Score {Math.round(slot.score)}
+          </span>
+        )}
+      </div>
+      {(slot.pros?.length > 0 || slot.cons?.length > 0) && (
+        <ul className="mt-2 space-y-0.5">
+          {(slot.pros || []).map(pro => (
+            <li key={`pro-${pro}`} className="flex items-start text-green-700">
+              <FiPlus className="mr-1 mt-0.5 flex-shrink-0" />{pro}
+              {pointsFor.has(pro) && <span className="ml-auto pl-2 text-xs text-gray-500">{formatPoints(pointsFor.get(pro))}</span>}
+            </li>
+          ))}
+          {(slot.cons || []).map(con => (
+            <li key={`con-${con}`} className="flex items-start text-red-700">
+              <FiMinus className="mr-1 mt-0.5 flex-shrink-0" />{con}
+              {pointsFor.has(con) && <span className="ml-auto pl-2 text-xs text-gray-500">{formatPoints(pointsFor.get(con))}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {canBook && (
+        <div className="mt-3 flex justify-end">
+          {isBooked ? (
+            <span className="inline-flex items-center text-green-700"><FiCheck className="mr-1" /> Booked</span>
+          ) : (
+            <button
+              onClick={() => onBook(slot)}
+              disabled={locked}
+              className="inline-flex items-center px-3 py-1 rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isBooking ? <FiLoader className="animate-spin mr-1" /> : <FiCheck className="mr-1" />} Book
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Suggested slots as selectable cards; picking one books `booking` at that time
+const SlotPicker = ({ slots, booking, bookingState, onBook }) => {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? slots : slots.slice(0, MAX_SLOT_CARDS);
+  const canBook = !!booking && !!onBook;
+
+  return (
+    <div>
+      {canBook && (
+        <div className="mb-2 text-gray-600">Pick a time to book "{booking.summary}":</div>
+      )}
+      <div className="grid gap-2 sm:grid-cols-2">
+        {visible.map((slot, index) => (
+          <SlotCard
+            key={`${slot.start}-${index}`}
+            slot={slot}
+            isBest={index === 0 && slots.length > 1}
+            canBook={canBook}
+            bookingState={bookingState}
+            onBook={onBook}
+          />
+        ))}
+      </div>
+      {slots.length > visible.length && (
+        <button onClick={() => setShowAll(true)} className="mt-2 text-sm text-blue-600 hover:underline">
+          Show {slots.length - visible.length} more
+        </button>
+      )}
+      {bookingState?.status === 'failed' && (
+        <div className="mt-2 text-red-700">Couldn't book it: {bookingState.resultMessage}</div>
+      )}
+    </div>
+  );
+};
+
+const EventList = ({ events, handlers }) => {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? events : events.slice(0, MAX_LISTED_CARDS);
+  return (
+    <>
+      {visible.map((event, index) => renderEventCard(event, event.id || index, null, handlers))}
+      {events.length > visible.length && (
+        <button onClick={() => setShowAll(true)} className="text-sm text-blue-600 hover:underline">
+          Show {events.length - visible.length} more
+        </button>
+      )}
+    </>
+  );
+};
+
+const ConflictCard = ({ outcome, onBook }) => (
+  <div className="rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-gray-800 shadow-sm">
+    <div className="flex items-start mb-2">
+      <FiAlertTriangle className="text-amber-600 mt-0.5 mr-2 flex-shrink-0" />
+      <div>
+        <span className="font-medium">"{outcome.summary}" was not {outcome.change === 'move' ? 'moved' : 'added'}</span>
+        {outcome.start && <span className="text-gray-600"> ({formatRange(outcome.start, outcome.end)})</span>}
+        {outcome.conflicts?.length > 0
+          ? ': it overlaps'
+          : outcome.violations?.length > 0 ? ': it breaks your scheduling rules.' : ': that time is not free.'}
+      </div>
+    </div>
+    {outcome.conflicts?.length > 0 && (
+      <ul className="mb-2 ml-6 space-y-1">
+        {outcome.conflicts.map((event, index) => (
+          <li key={event.id || index} className="flex justify-between">
+            <span className="truncate mr-2">{event.summary || '(No title)'}</span>
+            <span className="text-gray-600 flex-shrink-0">{formatRange(event.start, event.end)}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+    {outcome.violations?.length > 0 && (
+      <ul className="mb-2 ml-6 list-disc list-inside text-gray-700">
+        {outcome.violations.map(violation => <li key={violation}>{violation}</li>)}
+      </ul>
+    )}
+    {outcome.suggestions?.length > 0 && (
+      <div className="mt-3">
+        <div className="mb-1 text-gray-600">Free nearby:</div>
+        <SlotPicker slots={outcome.suggestions} booking={outcome.booking} bookingState={outcome.bookingState} onBook={onBook} />
+      </div>
+    )}
+  </div>
+);
+
+// Cards for the calendar outcomes of one reply, from the typed payloads the server streams.
+// onBookSlot(artifactIndex, booking, slot) books a suggested slot, onEditEvent(event, updates,
+// options) saves an edit made on an event card and onDragEvent(event | null) follows a card
+// being dragged to a new time (omit them for read-only cards).
+const ToolOutcomeCards = ({ artifacts = [], onBookSlot, onEditEvent, onDragEvent }) => {
+  if (!artifacts || artifacts.length === 0) return null;
+  const bookFrom = (index, outcome) => (onBookSlot ? slot => onBookSlot(index, outcome.booking, slot) : null);
+  const handlers = { onEditEvent, onDragEvent };
+
+  return (
+    <div className="mt-3 space-y-4">
+      {artifacts.map((outcome, index) => {
+        switch (outcome.type) {
+          case 'event_created':
+          case 'event_updated':
+          case 'event_deleted':
+            return renderEventCard(outcome.event, `${outcome.type}-${outcome.event?.id || index}`, EVENT_STATUS[outcome.type], handlers);
+          case 'events_listed':
+            return <EventList key={`listed-${index}`} events={outcome.events || []} handlers={handlers} />;
+          case 'conflict_detected':
+            return <ConflictCard key={`conflict-${index}`} outcome={outcome} onBook={bookFrom(index, outcome)} />;
+          case 'slots_suggested':
+            return (
+              <div key={`slots-${index}`} className="text-sm">
+                <SlotPicker
+                  slots={outcome.slots || []}
+                  booking={outcome.booking}
+                  bookingState={outcome.bookingState}
+                  onBook={bookFrom(index, outcome)}
+                />
+              </div>
+            );
+          default:
+            return null;
+        }
+      })}
+    </div>
+  );
+};
+
+export default ToolOutcomeCards;
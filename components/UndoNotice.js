@@ -0,0 +1,36 @@
+// components/UndoNotice.js
+import React from 'react';
+import { FiRotateCcw, FiLoader } from 'react-icons/fi';
+
+const STATUS_TEXT = {
+  undone: 'Undone',
+  failed: 'Undo failed'
+};
+
+// Shows a change the assistant made with an Undo button (one per journaled batch)
+const UndoNotice = ({ undo, onUndo }) => {
+  if (!undo) return null;
+  const { batchId, summary, status = 'available', resultMessage } = undo;
+  const isUndoing = status === 'undoing';
+
+  return (
+    <div className="mt-2 flex items-center justify-between rounded-xl border border-gray-200 bg-gray-50 px-3 py-2 text-sm text-gray-700">
+      <span className="truncate mr-3">{summary}</span>
+      {status === 'available' || isUndoing ? (
+        <button
+          onClick={() => onUndo?.(batchId)}
+          disabled={isUndoing}
+          className="inline-flex flex-shrink-0 items-center px-3 py-1 rounded-full border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+        >
+          {isUndoing ? <FiLoader className="animate-spin mr-1" /> : <FiRotateCcw className="mr-1" />} Undo
+        </button>
+      ) : (
+        <span className="flex-shrink-0 text-gray-600" title={resultMessage || ''}>
+          {STATUS_TEXT[status] || status}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default UndoNotice;
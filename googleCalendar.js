@@ -1,5 +1,6 @@
 const { google } = require('googleapis');
 const { OAuth2Client } = require('google-auth-library');
+const { createMemoryCalendarClient, linkMemoryCalendarAccount } = require('./memoryCalendar');
 
 /**
  * Creates and configures an OAuth2Client with the provided tokens
@@ -37,31 +38,240 @@ function createOAuth2Client(tokens) {
   }
 }
 
+/**
+ * Records which user an access token was issued to. Google knows this already; the
+ * in-memory fake (CALENDAR_BACKEND=memory) needs it to keep a user's calendar when
+ * their token is refreshed.
+ * @param {string} accessToken - Access token
+ * @param {string} email - The user's email
+ */
+function linkCalendarAccount(accessToken, email) {
+  if (process.env.CALENDAR_BACKEND === 'memory') {
+    linkMemoryCalendarAccount(accessToken, email);
+  }
+}
+
+/**
+ * Returns the Calendar API client for the configured backend. CALENDAR_BACKEND=memory
+ * uses the in-memory fake (memoryCalendar.js), keyed by the user's account, so nothing
+ * needs credentials.json or network access; anything else uses Google.
+ * @param {Object} tokens - User's OAuth tokens
+ * @returns {Object} - Client with the google.calendar({ version: 'v3' }) call shapes
+ */
+function getCalendarClient(tokens) {
+  if (process.env.CALENDAR_BACKEND === 'memory') {
+    return createMemoryCalendarClient(tokens);
+  }
+  return google.calendar({ version: 'v3', auth: createOAuth2Client(tokens) });
+}
+
+/**
+ * List the calendars on the user's calendar list (own, shared and subscribed)
+ * @param {Object} tokens - User's OAuth tokens
+ * @returns {Array} - Calendar list entries (id, summary, primary, accessRole, ...)
+ */
+async function listCalendars(tokens) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.calendarList.list();
+  return res.data.items || [];
+}
+
 /**
  * Get calendar events for a specific date range
  * @param {Object} tokens - User's OAuth tokens
  * @param {Date} start_date - Start date for events
  * @param {Date} end_date - End date for events
- * @returns {Array} - List of calendar events
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @returns {Array} - List of calendar events, each tagged with its calendarId
  */
-async function getCalendarEvents(tokens, start_date, end_date) {
+async function getCalendarEvents(tokens, start_date, end_date, calendarId = 'primary') {
   try {
-    const oauth2Client = createOAuth2Client(tokens);
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    const calendar = getCalendarClient(tokens);
     const res = await calendar.events.list({
-      calendarId: 'primary',
+      calendarId,
       timeMin: start_date.toISOString(),
       timeMax: end_date.toISOString(),
       singleEvents: true,
       orderBy: 'startTime',
     });
-    return res.data.items || [];
+    // Events don't carry their calendar ID, so tag them for merged multi-calendar views
+    return (res.data.items || []).map(event => ({ ...event, calendarId }));
   } catch (error) {
-    console.error('Error fetching events:', error);
+    console.error(`Error fetching events from calendar ${calendarId}:`, error);
     return [];
   }
 }
 
+/**
+ * List one page of event changes for incremental sync. With a syncToken only events changed
+ * since that token are returned (cancelled ones with status 'cancelled'); without one, every
+ * event from timeMin onwards is listed. Google answers 410 Gone when the token has expired,
+ * which is thrown to the caller so it can run a full resync.
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} options - { syncToken, timeMin, pageToken }
+ * @returns {Object} - { items, nextPageToken, nextSyncToken, timeZone (the calendar's) }
+ */
+async function listEventChanges(tokens, calendarId = 'primary', options = {}) {
+  const calendar = getCalendarClient(tokens);
+  const params = {
+    calendarId,
+    singleEvents: true,
+    showDeleted: true,
+    maxResults: 2500,
+    pageToken: options.pageToken,
+  };
+  // Google rejects timeMin together with a syncToken
+  if (options.syncToken) {
+    params.syncToken = options.syncToken;
+  } else if (options.timeMin) {
+    params.timeMin = options.timeMin;
+  }
+  const res = await calendar.events.list(params);
+  return {
+    items: (res.data.items || []).map(event => ({ ...event, calendarId })),
+    nextPageToken: res.data.nextPageToken,
+    nextSyncToken: res.data.nextSyncToken,
+    timeZone: res.data.timeZone,
+  };
+}
+
+/**
+ * Open a push notification channel for changes to a calendar's events
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} channel - { id, token, address, ttlSeconds }
+ * @returns {Object} - Channel resource ({ id, resourceId, expiration (ms epoch string) })
+ */
+async function watchEvents(tokens, calendarId, channel) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.events.watch({
+    calendarId,
+    requestBody: {
+      id: channel.id,
+      type: 'web_hook',
+      address: channel.address,
+      token: channel.token,
+      params: channel.ttlSeconds ? { ttl: String(channel.ttlSeconds) } : undefined,
+    },
+  });
+  return res.data;
+}
+
+/**
+ * Stop a push notification channel
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} channelId - Channel ID we created
+ * @param {string} resourceId - Resource ID Google returned for the channel
+ */
+async function stopChannel(tokens, channelId, resourceId) {
+  const calendar = getCalendarClient(tokens);
+  await calendar.channels.stop({ requestBody: { id: channelId, resourceId } });
+}
+
+/**
+ * Query busy intervals for several calendars/people at once
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Array<string>} ids - Calendar IDs or attendee emails (their primary calendar)
+ * @param {string} timeMin - Range start (ISO 8601)
+ * @param {string} timeMax - Range end (ISO 8601)
+ * @returns {Object} - Map of id -> { busy: [{ start, end }], errors: [...] }
+ */
+async function queryFreeBusy(tokens, ids, timeMin, timeMax) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.freebusy.query({
+    requestBody: {
+      timeMin,
+      timeMax,
+      items: ids.map(id => ({ id })),
+    },
+  });
+  return res.data.calendars || {};
+}
+
+/**
+ * Get a calendar's metadata (e.g. a colleague's calendar timezone, if shared with the user)
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID or email address
+ * @returns {Object} - Calendar resource (id, summary, timeZone)
+ */
+async function getCalendarInfo(tokens, calendarId) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.calendars.get({ calendarId });
+  return res.data;
+}
+
+/**
+ * Get a single calendar event (or recurring series master) by ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - ID of the event or instance
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @returns {Object} - Event data
+ */
+async function getCalendarEvent(tokens, eventId, calendarId = 'primary') {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.events.get({ calendarId, eventId });
+  return res.data;
+}
+
+/**
+ * List the expanded instances of a recurring event
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} recurringEventId - ID of the series master
+ * @param {Object} range - Optional { timeMin, timeMax } ISO strings
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @returns {Array} - List of instances
+ */
+async function getEventInstances(tokens, recurringEventId, range = {}, calendarId = 'primary') {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.events.instances({
+    calendarId,
+    eventId: recurringEventId,
+    timeMin: range.timeMin,
+    timeMax: range.timeMax,
+  });
+  return res.data.items || [];
+}
+
+/**
+ * Normalizes attendee input (emails or attendee objects) to Google attendee resources
+ * @param {Array} attendees - Emails ('a@b.com') or objects ({ email, optional, displayName })
+ * @returns {Array} - Attendee resources
+ */
+function normalizeAttendees(attendees) {
+  return (attendees || [])
+    .map(attendee => (typeof attendee === 'string' ? { email: attendee } : attendee))
+    .filter(attendee => attendee && attendee.email)
+    .map(attendee => ({ ...attendee, email: attendee.email.trim() }));
+}
+
+/**
+ * Applies attendee changes to an event's current attendee list, keeping the
+ * response status of attendees that stay on the invite
+ * @param {Array} currentAttendees - Attendees currently on the event
+ * @param {Object} changes - { attendees (full replacement), addAttendees, removeAttendees }
+ * @returns {Array|undefined} - New attendee list, or undefined if nothing changes
+ */
+function mergeAttendees(currentAttendees, changes = {}) {
+  const { attendees, addAttendees, removeAttendees } = changes;
+  if (!attendees && !addAttendees && !removeAttendees) return undefined;
+
+  const current = currentAttendees || [];
+  const byEmail = email => current.find(a => a.email?.toLowerCase() === email.toLowerCase());
+
+  let result = attendees
+    ? normalizeAttendees(attendees).map(a => byEmail(a.email) || a)
+    : [...current];
+
+  for (const attendee of normalizeAttendees(addAttendees)) {
+    if (!result.some(a => a.email?.toLowerCase() === attendee.email.toLowerCase())) result.push(attendee);
+  }
+
+  const removed = new Set(normalizeAttendees(removeAttendees).map(a => a.email.toLowerCase()));
+  result = result.filter(a => !removed.has(a.email?.toLowerCase()));
+  return result;
+}
+
 /**
  * Add a new calendar event
  * @param {Object} tokens - User's OAuth tokens
@@ -71,11 +281,12 @@ async function getCalendarEvents(tokens, start_date, end_date) {
  * @param {string} description - Event description
  * @param {string} location - Event location
  * @param {Array} reminders - Optional reminders in minutes
+ * @param {Object} options - Optional { recurrence: Array<string>, timeZone: string, calendarId: string,
+ *                           attendees: Array, sendUpdates: 'all'|'externalOnly'|'none' }
  * @returns {Object} - Created event data
  */
-async function addCalendarEvent(tokens, summary, start, end, description, location, reminders) {
-  const oauth2Client = createOAuth2Client(tokens);
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+async function addCalendarEvent(tokens, summary, start, end, description, location, reminders, options = {}) {
+  const calendar = getCalendarClient(tokens);
   
   const event = {
     summary,
@@ -84,7 +295,19 @@ async function addCalendarEvent(tokens, summary, start, end, description, locati
     start: { dateTime: start },
     end: { dateTime: end },
   };
+
+  // Recurring events need an explicit timezone so Google expands them in local time
+  if (Array.isArray(options.recurrence) && options.recurrence.length > 0) {
+    event.recurrence = options.recurrence;
+    event.start.timeZone = options.timeZone || 'UTC';
+    event.end.timeZone = options.timeZone || 'UTC';
+  }
   
+  const attendees = normalizeAttendees(options.attendees);
+  if (attendees.length > 0) {
+    event.attendees = attendees;
+  }
+
   // Add reminders if provided
   if (reminders && Array.isArray(reminders) && reminders.length > 0) {
     event.reminders = {
@@ -97,11 +320,13 @@ async function addCalendarEvent(tokens, summary, start, end, description, locati
   }
 
   try {
+    const calendarId = options.calendarId || 'primary';
     const res = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       resource: event,
+      sendUpdates: options.sendUpdates,
     });
-    return res.data;
+    return { ...res.data, calendarId };
   } catch (error) {
     console.error('Error adding event:', error);
     throw error;
@@ -113,7 +338,8 @@ async function addCalendarEvent(tokens, summary, start, end, description, locati
  * @param {Object} tokens - User's OAuth tokens
  * @param {string} eventId - ID of the event to delete 
  * @param {string} calendarId - Calendar ID (defaults to 'primary')
- * @returns {Object} - Deleted event summary
+ * @returns {Object} - { success, eventId, summary, event (snapshot taken before deleting) }, or
+ *                    { success: false, error, code } with the HTTP status when it fails
  */
 async function deleteCalendarEvent(tokens, eventId, calendarId = 'primary') {
   // Validate inputs
@@ -125,18 +351,19 @@ async function deleteCalendarEvent(tokens, eventId, calendarId = 'primary') {
     throw new Error('Event ID is required');
   }
   
-  const oauth2Client = createOAuth2Client(tokens);
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const calendar = getCalendarClient(tokens);
   
   try {
-    // First get the event to return its summary after deletion
+    // First get the event to return its summary (and a snapshot for undo) after deletion
     let eventSummary = null;
+    let eventSnapshot = null;
     try {
       const event = await calendar.events.get({
         calendarId: calendarId,
         eventId: eventId,
       });
       eventSummary = event.data.summary;
+      eventSnapshot = event.data;
     } catch (getError) {
       console.warn(`Could not retrieve event details before deletion: ${getError.message}`);
     }
@@ -145,10 +372,11 @@ async function deleteCalendarEvent(tokens, eventId, calendarId = 'primary') {
       calendarId: calendarId,
       eventId: eventId,
     });
-    return { success: true, summary: eventSummary, eventId: eventId };
+    return { success: true, summary: eventSummary, eventId: eventId, event: eventSnapshot };
   } catch (error) {
     console.error(`Error deleting event ${eventId}:`, error.message);
-    return { success: false, error: error.message, eventId: eventId };
+    // Keep the HTTP status so callers can tell "already deleted" (404/410) from real failures
+    return { success: false, error: error.message, code: error.code || error.response?.status, eventId: eventId };
   }
 }
 
@@ -156,17 +384,19 @@ async function deleteCalendarEvent(tokens, eventId, calendarId = 'primary') {
  * Update a calendar event
  * @param {Object} tokens - User's OAuth tokens
  * @param {string} eventId - ID of the event to update
- * @param {Object} updates - Object containing fields to update
+ * @param {Object} updates - Object containing fields to update. Attendees can be replaced
+ *                           (attendees) or changed (addAttendees/removeAttendees);
+ *                           sendUpdates controls who is notified.
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
  * @returns {Object} - Updated event data
  */
-async function updateCalendarEvent(tokens, eventId, updates) {
-  const oauth2Client = createOAuth2Client(tokens);
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+async function updateCalendarEvent(tokens, eventId, updates, calendarId = 'primary') {
+  const calendar = getCalendarClient(tokens);
   
   try {
     // First get the current event
     const currentEvent = await calendar.events.get({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId,
     });
     
@@ -190,25 +420,116 @@ async function updateCalendarEvent(tokens, eventId, updates) {
         timeZone: currentEvent.data.end.timeZone
       };
     }
+
+    // Only series masters carry a recurrence rule
+    if (updates.recurrence && currentEvent.data.recurrence) {
+      updatedEvent.recurrence = updates.recurrence;
+    }
+
+    const attendees = mergeAttendees(currentEvent.data.attendees, updates);
+    if (attendees) updatedEvent.attendees = attendees;
     
     // Update the event
     const res = await calendar.events.update({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId,
       resource: updatedEvent,
+      sendUpdates: updates.sendUpdates,
     });
     
-    return res.data;
+    return { ...res.data, calendarId };
   } catch (error) {
     console.error('Error updating event:', error);
     throw error;
   }
 }
 
+/**
+ * Insert a fully-formed event resource (used when splitting recurring series)
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} resource - Google Calendar event resource
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {Object} options - Optional { sendUpdates }
+ * @returns {Object} - Created event data
+ */
+async function insertCalendarEvent(tokens, resource, calendarId = 'primary', options = {}) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.events.insert({ calendarId, resource, sendUpdates: options.sendUpdates });
+  return { ...res.data, calendarId };
+}
+
+/**
+ * Patch selected fields of an event without touching the rest
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - ID of the event to patch
+ * @param {Object} patch - Partial event resource
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {Object} options - Optional { sendUpdates }
+ * @returns {Object} - Updated event data
+ */
+async function patchCalendarEvent(tokens, eventId, patch, calendarId = 'primary', options = {}) {
+  const calendar = getCalendarClient(tokens);
+  const res = await calendar.events.patch({ calendarId, eventId, resource: patch, sendUpdates: options.sendUpdates });
+  return res.data;
+}
+
+/**
+ * Respond to an invitation (RSVP) as the authenticated user
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - ID of the event (or series master) to respond to
+ * @param {string} responseStatus - accepted | declined | tentative
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {Object} options - Optional { comment, sendUpdates }
+ * @returns {Object} - Updated event data plus previousResponseStatus
+ */
+async function respondToEvent(tokens, eventId, responseStatus, calendarId = 'primary', options = {}) {
+  const calendar = getCalendarClient(tokens);
+
+  const current = await calendar.events.get({ calendarId, eventId });
+  const attendees = current.data.attendees || [];
+  const self = attendees.find(attendee => attendee.self);
+  if (!self) {
+    throw new Error(`You are not listed as an attendee of "${current.data.summary || eventId}".`);
+  }
+  if (self.organizer) {
+    throw new Error(`You are the organizer of "${current.data.summary || eventId}"; there is no invitation to respond to.`);
+  }
+
+  const updatedAttendees = attendees.map(attendee => {
+    if (!attendee.self) return attendee;
+    const updated = { ...attendee, responseStatus };
+    if (options.comment !== undefined) updated.comment = options.comment;
+    return updated;
+  });
+
+  const res = await calendar.events.patch({
+    calendarId,
+    eventId,
+    resource: { attendees: updatedAttendees },
+    sendUpdates: options.sendUpdates,
+  });
+  return { ...res.data, calendarId, previousResponseStatus: self.responseStatus };
+}
+
 module.exports = {
   createOAuth2Client,
+  getCalendarClient,
+  linkCalendarAccount,
+  listCalendars,
+  queryFreeBusy,
+  getCalendarInfo,
   getCalendarEvents,
+  listEventChanges,
+  watchEvents,
+  stopChannel,
+  getCalendarEvent,
+  getEventInstances,
   addCalendarEvent,
+  insertCalendarEvent,
+  patchCalendarEvent,
   deleteCalendarEvent,
-  updateCalendarEvent
+  updateCalendarEvent,
+  respondToEvent,
+  normalizeAttendees,
+  mergeAttendees
 };
@@ -1,6 +1,6 @@
 // lib/chatbot.js
 // --- IMPORTS ---
-import OpenAI from 'openai';
+import crypto from 'crypto';
 import { DateTime } from 'luxon';
 import NodeCache from 'node-cache';
 import 'dotenv/config';
@@ -11,11 +11,21 @@ import { getAthenaSystemPrompt } from './data/prompts.js';
 import { findAvailableSlots as findAvailableSlotsUtil, formatAvailableSlots } from './tools/schedulingUtils.js';
 import { listTodaysEvents, suggestEventTime } from './tools/eventHelpers.js';
 import { tools, toolFunctions } from './tools/toolIndex.js';
+import { formatToolResponse } from './tools/formatters.js';
+import { getSelectedCalendarIds } from './tools/calendarSelection.js';
+import { getTimezoneForUser } from './tools/userTimezone.js';
+import { ensureConversationTitle, findUserConversation } from './tools/conversationHelpers.js';
+import { isWatchEnabled, ensureWatchChannels } from './services/watchService.js';
+import { takePendingAction } from './services/pendingActionService.js';
+import { getBatchForToolCall } from './services/journalService.js';
+import { getLLMProvider, resolveModelSettings } from './services/openaiService.js';
+import { prepareConversationHistory, formatConversationSummary } from './services/historyService.js';
+import { createRequestContext, collectToolArtifacts, toolOutcomePayloads, toBookingTemplate } from './services/requestContext.js';
 import {
   getOrCreateUser,
   createConversation,
   // getConversation, // Less likely needed directly if using getUserWithLatestConversation
-  // getConversationMessages, // Less likely needed directly
+  getConversationMessages, // History after the rolling summary is loaded separately
   ConversationMessage, // Needed for type hints/checks if any
   addMessageToConversation,
   initializeDatabase,
@@ -27,191 +37,29 @@ import {
 // Weather client function (if used)
 // import { getWeatherData } from './weatherClient.js'; // Example path
 
-// Google APIs library (needed for direct calls in tool functions like delete/update)
-// **FIX:** Use import instead of require for consistency if possible (depends on project setup)
-// If using ES modules: import { google } from 'googleapis';
-// If require is necessary:
-const { google } = require('googleapis'); // Keep require if necessary for googleapis
-
 // --- Database Initialization ---
 // (Keep the getDatabaseInitPromise function as is)
 let dbInitPromise = null;
 
-// Initialize OpenAI client
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// Create a global variable to store the current responseCallback
-global.currentResponseCallback = null;
-
-// Create a global variable to store pending event data
-global.pendingEventData = null;
-
-// --- Helper Functions (Formatting & Time) ---
-function formatEventTime(eventTime) {
+// Looks up the undoable batch a tool call produced; journal lookups never fail a tool call
+async function findUndoBatch(userId, toolCallId) {
     try {
-        const dt = DateTime.fromISO(eventTime);
-        if (dt.isValid) {
-            return dt.toLocaleString(DateTime.DATETIME_FULL);
-        }
-        const dateOnly = DateTime.fromISO(eventTime, { zone: 'utc' });
-        if (dateOnly.isValid) {
-            return dateOnly.toLocaleString(DateTime.DATE_FULL) + " (All day)";
-        }
-        return eventTime;
-    } catch (e) {
-        console.warn("Error formatting event time:", eventTime, e);
-        return String(eventTime); // Ensure returns string
-    }
-}
-
-function formatCalendarEvents(events) {
-    if (!events) return "No events found or an error occurred.";
-    if (!Array.isArray(events)) return "An error occurred processing events.";
-    if (events.length === 0) return "No events found for the specified time period.";
-
-    return events.map(event => {
-        try {
-            const start = DateTime.fromISO(event.start?.dateTime || event.start?.date);
-            const end = DateTime.fromISO(event.end?.dateTime || event.end?.date);
-            if (!start.isValid || !end.isValid) return `❓ Invalid date found for event: ${event.summary || event.id}`;
-
-            const isAllDay = !event.start?.dateTime;
-            // Include the event ID in the formatted output (hidden with a zero-width space for reference)
-            let formattedEvent = `📅 ${event.summary || '(No Title)'} [ID:​${event.id}]\n`;
-            formattedEvent += `   📆 ${start.toLocaleString(DateTime.DATE_FULL)}\n`;
-            if (!isAllDay) {
-                formattedEvent += `   🕒 ${start.toLocaleString(DateTime.TIME_SIMPLE)} - ${end.toLocaleString(DateTime.TIME_SIMPLE)}\n`;
-            } else {
-                formattedEvent += `   🕒 All Day\n`;
-            }
-            if (event.description) formattedEvent += `   📝 ${event.description}\n`;
-            if (event.location) formattedEvent += `   📍 ${event.location}\n`;
-            if (event.reminders?.useDefault === false && Array.isArray(event.reminders.overrides)) {
-                formattedEvent += `   🔔 Reminders: ${event.reminders.overrides.map(r => `${r.minutes} min`).join(', ')}\n`;
-            }
-            return formattedEvent.trim(); // Trim each event string
-        } catch (mapError) {
-            console.error("Error mapping event:", event, mapError);
-            return `❓ Error processing event: ${event.summary || event.id}`;
-        }
-    }).join('\n\n'); // Add space between events
-}
-
-// --- Formatting Tool Responses for the LLM ---
-function formatToolResponse(functionName, result) {
-    try {
-        // Explicitly handle null/undefined results first
-        if (result == null) {
-            console.warn(`Tool ${functionName} returned null or undefined.`);
-            return `Tool ${functionName} did not return a result. (Status: FAILED)`;
-        }
-
-        // Handle known error shapes returned by tool functions
-        if (typeof result === 'string' && result.toLowerCase().startsWith('error:'))
-            return `${result} (Status: FAILED)`;
-        if (typeof result === 'object' && result.error)
-            return `Error executing ${functionName}: ${result.error} (Status: FAILED)`;
-        if (typeof result === 'object' && result.success === false)
-            return `Tool ${functionName} failed: ${result.message || 'No details.'} (Status: FAILED)`;
-
-        // --- Format successful results ---
-        switch (functionName) {
-            case 'saveUserPreference':
-                return result.success ? `✅ Pref saved: ${result.message} (Status: SUCCESS)` : `❌ Pref fail: ${result.message} (Status: FAILED)`;
-
-            case 'addCalendarEvents':
-                if (!Array.isArray(result)) return "Error: Invalid response format from addCalendarEvents. (Status: FAILED)";
-                if (result.length === 0) return "No events were processed. (Status: NEUTRAL)";
-                return result.map(item => {
-                    if (!item) return '❓ Invalid item in result array. (Status: FAILED)';
-                    if (item.error) { // Handle explicit errors first (conflict, validation, API)
-                        const summary = item.summary || '?';
-                        if (item.conflict) {
-                            // Include suggestions if available
-                            const suggestionText = item.suggestions && item.suggestions.length > 0
-                                ? ` Suggested slots: ${item.suggestions.map(s => `${DateTime.fromISO(s.start).toFormat('h:mma')} - ${DateTime.fromISO(s.end).toFormat('h:mma')}`).join(', ')}`
-                                : '';
-                            return `⚠️ Conflict detected for event "${summary}".${suggestionText} (Status: CONFLICT)`;
-                        } else {
-                            return `❌ Failed to add event "${summary}": ${item.error} (Status: FAILED)`;
-                        }
-                    } else if (item.id && item.summary && (item.start?.dateTime || item.start?.date)) { // Assume success if key fields exist
-                        try {
-                            const startStr = formatEventTime(item.start.dateTime || item.start.date); // Use existing helper
-                            return `✅ Event added: "${item.summary}" starting ${startStr}. (ID: ${item.id}) (Status: SUCCESS)`;
-                        } catch (e) {
-                            console.error("Error formatting success message for added event:", item, e);
-                            return `✅ Event added: "${item.summary}" (details unavailable). (ID: ${item.id}) (Status: SUCCESS)`;
-                        }
-                    } else { // Fallback for unexpected shapes
-                        console.warn("Unexpected item shape in addCalendarEvents result:", item);
-                        return `❓ Unknown outcome for an event attempt. (Status: UNKNOWN)`;
-                    }
-                }).join('\n');
-
-            case 'getCalendarEvents':
-                if (typeof result === 'string')
-                    return `🗓️ Events: ${result} (Status: ${result.toLowerCase().startsWith('error') ? 'FAILED' : 'SUCCESS'})`;
-                if (!Array.isArray(result))
-                    return "Error: Invalid getCalendarEvents response. (Status: FAILED)";
-                return result.length === 0
-                    ? "🗓️ No events found. (Status: SUCCESS)"
-                    : `🗓️ Found ${result.length} event(s):\n\n${formatCalendarEvents(result)} (Status: SUCCESS)`;
-
-            case 'deleteCalendarEvent':
-                return result.success
-                    ? `🗑️ Event "${result.summary || result.eventId}" deleted. (Status: SUCCESS)` // Use eventId if summary wasn't fetched/returned
-                    : `❌ Failed to delete event ${result.eventId || '?'}: ${result.error || result.message || '?'} (Status: FAILED)`;
-
-            case 'updateCalendarEvent':
-                 // Check if result has an ID, indicating success from googleCalendar update function
-                if (result && result.id) {
-                    return `✏️ Event "${result.summary || eventId}" updated. (ID: ${result.id}) (Status: SUCCESS)`;
-                } else {
-                    // Handle potential error objects passed back
-                    const errorMsg = result?.error || result?.message || JSON.stringify(result);
-                    return `❌ Failed to update event: ${errorMsg} (Status: FAILED)`;
-                }
-
-            case 'findAvailableSlots':
-                if (!Array.isArray(result))
-                    return "Error: Invalid findAvailableSlots response. (Status: FAILED)";
-                if (result.length === 0)
-                    return `🕒 No available slots found matching criteria. (Status: SUCCESS)`;
-                // Format slots with success status
-                const formattedSlots = result.map(slot =>
-                    `${DateTime.fromISO(slot.start).toLocaleString(DateTime.DATETIME_SHORT)} - ${DateTime.fromISO(slot.end).toLocaleString(DateTime.TIME_SIMPLE)}`
-                ).join('\n');
-                return `🕒 Found ${result.length} available slot(s):\n\n${formattedSlots}\n\n(Status: SUCCESS)`;
-
-            case 'getWeatherForecast':
-                return `🌤️ Weather for ${result.location} on ${result.date}: ${result.forecast || 'N/A'} (Status: ${result.forecast && !result.forecast.includes('unavailable') ? 'SUCCESS' : 'PARTIAL'})`;
-
-            case 'deleteCalendarEventsByQuery':
-                return result.success
-                    ? `🗑️ ${result.message} (Deleted Count: ${result.deletedCount}) (Status: SUCCESS)`
-                    : `❌ Failed bulk delete: ${result.message || result.error || '?'} (Status: FAILED)`;
-
-            default:
-                // Safely stringify other results with status indicators
-                if (typeof result === 'object' && result !== null) {
-                    const status = result.success === true ? 'SUCCESS' : (result.success === false ? 'FAILED' : 'UNKNOWN');
-                    return `${JSON.stringify(result)} (Status: ${status})`;
-                } else {
-                    return `${String(result)} (Status: UNKNOWN)`;
-                }
-        }
-    } catch (formatError) {
-        console.error(`CRITICAL: Error *within* formatToolResponse for ${functionName}:`, formatError, "Raw result:", result);
-        // Return a guaranteed string error message
-        return `Internal Error: Failed to format the result for ${functionName}. (Status: ERROR)`;
+        const batch = await getBatchForToolCall(userId, toolCallId);
+        return batch ? { batchId: batch.batchId, summary: batch.summary } : null;
+    } catch (error) {
+        console.error(`Error looking up undo batch for tool call ${toolCallId}:`, error);
+        return null;
     }
 }
 
 // Helper function to process tool calls
-async function processToolCalls(toolCalls, messages, conversationId, userId, accessToken, responseCallback) {
+// context: the request context (see services/requestContext.js); tool outcomes are collected on it
+async function processToolCalls(toolCalls, messages, context) {
+  const { conversationId, userId, accessToken, emit: responseCallback } = context;
   try {
     console.log(`Processing ${toolCalls.length} tool calls`);
+    // Tool results are shown to the model in the user's own timezone
+    const userTimezone = await getTimezoneForUser(userId);
 
     // Define isConversationalQuery at the function scope level so it's accessible throughout
     let isConversationalQuery = false;
@@ -275,47 +123,46 @@ async function processToolCalls(toolCalls, messages, conversationId, userId, acc
               
               // Send the appropriate processing step
               if (!isConversationalQuery || functionName.includes('Calendar') || functionName.includes('Weather')) {
-                setTimeout(() => {
-                  responseCallback({ 
-                    type: 'processing', 
-                    content: processingStepText
-                  });
-                }, 500);
+                responseCallback({ 
+                  type: 'processing', 
+                  content: processingStepText
+                });
               }
             }
             
             // 3. Execute Tool Function
             console.log(`Executing tool: ${functionName} (ID: ${toolCallId}) with args:`, parsedArgs);
             
-            const result = await toolFunctions[functionName](parsedArgs, userId, accessToken);
+            const result = await toolFunctions[functionName](parsedArgs, userId, accessToken, { conversationId, toolCallId });
             console.log(`Tool ${functionName} (ID: ${toolCallId}) raw result:`, result);
 
+            // Calendar changes are journaled per tool call; let the client offer an Undo button
+            const undoBatch = await findUndoBatch(userId, toolCallId);
+            if (undoBatch) {
+                responseCallback?.({ type: 'undo_available', undo: undoBatch });
+            }
+
+            // Destructive actions wait for the user: send the preview so the client can show Confirm/Cancel
+            if (result?.requiresConfirmation) {
+                responseCallback?.({
+                    type: 'confirmation_required',
+                    action: {
+                        actionId: result.actionId,
+                        toolName: functionName,
+                        summary: result.summary,
+                        targets: result.targets,
+                        changes: result.changes,
+                        expiresAt: result.expiresAt
+                    }
+                });
+            }
+
             // 4. Format Result
-            toolResponseContent = formatToolResponse(functionName, result);
+            toolResponseContent = formatToolResponse(functionName, result, userTimezone);
             console.log(`Tool ${functionName} (ID: ${toolCallId}) formatted response:`, toolResponseContent);
 
-            // Check if the current request is about calendar events
-            const isCalendarRequest = messages.some(msg => 
-                msg.role === 'user' && 
-                (msg.content?.toLowerCase().includes('calendar') || 
-                 msg.content?.toLowerCase().includes('event') || 
-                 msg.content?.toLowerCase().includes('schedule') ||
-                 msg.content?.toLowerCase().includes('meeting') ||
-                 msg.content?.toLowerCase().includes('appointment') ||
-                 msg.content?.toLowerCase().includes('today') ||
-                 msg.content?.toLowerCase().includes('tomorrow') ||
-                 msg.content?.toLowerCase().includes('yesterday'))
-            );
-            
-            // Store event data for later use ONLY if this is a calendar-related request
-            if (functionName === 'getCalendarEvents' && Array.isArray(result) && result.length > 0 && isCalendarRequest) {
-                global.pendingEventData = result;
-                console.log(`DEBUG: Stored ${result.length} events in pendingEventData for calendar request`);
-            } else if (functionName === 'getCalendarEvents') {
-                // Clear pendingEventData if this is not a calendar-related request
-                global.pendingEventData = null;
-                console.log(`DEBUG: Cleared pendingEventData for non-calendar request`);
-            }
+            // Stream structured outcomes (events, slots, conflicts) so the client renders cards from them
+            collectToolArtifacts(context, functionName, result, parsedArgs);
             
             // Send completion notification for the appropriate step
             if (responseCallback) {
@@ -333,38 +180,20 @@ async function processToolCalls(toolCalls, messages, conversationId, userId, acc
                 completionStepText = `Using ${functionName.replace(/([A-Z])/g, ' $1').trim()}: ✓`;
               }
               
-              // Add appropriate delay based on the tool
+              // "Generating Response" is sent by runConversation once the reply starts streaming
               if (!isConversationalQuery || functionName.includes('Calendar') || functionName.includes('Weather')) {
-                const delay = functionName.includes('Calendar') ? 2000 : 1500;
-                
-                setTimeout(() => {
-                  responseCallback({ 
-                    type: 'processing', 
-                    content: completionStepText
-                  });
-                  
-                  // Then quickly start the next step to show how fast the system is
-                  setTimeout(() => {
-                    responseCallback({ 
-                      type: 'processing', 
-                      content: `Generating Response: ...` 
-                    });
-                    
-                    // Quickly complete it to demonstrate speed
-                    setTimeout(() => {
-                      responseCallback({ 
-                        type: 'processing', 
-                        content: `Generating Response: ✓` 
-                      });
-                    }, 800); // Quick completion of Generating Response
-                  }, 300); // Very quick transition to Generating Response
-                }, delay); // Appropriate delay based on the tool
+                responseCallback({ 
+                  type: 'processing', 
+                  content: completionStepText
+                });
               }
             }
 
             // Add a success indicator to the tool response for context tracking
             let successIndicator = "";
-            if (functionName === 'deleteCalendarEvent' && result.success) {
+            if (result?.requiresConfirmation) {
+                successIndicator = "";
+            } else if (functionName === 'deleteCalendarEvent' && result.success) {
                 successIndicator = "\n\n[✅ Event successfully deleted]";
             } else if (functionName === 'addCalendarEvent' && result.id) {
                 successIndicator = "\n\n[✅ Event successfully added]";
@@ -435,16 +264,22 @@ async function processToolCalls(toolCalls, messages, conversationId, userId, acc
   }
 }
 
-async function runConversation(messages, userInput, conversationId = null, userId = 'default', accessToken = null, responseCallback = null) {
+// context: the request context (conversation, user, token, stream callback, collected artifacts).
+// llmSettings: the user's model overrides (users.llm_settings); deployment defaults come from LLM_* env vars
+async function runConversation(messages, userInput, context, llmSettings = null) {
+  const { conversationId, userId, accessToken, emit: responseCallback } = context;
   console.log(`Running conversation ${conversationId} for user ${userId}. AccessToken: ${!!accessToken}`);
     
-  const model = "gpt-4o"; // Use a capable model for reasoning
+  const provider = getLLMProvider();
+  const modelSettings = resolveModelSettings(llmSettings);
+  const model = modelSettings.model;
   const maxToolIterations = 5; // Limit sequential tool calls to prevent infinite loops
 
   try {
       let currentMessages = [...messages]; // Use a mutable copy for this turn
       let iteration = 0;
       let finalContent = null; // Stores the final text response for the user
+      let hasStreamedContent = false; // True once any assistant text has been sent to the client
 
       // Helper to filter messages (Keep existing filterMessagesForAPI)
       const filterMessagesForAPI = (msgs) => {
@@ -534,7 +369,7 @@ async function runConversation(messages, userInput, conversationId = null, userI
           }
 
           // ***** DEBUG LOG *****
-          console.log(`Making API call #${iteration} with model: ${model}`);
+          console.log(`Making API call #${iteration} with provider: ${provider.name}, model: ${model}`);
           console.log(`Message History (Length: ${messagesForAPI.length}):`);
           messagesForAPI.forEach((msg, index) => {
               console.log(`  [${index}] Role: ${msg.role}`);
@@ -545,15 +380,30 @@ async function runConversation(messages, userInput, conversationId = null, userI
           console.log(`--- End API Call #${iteration} History --- \n`);
           // ***** END DEBUG LOG *****
 
-          // --- Call OpenAI ---
-          const response = await openai.chat.completions.create({
-              model: model,
+          // --- Call the LLM provider, streaming text to the client as it arrives ---
+          let turnHasContent = false;
+          const onContentDelta = responseCallback ? (delta) => {
+              if (!turnHasContent) {
+                  turnHasContent = true;
+                  // After tool calls, the reply is the "Generating Response" step
+                  if (iteration > 1) responseCallback({ type: 'processing', content: 'Generating Response: ...' });
+                  // Keep text from an earlier turn (e.g. "Let me check...") apart from this one
+                  if (hasStreamedContent) responseCallback({ type: 'content', content: '\n\n' });
+              }
+              hasStreamedContent = true;
+              responseCallback({ type: 'content', content: delta });
+          } : null;
+
+          const responseMessage = await provider.streamChat({
+              ...modelSettings,
               messages: messagesForAPI,
               tools: tools, // Make tools available on every turn
               tool_choice: "auto", // Let the model decide if it needs tools
-          });
+          }, onContentDelta);
 
-          const responseMessage = response.choices[0].message;
+          if (turnHasContent && iteration > 1) {
+              responseCallback({ type: 'processing', content: 'Generating Response: ✓' });
+          }
 
           // --- Add Assistant Message to History (Local & DB) ---
           currentMessages.push(responseMessage);
@@ -581,7 +431,7 @@ async function runConversation(messages, userInput, conversationId = null, userI
 
               // --- Process the requested tools ---
               // processToolCalls adds the tool responses to currentMessages and stores them in DB
-              const toolResponses = await processToolCalls(assistantToolCalls, currentMessages, conversationId, userId, accessToken, responseCallback);
+              const toolResponses = await processToolCalls(assistantToolCalls, currentMessages, context);
 
               // Check if any tool call failed critically, maybe stop early? (Optional enhancement)
               const hasCriticalFailure = toolResponses.some(tr => tr.content?.includes('(Status: FAILED)'));
@@ -596,15 +446,6 @@ async function runConversation(messages, userInput, conversationId = null, userI
               // --- No Tool Calls: This is the final response ---
               console.log(`No tool calls requested in iteration ${iteration}. Final response generated.`);
               
-              // For general questions (no tool calls), go directly from "Analyzing Request" to "Generating Response"
-              
-              // Mark "Generating Response" as complete before sending the final content
-              if (responseCallback && iteration > 1) {
-                // Send completion immediately to ensure it's marked before the response is shown
-                // This is now handled in the tool processing section with specific timing for tool calls
-                // For non-tool calls, it's handled in the else block above
-              }
-              
               finalContent = responseMessage.content ?? ""; // Use nullish coalescing for safety
               break; // Exit the loop
           }
@@ -629,71 +470,14 @@ async function runConversation(messages, userInput, conversationId = null, userI
           responseCallback?.({ type: 'error', content: finalContent });
       }
 
-      // --- Stream the FINAL response ---
+      // --- Finish the stream: the text was already sent delta by delta ---
       if (responseCallback && finalContent) {
-          // Ensure "Generating Response" is marked as complete before sending content
-          // This is now handled earlier with a delay
-          
-          // Check if the current request is about calendar events
-          const isCalendarRequest = messages.some(msg => 
-              msg.role === 'user' && 
-              (msg.content?.toLowerCase().includes('calendar') || 
-               msg.content?.toLowerCase().includes('event') || 
-               msg.content?.toLowerCase().includes('schedule') ||
-               msg.content?.toLowerCase().includes('meeting') ||
-               msg.content?.toLowerCase().includes('appointment') ||
-               msg.content?.toLowerCase().includes('today') ||
-               msg.content?.toLowerCase().includes('tomorrow') ||
-               msg.content?.toLowerCase().includes('yesterday'))
-          );
-          
-          // Check if we have pending event data to send
-          if (global.pendingEventData && isCalendarRequest) {
-              console.log("DEBUG: Sending event data to frontend for calendar request");
-              
-              // Double-check that the final content is actually about calendar events
-              const finalContentIsCalendarRelated = finalContent.toLowerCase().includes('event') || 
-                                                   finalContent.toLowerCase().includes('calendar') ||
-                                                   finalContent.toLowerCase().includes('schedule') ||
-                                                   finalContent.toLowerCase().includes('meeting') ||
-                                                   finalContent.toLowerCase().includes('appointment');
-              
-              if (!finalContentIsCalendarRelated) {
-                  console.log("DEBUG: Final content is not calendar-related, clearing pendingEventData");
-                  global.pendingEventData = null;
-                  
-                  // Add a small delay before sending content to ensure all processing steps are visible
-                  await new Promise(resolve => setTimeout(resolve, 1200));
-                  responseCallback({ type: 'content', content: finalContent });
-                  await new Promise(resolve => setTimeout(resolve, 50)); // Short delay before end
-                  responseCallback({ type: 'end' });
-                  return;
-              }
-              
-              // Add a delay before sending the final content to ensure all processing steps are visible
-              await new Promise(resolve => setTimeout(resolve, 1200));
-              
-              // Send the event data
-              responseCallback({
-                  type: 'events',
-                  content: finalContent, // Use the final content as the message text
-                  events: global.pendingEventData
-              });
-              
-              // Clear the pending event data
-              global.pendingEventData = null;
-              
-              // Short delay before end
-              await new Promise(resolve => setTimeout(resolve, 50));
-              responseCallback({ type: 'end' });
-          } else {
-              // Add a small delay before sending content to ensure all processing steps are visible and marked complete
-              await new Promise(resolve => setTimeout(resolve, 1200));
+          // A reply that wasn't streamed (e.g. the loop limit was hit) is sent whole
+          if (!hasStreamedContent) {
               responseCallback({ type: 'content', content: finalContent });
-              await new Promise(resolve => setTimeout(resolve, 50)); // Short delay before end
-              responseCallback({ type: 'end' });
           }
-          
+          responseCallback({ type: 'end' });
+
       } else if (!responseCallback && finalContent) {
           // Non-streaming mode: return the final content
           return finalContent;
@@ -760,16 +544,101 @@ function formatUserPreferences(preferencesData) {
   }
 }
 
+// **CRITICAL FIX: Robust History Mapping**
+// Maps a stored ConversationMessage to the message shape the LLM API expects (null if unusable)
+function toAPIMessage(msg) {
+    const messageObject = { role: msg.role };
+
+    // Content: Mandatory unless assistant w/ tool calls
+    if (msg.content != null) {
+        messageObject.content = msg.content;
+    } else if (msg.role === 'assistant' && msg.tool_calls) {
+         // Check if tool_calls field actually contains valid calls
+         let validToolCallsExist = false;
+         if (msg.tool_calls.tool_calls && Array.isArray(msg.tool_calls.tool_calls) && msg.tool_calls.tool_calls.length > 0) {
+              validToolCallsExist = msg.tool_calls.tool_calls.some(tc => tc.id && tc.function?.name);
+         } else if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) { // Handle direct array storage possibility
+              validToolCallsExist = msg.tool_calls.some(tc => tc.id && tc.function?.name);
+         }
+         if (validToolCallsExist) {
+             messageObject.content = null; // API expects null/"" if only tool_calls
+         } else {
+             messageObject.content = ""; // Treat as empty content if tool_calls invalid/empty
+         }
+    } else {
+        messageObject.content = ""; // Default empty string
+    }
+
+
+    // Tool Calls (Assistant): Extract the array
+    if (msg.role === 'assistant' && msg.tool_calls) {
+        let toolCallsArray = null;
+        // Case 1: Stored as { tool_calls: [...] }
+        if (msg.tool_calls.tool_calls && Array.isArray(msg.tool_calls.tool_calls)) {
+            toolCallsArray = msg.tool_calls.tool_calls;
+        // Case 2: Stored as [...] (fallback)
+        } else if (Array.isArray(msg.tool_calls)) {
+            toolCallsArray = msg.tool_calls;
+        }
+
+        // Add ONLY if valid and non-empty
+        if (toolCallsArray && toolCallsArray.length > 0) {
+             const validToolCalls = toolCallsArray.filter(tc => tc.id && tc.type === 'function' && tc.function?.name);
+             if (validToolCalls.length > 0) {
+                 messageObject.tool_calls = validToolCalls;
+                 // Re-ensure content is null if ONLY tool calls
+                 if (messageObject.content === "" && validToolCalls.length === toolCallsArray.length) {
+                      messageObject.content = null;
+                 }
+             } else {
+                console.warn(`DB message ${msg.message_id} had tool_calls object but no valid calls.`);
+                // Don't add empty/invalid tool_calls array to API message
+             }
+        }
+    }
+
+    // Tool Call ID (Tool): Extract the ID string
+    if (msg.role === 'tool') {
+        let toolId = null;
+         // Case 1: Stored as { tool_call_id: "..." }
+        if (typeof msg.tool_call_id === 'object' && msg.tool_call_id !== null && msg.tool_call_id.tool_call_id) {
+            toolId = msg.tool_call_id.tool_call_id;
+         // Case 2: Stored as "..." (fallback)
+        } else if (typeof msg.tool_call_id === 'string') {
+            toolId = msg.tool_call_id;
+        }
+
+        // Tool message MUST have ID and content to be valid for API
+        if (toolId && messageObject.content != null) { // Content comes from formatToolResponse
+            messageObject.tool_call_id = toolId;
+        } else {
+            console.warn(`Filtering invalid TOOL message (missing ID or content): DB_ID=${msg.message_id}`);
+            return null; // Filter out invalid tool message
+        }
+    }
+
+    // API Validation Check: tool role must follow assistant role with tool_calls
+    // **REMOVED STRICT PRECEDING CHECK** - Relying on filterMessagesForAPI inside runConversation
+    // if (messageObject.role === 'tool') {
+    //     const prevMappedMessage = index > 0 ? historyMessages[index - 1] : null; // Check the *mapped* previous message
+    //     if (!prevMappedMessage || prevMappedMessage.role !== 'assistant' || !prevMappedMessage.tool_calls || !prevMappedMessage.tool_calls.some(tc => tc.id === messageObject.tool_call_id)) {
+    //          console.warn(`Filtering TOOL message not correctly preceded by assistant tool_call. DB_ID=${msg.message_id}, ToolCallID=${messageObject.tool_call_id}`);
+    //          return null; // Filter out orphaned/mismatched tool message
+    //     }
+    // }
+    // Filter out assistant messages that end up empty (no content, no valid tool calls)
+    if (messageObject.role === 'assistant' && messageObject.content == null && !messageObject.tool_calls) {
+         console.warn(`Filtering empty ASSISTANT message. DB_ID=${msg.message_id}`);
+        return null;
+    }
+
+    return messageObject;
+}
+
 // --- Main Chat Entry Point ---
-async function chat(userInput, userId = 'default', accessToken = null, streamCallback = null, startNewConversation = false) { // Added startNewConversation flag
-  console.log(`Chat request: User=${userId}, Input="${userInput}", StartNew=${startNewConversation}`); // Log the flag
-  
-  // Clear any pending event data at the start of a new conversation turn
-  global.pendingEventData = null;
-  console.log("DEBUG: Cleared pendingEventData at the start of a new conversation turn");
-  
-  // Store the streamCallback in the global variable
-  global.currentResponseCallback = streamCallback;
+// conversationId continues a specific thread (from the sidebar) instead of the latest one.
+async function chat(userInput, userId = 'default', accessToken = null, streamCallback = null, startNewConversation = false, conversationId = null) { // Added startNewConversation flag
+  console.log(`Chat request: User=${userId}, Input="${userInput}", StartNew=${startNewConversation}, Conversation=${conversationId || 'latest'}`); // Log the flag
   
   if (!userId || userId === 'default') {
     streamCallback?.({ type: 'error', content: "User ID missing." });
@@ -786,119 +655,38 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
     const tokens = accessToken ? { access_token: accessToken } : null;
     let user;
     let conversation;
-    let historyMessages = []; // Formatted history for OpenAI API
+    let historyEntries = []; // Stored history not yet summarized: [{ sequence, message }]
 
     // --- Load User & Conversation History ---
     if (!startNewConversation) {
 
     try {
+        if (conversationId) {
+            // Checked on its own first: a malformed ID fails the query below, and the
+            // recovery path would then carry on in a new thread
+            const owner = await getUserWithLatestConversation(userId);
+            if (!owner || !(await findUserConversation(owner.user_id, conversationId))) {
+                // Deleted, malformed, or not this user's: don't silently continue in a new thread
+                streamCallback?.({ type: 'error', content: "That conversation no longer exists. Start a new one or pick another from the list." });
+                return "Error: Conversation not found.";
+            }
+        }
+
         // **FIX:** Use the optimized query
-        user = await getUserWithLatestConversation(userId);
+        user = await getUserWithLatestConversation(userId, conversationId);
 
         if (user?.Conversations?.length > 0) {
             conversation = user.Conversations[0];
             console.log(`Found active conversation ${conversation.conversation_id}`);
-            if (conversation.ConversationMessages?.length > 0) {
-                // Sort ASCENDING for API
-                conversation.ConversationMessages.sort((a, b) => a.sequence_number - b.sequence_number);
-
-                // **CRITICAL FIX: Robust History Mapping**
-                historyMessages = conversation.ConversationMessages.map((msg, index, allMsgs) => {
-                    const messageObject = { role: msg.role };
-
-                    // Content: Mandatory unless assistant w/ tool calls
-                    if (msg.content != null) {
-                        messageObject.content = msg.content;
-                    } else if (msg.role === 'assistant' && msg.tool_calls) {
-                         // Check if tool_calls field actually contains valid calls
-                         let validToolCallsExist = false;
-                         if (msg.tool_calls.tool_calls && Array.isArray(msg.tool_calls.tool_calls) && msg.tool_calls.tool_calls.length > 0) {
-                              validToolCallsExist = msg.tool_calls.tool_calls.some(tc => tc.id && tc.function?.name);
-                         } else if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) { // Handle direct array storage possibility
-                              validToolCallsExist = msg.tool_calls.some(tc => tc.id && tc.function?.name);
-                         }
-                         if (validToolCallsExist) {
-                             messageObject.content = null; // API expects null/"" if only tool_calls
-                         } else {
-                             messageObject.content = ""; // Treat as empty content if tool_calls invalid/empty
-                         }
-                    } else {
-                        messageObject.content = ""; // Default empty string
-                    }
-
-
-                    // Tool Calls (Assistant): Extract the array
-                    if (msg.role === 'assistant' && msg.tool_calls) {
-                        let toolCallsArray = null;
-                        // Case 1: Stored as { tool_calls: [...] }
-                        if (msg.tool_calls.tool_calls && Array.isArray(msg.tool_calls.tool_calls)) {
-                            toolCallsArray = msg.tool_calls.tool_calls;
-                        // Case 2: Stored as [...] (fallback)
-                        } else if (Array.isArray(msg.tool_calls)) {
-                            toolCallsArray = msg.tool_calls;
-                        }
-
-                        // Add ONLY if valid and non-empty
-                        if (toolCallsArray && toolCallsArray.length > 0) {
-                             const validToolCalls = toolCallsArray.filter(tc => tc.id && tc.type === 'function' && tc.function?.name);
-                             if (validToolCalls.length > 0) {
-                                 messageObject.tool_calls = validToolCalls;
-                                 // Re-ensure content is null if ONLY tool calls
-                                 if (messageObject.content === "" && validToolCalls.length === toolCallsArray.length) {
-                                      messageObject.content = null;
-                                 }
-                             } else {
-                                console.warn(`DB message ${msg.message_id} had tool_calls object but no valid calls.`);
-                                // Don't add empty/invalid tool_calls array to API message
-                             }
-                        }
-                    }
-
-                    // Tool Call ID (Tool): Extract the ID string
-                    if (msg.role === 'tool') {
-                        let toolId = null;
-                         // Case 1: Stored as { tool_call_id: "..." }
-                        if (typeof msg.tool_call_id === 'object' && msg.tool_call_id !== null && msg.tool_call_id.tool_call_id) {
-                            toolId = msg.tool_call_id.tool_call_id;
-                         // Case 2: Stored as "..." (fallback)
-                        } else if (typeof msg.tool_call_id === 'string') {
-                            toolId = msg.tool_call_id;
-                        }
-
-                        // Tool message MUST have ID and content to be valid for API
-                        if (toolId && messageObject.content != null) { // Content comes from formatToolResponse
-                            messageObject.tool_call_id = toolId;
-                        } else {
-                            console.warn(`Filtering invalid TOOL message (missing ID or content): DB_ID=${msg.message_id}`);
-                            return null; // Filter out invalid tool message
-                        }
-                    }
-
-                    // API Validation Check: tool role must follow assistant role with tool_calls
-                    // **REMOVED STRICT PRECEDING CHECK** - Relying on filterMessagesForAPI inside runConversation
-                    // if (messageObject.role === 'tool') {
-                    //     const prevMappedMessage = index > 0 ? historyMessages[index - 1] : null; // Check the *mapped* previous message
-                    //     if (!prevMappedMessage || prevMappedMessage.role !== 'assistant' || !prevMappedMessage.tool_calls || !prevMappedMessage.tool_calls.some(tc => tc.id === messageObject.tool_call_id)) {
-                    //          console.warn(`Filtering TOOL message not correctly preceded by assistant tool_call. DB_ID=${msg.message_id}, ToolCallID=${messageObject.tool_call_id}`);
-                    //          return null; // Filter out orphaned/mismatched tool message
-                    //     }
-                    // }
-                    // Filter out assistant messages that end up empty (no content, no valid tool calls)
-                    if (messageObject.role === 'assistant' && messageObject.content == null && !messageObject.tool_calls) {
-                         console.warn(`Filtering empty ASSISTANT message. DB_ID=${msg.message_id}`);
-                        return null;
-                    }
-
-                    return messageObject;
-
-                }).filter(Boolean); // Remove nulls from filtering
-
-                console.log(`Loaded and mapped ${historyMessages.length} valid messages from history.`);
-                // DEBUG: Log the final history being sent, ONLY FOR DEBUGGING SENSITIVE DATA
-                // console.log("Final history for API:", JSON.stringify(historyMessages, null, 2));
-            } else {
-                 console.log(`Conversation ${conversation.conversation_id} has no messages.`);
-            }
+            // Turns already folded into the rolling summary aren't loaded again
+            const storedMessages = await getConversationMessages(conversation.conversation_id, {
+                afterSequence: conversation.summarized_through || 0
+            });
+            historyEntries = storedMessages
+                .filter(msg => !(msg.sequence_number === 1 && msg.role === 'system')) // Stored prompt; rebuilt for every request
+                .map(msg => ({ sequence: msg.sequence_number, message: toAPIMessage(msg) }))
+                .filter(entry => entry.message);
+            console.log(`Loaded and mapped ${historyEntries.length} valid messages from history (after #${conversation.summarized_through || 0}).`);
         } else {
              console.log(`No existing user/conversation found for ${userId}. Creating.`);
              if (!user) { // Ensure user exists
@@ -919,7 +707,7 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
             streamCallback?.({ type: 'error', content: "Failed to load user profile." });
             return "Error: Could not load user profile.";
         }
-        conversation = null; historyMessages = []; // Reset state
+        conversation = null; historyEntries = []; // Reset state
     }
     } else { // Handle startNewConversation = true
         console.log("Starting a new conversation as requested.");
@@ -948,7 +736,7 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
         }
         // Explicitly clear conversation and history
         conversation = null;
-        historyMessages = [];
+        historyEntries = [];
     }
 
     // --- Create Conversation if needed & Add System Prompt ---
@@ -957,7 +745,7 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
         conversation = await createConversation(user.user_id);
         console.log(`Created new conversation ${conversation.conversation_id}. Preparing system prompt.`);
         // Get base system prompt
-        let systemPromptContent = getAthenaSystemPrompt();
+        let systemPromptContent = getAthenaSystemPrompt(user.timezone);
         
         // Debug log the user object structure
         console.log("DEBUG: User object structure when creating new conversation:", 
@@ -988,12 +776,9 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
         console.log("DEBUG: Final system prompt for new conversation:", systemPromptContent.substring(0, 200) + "... [truncated]");
         console.log("DEBUG: Does new conversation system prompt contain preferences?", systemPromptContent.includes("User Preferences Context"));
 
-        // Store the base system prompt in DB first
+        // Store the base system prompt in DB first (the prompt sent is rebuilt for every request below)
         await addMessageToConversation(conversation.conversation_id, "system", systemPromptContent);
 
-        // Add the potentially combined system prompt to the START of the local history array
-        historyMessages.unshift({ role: "system", content: systemPromptContent });
-
       } catch (createError) {
          console.error("CRITICAL: Failed to create conversation:", createError);
          streamCallback?.({ type: 'error', content: "Failed to start chat session." });
@@ -1001,51 +786,58 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
       }
     }
 
+    // Keep push notification channels open (and renewed) for the user's calendars.
+    // Not awaited: channel upkeep shouldn't delay the reply.
+    if (tokens && isWatchEnabled()) {
+      getSelectedCalendarIds(user.user_id)
+        .then(calendarIds => ensureWatchChannels(user.user_id, tokens, calendarIds))
+        .catch(error => console.error("Error maintaining calendar watch channels:", error));
+    }
+
     // --- Prepare messages for API ---
-    // Create a copy of history messages
-    let currentMessages = [...historyMessages];
+    // Older turns are folded into the conversation's rolling summary so the context stays bounded
+    const history = await prepareConversationHistory(conversation, historyEntries, { llmSettings: user.llm_settings });
+    let currentMessages = [...history.messages];
     
-    // Dynamically inject user preferences into system prompt for every API call
-    if (currentMessages.length > 0 && currentMessages[0].role === "system") {
-      // Get the base system prompt content
-      let baseSystemPrompt = getAthenaSystemPrompt();
-      
-      // Debug log the user object structure
-      console.log("DEBUG: User object structure before API call:", 
-        JSON.stringify({
-          user_id: user.user_id,
-          email: user.email,
-          hasUserPreference: !!user.UserPreference,
-          userPreferenceDataValues: user.UserPreference ? !!user.UserPreference.dataValues : null,
-          preferencesDataRaw: user.UserPreference ? user.UserPreference.preferences_data : null,
-          preferencesDataFromDataValues: user.UserPreference ? user.UserPreference.dataValues?.preferences_data : null
-        })
-      );
-      
-      // Format and append user preferences if they exist
-      // Access preferences_data from dataValues if direct access fails
-      const preferencesData = user.UserPreference?.preferences_data || 
-                             (user.UserPreference?.dataValues ? user.UserPreference.dataValues.preferences_data : null) ||
-                             {};
-      
-      // Log the raw UserPreference object to help diagnose issues
-      console.log("DEBUG: Raw UserPreference object:", 
-        user.UserPreference ? JSON.stringify(user.UserPreference).substring(0, 200) + "..." : "null");
-      
-      const prefsString = formatUserPreferences(preferencesData);
-      
-      // Create the combined system prompt
-      const combinedPromptContent = baseSystemPrompt + prefsString;
-      
-      // Log the final system prompt
-      console.log("DEBUG: Final system prompt:", combinedPromptContent.substring(0, 200) + "... [truncated]");
-      console.log("DEBUG: Does system prompt contain preferences?", combinedPromptContent.includes("User Preferences Context"));
-      
-      // Replace the existing system message with the updated one
-      currentMessages[0] = { role: "system", content: combinedPromptContent };
-      
-      console.log("Dynamically injected user preferences into system prompt for this API call.");
-    }
+    // Dynamically inject user preferences (and the summary of earlier turns) into the system prompt for every API call
+    // Get the base system prompt content
+    let baseSystemPrompt = getAthenaSystemPrompt(user.timezone);
+    
+    // Debug log the user object structure
+    console.log("DEBUG: User object structure before API call:", 
+      JSON.stringify({
+        user_id: user.user_id,
+        email: user.email,
+        hasUserPreference: !!user.UserPreference,
+        userPreferenceDataValues: user.UserPreference ? !!user.UserPreference.dataValues : null,
+        preferencesDataRaw: user.UserPreference ? user.UserPreference.preferences_data : null,
+        preferencesDataFromDataValues: user.UserPreference ? user.UserPreference.dataValues?.preferences_data : null
+      })
+    );
+    
+    // Format and append user preferences if they exist
+    // Access preferences_data from dataValues if direct access fails
+    const preferencesData = user.UserPreference?.preferences_data || 
+                           (user.UserPreference?.dataValues ? user.UserPreference.dataValues.preferences_data : null) ||
+                           {};
+    
+    // Log the raw UserPreference object to help diagnose issues
+    console.log("DEBUG: Raw UserPreference object:", 
+      user.UserPreference ? JSON.stringify(user.UserPreference).substring(0, 200) + "..." : "null");
+    
+    const prefsString = formatUserPreferences(preferencesData);
+    
+    // Create the combined system prompt
+    const combinedPromptContent = baseSystemPrompt + prefsString + formatConversationSummary(history.summary);
+    
+    // Log the final system prompt
+    console.log("DEBUG: Final system prompt:", combinedPromptContent.substring(0, 200) + "... [truncated]");
+    console.log("DEBUG: Does system prompt contain preferences?", combinedPromptContent.includes("User Preferences Context"));
+    
+    // The system message always comes first
+    currentMessages.unshift({ role: "system", content: combinedPromptContent });
+    
+    console.log("Dynamically injected user preferences into system prompt for this API call.");
 
     // Add current user input
     const userMessageForAPI = { role: "user", content: userInput };
@@ -1059,15 +851,25 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
          // Non-critical? Log and continue.
      }
 
+    // Tell the client which thread this turn belongs to (new threads get their title now)
+    try {
+        const title = await ensureConversationTitle(conversation, userInput);
+        streamCallback?.({ type: 'conversation', conversation: { conversationId: conversation.conversation_id, title } });
+    } catch (titleError) {
+        console.error("Error setting conversation title:", titleError);
+        streamCallback?.({ type: 'conversation', conversation: { conversationId: conversation.conversation_id, title: conversation.title || null } });
+    }
+
     // --- Run the conversation logic ---
-    const response = await runConversation(
-      currentMessages,
-      userInput,
-      conversation.conversation_id,
-      user.user_id, // Pass UUID
+    // Everything this turn needs travels in its own context, never in module or global state
+    const context = createRequestContext({
+      userId: user.user_id, // Pass UUID
       accessToken,
-      streamCallback
-    );
+      conversationId: conversation.conversation_id,
+      user,
+      emit: streamCallback
+    });
+    const response = await runConversation(currentMessages, userInput, context, user.llm_settings);
 
     // If not streaming, return the response.
     // If streaming, runConversation handles sending via callback, so we might just return void or true/false
@@ -1091,9 +893,191 @@ async function chat(userInput, userId = 'default', accessToken = null, streamCal
 }
 
 
+// --- Pending Action Resolution ---
+// Runs (or discards) a destructive action the user confirmed/cancelled from the chat UI.
+// The outcome is recorded in the conversation so the assistant knows what happened.
+async function resolvePendingAction(userId, actionId, decision, accessToken = null) {
+  if (!['confirm', 'cancel'].includes(decision)) {
+    return { success: false, error: `Unknown decision "${decision}".` };
+  }
+
+  const action = await takePendingAction(actionId, userId);
+  if (!action) {
+    return { success: false, error: "This action has expired or was already handled. Ask Athena again if you still want it." };
+  }
+
+  let outcome;
+  if (decision === 'cancel') {
+    console.log(`Pending action ${actionId} (${action.toolName}) cancelled by user ${userId}`);
+    outcome = { success: true, status: 'cancelled', message: `Cancelled: ${action.summary}. Nothing was changed.` };
+  } else {
+    console.log(`Pending action ${actionId} (${action.toolName}) confirmed by user ${userId}; executing.`);
+    try {
+      const result = await toolFunctions[action.toolName](action.args, userId, accessToken, {
+        confirmed: true,
+        targets: action.targets,
+        conversationId: action.conversationId,
+        toolCallId: action.toolCallId
+      });
+      const failed = result?.success === false || !!result?.error;
+      outcome = {
+        success: !failed,
+        status: failed ? 'failed' : 'confirmed',
+        message: formatToolResponse(action.toolName, result, await getTimezoneForUser(userId)).replace(/\s*\(Status: [A-Z_]+\)/g, ''),
+        result,
+        artifacts: toolOutcomePayloads(action.toolName, result, action.args), // Same payloads the stream sends, for the cards
+        undo: await findUndoBatch(userId, action.toolCallId)
+      };
+    } catch (error) {
+      console.error(`Error executing confirmed action ${actionId}:`, error);
+      outcome = { success: false, status: 'failed', message: `Failed to ${action.summary.toLowerCase()}: ${error.message}` };
+    }
+  }
+
+  if (action.conversationId) {
+    try {
+      await addMessageToConversation(
+        action.conversationId,
+        "system",
+        `[Pending action ${outcome.status}] ${action.summary}. Result: ${outcome.message}`
+      );
+    } catch (dbError) {
+      console.error(`DB Error recording outcome of pending action ${actionId}:`, dbError);
+    }
+  }
+
+  return outcome;
+}
+
+
+// --- Slot Booking ---
+// Books a slot the user picked from the suggestions in the chat UI. This runs the same
+// add path as the assistant (conflict check, metadata, journal for Undo) without another
+// model round-trip, and is recorded in the conversation like confirmations.
+async function bookSuggestedSlot(userId, { booking, start, end, conversationId = null }, accessToken = null) {
+  const template = toBookingTemplate(booking);
+  if (!template) return { success: false, error: "The event to book needs a title." };
+  if (!start || !end || !DateTime.fromISO(start).isValid || !DateTime.fromISO(end).isValid) {
+    return { success: false, error: "A valid slot start and end are required." };
+  }
+
+  // Only record (and journal) against a conversation the user owns
+  const conversation = conversationId ? await findUserConversation(userId, conversationId) : null;
+  const toolCallId = `slot-${crypto.randomUUID()}`;
+  const args = { events: [{ ...template, start, end }] };
+  const result = await toolFunctions.addCalendarEvents(args, userId, accessToken, {
+    conversationId: conversation?.conversation_id || null,
+    toolCallId
+  });
+
+  const added = Array.isArray(result) && result[0]?.success === true;
+  const outcome = {
+    success: added,
+    message: formatToolResponse('addCalendarEvents', result, await getTimezoneForUser(userId)).replace(/\s*\(Status: [A-Z_]+\)/g, ''),
+    artifacts: toolOutcomePayloads('addCalendarEvents', result, args),
+    undo: added ? await findUndoBatch(userId, toolCallId) : null
+  };
+
+  if (conversation) {
+    try {
+      await addMessageToConversation(
+        conversation.conversation_id,
+        "system",
+        `[Slot ${added ? 'booked' : 'not booked'}] The user picked ${start} to ${end} for "${template.summary}" from the suggestions. Result: ${outcome.message}`
+      );
+    } catch (dbError) {
+      console.error(`DB Error recording slot booking in conversation ${conversation.conversation_id}:`, dbError);
+    }
+  }
+
+  return outcome;
+}
+
+
+// --- Inline Event Edits ---
+// Fields the event cards can change in place (attendees and recurrence stay with the assistant)
+const EDITABLE_EVENT_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'priority', 'tags'];
+
+// Applies an edit the user made on an event card (inline form or dragging it to a new time).
+// It runs the assistant's update path (conflict check, metadata, cache invalidation, journal
+// for Undo); a move needs no Confirm step since the user made it directly.
+async function editCalendarEvent(userId, { eventId, calendarId = 'primary', updates, scope = 'instance', overrideConflicts = false, conversationId = null }, accessToken = null) {
+  if (!eventId || typeof eventId !== 'string') return { success: false, error: "An event ID is required." };
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return { success: false, error: "updates must be an object." };
+  }
+  const unknownFields = Object.keys(updates).filter(field => !EDITABLE_EVENT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { success: false, error: `These fields can't be edited here: ${unknownFields.join(', ')}` };
+  }
+  if (Object.keys(updates).length === 0) return { success: false, error: "Nothing to change." };
+
+  const conversation = conversationId ? await findUserConversation(userId, conversationId) : null;
+  const toolCallId = `edit-${crypto.randomUUID()}`;
+  const args = { eventId, calendarId, updates, scope, overrideConflicts: overrideConflicts === true };
+  const result = await toolFunctions.updateCalendarEvent(args, userId, accessToken, {
+    conversationId: conversation?.conversation_id || null,
+    toolCallId,
+    confirmed: true
+  });
+
+  const updated = !!result?.id;
+  const artifacts = toolOutcomePayloads('updateCalendarEvent', result, args);
+  const outcome = {
+    success: updated,
+    message: formatToolResponse('updateCalendarEvent', result, await getTimezoneForUser(userId)).replace(/\s*\(Status: [A-Z_]+\)/g, ''),
+    event: updated ? artifacts[0]?.event || null : null,
+    conflict: result?.conflict ? artifacts[0] : null,
+    undo: updated ? await findUndoBatch(userId, toolCallId) : null
+  };
+
+  if (conversation) {
+    try {
+      await addMessageToConversation(
+        conversation.conversation_id,
+        "system",
+        `[Event ${updated ? 'edited' : 'not edited'}] The user changed ${Object.keys(updates).join(', ')} of event ${eventId} from its card. Result: ${outcome.message}`
+      );
+    } catch (dbError) {
+      console.error(`DB Error recording edit of event ${eventId} in conversation ${conversation.conversation_id}:`, dbError);
+    }
+  }
+
+  return outcome;
+}
+
+
+// --- Undo ---
+// Undoes a journaled calendar change from the chat UI's Undo button (the assistant can
+// do the same through the undoLastAction tool). Recorded in the conversation like confirmations.
+async function undoCalendarChange(userId, batchId = null, accessToken = null) {
+  const result = await toolFunctions.undoLastAction({ batchId }, userId, accessToken);
+  const failed = result?.success === false || !!result?.error;
+  const message = formatToolResponse('undoLastAction', result, await getTimezoneForUser(userId)).replace(/\s*\(Status: [A-Z_]+\)/g, '');
+
+  if (result?.conversationId) {
+    try {
+      await addMessageToConversation(
+        result.conversationId,
+        "system",
+        `[Undo ${failed ? 'failed' : 'completed'}] ${result.summary}. Result: ${message}`
+      );
+    } catch (dbError) {
+      console.error(`DB Error recording undo of batch ${result.batchId}:`, dbError);
+    }
+  }
+
+  return { success: !failed, message, result };
+}
+
+
 // --- Exports ---
 export {
     chat as default,
+    resolvePendingAction,
+    bookSuggestedSlot,
+    editCalendarEvent,
+    undoCalendarChange,
     listTodaysEvents,
     suggestEventTime,
     getConversationsByUserId
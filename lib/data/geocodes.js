@@ -0,0 +1,72 @@
+// Geocode table for the offline travel-time provider (see lib/tools/travelTime.js). A location
+// is placed at the entry whose name or alias appears in it as whole words, the longest match
+// winning (so "Newark Airport" beats "Newark"). Coordinates are city centres or terminals:
+// good enough for straight-line estimates, not for directions. Users add their own places
+// (office, home) with setTravelSettings; those are checked first.
+export const geocodes = [
+  // United States: New York area
+  { name: 'New York', aliases: ['new york city', 'nyc', 'manhattan'], lat: 40.7128, lon: -74.006 },
+  { name: 'Brooklyn', lat: 40.6782, lon: -73.9442 },
+  { name: 'Queens', lat: 40.7282, lon: -73.7949 },
+  { name: 'The Bronx', aliases: ['bronx'], lat: 40.8448, lon: -73.8648 },
+  { name: 'Jersey City', lat: 40.7178, lon: -74.0431 },
+  { name: 'Hoboken', lat: 40.7433, lon: -74.0324 },
+  { name: 'Newark', lat: 40.7357, lon: -74.1724 },
+  { name: 'JFK Airport', aliases: ['jfk', 'kennedy airport'], lat: 40.6413, lon: -73.7781 },
+  { name: 'LaGuardia Airport', aliases: ['laguardia', 'lga'], lat: 40.7769, lon: -73.874 },
+  { name: 'Newark Airport', aliases: ['ewr', 'newark liberty'], lat: 40.6895, lon: -74.1745 },
+  // United States: elsewhere
+  { name: 'Boston', lat: 42.3601, lon: -71.0589 },
+  { name: 'Logan Airport', aliases: ['logan international'], lat: 42.3656, lon: -71.0096 },
+  { name: 'Philadelphia', lat: 39.9526, lon: -75.1652 },
+  { name: 'Washington, DC', aliases: ['washington dc', 'district of columbia'], lat: 38.9072, lon: -77.0369 },
+  { name: 'Baltimore', lat: 39.2904, lon: -76.6122 },
+  { name: 'Chicago', lat: 41.8781, lon: -87.6298 },
+  { name: "O'Hare Airport", aliases: ['ohare', 'ord'], lat: 41.9742, lon: -87.9073 },
+  { name: 'Atlanta', lat: 33.749, lon: -84.388 },
+  { name: 'Miami', lat: 25.7617, lon: -80.1918 },
+  { name: 'Dallas', lat: 32.7767, lon: -96.797 },
+  { name: 'Houston', lat: 29.7604, lon: -95.3698 },
+  { name: 'Austin', lat: 30.2672, lon: -97.7431 },
+  { name: 'Denver', lat: 39.7392, lon: -104.9903 },
+  { name: 'Phoenix', lat: 33.4484, lon: -112.074 },
+  { name: 'Seattle', lat: 47.6062, lon: -122.3321 },
+  { name: 'Portland', lat: 45.5152, lon: -122.6784 },
+  { name: 'San Francisco', aliases: ['sf'], lat: 37.7749, lon: -122.4194 },
+  { name: 'SFO Airport', aliases: ['sfo'], lat: 37.6213, lon: -122.379 },
+  { name: 'Oakland', lat: 37.8044, lon: -122.2712 },
+  { name: 'Berkeley', lat: 37.8715, lon: -122.273 },
+  { name: 'San Jose', lat: 37.3382, lon: -121.8863 },
+  { name: 'Palo Alto', lat: 37.4419, lon: -122.143 },
+  { name: 'Mountain View', lat: 37.3861, lon: -122.0839 },
+  { name: 'Los Angeles', lat: 34.0522, lon: -118.2437 },
+  { name: 'Santa Monica', lat: 34.0195, lon: -118.4912 },
+  { name: 'LAX Airport', aliases: ['lax'], lat: 33.9416, lon: -118.4085 },
+  { name: 'San Diego', lat: 32.7157, lon: -117.1611 },
+  // Canada
+  { name: 'Toronto', lat: 43.6532, lon: -79.3832 },
+  { name: 'Montreal', aliases: ['montréal'], lat: 45.5017, lon: -73.5673 },
+  { name: 'Vancouver', lat: 49.2827, lon: -123.1207 },
+  // Europe
+  { name: 'London', lat: 51.5074, lon: -0.1278 },
+  { name: 'Heathrow Airport', aliases: ['heathrow', 'lhr'], lat: 51.47, lon: -0.4543 },
+  { name: 'Dublin', lat: 53.3498, lon: -6.2603 },
+  { name: 'Paris', lat: 48.8566, lon: 2.3522 },
+  { name: 'Amsterdam', lat: 52.3676, lon: 4.9041 },
+  { name: 'Berlin', lat: 52.52, lon: 13.405 },
+  { name: 'Munich', aliases: ['münchen', 'muenchen'], lat: 48.1351, lon: 11.582 },
+  { name: 'Zurich', aliases: ['zürich'], lat: 47.3769, lon: 8.5417 },
+  { name: 'Madrid', lat: 40.4168, lon: -3.7038 },
+  { name: 'Barcelona', lat: 41.3874, lon: 2.1686 },
+  { name: 'Rome', aliases: ['roma'], lat: 41.9028, lon: 12.4964 },
+  { name: 'Stockholm', lat: 59.3293, lon: 18.0686 },
+  // Elsewhere
+  { name: 'Tel Aviv', lat: 32.0853, lon: 34.7818 },
+  { name: 'Dubai', lat: 25.2048, lon: 55.2708 },
+  { name: 'Mumbai', lat: 19.076, lon: 72.8777 },
+  { name: 'Bangalore', aliases: ['bengaluru'], lat: 12.9716, lon: 77.5946 },
+  { name: 'Singapore', lat: 1.3521, lon: 103.8198 },
+  { name: 'Hong Kong', lat: 22.3193, lon: 114.1694 },
+  { name: 'Tokyo', lat: 35.6762, lon: 139.6503 },
+  { name: 'Sydney', lat: -33.8688, lon: 151.2093 }
+];
@@ -0,0 +1,37 @@
+// Default script for the mock LLM provider (LLM_PROVIDER=mock), used for offline development.
+// Each rule matches the latest user message; its steps answer successive model calls
+// (tool calls first, then a reply once the tool results are in). See createMockProvider
+// in lib/services/openaiService.js for the format and the {{today}}-style placeholders.
+export const defaultMockScript = [
+  {
+    match: '\\b(undo|revert|put it back)\\b',
+    steps: [
+      { toolCalls: [{ name: 'undoLastAction', arguments: {} }] },
+      { content: 'Done - I reverted your last calendar change.' }
+    ]
+  },
+  {
+    match: '\\b(add|schedule|book)\\b.*\\btomorrow\\b',
+    steps: [
+      {
+        toolCalls: [{
+          name: 'addCalendarEvents',
+          arguments: { events: [{ summary: 'Mock event', start: '{{tomorrow}}T15:00:00', end: '{{tomorrow}}T16:00:00' }] }
+        }]
+      },
+      { content: "I've added \"Mock event\" to your calendar tomorrow from 3 PM to 4 PM." }
+    ]
+  },
+  {
+    match: '\\b(calendar|schedule|today|events?)\\b',
+    steps: [
+      { toolCalls: [{ name: 'getCalendarEvents', arguments: { start_date: '{{today}}', end_date: '{{tomorrow}}' } }] },
+      { content: "Here's what's on your calendar today." }
+    ]
+  },
+  {
+    steps: [
+      { content: "I'm Athena running on the mock provider. Ask about your calendar, or to add an event tomorrow." }
+    ]
+  }
+];
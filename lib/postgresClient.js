@@ -52,6 +52,11 @@ const User = sequelize.define('User', {
     allowNull: false,
     defaultValue: 'UTC'
   },
+  // How the timezone was set: 'browser' (detected on first login) or 'user' (chosen explicitly).
+  // Null means it is still the default and detection may fill it in.
+  timezone_source: DataTypes.STRING(20),
+  // Per-user LLM overrides: { model, temperature, max_tokens }. Null uses the deployment's LLM_* settings.
+  llm_settings: DataTypes.JSONB,
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -133,7 +138,12 @@ const Conversation = sequelize.define('Conversation', {
     allowNull: false,
     defaultValue: Sequelize.literal('NOW()')
   },
+  // Shown in the chat sidebar; generated from the first message, renamable by the user
+  title: DataTypes.TEXT,
+  // Rolling summary of the turns that are no longer sent to the model verbatim
   summary: DataTypes.TEXT,
+  // sequence_number of the last message folded into the summary (null if none yet)
+  summarized_through: DataTypes.INTEGER,
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -216,6 +226,88 @@ const ConversationMessage = sequelize.define('ConversationMessage', {
 });
 
 
+// Tasks the user wants done by a deadline. The auto-scheduler (lib/services/taskService.js)
+// books work blocks for them as calendar events, linked back through calendar_event_metadata.task_id.
+const Task = sequelize.define('Task', {
+  task_id: {
+    type: DataTypes.UUID,
+    defaultValue: Sequelize.literal('uuid_generate_v4()'),
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'user_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  title: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  notes: DataTypes.TEXT,
+  // Estimated effort; work blocks add up to it
+  effort_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Longest single work block; longer tasks are split
+  max_block_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 120
+  },
+  deadline: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  priority: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'Medium',
+    validate: {
+      isIn: [['Low', 'Medium', 'High', 'Urgent']]
+    }
+  },
+  status: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'Not Started',
+    validate: {
+      isIn: [['Not Started', 'In Progress', 'Completed', 'Blocked', 'Deferred']]
+    }
+  },
+  // Calendar the work blocks are booked in
+  google_calendar_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: 'primary'
+  },
+  completed_at: DataTypes.DATE,
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  }
+}, {
+  tableName: 'tasks',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['user_id', 'status']
+    },
+    {
+      fields: ['user_id', 'deadline']
+    }
+  ]
+});
 
 const CalendarEventMetadata = sequelize.define('CalendarEventMetadata', {
   metadata_id: {
@@ -254,6 +346,25 @@ const CalendarEventMetadata = sequelize.define('CalendarEventMetadata', {
       isIn: [['Not Started', 'In Progress', 'Completed', 'Blocked', 'Deferred']]
     }
   },
+  // Set on work blocks booked for a task (deadline, task_status and priority mirror the task)
+  task_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'tasks',
+      key: 'task_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Kind of block the assistant booked on its own (focus time, see focusService.js); null for
+  // the user's events
+  block_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [['focus']]
+    }
+  },
   event_summary_cached: DataTypes.TEXT,
   start_time_cached: DataTypes.DATE,
   end_time_cached: DataTypes.DATE,
@@ -282,6 +393,286 @@ const CalendarEventMetadata = sequelize.define('CalendarEventMetadata', {
     },
     {
       fields: ['user_id', 'priority']
+    },
+    {
+      fields: ['task_id']
+    },
+    {
+      fields: ['user_id', 'block_type']
+    }
+  ]
+});
+
+// Local mirror of the user's Google Calendar events, kept current by lib/services/syncService.js.
+// Recurring events are stored as expanded instances (singleEvents) so range reads are a plain query.
+const CalendarEvent = sequelize.define('CalendarEvent', {
+  calendar_event_id: {
+    type: DataTypes.UUID,
+    defaultValue: Sequelize.literal('uuid_generate_v4()'),
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'user_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  google_calendar_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: 'primary'
+  },
+  google_event_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  recurring_event_id: DataTypes.STRING(255),
+  status: DataTypes.STRING(20),
+  summary: DataTypes.TEXT,
+  start_time: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  end_time: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  is_all_day: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Full event resource as returned by Google, returned to callers unchanged
+  raw_event: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  google_updated_at: DataTypes.DATE,
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  }
+}, {
+  tableName: 'calendar_events',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'google_calendar_id', 'google_event_id']
+    },
+    {
+      fields: ['user_id', 'google_calendar_id', 'start_time']
+    }
+  ]
+});
+
+// Per-calendar sync bookkeeping: the nextSyncToken from Google and the window the mirror covers
+const CalendarSyncState = sequelize.define('CalendarSyncState', {
+  sync_state_id: {
+    type: DataTypes.UUID,
+    defaultValue: Sequelize.literal('uuid_generate_v4()'),
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'user_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  google_calendar_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: 'primary'
+  },
+  sync_token: DataTypes.TEXT,
+  // Earliest time the mirror holds events for (full syncs start here)
+  window_start: DataTypes.DATE,
+  last_full_sync_at: DataTypes.DATE,
+  last_synced_at: DataTypes.DATE,
+  // Set when we know the mirror is behind Google (e.g. after one of our own writes)
+  is_stale: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  }
+}, {
+  tableName: 'calendar_sync_states',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'google_calendar_id']
+    }
+  ]
+});
+
+// Google push notification channels (events.watch), one per user calendar. Google posts
+// to /api/calendar/webhook with the channel ID and token; channels expire and are renewed.
+const CalendarWatchChannel = sequelize.define('CalendarWatchChannel', {
+  channel_id: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'user_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  google_calendar_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: 'primary'
+  },
+  // Google's ID for the watched resource, needed to stop the channel
+  resource_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Secret echoed back in X-Goog-Channel-Token on every notification
+  channel_token: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  expiration: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Redis key prefix of the user's cached event ranges, so notifications can clear them
+  cache_prefix: DataTypes.STRING(255),
+  last_notification_at: DataTypes.DATE,
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  }
+}, {
+  tableName: 'calendar_watch_channels',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'google_calendar_id']
+    },
+    {
+      fields: ['expiration']
+    }
+  ]
+});
+
+// Journal of every calendar change the assistant makes, with the event before and after,
+// so a change can be undone. One tool call = one batch; undo replays a batch in reverse.
+const CalendarMutation = sequelize.define('CalendarMutation', {
+  mutation_id: {
+    type: DataTypes.UUID,
+    defaultValue: Sequelize.literal('uuid_generate_v4()'),
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'user_id'
+    },
+    onDelete: 'CASCADE'
+  },
+  conversation_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'conversations',
+      key: 'conversation_id'
+    },
+    onDelete: 'SET NULL'
+  },
+  tool_call_id: DataTypes.TEXT,
+  tool_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Groups the mutations of one tool call (e.g. a bulk delete or a series split)
+  batch_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  sequence_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  operation: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['create', 'update', 'delete', 'rsvp']]
+    }
+  },
+  google_calendar_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: 'primary'
+  },
+  google_event_id: {
+    type: DataTypes.STRING(1024),
+    allowNull: false
+  },
+  before_snapshot: DataTypes.JSONB,
+  after_snapshot: DataTypes.JSONB,
+  summary: DataTypes.TEXT,
+  undone_at: DataTypes.DATE,
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('NOW()')
+  }
+}, {
+  tableName: 'calendar_mutations',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['batch_id']
+    },
+    {
+      fields: ['tool_call_id']
     }
   ]
 });
@@ -299,6 +690,25 @@ ConversationMessage.belongsTo(Conversation, { foreignKey: 'conversation_id' });
 User.hasMany(CalendarEventMetadata, { foreignKey: 'user_id' });
 CalendarEventMetadata.belongsTo(User, { foreignKey: 'user_id' });
 
+User.hasMany(Task, { foreignKey: 'user_id' });
+Task.belongsTo(User, { foreignKey: 'user_id' });
+Task.hasMany(CalendarEventMetadata, { foreignKey: 'task_id' });
+CalendarEventMetadata.belongsTo(Task, { foreignKey: 'task_id' });
+
+User.hasMany(CalendarEvent, { foreignKey: 'user_id' });
+CalendarEvent.belongsTo(User, { foreignKey: 'user_id' });
+
+User.hasMany(CalendarSyncState, { foreignKey: 'user_id' });
+CalendarSyncState.belongsTo(User, { foreignKey: 'user_id' });
+
+User.hasMany(CalendarWatchChannel, { foreignKey: 'user_id' });
+CalendarWatchChannel.belongsTo(User, { foreignKey: 'user_id' });
+
+User.hasMany(CalendarMutation, { foreignKey: 'user_id' });
+CalendarMutation.belongsTo(User, { foreignKey: 'user_id' });
+Conversation.hasMany(CalendarMutation, { foreignKey: 'conversation_id' });
+CalendarMutation.belongsTo(Conversation, { foreignKey: 'conversation_id' });
+
 // Helper functions for conversation management
 async function initializeDatabase() {
   try {
@@ -378,6 +788,18 @@ async function initializeDatabase() {
       throw error;
     }
 
+    try {
+      // Titles used to be stored in summary, which now holds the rolling history summary
+      await sequelize.query(`
+        UPDATE conversations
+        SET title = summary, summary = NULL
+        WHERE title IS NULL AND summary IS NOT NULL AND summarized_through IS NULL;
+      `);
+    } catch (error) {
+      console.error('Error moving conversation titles out of summary:', error);
+      throw error;
+    }
+
     try {
       // Create triggers for updated_at timestamps
       await sequelize.query(`
@@ -410,6 +832,41 @@ async function initializeDatabase() {
             FOR EACH ROW
             EXECUTE FUNCTION trigger_set_timestamp();
           END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'set_timestamp_calendar_events') THEN
+            CREATE TRIGGER set_timestamp_calendar_events
+            BEFORE UPDATE ON calendar_events
+            FOR EACH ROW
+            EXECUTE FUNCTION trigger_set_timestamp();
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'set_timestamp_calendar_sync_states') THEN
+            CREATE TRIGGER set_timestamp_calendar_sync_states
+            BEFORE UPDATE ON calendar_sync_states
+            FOR EACH ROW
+            EXECUTE FUNCTION trigger_set_timestamp();
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'set_timestamp_calendar_watch_channels') THEN
+            CREATE TRIGGER set_timestamp_calendar_watch_channels
+            BEFORE UPDATE ON calendar_watch_channels
+            FOR EACH ROW
+            EXECUTE FUNCTION trigger_set_timestamp();
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'set_timestamp_tasks') THEN
+            CREATE TRIGGER set_timestamp_tasks
+            BEFORE UPDATE ON tasks
+            FOR EACH ROW
+            EXECUTE FUNCTION trigger_set_timestamp();
+          END IF;
+
+          IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'set_timestamp_calendar_mutations') THEN
+            CREATE TRIGGER set_timestamp_calendar_mutations
+            BEFORE UPDATE ON calendar_mutations
+            FOR EACH ROW
+            EXECUTE FUNCTION trigger_set_timestamp();
+          END IF;
         END
         $$;
       `);
@@ -596,10 +1053,19 @@ async function getConversationsByUserId(userId) {
   }
 }
 
-async function getConversationMessages(conversationId) {
+/**
+ * Gets a conversation's messages in order
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { afterSequence } to skip messages up to that sequence_number
+ * @returns {Array<Object>} - ConversationMessage instances
+ */
+async function getConversationMessages(conversationId, { afterSequence = 0 } = {}) {
   try {
     return await ConversationMessage.findAll({
-      where: { conversation_id: conversationId },
+      where: {
+        conversation_id: conversationId,
+        ...(afterSequence > 0 ? { sequence_number: { [Op.gt]: afterSequence } } : {})
+      },
       order: [['sequence_number', 'ASC']]
     });
   } catch (error) {
@@ -637,6 +1103,12 @@ async function addMessageToConversation(
         tool_call_id: role === 'tool' ? tool_call_id : null, // Store tool_call_id ONLY for tool response
       }, { transaction: t });
 
+      // Keeps the sidebar ordered by most recent activity
+      await Conversation.update(
+        { updated_at: sequelize.fn('NOW') },
+        { where: { conversation_id: conversationId }, transaction: t }
+      );
+
       return message;
     });
 
@@ -657,9 +1129,10 @@ async function addMessageToConversation(
 /**
  * Get user and their latest conversation in a single query
  * @param {string} userId - The user ID
+ * @param {string} conversationId - Optional conversation to load instead of the latest (must be the user's)
  * @returns {Object} - User data with latest conversation
  */
-async function getUserWithLatestConversation(userId) {
+async function getUserWithLatestConversation(userId, conversationId = null) {
   try {
     // Check if userId is an email address
     const isEmail = typeof userId === 'string' && userId.includes('@');
@@ -700,16 +1173,11 @@ async function getUserWithLatestConversation(userId) {
       include: [
         {
           model: Conversation,
+          // Resuming a thread from the sidebar loads that one; otherwise the newest
+          ...(conversationId ? { where: { conversation_id: conversationId }, required: false } : {}),
           limit: 1,
-          order: [['created_at', 'DESC']],
-          include: [
-            {
-              model: ConversationMessage,
-              order: [['sequence_number', 'DESC']],
-              limit: 50, // Load up to 50 most recent messages
-              separate: true // This ensures all messages are loaded, not just one
-            }
-          ]
+          order: [['created_at', 'DESC']]
+          // Messages are loaded by the caller: only those after the conversation's rolling summary
         },
         {
           model: UserPreference,
@@ -762,7 +1230,9 @@ async function getUserWithLatestConversation(userId) {
  * Creates or updates metadata for a calendar event
  * @param {string} userId - User ID
  * @param {string} googleEventId - Google Calendar event ID
- * @param {Object} metadata - Metadata to store (priority, tags, etc.)
+ * @param {Object} metadata - Metadata to store (priority, tags; for task work blocks also
+ *                            taskId, deadline, taskStatus and the cached summary/start/end;
+ *                            for focus blocks blockType and the cached summary/start/end)
  * @param {string} calendarId - Calendar ID (defaults to 'primary')
  * @returns {Object} - Created or updated metadata record
  */
@@ -785,6 +1255,7 @@ async function createOrUpdateEventMetadata(userId, googleEventId, metadata = {},
         google_event_id: googleEventId,
         priority: metadata.priority || null,
         tags: metadata.tags || null,
+        ...toBlockColumns(metadata),
         last_synced_at: new Date()
       }
     });
@@ -796,6 +1267,7 @@ async function createOrUpdateEventMetadata(userId, googleEventId, metadata = {},
       // Only update fields that are provided
       if (metadata.priority !== undefined) updateData.priority = metadata.priority;
       if (metadata.tags !== undefined) updateData.tags = metadata.tags;
+      Object.assign(updateData, toBlockColumns(metadata));
       
       // Always update last_synced_at
       updateData.last_synced_at = new Date();
@@ -810,6 +1282,20 @@ async function createOrUpdateEventMetadata(userId, googleEventId, metadata = {},
   }
 }
 
+// Task and block fields of a metadata update, as columns (only the ones provided)
+function toBlockColumns(metadata) {
+  const columns = {
+    task_id: metadata.taskId,
+    block_type: metadata.blockType,
+    deadline: metadata.deadline,
+    task_status: metadata.taskStatus,
+    event_summary_cached: metadata.summary,
+    start_time_cached: metadata.start,
+    end_time_cached: metadata.end
+  };
+  return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
 /**
  * Delete metadata for a calendar event
  * @param {string} userId - User ID
@@ -842,7 +1328,7 @@ async function deleteEventMetadata(userId, googleEventId, calendarId = 'primary'
  * Get metadata for multiple events in a single query
  * @param {string} userId - User ID
  * @param {Array} googleEventIds - Array of Google Calendar event IDs
- * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {string|Array} calendarId - Calendar ID or IDs (defaults to 'primary')
  * @returns {Array} - Array of metadata records
  */
 async function getEventMetadataBatch(userId, googleEventIds, calendarId = 'primary') {
@@ -854,7 +1340,7 @@ async function getEventMetadataBatch(userId, googleEventIds, calendarId = 'prima
     const metadata = await CalendarEventMetadata.findAll({
       where: {
         user_id: userId,
-        google_calendar_id: calendarId,
+        google_calendar_id: Array.isArray(calendarId) ? { [Op.in]: calendarId } : calendarId,
         google_event_id: { [Op.in]: googleEventIds }
       }
     });
@@ -874,6 +1360,11 @@ export {
   Conversation,
   ConversationMessage,
   CalendarEventMetadata,
+  Task,
+  CalendarEvent,
+  CalendarSyncState,
+  CalendarWatchChannel,
+  CalendarMutation,
   initializeDatabase,
   getOrCreateUser,
   createConversation,
@@ -13,22 +13,34 @@ import { getCachedEventsForDateRange, cacheEventsForDateRange, invalidateDateRan
 const memoryCache = new NodeCache({ stdTTL: 300 }); // 5 minutes TTL
 
 // --- Caching Logic ---
+// Each calendar is cached under its own prefix so a change to one calendar
+// doesn't invalidate the others. 'primary' keeps the original prefix.
+function getUserCachePrefix(tokens) {
+  const tokenHash = tokens.access_token.substring(tokens.access_token.length - 10);
+  return `user_${tokenHash}`; // Replace with stable user ID if available
+}
+
+function getCalendarCachePrefix(tokens, calendarId = 'primary', userCachePrefix = null) {
+  const userIdCachePrefix = userCachePrefix || getUserCachePrefix(tokens);
+  if (!calendarId || calendarId === 'primary') return userIdCachePrefix;
+  return `${userIdCachePrefix}_cal_${calendarId.replace(/[^a-zA-Z0-9@._-]/g, '_')}`;
+}
+
 // (Keep getCachedEvents and invalidateCache as previously defined and refined)
-async function getCachedEvents(tokens, start_date, end_date) {
+// timezone is the user's (see getTimezoneForUser); dates without an offset are read in it
+async function getCachedEvents(tokens, start_date, end_date, calendarId = 'primary', timezone = null) {
   if (!tokens?.access_token) {
      console.warn("Attempting to get events without access token. Required for calendar operations.");
      throw new Error("User authentication required to fetch calendar events.");
   }
   
   // Ensure start_date and end_date have proper timezone information
-  const userTimezone = getUserTimezone();
+  const userTimezone = getUserTimezone(timezone);
   const startWithTz = typeof start_date === 'string' ? convertToUTCISOString(start_date, userTimezone) || start_date : start_date;
   const endWithTz = typeof end_date === 'string' ? convertToUTCISOString(end_date, userTimezone) || end_date : end_date;
   
-  // Derive a user-specific cache key prefix (more stable than token hash if possible)
-  // For now, using token hash as fallback
-  const tokenHash = tokens.access_token.substring(tokens.access_token.length - 10);
-  const userIdCachePrefix = `user_${tokenHash}`; // Replace with stable user ID if available
+  // Derive a user- and calendar-specific cache key prefix
+  const userIdCachePrefix = getCalendarCachePrefix(tokens, calendarId);
 
   // Parse dates and preserve timezone information
   const startDt = DateTime.fromISO(startWithTz);
@@ -58,7 +70,7 @@ async function getCachedEvents(tokens, start_date, end_date) {
 
     // Fetch from API using the actual Calendar function
     // Pass the exact ISO strings to preserve timezone information
-    const events = await getCalendarEvents(tokens, new Date(startWithTz), new Date(endWithTz));
+    const events = await getCalendarEvents(tokens, new Date(startWithTz), new Date(endWithTz), calendarId);
     if (events && Array.isArray(events)) {
       await cacheEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd, events, 300); // 5 min TTL
       console.log(`Stored ${events.length} events in Redis cache for range ${cacheKeyStart} to ${cacheKeyEnd}`);
@@ -73,20 +85,43 @@ async function getCachedEvents(tokens, start_date, end_date) {
   }
 }
 
-async function invalidateCache(tokens = null, startDate = null, endDate = null) {
+/**
+ * Gets events from several calendars (each cache-aware) merged into one list sorted by start time
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} start_date - Range start (ISO 8601)
+ * @param {string} end_date - Range end (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars to read (defaults to ['primary'])
+ * @param {string} timezone - User's timezone, for dates without an offset
+ * @returns {Array} - Events tagged with their calendarId
+ */
+async function getCachedEventsForCalendars(tokens, start_date, end_date, calendarIds = ['primary'], timezone = null) {
+  const ids = Array.isArray(calendarIds) && calendarIds.length > 0 ? [...new Set(calendarIds)] : ['primary'];
+  const perCalendar = await Promise.all(ids.map(async calendarId => {
+    const events = await getCachedEvents(tokens, start_date, end_date, calendarId, timezone);
+    // Older cache entries may predate calendar tagging
+    return events.map(event => (event.calendarId ? event : { ...event, calendarId }));
+  }));
+
+  const startOf = event => DateTime.fromISO(event.start?.dateTime || event.start?.date).toMillis() || 0;
+  return perCalendar.flat().sort((a, b) => startOf(a) - startOf(b));
+}
+
+// options.userCachePrefix (from getUserCachePrefix) lets callers without the user's
+// token, such as the push notification webhook, clear that user's cached ranges;
+// options.timezone is the user's, for dates without an offset
+async function invalidateCache(tokens = null, startDate = null, endDate = null, calendarId = 'primary', options = {}) {
     memoryCache.flushAll(); // Always flush memory cache
     console.log("Memory cache invalidated");
     
     // If we have a specific date range to invalidate
-    if (tokens?.access_token && startDate && endDate) {
+    if ((tokens?.access_token || options.userCachePrefix) && startDate && endDate) {
         try {
             // Ensure startDate and endDate have proper timezone information
-            const userTimezone = getUserTimezone();
+            const userTimezone = getUserTimezone(options.timezone);
             const startWithTz = typeof startDate === 'string' ? convertToUTCISOString(startDate, userTimezone) || startDate : startDate;
             const endWithTz = typeof endDate === 'string' ? convertToUTCISOString(endDate, userTimezone) || endDate : endDate;
 
-            const tokenHash = tokens.access_token.substring(tokens.access_token.length - 10);
-            const userIdCachePrefix = `user_${tokenHash}`; // Use consistent prefix
+            const userIdCachePrefix = getCalendarCachePrefix(tokens, calendarId, options.userCachePrefix); // Use consistent prefix
             
             // Parse dates and preserve timezone information
             const startDt = DateTime.fromISO(startWithTz);
@@ -115,4 +150,4 @@ async function invalidateCache(tokens = null, startDate = null, endDate = null)
 }
 
 // Export the functions
-export { getCachedEvents, invalidateCache };
+export { getCachedEvents, getCachedEventsForCalendars, invalidateCache, getUserCachePrefix };
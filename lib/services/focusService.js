@@ -0,0 +1,313 @@
+// lib/services/focusService.js
+// Purpose: Focus time. Keeps a weekly target of uninterrupted focus hours on the user's
+//          calendar by booking "Focus" events into the largest free gaps of their working time
+//          (see tools/focusPlanner.js). A focus block is a normal event on the primary calendar
+//          whose calendar_event_metadata row has block_type 'focus'. Slot searches rank times
+//          that cut into a block lower (see schedulingUtils.js); when something is booked over
+//          one anyway, the week is reshuffled: blocks that have started are kept, future ones
+//          that were booked over are moved to the largest gaps left.
+import { DateTime } from 'luxon';
+import { Op } from 'sequelize';
+import { CalendarEventMetadata, createOrUpdateEventMetadata, getEventMetadataBatch } from '../postgresClient.js';
+import { insertCalendarEvent, deleteCalendarEvent } from '../../googleCalendar.js';
+import { invalidateCache } from './cacheService.js';
+import { getEventsForRange, markCalendarStale } from './syncService.js';
+import { recordMutations } from './journalService.js';
+import { getTimezoneForUser } from '../tools/userTimezone.js';
+import { getSchedulingConstraints, getFocusSettings } from '../tools/userConstraints.js';
+import { getSelectedCalendarIds } from '../tools/calendarSelection.js';
+import { toBusyEvents } from '../tools/schedulingConstraints.js';
+import { planFocusBlocks, summarizeFocusWeek } from '../tools/focusPlanner.js';
+
+const FOCUS_SUMMARY = 'Focus';
+const FOCUS_CALENDAR_ID = 'primary';
+const FOCUS_BLOCK_TYPE = 'focus';
+const MAX_FOCUS_WEEKS = 4;
+
+/**
+ * IDs of the events among a list that are focus blocks
+ * @param {string} userId - User ID
+ * @param {Array<Object>} events - Google events (tagged with calendarId)
+ * @returns {Set<string>}
+ */
+async function findFocusBlockIds(userId, events) {
+  if (!userId || userId === 'default' || events.length === 0) return new Set();
+  const calendarIds = [...new Set(events.map(event => event.calendarId || FOCUS_CALENDAR_ID))];
+  const rows = await getEventMetadataBatch(userId, events.map(event => event.id), calendarIds);
+  return new Set(rows.filter(row => row.block_type === FOCUS_BLOCK_TYPE).map(row => row.google_event_id));
+}
+
+/**
+ * Sets focusBlock on the focus blocks among a list, so slot searches treat them as time to
+ * keep whole rather than as busy (see findAvailableSlots in schedulingUtils.js)
+ * @param {string} userId - User ID
+ * @param {Array<Object>} events - Google events (tagged with calendarId)
+ * @returns {Array<Object>} - The events, focus blocks copied with focusBlock: true
+ */
+async function markFocusBlocks(userId, events) {
+  const focusIds = await findFocusBlockIds(userId, events);
+  if (focusIds.size === 0) return events;
+  return events.map(event => (focusIds.has(event.id) ? { ...event, focusBlock: true } : event));
+}
+
+// Events that take up the user's time (not free, not declined)
+function isBusy(event) {
+  return event.start?.dateTime && event.transparency !== 'transparent' &&
+    !event.attendees?.some(attendee => attendee.self && attendee.responseStatus === 'declined');
+}
+
+// A focus block event as { eventId, calendarId, start, end } DateTimes in the user's timezone
+function toBlock(event, timezone) {
+  return {
+    eventId: event.id,
+    calendarId: event.calendarId || FOCUS_CALENDAR_ID,
+    start: DateTime.fromISO(event.start.dateTime).setZone(timezone),
+    end: DateTime.fromISO(event.end.dateTime).setZone(timezone)
+  };
+}
+
+const minutesOf = block => block.end.diff(block.start, 'minutes').minutes;
+const overlapsAny = (block, busy) => busy.some(other => other.start < block.end && other.end > block.start);
+
+// Reads one week: its focus blocks and the busy time around them
+async function loadWeek(userId, tokens, weekStart, calendarIds, timezone) {
+  const events = (await getEventsForRange(userId, tokens, weekStart.toISO(), weekStart.plus({ weeks: 1 }).toISO(), calendarIds))
+    .filter(isBusy);
+  const focusIds = await findFocusBlockIds(userId, events);
+  return {
+    blocks: events.filter(event => focusIds.has(event.id))
+      .map(event => toBlock(event, timezone))
+      .sort((a, b) => a.start.toMillis() - b.start.toMillis()),
+    busy: toBusyEvents(events.filter(event => !focusIds.has(event.id)), timezone)
+  };
+}
+
+// A week's status as tool results show it
+function toWeekStatus(weekStart, week, settings, now, changes = {}) {
+  const summary = summarizeFocusWeek(week.blocks, week.busy, settings, now);
+  return {
+    weekStart: weekStart.toISODate(),
+    ...summary,
+    minBlockMinutes: settings.minBlockMinutes,
+    blocks: summary.blocks.map(block => ({
+      eventId: block.eventId,
+      start: block.start.toISO(),
+      end: block.end.toISO(),
+      ...(block.interruptedBy.length > 0 ? { interruptedBy: block.interruptedBy } : {})
+    })),
+    added: changes.added || [],
+    removed: changes.removed || 0
+  };
+}
+
+// Books one week's focus time and returns its status. Blocks that have started are kept;
+// future blocks that other events now overlap are removed, and so are the latest ones while
+// the week meets its target without them. The rest of the target goes into the largest free
+// gaps left. Changes are journaled; the ranges they touch are added to ranges.
+async function protectWeek(userId, tokens, { weekStart, settings, constraints, timezone, calendarIds, now, journal, ranges }) {
+  const week = await loadWeek(userId, tokens, weekStart, calendarIds, timezone);
+  const targetMinutes = Math.round((settings.weeklyHours || 0) * 60);
+
+  const kept = week.blocks.filter(block => block.start <= now || !overlapsAny(block, week.busy));
+  const countedMinutes = () => kept.filter(block => !overlapsAny(block, week.busy)).reduce((sum, block) => sum + minutesOf(block), 0);
+  // Drop the latest future blocks while the week still meets its target without them
+  for (let index = kept.length - 1; index >= 0; index--) {
+    const block = kept[index];
+    if (block.start <= now) break;
+    if (countedMinutes() - minutesOf(block) < targetMinutes) continue;
+    kept.splice(index, 1);
+  }
+  const stale = week.blocks.filter(block => !kept.includes(block));
+
+  let removed = 0;
+  for (const block of stale) {
+    const result = await deleteCalendarEvent(tokens, block.eventId, block.calendarId);
+    if (result.success) {
+      await recordMutations(journal, block.calendarId, [{ operation: 'delete', eventId: block.eventId, before: result.event }]);
+      removed += 1;
+    } else {
+      // Usually deleted in Google already; the metadata goes either way
+      console.warn(`Could not delete focus block ${block.eventId}: ${result.error}`);
+    }
+    await CalendarEventMetadata.destroy({ where: { user_id: userId, google_event_id: block.eventId, google_calendar_id: block.calendarId } });
+    ranges.push({ start: block.start.toISO(), end: block.end.toISO(), calendarId: block.calendarId });
+  }
+
+  const { blocks: planned } = planFocusBlocks({
+    remainingMinutes: Math.max(0, targetMinutes - countedMinutes()),
+    from: DateTime.max(now, weekStart),
+    until: weekStart.plus({ weeks: 1 }),
+    busy: [...week.busy, ...kept],
+    constraints,
+    settings
+  });
+
+  const added = [];
+  for (const block of planned) {
+    try {
+      const event = await insertCalendarEvent(tokens, {
+        summary: FOCUS_SUMMARY,
+        description: `Focus time (${settings.weeklyHours}h a week). Booked by the assistant; ` +
+          'it moves if something else is scheduled over it.',
+        start: { dateTime: block.start.toISO(), timeZone: timezone },
+        end: { dateTime: block.end.toISO(), timeZone: timezone }
+      }, FOCUS_CALENDAR_ID);
+      await createOrUpdateEventMetadata(userId, event.id, {
+        blockType: FOCUS_BLOCK_TYPE,
+        summary: event.summary,
+        start: block.start.toJSDate(),
+        end: block.end.toJSDate()
+      }, FOCUS_CALENDAR_ID);
+      await recordMutations(journal, FOCUS_CALENDAR_ID, [{ operation: 'create', eventId: event.id, after: event }]);
+      kept.push({ eventId: event.id, calendarId: FOCUS_CALENDAR_ID, start: block.start, end: block.end });
+      added.push({ start: block.start.toISO(), end: block.end.toISO() });
+      ranges.push({ start: block.start.toISO(), end: block.end.toISO(), calendarId: FOCUS_CALENDAR_ID });
+    } catch (error) {
+      // What didn't get booked shows up as short in the status
+      console.error(`Error booking focus block for user ${userId}:`, error);
+    }
+  }
+
+  kept.sort((a, b) => a.start.toMillis() - b.start.toMillis());
+  return toWeekStatus(weekStart, { blocks: kept, busy: week.busy }, settings, now, { added, removed });
+}
+
+// Clears the cached ranges the blocks were in and flags their calendars for a sync
+async function refreshCalendars(userId, tokens, ranges) {
+  const timezone = await getTimezoneForUser(userId);
+  for (const range of ranges) {
+    try {
+      await invalidateCache(tokens, range.start, range.end, range.calendarId, { timezone });
+    } catch (cacheError) {
+      console.error('Error invalidating cache after booking focus time:', cacheError);
+    }
+  }
+  if (ranges.length > 0) {
+    await markCalendarStale(userId, [...new Set(ranges.map(range => range.calendarId))]);
+  }
+}
+
+// What every focus operation needs: settings, constraints, zone and calendars to read
+async function loadContext(userId) {
+  const timezone = await getTimezoneForUser(userId);
+  return {
+    settings: await getFocusSettings(userId),
+    constraints: await getSchedulingConstraints(userId),
+    timezone,
+    calendarIds: [...new Set([...(await getSelectedCalendarIds(userId)), FOCUS_CALENDAR_ID])],
+    now: DateTime.now().setZone(timezone)
+  };
+}
+
+// Mondays of the current week and the ones after it
+function weekStarts(now, weeks) {
+  const count = Math.min(Math.max(1, Math.round(weeks) || 1), MAX_FOCUS_WEEKS);
+  return Array.from({ length: count }, (_, index) => now.startOf('week').plus({ weeks: index }));
+}
+
+/**
+ * Books (or reshuffles) focus blocks for the current week and the ones after it, towards the
+ * user's saved weekly target. With the target off, future blocks are removed.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} options - { weeks (1 to MAX_FOCUS_WEEKS, default 2), journal (from createJournalContext) }
+ * @returns {Array<Object>} - Per week: { weekStart, targetMinutes, minBlockMinutes, bookedMinutes,
+ *                            doneMinutes, shortMinutes, blocks: [{ eventId, start, end, interruptedBy }],
+ *                            added: [{ start, end }], removed }
+ */
+async function protectFocusTime(userId, tokens, { weeks = 2, journal = null } = {}) {
+  const context = await loadContext(userId);
+  // Read Google's latest changes first, so blocks aren't planned over something new
+  await markCalendarStale(userId, context.calendarIds);
+  const ranges = [];
+  const results = [];
+  for (const weekStart of weekStarts(context.now, weeks)) {
+    results.push(await protectWeek(userId, tokens, { ...context, weekStart, journal, ranges }));
+  }
+  await refreshCalendars(userId, tokens, ranges);
+  return results;
+}
+
+/**
+ * How the focus target stands for the current week and the ones after it, without changing
+ * anything
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} options - { weeks (1 to MAX_FOCUS_WEEKS, default 1) }
+ * @returns {Object} - { settings, weeks: statuses as in protectFocusTime (nothing added or removed) }
+ */
+async function getFocusStatus(userId, tokens, { weeks = 1 } = {}) {
+  const { settings, timezone, calendarIds, now } = await loadContext(userId);
+  const results = [];
+  for (const weekStart of weekStarts(now, weeks)) {
+    const week = await loadWeek(userId, tokens, weekStart, calendarIds, timezone);
+    results.push(toWeekStatus(weekStart, week, settings, now));
+  }
+  return { settings, weeks: results };
+}
+
+/**
+ * Moves future focus blocks that other events now overlap (a meeting booked or accepted on
+ * top of one), redoing the weeks they are in
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} journal - From createJournalContext (the moves join the change that caused them)
+ * @returns {Array<Object>} - protectFocusTime statuses for the reshuffled weeks, each with
+ *                            disturbedBy (IDs of the events that overlapped its blocks)
+ */
+async function reshuffleDisturbedFocusTime(userId, tokens, journal = null) {
+  if (!userId || userId === 'default') return [];
+  try {
+    const context = await loadContext(userId);
+    if (!context.settings.weeklyHours) return [];
+    const blocks = await CalendarEventMetadata.findAll({
+      where: { user_id: userId, block_type: FOCUS_BLOCK_TYPE, start_time_cached: { [Op.gt]: context.now.toJSDate() } }
+    });
+    if (blocks.length === 0) return [];
+
+    const blockIds = new Set(blocks.map(block => block.google_event_id));
+    const rangeEnd = new Date(Math.max(...blocks.map(block => block.end_time_cached.getTime())));
+    // The change that called this was just written, so read Google's changes first
+    await markCalendarStale(userId, context.calendarIds);
+    const events = (await getEventsForRange(userId, tokens, context.now.toISO(), rangeEnd.toISOString(), context.calendarIds))
+      .filter(event => !blockIds.has(event.id) && isBusy(event));
+
+    const disturbedBy = new Map();
+    for (const block of blocks) {
+      const overlapping = events.filter(event =>
+        new Date(event.start.dateTime) < block.end_time_cached && new Date(event.end.dateTime) > block.start_time_cached);
+      if (overlapping.length === 0) continue;
+      const weekStart = DateTime.fromJSDate(block.start_time_cached).setZone(context.timezone).startOf('week').toISODate();
+      disturbedBy.set(weekStart, [...(disturbedBy.get(weekStart) || []), ...overlapping.map(event => event.id)]);
+    }
+    if (disturbedBy.size === 0) return [];
+
+    console.log(`Reshuffling focus time in ${disturbedBy.size} week(s) whose blocks were booked over`);
+    const ranges = [];
+    const results = [];
+    for (const [weekStart, eventIds] of disturbedBy) {
+      const week = await protectWeek(userId, tokens, {
+        ...context,
+        weekStart: DateTime.fromISO(weekStart, { zone: context.timezone }),
+        journal,
+        ranges
+      });
+      results.push({ ...week, disturbedBy: [...new Set(eventIds)] });
+    }
+    await refreshCalendars(userId, tokens, ranges);
+    return results;
+  } catch (error) {
+    // The change that disturbed the blocks already happened; don't fail it
+    console.error(`Error reshuffling focus time for user ${userId}:`, error);
+    return [];
+  }
+}
+
+export {
+  MAX_FOCUS_WEEKS,
+  findFocusBlockIds,
+  markFocusBlocks,
+  protectFocusTime,
+  getFocusStatus,
+  reshuffleDisturbedFocusTime
+};
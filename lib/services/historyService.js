@@ -0,0 +1,231 @@
+// lib/services/historyService.js
+// Purpose: Keeps the history sent to the model within a token budget. The last turns are
+//          sent verbatim; older turns (with their tool calls and results) are folded into a
+//          running summary stored on Conversation.summary, and Conversation.summarized_through
+//          records the last message folded so those messages aren't loaded again.
+//
+//          A turn is a user message and everything after it up to the next user message, so
+//          an assistant tool call and its tool responses always stay on the same side.
+//
+//          Configuration (per deployment):
+//            HISTORY_KEEP_TURNS  turns always sent verbatim (default 6)
+//            HISTORY_MAX_TOKENS  approximate token budget for earlier messages (default 6000)
+import { getLLMProvider, resolveModelSettings } from './openaiService.js';
+
+const DEFAULT_KEEP_TURNS = 6;
+const DEFAULT_MAX_TOKENS = 6000;
+// Extra turns allowed beyond the kept ones before folding, so summarizing (one extra model
+// call) happens every few turns rather than on every message
+const FOLD_BATCH_TURNS = 4;
+// Input size of one summarization call; a long backlog is folded in several calls
+const SUMMARY_INPUT_TOKENS = 6000;
+const SUMMARY_MAX_TOKENS = 400;
+// Tool results are clipped in the summarization input; the summary only needs their gist
+const TOOL_RESULT_CHARS = 1000;
+// Upper bound on a summary built without the model (when summarizing fails)
+const FALLBACK_SUMMARY_CHARS = 3000;
+// Fixed cost per message (role and separators) on top of its text
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_SYSTEM_PROMPT = `You maintain the running summary of a conversation between a user and Athena, a calendar assistant.
+Merge the earlier summary with the new messages into one updated summary. Keep what later turns may need:
+events that were found, created, changed or deleted (titles, dates, times, calendars and IDs), the user's
+stated preferences and decisions, and anything still open or awaiting confirmation. Drop small talk.
+Write at most 200 words as plain sentences or bullet points. Reply with the summary only.`;
+
+// Parses an optional positive integer env var
+function integerFromEnv(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Estimates the tokens a message (or text) takes. No tokenizer is bundled, so this uses the
+ * usual ~4 characters per token for English text; close enough for budgeting.
+ * @param {Object|string} message - API message or plain text
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(message) {
+  if (message == null) return 0;
+  if (typeof message === 'string') return Math.ceil(message.length / 4);
+  let text = typeof message.content === 'string' ? message.content : '';
+  if (message.tool_calls) text += JSON.stringify(message.tool_calls);
+  return MESSAGE_OVERHEAD_TOKENS + Math.ceil(text.length / 4);
+}
+
+/**
+ * Groups history entries into turns, each starting at a user message. Entries before the
+ * first user message join the first turn.
+ * @param {Array<Object>} entries - [{ sequence, message }] in order
+ * @returns {Array<Object>} - [{ entries, tokens, lastSequence }]
+ */
+function groupIntoTurns(entries) {
+  const turns = [];
+  for (const entry of entries) {
+    const isUser = entry.message.role === 'user';
+    const current = turns[turns.length - 1];
+    if (!current || (isUser && current.hasUserMessage)) {
+      turns.push({ entries: [], tokens: 0, lastSequence: null, hasUserMessage: false });
+    }
+    const turn = turns[turns.length - 1];
+    turn.entries.push(entry);
+    turn.tokens += estimateTokens(entry.message);
+    turn.lastSequence = entry.sequence;
+    if (isUser) turn.hasUserMessage = true;
+  }
+  return turns;
+}
+
+// Renders turns as plain text for the summarizer
+function turnsToTranscript(turns) {
+  const lines = [];
+  for (const { message } of turns.flatMap(turn => turn.entries)) {
+    if (message.role === 'user') {
+      lines.push(`[User] ${message.content}`);
+    } else if (message.role === 'assistant') {
+      if (message.content) lines.push(`[Athena] ${message.content}`);
+      for (const call of message.tool_calls || []) {
+        lines.push(`[Athena called ${call.function?.name}] ${call.function?.arguments || '{}'}`);
+      }
+    } else if (message.role === 'tool') {
+      const content = String(message.content || '');
+      lines.push(`[Tool result] ${content.length > TOOL_RESULT_CHARS ? `${content.slice(0, TOOL_RESULT_CHARS)}…` : content}`);
+    } else if (message.role === 'system') {
+      lines.push(`[Note] ${message.content}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Splits turns into chunks that fit one summarization call (a single oversized turn is its own chunk)
+function chunkTurns(turns) {
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  for (const turn of turns) {
+    if (current.length > 0 && tokens + turn.tokens > SUMMARY_INPUT_TOKENS) {
+      chunks.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(turn);
+    tokens += turn.tokens;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// Summary built without the model: the earlier summary plus the user's requests and
+// Athena's replies, keeping the most recent text if it gets long
+function buildFallbackSummary(previousSummary, turns) {
+  const lines = turns.flatMap(turn => turn.entries)
+    .filter(({ message }) => ['user', 'assistant'].includes(message.role) && message.content)
+    .map(({ message }) => `${message.role === 'user' ? 'User' : 'Athena'}: ${message.content.replace(/\s+/g, ' ').slice(0, 300)}`);
+  const text = [previousSummary, ...lines].filter(Boolean).join('\n');
+  return text.length > FALLBACK_SUMMARY_CHARS ? `…${text.slice(-FALLBACK_SUMMARY_CHARS)}` : text;
+}
+
+/**
+ * Folds turns into the running summary with the model, one chunk at a time
+ * @param {string} previousSummary - Current summary (or null)
+ * @param {Array<Object>} turns - Turns to fold, oldest first
+ * @param {Object} llmSettings - The user's model overrides
+ * @returns {string} - Updated summary
+ */
+async function summarizeTurns(previousSummary, turns, llmSettings = null) {
+  const provider = getLLMProvider();
+  const { model } = resolveModelSettings(llmSettings);
+  let summary = previousSummary || null;
+
+  for (const chunk of chunkTurns(turns)) {
+    try {
+      const response = await provider.streamChat({
+        model,
+        max_tokens: SUMMARY_MAX_TOKENS,
+        messages: [
+          { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+          {
+            role: 'user',
+            content: `Earlier summary:\n${summary || '(none)'}\n\nNew messages:\n${turnsToTranscript(chunk)}`
+          }
+        ]
+      });
+      const content = response?.content?.trim();
+      if (!content) throw new Error('The model returned an empty summary.');
+      summary = content;
+    } catch (error) {
+      console.error('Error summarizing conversation history; keeping an extract instead:', error.message);
+      summary = buildFallbackSummary(summary, chunk);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Decides which stored messages are sent to the model and folds the rest into the
+ * conversation's running summary (persisted when it changes).
+ * @param {Object} conversation - Conversation instance (summary, summarized_through)
+ * @param {Array<Object>} entries - Messages after summarized_through: [{ sequence, message }]
+ * @param {Object} options - { llmSettings }
+ * @returns {Object} - { messages: API messages to send, summary: running summary or null }
+ */
+async function prepareConversationHistory(conversation, entries, { llmSettings = null } = {}) {
+  const keepTurns = integerFromEnv('HISTORY_KEEP_TURNS', DEFAULT_KEEP_TURNS);
+  const maxTokens = integerFromEnv('HISTORY_MAX_TOKENS', DEFAULT_MAX_TOKENS);
+  const turns = groupIntoTurns(entries);
+  let summary = conversation?.summary || null;
+
+  // How many of the latest turns fit the budget (at least the last one, which can't be split)
+  let fitting = 0;
+  let tokens = estimateTokens(summary);
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (fitting > 0 && tokens + turns[i].tokens > maxTokens) break;
+    tokens += turns[i].tokens;
+    fitting++;
+  }
+
+  const overBudget = fitting < turns.length;
+  const tooManyTurns = turns.length > keepTurns + FOLD_BATCH_TURNS;
+  let kept = turns;
+
+  if (conversation && (overBudget || tooManyTurns)) {
+    const keepCount = Math.min(keepTurns, fitting);
+    const folded = turns.slice(0, turns.length - keepCount);
+    kept = turns.slice(turns.length - keepCount);
+
+    console.log(`Folding ${folded.length} earlier turn(s) of conversation ${conversation.conversation_id} into its summary (keeping ${keepCount}).`);
+    summary = await summarizeTurns(summary, folded, llmSettings);
+    try {
+      await conversation.update({
+        summary,
+        summarized_through: folded[folded.length - 1].lastSequence
+      });
+    } catch (error) {
+      // Still use the new summary for this request; the next one folds again
+      console.error(`Error saving summary of conversation ${conversation.conversation_id}:`, error);
+    }
+  }
+
+  return {
+    messages: kept.flatMap(turn => turn.entries.map(entry => entry.message)),
+    summary
+  };
+}
+
+/**
+ * Formats the running summary for the system prompt
+ * @param {string} summary - Running summary (or null)
+ * @returns {string} - Text to append to the system prompt ('' if there is no summary)
+ */
+function formatConversationSummary(summary) {
+  if (!summary) return '';
+  return `\n\n## Earlier in this conversation\nOlder messages are no longer shown to you verbatim. Summary of them:\n${summary}`;
+}
+
+export {
+  estimateTokens,
+  groupIntoTurns,
+  prepareConversationHistory,
+  formatConversationSummary
+};
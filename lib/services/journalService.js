@@ -0,0 +1,257 @@
+// lib/services/journalService.js
+// Purpose: Records every calendar change the assistant makes (creates, updates, deletes, RSVPs)
+//          with before/after snapshots of the event, and undoes them by replaying the inverse
+//          operation. The changes of one tool call form a batch that is undone together.
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { CalendarMutation } from '../postgresClient.js';
+import {
+  deleteCalendarEvent,
+  insertCalendarEvent,
+  patchCalendarEvent,
+  respondToEvent
+} from '../../googleCalendar.js';
+import { invalidateCache } from './cacheService.js';
+import { markCalendarStale } from './syncService.js';
+import { getTimezoneForUser } from '../tools/userTimezone.js';
+
+// Fields put back when undoing an update (the rest of the event is left alone)
+const RESTORABLE_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'attendees', 'reminders'];
+// Server-assigned fields that can't be sent when re-creating a deleted event
+const SERVER_FIELDS = ['id', 'etag', 'htmlLink', 'iCalUID', 'created', 'updated', 'creator', 'organizer',
+  'kind', 'hangoutLink', 'conferenceData', 'calendarId', 'recurringEventId', 'originalStartTime', 'sequence'];
+// Users with an undo in progress; a double click is refused rather than reverting twice
+const inFlightUndos = new Set();
+
+const OPERATION_VERBS = { create: 'Created', update: 'Updated', delete: 'Deleted', rsvp: 'Responded to' };
+
+/**
+ * Starts a journal batch for one tool call
+ * @param {string} userId - User ID
+ * @param {string} toolName - Tool making the changes
+ * @param {Object} options - Tool options ({ conversationId, toolCallId })
+ * @returns {Object} - Context to pass to recordMutations
+ */
+function createJournalContext(userId, toolName, options = {}) {
+  return {
+    userId,
+    toolName,
+    batchId: crypto.randomUUID(),
+    conversationId: options.conversationId || null,
+    toolCallId: options.toolCallId || null,
+    nextSequence: 0
+  };
+}
+
+// One-line description of a journal entry, e.g. Deleted "Gym"
+function describeMutation(mutation) {
+  const event = mutation.after || mutation.before || {};
+  const verb = OPERATION_VERBS[mutation.operation] || mutation.operation;
+  return `${verb} "${event.summary || mutation.eventId}"`;
+}
+
+/**
+ * Appends mutations to a batch. Journal failures are logged, not thrown: the calendar
+ * change already happened and the tool result shouldn't claim otherwise.
+ * @param {Object} context - From createJournalContext
+ * @param {string} calendarId - Calendar the events live in
+ * @param {Array<Object>} mutations - { operation: create|update|delete|rsvp, eventId, before, after }
+ */
+async function recordMutations(context, calendarId, mutations = []) {
+  if (!context?.userId || context.userId === 'default' || mutations.length === 0) return;
+  try {
+    await CalendarMutation.bulkCreate(mutations.map(mutation => ({
+      user_id: context.userId,
+      conversation_id: context.conversationId,
+      tool_call_id: context.toolCallId,
+      tool_name: context.toolName,
+      batch_id: context.batchId,
+      sequence_number: context.nextSequence++,
+      operation: mutation.operation,
+      google_calendar_id: calendarId || 'primary',
+      google_event_id: mutation.eventId,
+      before_snapshot: mutation.before || null,
+      after_snapshot: mutation.after || null,
+      summary: describeMutation(mutation)
+    })));
+  } catch (error) {
+    console.error(`Error journaling ${mutations.length} mutation(s) for ${context.toolName}:`, error);
+  }
+}
+
+// Summarizes a batch's rows for the UI and the assistant
+function summarizeBatch(rows) {
+  const summaries = rows.map(row => row.summary);
+  if (summaries.length <= 3) return summaries.join('; ');
+  return `${summaries.slice(0, 3).join('; ')} and ${summaries.length - 3} more`;
+}
+
+/**
+ * Finds the undoable batch a tool call produced
+ * @param {string} userId - User ID
+ * @param {string} toolCallId - OpenAI tool_call_id
+ * @returns {Object|null} - { batchId, summary, count } or null if the call changed nothing
+ */
+async function getBatchForToolCall(userId, toolCallId) {
+  if (!userId || userId === 'default' || !toolCallId) return null;
+  const rows = await CalendarMutation.findAll({
+    where: { user_id: userId, tool_call_id: toolCallId, undone_at: null },
+    order: [['created_at', 'DESC'], ['sequence_number', 'ASC']]
+  });
+  if (rows.length === 0) return null;
+  // A confirmed retry can reuse the tool call ID; the newest batch is the one to offer
+  const batchId = rows[0].batch_id;
+  const batchRows = rows.filter(row => row.batch_id === batchId);
+  return { batchId, summary: summarizeBatch(batchRows), count: batchRows.length };
+}
+
+// Start/end of an event snapshot for cache invalidation; series cover a year ahead
+function snapshotRange(event) {
+  const start = event?.start?.dateTime || event?.start?.date;
+  if (!start) return null;
+  const end = event.recurrence
+    ? DateTime.fromISO(start).plus({ years: 1 }).toISO()
+    : event.end?.dateTime || event.end?.date;
+  return end ? { start, end } : null;
+}
+
+// True for Google's "not found" / "already deleted" errors
+function isGone(error) {
+  const code = error?.code || error?.response?.status;
+  return code === 404 || code === 410;
+}
+
+/**
+ * Replays the inverse of one journal entry against Google Calendar
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} row - CalendarMutation row
+ * @returns {string} - What was done, for the result message
+ */
+async function revertMutation(tokens, row) {
+  const calendarId = row.google_calendar_id;
+  const before = row.before_snapshot;
+
+  switch (row.operation) {
+    case 'create': {
+      const result = await deleteCalendarEvent(tokens, row.google_event_id, calendarId);
+      if (!result.success && !isGone(result)) throw new Error(result.error);
+      return `removed "${row.after_snapshot?.summary || row.google_event_id}"`;
+    }
+
+    case 'delete': {
+      if (!before) throw new Error('No snapshot of the deleted event was recorded.');
+      // Google keeps deleted events (and cancelled occurrences) as status "cancelled",
+      // so setting it back restores the original event with its ID and attendees intact
+      try {
+        await patchCalendarEvent(tokens, row.google_event_id, { status: 'confirmed' }, calendarId);
+        return `restored "${before.summary || row.google_event_id}"`;
+      } catch (error) {
+        if (!isGone(error) || before.recurringEventId) throw error;
+      }
+      const resource = { ...before };
+      SERVER_FIELDS.forEach(field => delete resource[field]);
+      resource.status = 'confirmed';
+      const created = await insertCalendarEvent(tokens, resource, calendarId);
+      return `re-created "${before.summary || row.google_event_id}" (new ID: ${created.id})`;
+    }
+
+    case 'update': {
+      if (!before) throw new Error('No snapshot of the event before the change was recorded.');
+      const patch = {};
+      for (const field of RESTORABLE_FIELDS) patch[field] = before[field] ?? null;
+      if (before.recurrence) patch.recurrence = before.recurrence;
+      await patchCalendarEvent(tokens, row.google_event_id, patch, calendarId);
+      return `restored "${before.summary || row.google_event_id}" to its previous details`;
+    }
+
+    case 'rsvp': {
+      const previous = before?.responseStatus || 'needsAction';
+      await respondToEvent(tokens, row.google_event_id, previous, calendarId);
+      return `set your response to "${row.after_snapshot?.summary || row.google_event_id}" back to ${previous}`;
+    }
+
+    default:
+      throw new Error(`Unknown journal operation "${row.operation}".`);
+  }
+}
+
+/**
+ * Undoes a batch of journaled changes, newest change first. Entries that fail stay
+ * un-undone so the same batch can be retried.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} batchId - Batch to undo; defaults to the user's most recent one not yet undone
+ * @returns {Object} - { success, batchId, toolName, conversationId, summary, undone: [...], failed: [...] }
+ *                     or { success: false, error }
+ */
+async function undoMutationBatch(userId, tokens, batchId = null) {
+  if (!userId || userId === 'default') {
+    return { success: false, error: "Undo needs a signed-in user; no changes are journaled for guests." };
+  }
+  if (inFlightUndos.has(userId)) {
+    return { success: false, error: "An undo is already in progress." };
+  }
+
+  inFlightUndos.add(userId);
+  try {
+    let targetBatchId = batchId;
+    if (!targetBatchId) {
+      const latest = await CalendarMutation.findOne({
+        where: { user_id: userId, undone_at: null },
+        order: [['created_at', 'DESC']]
+      });
+      if (!latest) return { success: false, error: "There are no recent calendar changes to undo." };
+      targetBatchId = latest.batch_id;
+    }
+
+    const rows = await CalendarMutation.findAll({
+      where: { user_id: userId, batch_id: targetBatchId, undone_at: null },
+      order: [['sequence_number', 'DESC']]
+    });
+    if (rows.length === 0) {
+      return { success: false, error: "That change was already undone or doesn't exist." };
+    }
+
+    const summary = summarizeBatch([...rows].reverse());
+    const undone = [];
+    const failed = [];
+    for (const row of rows) {
+      try {
+        const description = await revertMutation(tokens, row);
+        await row.update({ undone_at: new Date() });
+        undone.push({ operation: row.operation, eventId: row.google_event_id, calendarId: row.google_calendar_id, description });
+      } catch (error) {
+        console.error(`Error undoing ${row.operation} of ${row.google_event_id} (batch ${targetBatchId}):`, error);
+        failed.push({ operation: row.operation, eventId: row.google_event_id, summary: row.summary, error: error.message });
+      }
+    }
+
+    const timezone = await getTimezoneForUser(userId);
+    for (const row of rows) {
+      for (const range of [snapshotRange(row.before_snapshot), snapshotRange(row.after_snapshot)]) {
+        if (!range) continue;
+        try {
+          await invalidateCache(tokens, range.start, range.end, row.google_calendar_id, { timezone });
+        } catch (cacheError) {
+          console.error("Error invalidating cache after undo:", cacheError);
+        }
+      }
+    }
+    await markCalendarStale(userId, [...new Set(rows.map(row => row.google_calendar_id))]);
+
+    console.log(`Undid ${undone.length}/${rows.length} change(s) of batch ${targetBatchId} for user ${userId}`);
+    return {
+      success: failed.length === 0,
+      batchId: targetBatchId,
+      toolName: rows[0].tool_name,
+      conversationId: rows[0].conversation_id,
+      summary,
+      undone,
+      failed
+    };
+  } finally {
+    inFlightUndos.delete(userId);
+  }
+}
+
+export { createJournalContext, recordMutations, getBatchForToolCall, undoMutationBatch };
@@ -0,0 +1,314 @@
+// lib/services/openaiService.js
+// Purpose: LLM provider layer. The chatbot talks to a provider instead of the OpenAI SDK
+//          directly, so a deployment can use OpenAI, any OpenAI-compatible endpoint
+//          (llama.cpp, Ollama, vLLM...) or a scripted mock that replays canned tool calls
+//          without network access or API keys.
+//
+//          Configuration (per deployment):
+//            LLM_PROVIDER     openai (default) | openai-compatible | mock
+//            LLM_MODEL        model name (default gpt-4o)
+//            LLM_TEMPERATURE  optional sampling temperature
+//            LLM_MAX_TOKENS   optional completion token limit
+//            LLM_BASE_URL     base URL for openai-compatible (default http://localhost:11434/v1)
+//            LLM_API_KEY      API key for openai-compatible (OPENAI_API_KEY for openai)
+//            LLM_MOCK_SCRIPT  path to a JSON script for the mock provider
+//            LLM_ALLOWED_MODELS  optional comma-separated models users may pick (default: LLM_MODEL only)
+//          Users can override model, temperature and max_tokens via users.llm_settings.
+import fs from 'fs';
+import OpenAI from 'openai';
+import { DateTime } from 'luxon';
+import { defaultMockScript } from '../data/mockScript.js';
+
+const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+// Length of the mock's reply to requests without tools
+const MOCK_SUMMARY_CHARS = 600;
+
+let activeProvider = null;
+
+// Parses an optional numeric env var; invalid values are ignored
+function numberFromEnv(name) {
+  const value = process.env[name];
+  if (value == null || value === '') return undefined;
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    console.warn(`Ignoring non-numeric ${name}="${value}"`);
+    return undefined;
+  }
+  return parsed;
+}
+
+// Models users may choose; without a list, only the deployment's own model
+function allowedModels() {
+  const listed = (process.env.LLM_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  return listed.length > 0 ? listed : [process.env.LLM_MODEL || DEFAULT_MODEL];
+}
+
+/**
+ * Validates a user's LLM overrides before they are saved
+ * @param {Object} settings - { model?, temperature?, max_tokens? }
+ * @returns {Object} - The settings with only known keys
+ */
+function validateUserSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('LLM settings must be an object with model, temperature and/or max_tokens.');
+  }
+  const cleaned = {};
+  if (settings.model != null) {
+    if (typeof settings.model !== 'string' || settings.model.trim() === '') throw new Error('model must be a non-empty string.');
+    const model = settings.model.trim();
+    const allowed = allowedModels();
+    if (!allowed.includes(model)) {
+      throw new Error(`Model "${model}" is not available. Choose one of: ${allowed.join(', ')}.`);
+    }
+    cleaned.model = model;
+  }
+  if (settings.temperature != null) {
+    if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+      throw new Error('temperature must be a number between 0 and 2.');
+    }
+    cleaned.temperature = settings.temperature;
+  }
+  if (settings.max_tokens != null) {
+    if (!Number.isInteger(settings.max_tokens) || settings.max_tokens <= 0) throw new Error('max_tokens must be a positive integer.');
+    cleaned.max_tokens = settings.max_tokens;
+  }
+  return cleaned;
+}
+
+/**
+ * Resolves the model and sampling parameters for a request
+ * @param {Object} userSettings - The user's overrides (users.llm_settings), if any
+ * @returns {Object} - { model, temperature?, max_tokens? }
+ */
+function resolveModelSettings(userSettings = null) {
+  const settings = {
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: numberFromEnv('LLM_TEMPERATURE'),
+    max_tokens: numberFromEnv('LLM_MAX_TOKENS')
+  };
+
+  if (userSettings) {
+    try {
+      Object.assign(settings, validateUserSettings(userSettings));
+    } catch (error) {
+      // Stored settings can go stale (e.g. a model removed from LLM_ALLOWED_MODELS)
+      console.warn(`Ignoring invalid user LLM settings: ${error.message}`);
+    }
+  }
+
+  // Leave unset parameters out so the provider's defaults apply
+  Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+  return settings;
+}
+
+/**
+ * Provider backed by the OpenAI SDK. Also used for OpenAI-compatible servers by
+ * passing their base URL.
+ * @param {Object} options - { name, apiKey, baseURL }
+ * @returns {Object} - Provider { name, streamChat }
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL } = {}) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+
+    /**
+     * Streams a chat completion and rebuilds the assistant message. Text deltas are
+     * passed to onContentDelta as they arrive; tool calls are streamed as fragments
+     * (keyed by index) whose names and JSON arguments are concatenated.
+     * @param {Object} params - { model, messages, tools, tool_choice, temperature, max_tokens }
+     * @param {Function} onContentDelta - Called with each text fragment (optional)
+     * @returns {Object} - Assistant message { role, content, tool_calls? }
+     */
+    async streamChat(params, onContentDelta = null) {
+      const stream = await client.chat.completions.create({ ...params, stream: true });
+      let content = '';
+      const toolCalls = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          content += delta.content;
+          onContentDelta?.(delta.content);
+        }
+
+        for (const fragment of delta.tool_calls || []) {
+          if (!toolCalls[fragment.index]) {
+            toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+          }
+          const toolCall = toolCalls[fragment.index];
+          if (fragment.id) toolCall.id = fragment.id;
+          if (fragment.type) toolCall.type = fragment.type;
+          if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+          if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+        }
+      }
+
+      const message = { role: 'assistant', content: content || null };
+      const completedToolCalls = toolCalls.filter(Boolean);
+      if (completedToolCalls.length > 0) message.tool_calls = completedToolCalls;
+      return message;
+    }
+  };
+}
+
+// Replaces {{today}}, {{tomorrow}}, {{now}} and {{today+N}} / {{today-N}} (days) in script strings
+function expandPlaceholders(value, now) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*(today|tomorrow|now)\s*([+-]\s*\d+)?\s*\}\}/g, (match, base, offset) => {
+      const days = (base === 'tomorrow' ? 1 : 0) + (offset ? parseInt(offset.replace(/\s/g, ''), 10) : 0);
+      const moment = now.plus({ days });
+      return base === 'now' ? moment.toISO({ suppressMilliseconds: true }) : moment.toISODate();
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandPlaceholders(item, now));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandPlaceholders(item, now)]));
+  }
+  return value;
+}
+
+// True if a script rule applies to the user's message
+function ruleMatches(rule, userText) {
+  if (rule.match == null) return true;
+  const pattern = rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i');
+  return pattern.test(userText);
+}
+
+// Splits text into word-sized deltas so the mock exercises the streaming path
+function splitIntoDeltas(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Scripted provider for tests and offline development. A script is a list of rules:
+ *   { match: "regex" (tested against the latest user message; omit to match anything),
+ *     steps: [ { toolCalls: [{ name, arguments }], content? }, { content: "..." } ] }
+ * The first matching rule is used; step N answers the Nth model call after the user
+ * message, so a rule can call tools and then reply once their results are in. Content
+ * may also be a function of the message history when scripts are set from code.
+ * Requests without tools (history summaries) bypass the script and get the latest user
+ * message back, condensed.
+ * @param {Array<Object>} script - Rules (defaults to lib/data/mockScript.js)
+ * @returns {Object} - Provider { name, streamChat, setScript }
+ */
+function createMockProvider(script = defaultMockScript) {
+  let rules = script;
+
+  return {
+    name: 'mock',
+
+    setScript(nextScript) {
+      rules = nextScript;
+    },
+
+    async streamChat(params, onContentDelta = null) {
+      const messages = params.messages || [];
+      let lastUserIndex = -1;
+      messages.forEach((msg, index) => { if (msg.role === 'user') lastUserIndex = index; });
+      const userText = lastUserIndex >= 0 ? String(messages[lastUserIndex].content || '') : '';
+      const stepIndex = messages.slice(lastUserIndex + 1).filter(msg => msg.role === 'assistant').length;
+
+      if (!params.tools) {
+        const condensed = userText.replace(/\s+/g, ' ').trim().slice(0, MOCK_SUMMARY_CHARS);
+        for (const delta of splitIntoDeltas(condensed)) onContentDelta?.(delta);
+        return { role: 'assistant', content: condensed || null };
+      }
+
+      const rule = rules.find(candidate => ruleMatches(candidate, userText));
+      const step = rule?.steps?.[stepIndex]
+        || { content: rule ? 'Done.' : `(mock) I received: "${userText}"` };
+      const now = DateTime.now();
+
+      const content = typeof step.content === 'function'
+        ? step.content(messages)
+        : expandPlaceholders(step.content ?? null, now);
+      for (const delta of splitIntoDeltas(content || '')) onContentDelta?.(delta);
+
+      const message = { role: 'assistant', content: content || null };
+      if (step.toolCalls?.length > 0) {
+        // Deterministic IDs: the same script produces the same history
+        message.tool_calls = step.toolCalls.map((call, index) => ({
+          id: `mock_call_${lastUserIndex}_${stepIndex}_${index}`,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string'
+              ? expandPlaceholders(call.arguments, now)
+              : JSON.stringify(expandPlaceholders(call.arguments || {}, now))
+          }
+        }));
+      }
+      return message;
+    }
+  };
+}
+
+// Reads a mock script from a JSON file ({ rules: [...] } or a bare array)
+function loadMockScript(path) {
+  const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) throw new Error(`Mock script ${path} must be an array of rules or { rules: [...] }.`);
+  return rules;
+}
+
+/**
+ * Creates the provider configured for this deployment
+ * @param {string} name - Provider name (defaults to LLM_PROVIDER, then 'openai')
+ * @returns {Object} - Provider { name, streamChat }
+ */
+function createLLMProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+    case 'openai-compatible':
+      return createOpenAIProvider({
+        name,
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        baseURL: process.env.LLM_BASE_URL || DEFAULT_COMPATIBLE_BASE_URL
+      });
+    case 'mock':
+      return createMockProvider(process.env.LLM_MOCK_SCRIPT ? loadMockScript(process.env.LLM_MOCK_SCRIPT) : defaultMockScript);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${PROVIDERS.join(', ')}.`);
+  }
+}
+
+/**
+ * Gets the deployment's provider, creating it on first use (so importing the chatbot
+ * doesn't require an API key)
+ * @returns {Object} - Provider { name, streamChat }
+ */
+function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider();
+    console.log(`Using LLM provider "${activeProvider.name}"`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replaces the active provider (e.g. a mock with a test's script). Pass null to go back
+ * to the configured one.
+ * @param {Object} provider - Provider { name, streamChat } or null
+ */
+function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+export {
+  PROVIDERS,
+  createLLMProvider,
+  createMockProvider,
+  getLLMProvider,
+  setLLMProvider,
+  resolveModelSettings,
+  validateUserSettings,
+  expandPlaceholders
+};
@@ -0,0 +1,68 @@
+// lib/services/pendingActionService.js
+// Purpose: Stores destructive tool calls (deletes, bulk deletes, moves) that are waiting
+//          for the user to press Confirm or Cancel. Actions live in Redis with an expiry
+//          and can only be taken once, so a double click can't run them twice.
+import crypto from 'crypto';
+import redisClient from '../redisClient.js';
+
+const PENDING_ACTION_PREFIX = 'pending_action:';
+// How long the user has to confirm before the action has to be requested again
+const PENDING_ACTION_TTL_SECONDS = 10 * 60;
+
+/**
+ * Stores a pending action
+ * @param {Object} params - Action details
+ * @param {string} params.userId - User ID the action belongs to
+ * @param {string} params.toolName - Tool to run on confirmation
+ * @param {Object} params.args - Tool arguments
+ * @param {string} params.summary - One-line description shown to the user
+ * @param {Array} params.targets - Exact events affected ({ id, calendarId, summary, start, end })
+ * @param {Object} params.changes - Optional new values (e.g. { start, end } for a move)
+ * @param {string} params.conversationId - Conversation the action was requested in
+ * @param {string} params.toolCallId - Tool call that requested it (journals the confirmed run under it)
+ * @returns {Object} - The stored action, including actionId and expiresAt
+ */
+async function createPendingAction({ userId, toolName, args, summary, targets = [], changes = null, conversationId = null, toolCallId = null }) {
+  const now = Date.now();
+  const action = {
+    actionId: crypto.randomUUID(),
+    userId,
+    toolName,
+    args,
+    summary,
+    targets,
+    changes,
+    conversationId,
+    toolCallId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PENDING_ACTION_TTL_SECONDS * 1000).toISOString()
+  };
+  await redisClient.set(`${PENDING_ACTION_PREFIX}${action.actionId}`, JSON.stringify(action), 'EX', PENDING_ACTION_TTL_SECONDS);
+  console.log(`Stored pending action ${action.actionId} (${toolName}) for user ${userId}, expires ${action.expiresAt}`);
+  return action;
+}
+
+/**
+ * Removes and returns a pending action in one step
+ * @param {string} actionId - Action ID
+ * @param {string} userId - User ID; actions belonging to someone else are not returned
+ * @returns {Object|null} - The action, or null if it expired, was already taken or isn't the user's
+ */
+async function takePendingAction(actionId, userId) {
+  const key = `${PENDING_ACTION_PREFIX}${actionId}`;
+  const [[getError, data]] = await redisClient.multi().get(key).del(key).exec();
+  if (getError) throw getError;
+  if (!data) return null;
+
+  const action = JSON.parse(data);
+  if (action.userId !== userId) {
+    // Put it back untouched; the caller doesn't own it
+    const ttl = Math.max(1, Math.round((new Date(action.expiresAt).getTime() - Date.now()) / 1000));
+    await redisClient.set(key, data, 'EX', ttl);
+    console.warn(`User ${userId} tried to resolve pending action ${actionId} owned by ${action.userId}`);
+    return null;
+  }
+  return action;
+}
+
+export { createPendingAction, takePendingAction, PENDING_ACTION_TTL_SECONDS };
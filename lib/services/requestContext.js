@@ -0,0 +1,185 @@
+// lib/services/requestContext.js
+// Purpose: Per-request state for one chat turn. chat() creates a context and threads it
+//          through runConversation and processToolCalls, so concurrent users never share
+//          the stream callback or the data collected from tool results (this used to live
+//          in global.currentResponseCallback and global.pendingEventData).
+//
+//          Artifacts are structured tool outcomes, streamed to the client as typed SSE
+//          payloads as each tool finishes, so the chat can render cards from real Google
+//          event objects instead of reading them back out of the reply text:
+//            event_created      { event }             addCalendarEvents
+//            event_updated      { event }             updateCalendarEvent
+//            event_deleted      { event }             deleteCalendarEvent, deleteCalendarEventsByQuery
+//            events_listed      { events }            getCalendarEvents
+//            slots_suggested    { slots, source,      findAvailableSlots, findMeetingTime
+//                                 booking }
+//            conflict_detected  { change, summary,   addCalendarEvents (change 'add'), updateCalendarEvent
+//                                 start, end,          ('move'); conflicts are the events in the way,
+//                                 conflicts,           violations the scheduling constraints the time
+//                                 violations,          breaks, suggestions free slots nearby
+//                                 suggestions,
+//                                 booking }
+//
+//          booking is the event to create when the user picks one of the slots (everything
+//          but the time); the chat books it through /api/actions/book-slot. A blocked move has
+//          none, since booking a slot would add a second event rather than move the first.
+//          Event payloads carry the calendarId, priority and tags the tool was given, so cards
+//          can be edited in place (Google's event resource has none of them).
+
+/**
+ * Creates the context for one chat request
+ * @param {Object} params - { userId, accessToken, conversationId, user, emit }
+ *   emit: the stream callback (null when the caller isn't streaming)
+ * @returns {Object} - Request context
+ */
+function createRequestContext({ userId, accessToken = null, conversationId = null, user = null, emit = null } = {}) {
+  return {
+    userId,
+    accessToken,
+    tokens: accessToken ? { access_token: accessToken } : null,
+    conversationId,
+    user,
+    emit,
+    artifacts: [] // Typed payloads, in the order the tools produced them
+  };
+}
+
+// Event fields a slot booking may carry (start and end come from the chosen slot)
+const BOOKING_FIELDS = ['summary', 'description', 'location', 'calendarId', 'attendees', 'reminders', 'priority', 'tags'];
+
+/**
+ * Picks the event details to book a suggested slot with
+ * @param {Object} details - Requested event (or tool arguments)
+ * @returns {Object|null} - { summary, ... } or null without a summary
+ */
+function toBookingTemplate(details) {
+  if (!details?.summary || typeof details.summary !== 'string') return null;
+  const booking = {};
+  for (const field of BOOKING_FIELDS) {
+    if (details[field] !== undefined && details[field] !== null) booking[field] = details[field];
+  }
+  return booking;
+}
+
+// Title for slots found without one: the activity ("workout" -> "Workout")
+function bookingFromSlotSearch(toolName, args = {}) {
+  const activity = typeof args.activity === 'string' && args.activity.trim() ? args.activity.trim() : null;
+  const summary = args.summary || (activity ? activity.charAt(0).toUpperCase() + activity.slice(1) : null);
+  return toBookingTemplate({
+    summary,
+    // The slots left travel time for this place
+    location: typeof args.location === 'string' && args.location.trim() ? args.location.trim() : undefined,
+    // A meeting time only works if the people it was found for are invited
+    attendees: toolName === 'findMeetingTime' ? args.attendees : undefined
+  });
+}
+
+// Strips the flags tools add to Google's event object
+function toEvent({ success, ...event }) {
+  return event;
+}
+
+// Adds what the app knows about an event beyond Google's resource (see the header)
+function withEventDetails(event, { calendarId, priority, tags } = {}) {
+  const details = { calendarId: event.calendarId || calendarId || 'primary' };
+  if (priority !== undefined) details.priority = priority;
+  if (tags !== undefined) details.tags = tags;
+  return { ...event, ...details };
+}
+
+/**
+ * Builds the typed payloads for one tool result (none for failures, previews awaiting
+ * confirmation, or tools without calendar outcomes)
+ * @param {string} toolName - Tool that ran
+ * @param {*} result - The tool's raw result
+ * @param {Object} args - Arguments the tool was called with
+ * @returns {Array<Object>} - Payloads ({ type, ... })
+ */
+function toolOutcomePayloads(toolName, result, args = {}) {
+  if (result == null || result.requiresConfirmation || (result.error && !result.conflict)) return [];
+
+  switch (toolName) {
+    case 'addCalendarEvents':
+      if (!Array.isArray(result)) return [];
+      // Results line up with the requested events
+      return result.flatMap((item, index) => {
+        if (item?.success && item.id) {
+          return [{ type: 'event_created', event: withEventDetails(toEvent(item), args.events?.[index]) }];
+        }
+        if (item?.conflict) {
+          return [{
+            type: 'conflict_detected',
+            change: 'add',
+            summary: item.summary,
+            start: item.start,
+            end: item.end,
+            conflicts: item.conflictingEvents || [],
+            violations: item.violations || [],
+            suggestions: item.suggestions || [],
+            booking: toBookingTemplate(item.requested)
+          }];
+        }
+        return [];
+      });
+    case 'updateCalendarEvent':
+      if (result.conflict) {
+        return [{
+          type: 'conflict_detected',
+          change: 'move',
+          summary: result.summary,
+          start: result.start,
+          end: result.end,
+          conflicts: result.conflictingEvents || [],
+          violations: result.violations || [],
+          suggestions: result.suggestions || [],
+          booking: null
+        }];
+      }
+      if (!result.id) return [];
+      return [{
+        type: 'event_updated',
+        event: withEventDetails(toEvent(result), { calendarId: args.calendarId, priority: args.updates?.priority, tags: args.updates?.tags })
+      }];
+    case 'deleteCalendarEvent':
+      return result.success && result.event ? [{ type: 'event_deleted', event: result.event }] : [];
+    case 'deleteCalendarEventsByQuery':
+      return (result.deletedEvents || []).map(event => ({ type: 'event_deleted', event }));
+    case 'getCalendarEvents': {
+      const events = Array.isArray(result) ? result : result.events;
+      return Array.isArray(events) && events.length > 0 ? [{ type: 'events_listed', events }] : [];
+    }
+    case 'findAvailableSlots':
+    case 'findMeetingTime': {
+      const slots = Array.isArray(result) ? result : result.slots;
+      if (!Array.isArray(slots) || slots.length === 0) return [];
+      return [{ type: 'slots_suggested', slots, source: toolName, booking: bookingFromSlotSearch(toolName, args) }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Records the structured outcome of a tool call on the context and streams it
+ * @param {Object} context - Request context
+ * @param {string} toolName - Tool that ran
+ * @param {*} result - The tool's raw result
+ * @param {Object} args - Arguments the tool was called with
+ * @returns {Array<Object>} - The payloads recorded
+ */
+function collectToolArtifacts(context, toolName, result, args = {}) {
+  if (!context) return [];
+  const payloads = toolOutcomePayloads(toolName, result, args);
+  for (const payload of payloads) {
+    context.artifacts.push(payload);
+    context.emit?.(payload);
+  }
+  return payloads;
+}
+
+export {
+  createRequestContext,
+  toBookingTemplate,
+  toolOutcomePayloads,
+  collectToolArtifacts
+};
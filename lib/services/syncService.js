@@ -0,0 +1,336 @@
+// lib/services/syncService.js
+// Purpose: Keeps a Postgres mirror of the user's Google Calendar events (calendar_events)
+//          current using Google's syncToken incremental sync, and serves range reads
+//          from it so tool calls don't re-list events from the API every time.
+import { DateTime } from 'luxon';
+import { Op } from 'sequelize';
+import { sequelize, CalendarEvent, CalendarSyncState } from '../postgresClient.js';
+import { listEventChanges } from '../../googleCalendar.js';
+import { getCachedEventsForCalendars } from './cacheService.js';
+import { getUserTimezone, convertToUTCISOString } from '../tools/timeUtils.js';
+import { getTimezoneForUser } from '../tools/userTimezone.js';
+
+// How far back a full sync reaches; older ranges are read through the API cache instead
+const SYNC_WINDOW_MONTHS = 6;
+// A mirror synced within this window is served without asking Google for changes
+const MAX_SYNC_AGE_MS = 60 * 1000;
+
+// Syncs currently running, keyed by user and calendar, so concurrent tool calls share one
+const inFlightSyncs = new Map();
+
+/**
+ * Checks whether a Google API error is the 410 Gone returned for an expired sync token
+ * @param {Error} error - Error thrown by googleapis
+ * @returns {boolean} - True if a full resync is required
+ */
+function isSyncTokenExpired(error) {
+  return error?.code === 410 || error?.response?.status === 410;
+}
+
+/**
+ * Converts a Google event resource to a calendar_events row
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar the event belongs to
+ * @param {Object} event - Google event resource
+ * @param {string} calendarTimezone - The calendar's timezone, used for all-day events
+ * @returns {Object|null} - Row values, or null if the event has no usable start/end
+ */
+function toMirrorRow(userId, calendarId, event, calendarTimezone = null) {
+  const isAllDay = !event.start?.dateTime && !!event.start?.date;
+  // All-day events have no zone of their own; anchor them to the calendar's day
+  const zone = event.start?.timeZone || getUserTimezone(calendarTimezone);
+  const start = DateTime.fromISO(event.start?.dateTime || event.start?.date, { zone });
+  const end = DateTime.fromISO(event.end?.dateTime || event.end?.date, { zone });
+  if (!start.isValid || !end.isValid) return null;
+
+  return {
+    user_id: userId,
+    google_calendar_id: calendarId,
+    google_event_id: event.id,
+    recurring_event_id: event.recurringEventId || null,
+    status: event.status || 'confirmed',
+    summary: event.summary || null,
+    start_time: start.toJSDate(),
+    end_time: end.toJSDate(),
+    is_all_day: isAllDay,
+    raw_event: { ...event, calendarId },
+    google_updated_at: event.updated ? new Date(event.updated) : null
+  };
+}
+
+/**
+ * Applies a batch of changed events to the mirror. Cancelled items remove the row; a
+ * cancelled series master also removes every stored instance of the series.
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @param {Array} items - Events from listEventChanges
+ * @param {Object} transaction - Sequelize transaction
+ * @param {string} calendarTimezone - The calendar's timezone (from the listing)
+ * @returns {Object} - { upserted, removed }
+ */
+async function applyEventChanges(userId, calendarId, items, transaction, calendarTimezone = null) {
+  let upserted = 0;
+  let removed = 0;
+
+  for (const event of items) {
+    if (event.status === 'cancelled') {
+      removed += await CalendarEvent.destroy({
+        where: {
+          user_id: userId,
+          google_calendar_id: calendarId,
+          [Op.or]: [{ google_event_id: event.id }, { recurring_event_id: event.id }]
+        },
+        transaction
+      });
+      continue;
+    }
+
+    const row = toMirrorRow(userId, calendarId, event, calendarTimezone);
+    if (!row) {
+      console.warn(`Skipping event ${event.id} on calendar ${calendarId}: missing start/end`);
+      continue;
+    }
+    await CalendarEvent.upsert(row, {
+      conflictFields: ['user_id', 'google_calendar_id', 'google_event_id'],
+      transaction
+    });
+    upserted++;
+  }
+
+  return { upserted, removed };
+}
+
+/**
+ * Lists every page of changes for a calendar
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} options - { syncToken } for incremental, { timeMin } for a full sync
+ * @returns {Object} - { items, nextSyncToken, timeZone }
+ */
+async function listAllEventChanges(tokens, calendarId, options) {
+  const items = [];
+  let pageToken;
+  let nextSyncToken;
+  let timeZone;
+  do {
+    const page = await listEventChanges(tokens, calendarId, { ...options, pageToken });
+    items.push(...page.items);
+    pageToken = page.nextPageToken;
+    nextSyncToken = page.nextSyncToken;
+    timeZone = timeZone || page.timeZone;
+  } while (pageToken);
+  return { items, nextSyncToken, timeZone };
+}
+
+/**
+ * Replaces the mirror for a calendar with a fresh listing from Google
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} state - CalendarSyncState row
+ * @returns {Object} - Sync summary
+ */
+async function runFullSync(userId, tokens, calendarId, state) {
+  const windowStart = DateTime.utc().minus({ months: SYNC_WINDOW_MONTHS }).startOf('day');
+  const { items, nextSyncToken, timeZone } = await listAllEventChanges(tokens, calendarId, { timeMin: windowStart.toISO() });
+
+  const result = await sequelize.transaction(async transaction => {
+    await CalendarEvent.destroy({ where: { user_id: userId, google_calendar_id: calendarId }, transaction });
+    const applied = await applyEventChanges(userId, calendarId, items, transaction, timeZone);
+    const now = new Date();
+    await state.update({
+      sync_token: nextSyncToken || null,
+      window_start: windowStart.toJSDate(),
+      last_full_sync_at: now,
+      last_synced_at: now,
+      is_stale: false
+    }, { transaction });
+    return applied;
+  });
+
+  console.log(`Full sync of calendar ${calendarId} for user ${userId}: ${result.upserted} events stored`);
+  return { calendarId, type: 'full', ...result };
+}
+
+/**
+ * Pulls only what changed since the stored sync token
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} state - CalendarSyncState row
+ * @returns {Object} - Sync summary
+ */
+async function runIncrementalSync(userId, tokens, calendarId, state) {
+  const { items, nextSyncToken, timeZone } = await listAllEventChanges(tokens, calendarId, { syncToken: state.sync_token });
+
+  const result = await sequelize.transaction(async transaction => {
+    const applied = await applyEventChanges(userId, calendarId, items, transaction, timeZone);
+    await state.update({
+      sync_token: nextSyncToken || state.sync_token,
+      last_synced_at: new Date(),
+      is_stale: false
+    }, { transaction });
+    return applied;
+  });
+
+  console.log(`Incremental sync of calendar ${calendarId} for user ${userId}: ${result.upserted} updated, ${result.removed} removed`);
+  return { calendarId, type: 'incremental', ...result };
+}
+
+/**
+ * Brings the mirror for one calendar up to date. Uses the stored sync token when there is
+ * one and falls back to a full resync when there isn't, or when Google reports it expired (410).
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {Object} options - { force } to always run a full sync
+ * @returns {Object} - { calendarId, type: 'full'|'incremental', upserted, removed }
+ */
+async function syncCalendar(userId, tokens, calendarId = 'primary', options = {}) {
+  const key = `${userId}|${calendarId}`;
+  if (inFlightSyncs.has(key)) return inFlightSyncs.get(key);
+
+  const syncPromise = (async () => {
+    const [state] = await CalendarSyncState.findOrCreate({
+      where: { user_id: userId, google_calendar_id: calendarId },
+      defaults: { user_id: userId, google_calendar_id: calendarId, is_stale: true }
+    });
+
+    if (options.force || !state.sync_token) {
+      return runFullSync(userId, tokens, calendarId, state);
+    }
+    try {
+      return await runIncrementalSync(userId, tokens, calendarId, state);
+    } catch (error) {
+      if (!isSyncTokenExpired(error)) throw error;
+      console.warn(`Sync token for calendar ${calendarId} expired (410 Gone); running full resync`);
+      return runFullSync(userId, tokens, calendarId, state);
+    }
+  })();
+
+  inFlightSyncs.set(key, syncPromise);
+  try {
+    return await syncPromise;
+  } finally {
+    inFlightSyncs.delete(key);
+  }
+}
+
+/**
+ * Syncs any of the given calendars whose mirror is stale or older than maxAgeMs.
+ * Sync failures are logged rather than thrown; those calendars are left out of the result.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Array<string>} calendarIds - Calendars to check
+ * @param {Object} options - { maxAgeMs }
+ * @returns {Map<string, Object>} - calendarId -> CalendarSyncState for calendars the mirror can serve
+ */
+async function ensureSynced(userId, tokens, calendarIds, options = {}) {
+  const maxAgeMs = options.maxAgeMs ?? MAX_SYNC_AGE_MS;
+  const states = await CalendarSyncState.findAll({
+    where: { user_id: userId, google_calendar_id: calendarIds }
+  });
+  const stateById = new Map(states.map(state => [state.google_calendar_id, state]));
+  const ready = new Map();
+
+  await Promise.all(calendarIds.map(async calendarId => {
+    const state = stateById.get(calendarId);
+    const age = state?.last_synced_at ? Date.now() - new Date(state.last_synced_at).getTime() : Infinity;
+    if (state?.sync_token && !state.is_stale && age <= maxAgeMs) {
+      ready.set(calendarId, state);
+      return;
+    }
+    try {
+      await syncCalendar(userId, tokens, calendarId);
+      const refreshed = await CalendarSyncState.findOne({ where: { user_id: userId, google_calendar_id: calendarId } });
+      if (refreshed) ready.set(calendarId, refreshed);
+    } catch (error) {
+      console.error(`Error syncing calendar ${calendarId} for user ${userId}:`, error);
+      // A previously synced mirror is still better than nothing if Google is unreachable
+      if (state?.last_synced_at) ready.set(calendarId, state);
+    }
+  }));
+
+  return ready;
+}
+
+/**
+ * Gets events overlapping a range from the local mirror, syncing first if needed. Calendars
+ * that can't be mirrored (no DB user, sync failure, range before the sync window) are read
+ * through the API cache instead, so callers always get a complete list.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} start_date - Range start (ISO 8601)
+ * @param {string} end_date - Range end (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars to read (defaults to ['primary'])
+ * @returns {Array} - Google event resources tagged with calendarId, sorted by start time
+ */
+async function getEventsForRange(userId, tokens, start_date, end_date, calendarIds = ['primary']) {
+  const ids = Array.isArray(calendarIds) && calendarIds.length > 0 ? [...new Set(calendarIds)] : ['primary'];
+  if (!userId || userId === 'default') {
+    return getCachedEventsForCalendars(tokens, start_date, end_date, ids);
+  }
+
+  const userTimezone = await getTimezoneForUser(userId);
+  const startIso = typeof start_date === 'string' ? convertToUTCISOString(start_date, userTimezone) || start_date : start_date;
+  const endIso = typeof end_date === 'string' ? convertToUTCISOString(end_date, userTimezone) || end_date : end_date;
+  const rangeStart = new Date(startIso);
+  const rangeEnd = new Date(endIso);
+
+  let ready = new Map();
+  try {
+    ready = await ensureSynced(userId, tokens, ids);
+  } catch (error) {
+    console.error(`Error preparing event mirror for user ${userId}:`, error);
+  }
+
+  const mirroredIds = ids.filter(id => {
+    const state = ready.get(id);
+    return state && (!state.window_start || new Date(state.window_start) <= rangeStart);
+  });
+  const fallbackIds = ids.filter(id => !mirroredIds.includes(id));
+
+  let events = [];
+  if (mirroredIds.length > 0) {
+    const rows = await CalendarEvent.findAll({
+      where: {
+        user_id: userId,
+        google_calendar_id: mirroredIds,
+        status: { [Op.ne]: 'cancelled' },
+        start_time: { [Op.lt]: rangeEnd },
+        end_time: { [Op.gt]: rangeStart }
+      },
+      order: [['start_time', 'ASC']]
+    });
+    events = rows.map(row => ({ ...row.raw_event, calendarId: row.google_calendar_id }));
+    console.log(`Read ${events.length} events from mirror for ${mirroredIds.join(', ')} (${startIso} to ${endIso})`);
+  }
+
+  if (fallbackIds.length > 0) {
+    console.log(`Reading ${fallbackIds.join(', ')} through the API cache (not mirrored for this range)`);
+    events = events.concat(await getCachedEventsForCalendars(tokens, startIso, endIso, fallbackIds, userTimezone));
+  }
+
+  const startOf = event => DateTime.fromISO(event.start?.dateTime || event.start?.date).toMillis() || 0;
+  return events.sort((a, b) => startOf(a) - startOf(b));
+}
+
+/**
+ * Flags calendars as behind Google so the next read pulls changes first. Call after any write.
+ * @param {string} userId - User ID
+ * @param {string|Array<string>} calendarIds - Calendar ID(s) that were modified
+ */
+async function markCalendarStale(userId, calendarIds = 'primary') {
+  if (!userId || userId === 'default') return;
+  const ids = Array.isArray(calendarIds) ? calendarIds : [calendarIds || 'primary'];
+  try {
+    await CalendarSyncState.update(
+      { is_stale: true },
+      { where: { user_id: userId, google_calendar_id: ids } }
+    );
+  } catch (error) {
+    console.error(`Error marking calendars ${ids.join(', ')} stale for user ${userId}:`, error);
+  }
+}
+
+export { syncCalendar, ensureSynced, getEventsForRange, markCalendarStale };
@@ -0,0 +1,347 @@
+// lib/services/taskService.js
+// Purpose: Deadline-driven tasks. Stores tasks (effort, deadline, priority) and books work
+//          blocks for them in the user's free working time (see tools/taskPlanner.js). A block
+//          is a normal calendar event whose calendar_event_metadata row carries the task_id,
+//          deadline, priority and task_status. Blocks that have started are kept as work done;
+//          future ones are moved whenever a plan is redone, e.g. when a meeting lands on one.
+import { DateTime } from 'luxon';
+import { Op } from 'sequelize';
+import { Task, CalendarEventMetadata, createOrUpdateEventMetadata, getEventMetadataBatch } from '../postgresClient.js';
+import { insertCalendarEvent, deleteCalendarEvent } from '../../googleCalendar.js';
+import { invalidateCache } from './cacheService.js';
+import { getEventsForRange, markCalendarStale } from './syncService.js';
+import { recordMutations } from './journalService.js';
+import { getTimezoneForUser } from '../tools/userTimezone.js';
+import { getSchedulingConstraints } from '../tools/userConstraints.js';
+import { getSelectedCalendarIds } from '../tools/calendarSelection.js';
+import { toBusyEvents } from '../tools/schedulingConstraints.js';
+import { planTaskBlocks } from '../tools/taskPlanner.js';
+
+// Statuses that still need work blocks
+const OPEN_STATUSES = ['Not Started', 'In Progress'];
+const BLOCK_PREFIX = 'Work on: ';
+
+/**
+ * Stores new tasks
+ * @param {string} userId - User ID
+ * @param {Array<Object>} tasks - { title, notes, effortMinutes, maxBlockMinutes, deadline (Date), priority, calendarId }
+ * @returns {Array<Object>} - Created Task rows
+ */
+async function createTasks(userId, tasks) {
+  return Task.bulkCreate(tasks.map(task => ({
+    user_id: userId,
+    title: task.title,
+    notes: task.notes || null,
+    effort_minutes: task.effortMinutes,
+    max_block_minutes: task.maxBlockMinutes || undefined,
+    deadline: task.deadline,
+    priority: task.priority || 'Medium',
+    google_calendar_id: task.calendarId || 'primary'
+  })), { returning: true });
+}
+
+/**
+ * Finds one of the user's tasks by ID or, failing that, by title (exact match first,
+ * then the open task whose title contains the text)
+ * @param {string} userId - User ID
+ * @param {Object} query - { taskId, title }
+ * @returns {Object|null} - Task row
+ */
+async function findTask(userId, { taskId, title } = {}) {
+  if (taskId) return Task.findOne({ where: { user_id: userId, task_id: taskId } });
+  if (!title) return null;
+  const exact = await Task.findOne({ where: { user_id: userId, title: { [Op.iLike]: title.trim() } }, order: [['created_at', 'DESC']] });
+  if (exact) return exact;
+  return Task.findOne({
+    where: { user_id: userId, status: OPEN_STATUSES, title: { [Op.iLike]: `%${title.trim()}%` } },
+    order: [['deadline', 'ASC']]
+  });
+}
+
+/**
+ * Lists the user's tasks, soonest deadline first
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeClosed: also list completed, blocked and deferred tasks }
+ * @returns {Array<Object>} - Task rows
+ */
+async function listTasks(userId, { includeClosed = false } = {}) {
+  return Task.findAll({
+    where: includeClosed ? { user_id: userId } : { user_id: userId, status: OPEN_STATUSES },
+    order: [['deadline', 'ASC'], ['created_at', 'ASC']]
+  });
+}
+
+/**
+ * Work blocks booked for tasks (their metadata rows), earliest first
+ * @param {string} userId - User ID
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Array<Object>} - CalendarEventMetadata rows
+ */
+async function getTaskBlocks(userId, taskIds) {
+  if (taskIds.length === 0) return [];
+  return CalendarEventMetadata.findAll({
+    where: { user_id: userId, task_id: taskIds },
+    order: [['start_time_cached', 'ASC']]
+  });
+}
+
+/**
+ * IDs of the events among a list that are task work blocks
+ * @param {string} userId - User ID
+ * @param {Array<Object>} events - Google events (tagged with calendarId)
+ * @returns {Set<string>}
+ */
+async function findTaskBlockIds(userId, events) {
+  if (!userId || userId === 'default' || events.length === 0) return new Set();
+  const calendarIds = [...new Set(events.map(event => event.calendarId || 'primary'))];
+  const rows = await getEventMetadataBatch(userId, events.map(event => event.id), calendarIds);
+  return new Set(rows.filter(row => row.task_id).map(row => row.google_event_id));
+}
+
+/**
+ * A task as tool results show it
+ * @param {Object} task - Task row
+ * @param {Array<Object>} blocks - The task's metadata rows
+ * @returns {Object}
+ */
+function toTaskSummary(task, blocks = []) {
+  const now = new Date();
+  const minutesOf = block => (block.end_time_cached - block.start_time_cached) / 60000;
+  return {
+    taskId: task.task_id,
+    title: task.title,
+    notes: task.notes,
+    effortMinutes: task.effort_minutes,
+    deadline: task.deadline.toISOString(),
+    priority: task.priority,
+    status: task.status,
+    completedAt: task.completed_at ? task.completed_at.toISOString() : null,
+    doneMinutes: blocks.filter(block => block.end_time_cached <= now).reduce((sum, block) => sum + minutesOf(block), 0),
+    scheduledMinutes: blocks.reduce((sum, block) => sum + minutesOf(block), 0),
+    blocks: blocks.map(block => ({
+      eventId: block.google_event_id,
+      calendarId: block.google_calendar_id,
+      start: block.start_time_cached.toISOString(),
+      end: block.end_time_cached.toISOString()
+    }))
+  };
+}
+
+// Deletes work blocks from the calendar (journaled) along with their metadata
+async function removeBlocks(tokens, blocks, journal) {
+  for (const block of blocks) {
+    const result = await deleteCalendarEvent(tokens, block.google_event_id, block.google_calendar_id);
+    if (result.success) {
+      await recordMutations(journal, block.google_calendar_id, [{ operation: 'delete', eventId: block.google_event_id, before: result.event }]);
+    } else {
+      // Usually deleted in Google already; the metadata goes either way
+      console.warn(`Could not delete work block ${block.google_event_id}: ${result.error}`);
+    }
+    await block.destroy();
+  }
+}
+
+// Clears the cached ranges the blocks were in and flags their calendars for a sync
+async function refreshCalendars(userId, tokens, ranges) {
+  const timezone = await getTimezoneForUser(userId);
+  for (const range of ranges) {
+    try {
+      await invalidateCache(tokens, range.start, range.end, range.calendarId, { timezone });
+    } catch (cacheError) {
+      console.error('Error invalidating cache after planning tasks:', cacheError);
+    }
+  }
+  if (ranges.length > 0) {
+    await markCalendarStale(userId, [...new Set(ranges.map(range => range.calendarId))]);
+  }
+}
+
+/**
+ * Books work blocks for open tasks, redoing their future blocks. Blocks that have started
+ * are kept and count as work done; the rest of each task's effort is placed before its
+ * deadline around the user's events (and other tasks' blocks), following their working
+ * hours, lunch and blackouts.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} options - { taskIds (defaults to every open task), journal (from createJournalContext) }
+ * @returns {Array<Object>} - Per task: toTaskSummary plus unplacedMinutes (effort that no longer
+ *                            fits before the deadline)
+ */
+async function planTasks(userId, tokens, { taskIds = null, journal = null } = {}) {
+  const where = { user_id: userId, status: OPEN_STATUSES };
+  if (taskIds) where.task_id = taskIds;
+  const tasks = await Task.findAll({ where });
+  if (tasks.length === 0) return [];
+
+  const timezone = await getTimezoneForUser(userId);
+  const constraints = await getSchedulingConstraints(userId);
+  const now = DateTime.now().setZone(timezone);
+
+  // Keep what has started, clear what hasn't
+  const existing = await getTaskBlocks(userId, tasks.map(task => task.task_id));
+  const started = existing.filter(block => block.start_time_cached <= now.toJSDate());
+  const future = existing.filter(block => block.start_time_cached > now.toJSDate());
+  await removeBlocks(tokens, future, journal);
+  const removedIds = new Set(future.map(block => block.google_event_id));
+
+  const latestDeadline = DateTime.max(...tasks.map(task => DateTime.fromJSDate(task.deadline)));
+  const ranges = future.map(block => ({
+    start: block.start_time_cached.toISOString(),
+    end: block.end_time_cached.toISOString(),
+    calendarId: block.google_calendar_id
+  }));
+
+  let events = [];
+  if (latestDeadline > now) {
+    const calendarIds = [...new Set([...(await getSelectedCalendarIds(userId)), ...tasks.map(task => task.google_calendar_id)])];
+    // Blocks were just deleted, so read Google's changes first
+    await markCalendarStale(userId, calendarIds);
+    events = (await getEventsForRange(userId, tokens, now.toISO(), latestDeadline.toISO(), calendarIds))
+      .filter(event => !removedIds.has(event.id));
+  }
+
+  const doneMinutes = taskId => started
+    .filter(block => block.task_id === taskId)
+    .reduce((sum, block) => sum + (block.end_time_cached - block.start_time_cached) / 60000, 0);
+  const { blocks, unplaced } = planTaskBlocks({
+    tasks: tasks.map(task => ({
+      id: task.task_id,
+      remainingMinutes: Math.max(0, task.effort_minutes - doneMinutes(task.task_id)),
+      deadline: DateTime.fromJSDate(task.deadline).setZone(timezone),
+      priority: task.priority,
+      maxBlockMinutes: task.max_block_minutes
+    })),
+    busy: toBusyEvents(events, timezone),
+    constraints,
+    now
+  });
+
+  const results = [];
+  for (const task of tasks) {
+    if (task.status === 'Not Started' && started.some(block => block.task_id === task.task_id)) {
+      await task.update({ status: 'In Progress' });
+    }
+    const calendarId = task.google_calendar_id;
+    const deadlineText = DateTime.fromJSDate(task.deadline).setZone(timezone).toFormat("ccc, LLL d 'at' h:mm a");
+    for (const block of blocks.filter(planned => planned.taskId === task.task_id)) {
+      try {
+        const event = await insertCalendarEvent(tokens, {
+          summary: `${BLOCK_PREFIX}${task.title}`,
+          description: `Work block for "${task.title}" (due ${deadlineText}). Booked by the assistant; ` +
+            'it moves if something else is scheduled over it.',
+          start: { dateTime: block.start.toISO(), timeZone: timezone },
+          end: { dateTime: block.end.toISO(), timeZone: timezone }
+        }, calendarId);
+        await createOrUpdateEventMetadata(userId, event.id, {
+          taskId: task.task_id,
+          priority: task.priority,
+          deadline: task.deadline,
+          taskStatus: task.status,
+          summary: event.summary,
+          start: block.start.toJSDate(),
+          end: block.end.toJSDate()
+        }, calendarId);
+        await recordMutations(journal, calendarId, [{ operation: 'create', eventId: event.id, after: event }]);
+        ranges.push({ start: block.start.toISO(), end: block.end.toISO(), calendarId });
+      } catch (error) {
+        console.error(`Error booking work block for task "${task.title}":`, error);
+        unplaced.push({ taskId: task.task_id, minutes: block.end.diff(block.start, 'minutes').minutes });
+      }
+    }
+
+    const unplacedMinutes = unplaced
+      .filter(item => item.taskId === task.task_id)
+      .reduce((sum, item) => sum + item.minutes, 0);
+    results.push({ ...toTaskSummary(task, await getTaskBlocks(userId, [task.task_id])), unplacedMinutes });
+  }
+
+  await refreshCalendars(userId, tokens, ranges);
+  return results;
+}
+
+/**
+ * Marks a task complete: its future work blocks are removed and the ones already worked
+ * are marked Completed too
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} task - Task row
+ * @param {Object} journal - From createJournalContext
+ * @returns {Object} - toTaskSummary of the completed task, plus removedBlocks
+ */
+async function completeTask(userId, tokens, task, journal = null) {
+  const now = new Date();
+  const blocks = await getTaskBlocks(userId, [task.task_id]);
+  const future = blocks.filter(block => block.start_time_cached > now);
+  await removeBlocks(tokens, future, journal);
+
+  await task.update({ status: 'Completed', completed_at: now });
+  await CalendarEventMetadata.update(
+    { task_status: 'Completed' },
+    { where: { user_id: userId, task_id: task.task_id } }
+  );
+  await refreshCalendars(userId, tokens, future.map(block => ({
+    start: block.start_time_cached.toISOString(),
+    end: block.end_time_cached.toISOString(),
+    calendarId: block.google_calendar_id
+  })));
+
+  const kept = blocks.filter(block => block.start_time_cached <= now);
+  return { ...toTaskSummary(task, kept), removedBlocks: future.length };
+}
+
+/**
+ * Moves future work blocks that other events now overlap (a meeting booked or accepted on
+ * top of one), re-planning the tasks they belong to
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} journal - From createJournalContext (the moves join the change that caused them)
+ * @returns {Array<Object>} - planTasks results for the moved tasks, each with disturbedBy
+ *                            (IDs of the events that overlapped its blocks)
+ */
+async function replanDisturbedTasks(userId, tokens, journal = null) {
+  if (!userId || userId === 'default') return [];
+  try {
+    const now = new Date();
+    const blocks = await CalendarEventMetadata.findAll({
+      where: { user_id: userId, task_id: { [Op.ne]: null }, start_time_cached: { [Op.gt]: now } },
+      include: [{ model: Task, where: { status: OPEN_STATUSES }, attributes: [] }]
+    });
+    if (blocks.length === 0) return [];
+
+    const blockIds = new Set(blocks.map(block => block.google_event_id));
+    const rangeEnd = new Date(Math.max(...blocks.map(block => block.end_time_cached.getTime())));
+    const calendarIds = [...new Set([...(await getSelectedCalendarIds(userId)), ...blocks.map(block => block.google_calendar_id)])];
+    const events = (await getEventsForRange(userId, tokens, now.toISOString(), rangeEnd.toISOString(), calendarIds))
+      .filter(event => !blockIds.has(event.id) && event.start?.dateTime && event.transparency !== 'transparent' &&
+        !event.attendees?.some(attendee => attendee.self && attendee.responseStatus === 'declined'));
+
+    const disturbedBy = new Map();
+    for (const block of blocks) {
+      const overlapping = events.filter(event =>
+        new Date(event.start.dateTime) < block.end_time_cached && new Date(event.end.dateTime) > block.start_time_cached);
+      if (overlapping.length === 0) continue;
+      disturbedBy.set(block.task_id, [...(disturbedBy.get(block.task_id) || []), ...overlapping.map(event => event.id)]);
+    }
+    if (disturbedBy.size === 0) return [];
+
+    console.log(`Re-planning ${disturbedBy.size} task(s) whose work blocks were booked over`);
+    const planned = await planTasks(userId, tokens, { taskIds: [...disturbedBy.keys()], journal });
+    return planned.map(task => ({ ...task, disturbedBy: [...new Set(disturbedBy.get(task.taskId))] }));
+  } catch (error) {
+    // The change that disturbed the blocks already happened; don't fail it
+    console.error(`Error re-planning tasks for user ${userId}:`, error);
+    return [];
+  }
+}
+
+export {
+  createTasks,
+  findTask,
+  listTasks,
+  getTaskBlocks,
+  findTaskBlockIds,
+  toTaskSummary,
+  planTasks,
+  completeTask,
+  replanDisturbedTasks
+};
@@ -0,0 +1,284 @@
+// lib/services/travelService.js
+// Purpose: Travel-time provider layer and travel blocks. Conflict checks and slot searches
+//          ask a provider how long it takes to get between two event locations, so a
+//          deployment can use the offline estimate (geocode table + straight-line distance,
+//          see tools/travelTime.js) or a routing API.
+//
+//          Configuration (per deployment):
+//            TRAVEL_PROVIDER      offline (default) | google
+//            GOOGLE_MAPS_API_KEY  API key for google (Distance Matrix API). Trips it can't
+//                                 route fall back to the offline estimate.
+//
+//          Travel blocks are "Travel to ..." events on the user's primary calendar, tagged
+//          with the private extended property travelBlock. When the user turns them on in
+//          their travel settings, a day's blocks are redone whenever an in-person event on it
+//          is added, moved or deleted.
+import { DateTime } from 'luxon';
+import { insertCalendarEvent, deleteCalendarEvent } from '../../googleCalendar.js';
+import { invalidateCache } from './cacheService.js';
+import { getEventsForRange, markCalendarStale } from './syncService.js';
+import { recordMutations } from './journalService.js';
+import { getTimezoneForUser } from '../tools/userTimezone.js';
+import { getTravelSettings } from '../tools/userConstraints.js';
+import { getSelectedCalendarIds } from '../tools/calendarSelection.js';
+import { estimateTravelOffline, isInPersonEvent, isInPersonLocation, isTravelBlock, planTravelBlocks } from '../tools/travelTime.js';
+
+const PROVIDERS = ['offline', 'google'];
+const GOOGLE_DISTANCE_MATRIX_URL = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+// Distance Matrix names for the travel modes
+const GOOGLE_MODES = { driving: 'driving', transit: 'transit', cycling: 'bicycling', walking: 'walking' };
+const BLOCK_CALENDAR_ID = 'primary';
+
+let activeProvider = null;
+
+/**
+ * Provider that estimates from the geocode table, without network access
+ * @returns {Object} - Provider { name, estimate(from, to, { mode, places }) }
+ */
+function createOfflineProvider() {
+  return {
+    name: 'offline',
+    estimate: async (from, to, options = {}) => estimateTravelOffline(from, to, options)
+  };
+}
+
+/**
+ * Provider that asks the Google Distance Matrix API, falling back to another provider for
+ * trips it can't route (or when the request fails)
+ * @param {Object} config - { apiKey, fallback (defaults to the offline provider) }
+ * @returns {Object} - Provider { name, estimate(from, to, { mode, places }) }
+ */
+function createGoogleMapsProvider({ apiKey, fallback = createOfflineProvider() }) {
+  if (!apiKey) throw new Error('TRAVEL_PROVIDER=google needs GOOGLE_MAPS_API_KEY.');
+  return {
+    name: 'google',
+    estimate: async (from, to, options = {}) => {
+      // The same place twice: no need to ask
+      const offline = await fallback.estimate(from, to, options);
+      if (offline?.minutes === 0) return offline;
+      try {
+        const params = new URLSearchParams({
+          origins: from,
+          destinations: to,
+          mode: GOOGLE_MODES[options.mode] || GOOGLE_MODES.driving,
+          key: apiKey
+        });
+        const response = await fetch(`${GOOGLE_DISTANCE_MATRIX_URL}?${params}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        const element = data.rows?.[0]?.elements?.[0];
+        if (data.status !== 'OK' || element?.status !== 'OK') throw new Error(element?.status || data.status);
+        return {
+          minutes: Math.ceil(element.duration.value / 60),
+          distanceKm: Math.round(element.distance.value / 100) / 10,
+          from: data.origin_addresses?.[0] || from,
+          to: data.destination_addresses?.[0] || to
+        };
+      } catch (error) {
+        console.warn(`Distance Matrix lookup failed for "${from}" -> "${to}" (${error.message}); using the ${fallback.name} estimate`);
+        return offline;
+      }
+    }
+  };
+}
+
+/**
+ * Creates the provider configured for this deployment
+ * @param {string} name - Provider name (defaults to TRAVEL_PROVIDER, then 'offline')
+ * @returns {Object} - Provider { name, estimate }
+ */
+function createTravelProvider(name = process.env.TRAVEL_PROVIDER || 'offline') {
+  switch (name) {
+    case 'offline':
+      return createOfflineProvider();
+    case 'google':
+      return createGoogleMapsProvider({ apiKey: process.env.GOOGLE_MAPS_API_KEY });
+    default:
+      throw new Error(`Unknown TRAVEL_PROVIDER "${name}". Use one of: ${PROVIDERS.join(', ')}.`);
+  }
+}
+
+/**
+ * Gets the deployment's provider, creating it on first use
+ * @returns {Object} - Provider { name, estimate }
+ */
+function getTravelProvider() {
+  if (!activeProvider) {
+    activeProvider = createTravelProvider();
+    console.log(`Using travel provider "${activeProvider.name}"`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replaces the active provider (e.g. a fixed table in a test). Pass null to go back to the
+ * configured one.
+ * @param {Object} provider - Provider { name, estimate } or null
+ */
+function setTravelProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Travel times for one operation, in the user's mode and with their places. Each trip is
+ * asked once.
+ * @param {Object} settings - User's travel settings
+ * @returns {Function} - async (from, to) => minutes, or null when unknown
+ */
+function createTravelEstimator(settings) {
+  const provider = getTravelProvider();
+  const trips = new Map();
+  return (from, to) => {
+    const key = `${from}\n${to}`;
+    if (!trips.has(key)) {
+      trips.set(key, provider.estimate(from, to, { mode: settings.mode, places: settings.places })
+        .then(result => result?.minutes ?? null)
+        .catch(error => {
+          console.error(`Error estimating travel from "${from}" to "${to}":`, error);
+          return null;
+        }));
+    }
+    return trips.get(key);
+  };
+}
+
+/**
+ * Adds travelMinutes to the in-person events among a list: the time to get between each one
+ * and a location (null when it can't be estimated). Other events are returned as they are.
+ * @param {Array<Object>} events - Google Calendar events
+ * @param {string} location - Location of the event being scheduled
+ * @param {Object} settings - User's travel settings
+ * @returns {Array<Object>} - The events; unchanged when the location isn't in person
+ */
+async function annotateTravelTimes(events, location, settings) {
+  if (!isInPersonLocation(location)) return events;
+  const minutesBetween = createTravelEstimator(settings);
+  return Promise.all(events.map(async event => (isInPersonEvent(event)
+    ? { ...event, travelMinutes: await minutesBetween(event.location, location) }
+    : event)));
+}
+
+/**
+ * Days (in the user's timezone) that have in-person events among a list, for syncTravelBlocks
+ * @param {Array<Object>} events - Google Calendar events
+ * @param {string} timezone - User's timezone
+ * @returns {Array<string>} - ISO dates
+ */
+function getTravelDates(events, timezone) {
+  return [...new Set(events
+    .filter(event => isInPersonEvent(event))
+    .map(event => DateTime.fromISO(event.start.dateTime).setZone(timezone).toISODate()))];
+}
+
+// Whether a booked travel block is the one planned
+function isSameBlock(event, block) {
+  return event.summary === block.summary &&
+    DateTime.fromISO(event.start.dateTime).toMillis() === block.start.toMillis() &&
+    DateTime.fromISO(event.end.dateTime).toMillis() === block.end.toMillis();
+}
+
+/**
+ * Redoes the travel blocks of some days, when the user has them turned on. Blocks that are
+ * still right are kept; the rest are deleted and the missing ones booked (journaled).
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Array<string>} dates - ISO dates in the user's timezone (see getTravelDates)
+ * @param {Object} journal - From createJournalContext (the blocks join the change that caused them)
+ * @returns {Object|null} - { added: [{ summary, start, end, forEventId }], removed }, or null
+ *                          when travel blocks are off or nothing changed
+ */
+async function syncTravelBlocks(userId, tokens, dates, journal = null) {
+  if (!userId || userId === 'default' || dates.length === 0) return null;
+  try {
+    const settings = await getTravelSettings(userId);
+    if (!settings.travelBlocks) return null;
+
+    const timezone = await getTimezoneForUser(userId);
+    const calendarIds = [...new Set([...(await getSelectedCalendarIds(userId)), BLOCK_CALENDAR_ID])];
+    const minutesBetween = createTravelEstimator(settings);
+    // The change that called this was just written, so read Google's changes first
+    await markCalendarStale(userId, calendarIds);
+
+    const added = [];
+    let removed = 0;
+    const ranges = [];
+    for (const date of [...new Set(dates)]) {
+      const day = DateTime.fromISO(date, { zone: timezone });
+      if (!day.isValid) continue;
+      const events = await getEventsForRange(userId, tokens, day.startOf('day').toISO(), day.endOf('day').toISO(), calendarIds);
+      const booked = events.filter(isTravelBlock);
+      const inPerson = events
+        .filter(event => isInPersonEvent(event))
+        .map(event => ({
+          id: event.id,
+          summary: event.summary,
+          location: event.location,
+          start: DateTime.fromISO(event.start.dateTime).setZone(timezone),
+          end: DateTime.fromISO(event.end.dateTime).setZone(timezone)
+        }))
+        .sort((a, b) => a.start.toMillis() - b.start.toMillis());
+
+      // planTravelBlocks reads travel times synchronously, so look up every trip it may need first
+      const trips = inPerson.map((event, index) => [index > 0 ? inPerson[index - 1].location : settings.homeBase, event.location]);
+      if (settings.homeBase && inPerson.length > 0) trips.push([inPerson[inPerson.length - 1].location, settings.homeBase]);
+      const minutes = new Map();
+      for (const [from, to] of trips.filter(([from]) => from)) {
+        minutes.set(`${from}\n${to}`, await minutesBetween(from, to));
+      }
+      const planned = planTravelBlocks(inPerson, settings.homeBase, (from, to) => minutes.get(`${from}\n${to}`));
+
+      for (const event of booked.filter(event => !planned.some(block => isSameBlock(event, block)))) {
+        const calendarId = event.calendarId || BLOCK_CALENDAR_ID;
+        const result = await deleteCalendarEvent(tokens, event.id, calendarId);
+        if (result.success) {
+          await recordMutations(journal, calendarId, [{ operation: 'delete', eventId: event.id, before: result.event }]);
+          removed += 1;
+          ranges.push({ start: event.start.dateTime, end: event.end.dateTime, calendarId });
+        } else {
+          console.warn(`Could not delete travel block ${event.id}: ${result.error}`);
+        }
+      }
+
+      for (const block of planned.filter(block => !booked.some(event => isSameBlock(event, block)))) {
+        const event = await insertCalendarEvent(tokens, {
+          summary: block.summary,
+          description: `About ${block.minutes} min from ${block.from} to ${block.to} (${settings.mode}). ` +
+            'Booked by the assistant; it is redone when the events around it change.',
+          start: { dateTime: block.start.toISO(), timeZone: timezone },
+          end: { dateTime: block.end.toISO(), timeZone: timezone },
+          extendedProperties: { private: { travelBlock: 'true', travelFor: block.forEventId } }
+        }, BLOCK_CALENDAR_ID);
+        await recordMutations(journal, BLOCK_CALENDAR_ID, [{ operation: 'create', eventId: event.id, after: event }]);
+        added.push({ summary: block.summary, start: block.start.toISO(), end: block.end.toISO(), forEventId: block.forEventId });
+        ranges.push({ start: block.start.toISO(), end: block.end.toISO(), calendarId: BLOCK_CALENDAR_ID });
+      }
+    }
+
+    for (const range of ranges) {
+      try {
+        await invalidateCache(tokens, range.start, range.end, range.calendarId, { timezone });
+      } catch (cacheError) {
+        console.error('Error invalidating cache after updating travel blocks:', cacheError);
+      }
+    }
+    if (ranges.length === 0) return null;
+    await markCalendarStale(userId, [...new Set(ranges.map(range => range.calendarId))]);
+    return { added, removed };
+  } catch (error) {
+    // The change that moved the events already happened; don't fail it
+    console.error(`Error updating travel blocks for user ${userId}:`, error);
+    return null;
+  }
+}
+
+export {
+  PROVIDERS,
+  createTravelProvider,
+  createOfflineProvider,
+  createGoogleMapsProvider,
+  getTravelProvider,
+  setTravelProvider,
+  annotateTravelTimes,
+  getTravelDates,
+  syncTravelBlocks
+};
@@ -0,0 +1,188 @@
+// lib/services/watchService.js
+// Purpose: Manages Google Calendar push notification channels (events.watch) per user and
+//          handles the notifications Google posts to /api/calendar/webhook, so changes made
+//          outside the chat (phone, web UI, other people) reach the event mirror and cache.
+import crypto from 'crypto';
+import { CalendarWatchChannel } from '../postgresClient.js';
+import { watchEvents, stopChannel } from '../../googleCalendar.js';
+import { invalidateCache, getUserCachePrefix } from './cacheService.js';
+import { markCalendarStale } from './syncService.js';
+
+// Public HTTPS URL of pages/api/calendar/webhook; push notifications are off when unset
+const WEBHOOK_URL = process.env.CALENDAR_WEBHOOK_URL;
+// Requested channel lifetime (Google may return a shorter expiration)
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Channels closer than this to expiry are replaced on the user's next request
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+// Cached ranges cleared on a notification; wide enough to cover any range we cache
+const INVALIDATE_RANGE = { start: '2000-01-01T00:00:00.000Z', end: '2100-01-01T00:00:00.000Z' };
+
+/**
+ * Checks whether push notifications are configured for this deployment
+ * @returns {boolean} - True if CALENDAR_WEBHOOK_URL is set to an HTTPS URL
+ */
+function isWatchEnabled() {
+  return typeof WEBHOOK_URL === 'string' && WEBHOOK_URL.startsWith('https://');
+}
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} expected - Stored channel token
+ * @param {string} received - Token from the notification header
+ * @returns {boolean} - True if they match
+ */
+function tokensMatch(expected, received) {
+  if (typeof expected !== 'string' || typeof received !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Stops a channel at Google and removes its row. Google errors are logged, not thrown,
+ * since an expired or already-stopped channel can't deliver anything anyway.
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Object} channel - CalendarWatchChannel row
+ */
+async function retireChannel(tokens, channel) {
+  try {
+    await stopChannel(tokens, channel.channel_id, channel.resource_id);
+  } catch (error) {
+    console.warn(`Could not stop watch channel ${channel.channel_id} (removing it anyway):`, error.message);
+  }
+  await channel.destroy();
+}
+
+/**
+ * Opens a new channel for a calendar and stores it, replacing any existing one
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} existing - Current CalendarWatchChannel row, if any
+ * @returns {Object} - The new CalendarWatchChannel row
+ */
+async function openChannel(userId, tokens, calendarId, existing) {
+  const channelId = crypto.randomUUID();
+  const channelToken = crypto.randomBytes(32).toString('hex');
+  const created = await watchEvents(tokens, calendarId, {
+    id: channelId,
+    token: channelToken,
+    address: WEBHOOK_URL,
+    ttlSeconds: CHANNEL_TTL_SECONDS
+  });
+
+  // Open the replacement first so there is no gap in notifications
+  if (existing) await retireChannel(tokens, existing);
+
+  const channel = await CalendarWatchChannel.create({
+    channel_id: channelId,
+    user_id: userId,
+    google_calendar_id: calendarId,
+    resource_id: created.resourceId,
+    channel_token: channelToken,
+    expiration: new Date(Number(created.expiration) || Date.now() + CHANNEL_TTL_SECONDS * 1000),
+    cache_prefix: getUserCachePrefix(tokens)
+  });
+  console.log(`Opened watch channel ${channelId} for calendar ${calendarId} (user ${userId}), expires ${channel.expiration.toISOString()}`);
+  return channel;
+}
+
+/**
+ * Makes sure exactly the given calendars are watched for a user: opens missing channels,
+ * renews ones close to expiry and stops channels for calendars no longer selected.
+ * Called on user activity, since channels can only be created with the user's token.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {Array<string>} calendarIds - Calendars to watch
+ * @returns {Array} - Active CalendarWatchChannel rows
+ */
+async function ensureWatchChannels(userId, tokens, calendarIds = ['primary']) {
+  if (!isWatchEnabled() || !userId || userId === 'default' || !tokens?.access_token) return [];
+
+  const wanted = new Set(calendarIds);
+  const channels = await CalendarWatchChannel.findAll({ where: { user_id: userId } });
+  const active = [];
+
+  for (const channel of channels) {
+    if (!wanted.has(channel.google_calendar_id)) {
+      console.log(`Calendar ${channel.google_calendar_id} no longer selected; stopping channel ${channel.channel_id}`);
+      await retireChannel(tokens, channel);
+    }
+  }
+
+  for (const calendarId of wanted) {
+    const existing = channels.find(channel => channel.google_calendar_id === calendarId);
+    try {
+      if (existing && new Date(existing.expiration).getTime() - Date.now() > RENEW_BEFORE_MS) {
+        // Keep the cache prefix current; it follows the (rotating) access token
+        const cachePrefix = getUserCachePrefix(tokens);
+        if (existing.cache_prefix !== cachePrefix) await existing.update({ cache_prefix: cachePrefix });
+        active.push(existing);
+        continue;
+      }
+      active.push(await openChannel(userId, tokens, calendarId, existing));
+    } catch (error) {
+      console.error(`Error opening watch channel for calendar ${calendarId} (user ${userId}):`, error);
+    }
+  }
+
+  return active;
+}
+
+/**
+ * Stops every channel for a user (e.g. on sign-out or account removal)
+ * @param {string} userId - User ID
+ * @param {Object} tokens - User's OAuth tokens
+ */
+async function stopWatchChannels(userId, tokens) {
+  const channels = await CalendarWatchChannel.findAll({ where: { user_id: userId } });
+  for (const channel of channels) {
+    await retireChannel(tokens, channel);
+  }
+}
+
+/**
+ * Handles one push notification. Validates the channel and its token, then marks the
+ * calendar's mirror stale and clears the user's cached ranges for it.
+ * @param {Object} headers - Notification headers (lower-cased, as Node provides them)
+ * @returns {Object} - { status, message } for the HTTP response
+ */
+async function handleWatchNotification(headers) {
+  const channelId = headers['x-goog-channel-id'];
+  const channelToken = headers['x-goog-channel-token'];
+  const resourceId = headers['x-goog-resource-id'];
+  const resourceState = headers['x-goog-resource-state'];
+
+  if (!channelId || !resourceState) {
+    return { status: 400, message: 'Missing channel headers' };
+  }
+
+  const channel = await CalendarWatchChannel.findByPk(channelId);
+  if (!channel) {
+    // Unknown or already-replaced channel; Google stops retrying on a 404
+    console.warn(`Notification for unknown watch channel ${channelId}`);
+    return { status: 404, message: 'Unknown channel' };
+  }
+  if (!tokensMatch(channel.channel_token, channelToken) || (resourceId && resourceId !== channel.resource_id)) {
+    console.warn(`Rejected notification for channel ${channelId}: token or resource mismatch`);
+    return { status: 403, message: 'Invalid channel token' };
+  }
+
+  // 'sync' is sent once when the channel is created and carries no changes
+  if (resourceState === 'sync') {
+    return { status: 200, message: 'Channel confirmed' };
+  }
+
+  const calendarId = channel.google_calendar_id;
+  console.log(`Calendar ${calendarId} changed for user ${channel.user_id} (state: ${resourceState}, message ${headers['x-goog-message-number']})`);
+
+  await markCalendarStale(channel.user_id, calendarId);
+  if (channel.cache_prefix) {
+    await invalidateCache(null, INVALIDATE_RANGE.start, INVALIDATE_RANGE.end, calendarId, { userCachePrefix: channel.cache_prefix });
+  }
+  await channel.update({ last_notification_at: new Date() });
+
+  return { status: 200, message: 'Notification processed' };
+}
+
+export { isWatchEnabled, ensureWatchChannels, stopWatchChannels, handleWatchNotification };
@@ -0,0 +1,59 @@
+// lib/tools/calendarSelection.js
+// Purpose: Resolves which of the user's calendars are read when listing events,
+//          searching for free slots and checking conflicts. The selection is stored
+//          in the user's preferences under calendars.selectedCalendarIds.
+import { UserPreference } from '../postgresClient.js';
+
+export const DEFAULT_CALENDAR_IDS = ['primary'];
+
+/**
+ * Gets the calendar IDs the user has selected for merged reads
+ * @param {string} userId - User ID
+ * @returns {Array<string>} - Selected calendar IDs (defaults to ['primary'])
+ */
+export async function getSelectedCalendarIds(userId) {
+    if (!userId || userId === 'default') return DEFAULT_CALENDAR_IDS;
+    try {
+        const userPref = await UserPreference.findOne({ where: { user_id: userId } });
+        const selected = userPref?.preferences_data?.calendars?.selectedCalendarIds;
+        if (Array.isArray(selected) && selected.length > 0) {
+            return selected.filter(id => typeof id === 'string' && id.trim() !== '');
+        }
+    } catch (error) {
+        console.error(`Error loading selected calendars for user ${userId}:`, error);
+    }
+    return DEFAULT_CALENDAR_IDS;
+}
+
+/**
+ * Saves the calendar IDs the user wants included in merged reads
+ * @param {string} userId - User ID
+ * @param {Array<string>} calendarIds - Calendar IDs to select
+ * @returns {Array<string>} - The saved selection
+ */
+export async function saveSelectedCalendarIds(userId, calendarIds) {
+    const selection = [...new Set(calendarIds)];
+    const [userPref] = await UserPreference.findOrCreate({
+        where: { user_id: userId },
+        defaults: { user_id: userId, preferences_data: {} }
+    });
+
+    const updatedPrefs = { ...(userPref.preferences_data || {}) };
+    updatedPrefs.calendars = { ...(updatedPrefs.calendars || {}), selectedCalendarIds: selection };
+
+    // Use UPDATE so Sequelize picks up the JSONB change (see saveUserPreference)
+    await UserPreference.update({ preferences_data: updatedPrefs }, { where: { user_id: userId } });
+    return selection;
+}
+
+/**
+ * Resolves the calendars a read should cover: explicit IDs from the tool call win,
+ * otherwise the user's saved selection is used
+ * @param {string} userId - User ID
+ * @param {Array<string>} requestedIds - Optional calendar IDs passed by the caller
+ * @returns {Array<string>} - Calendar IDs to read
+ */
+export async function resolveCalendarIds(userId, requestedIds) {
+    if (Array.isArray(requestedIds) && requestedIds.length > 0) return [...new Set(requestedIds)];
+    return getSelectedCalendarIds(userId);
+}
@@ -1,14 +1,41 @@
 // lib/tools/checkForConflicts.js
 import { DateTime } from 'luxon';
-import { getCachedEvents } from '../services/cacheService.js';
-import { getUserTimezone, convertToUTCISOString } from './timeUtils.js';
+import { getEventsForRange } from '../services/syncService.js';
+import { convertToUTCISOString } from './timeUtils.js';
+import { getTimezoneForUser } from './userTimezone.js';
 import { findAvailableSlots } from './schedulingUtils.js';
+import { getSchedulingConstraints } from './userConstraints.js';
+import { findConstraintViolations, isMeetingLike, isMealLike, toBusyEvents } from './schedulingConstraints.js';
+import { findTaskBlockIds } from '../services/taskService.js';
+import { markFocusBlocks } from '../services/focusService.js';
+import { annotateTravelTimes } from '../services/travelService.js';
+import { getTravelSettings } from './userConstraints.js';
+import { findTravelWarnings, isInPersonLocation, isTravelBlock } from './travelTime.js';
 
 // --- Conflict Checking ---
-async function checkForConflicts(tokens, start, end, overrideConflict = false) {
+// calendarIds: every calendar the user has selected, so a busy slot on a shared
+// or secondary calendar also counts as a conflict. userId lets the check read the
+// local event mirror; without it events are read through the API cache. timezone is
+// the user's (looked up from userId when not passed); times without an offset are read in it.
+// options.excludeEventIds: events that never count (the event being moved, or its series ID
+// to skip every occurrence), so moving an event doesn't conflict with where it is now.
+// options.summary/attendees describe the event so the user's scheduling constraints can be
+// applied (meetings are held to working hours, lunch, buffers and limits; see
+// schedulingConstraints.js). A time that breaks one is refused like an overlap, with the
+// reasons in violations, and overrideConflict books it anyway.
+// Work blocks booked for tasks never conflict: they are moved out of the way afterwards
+// (see replanDisturbedTasks in taskService.js). Focus blocks don't either (they are reshuffled,
+// see focusService.js), but suggested times try not to cut into them.
+// options.location makes an in-person event need time to get to and from the in-person
+// events around it (see travelService.js); too little is a violation. Travel blocks don't
+// conflict with in-person events, as they are redone around them (syncTravelBlocks).
+async function checkForConflicts(tokens, start, end, overrideConflict = false, calendarIds = ['primary'], userId = 'default', timezone = null, options = {}) {
+  const { excludeEventIds = [], summary = '', attendees = [], location = '' } = options;
+  const inPerson = isInPersonLocation(location);
   try {
     // Ensure start and end times have proper timezone information
-    const userTimezone = getUserTimezone();
+    const userTimezone = timezone || await getTimezoneForUser(userId);
+    const constraints = options.constraints || await getSchedulingConstraints(userId);
     const startWithTz = typeof start === 'string' ? convertToUTCISOString(start, userTimezone) : start;
     const endWithTz = typeof end === 'string' ? convertToUTCISOString(end, userTimezone) : end;
     
@@ -24,16 +51,30 @@ async function checkForConflicts(tokens, start, end, overrideConflict = false) {
     }
 
     // Use the exact time range instead of the whole day to avoid unnecessary conflicts
-    // This is especially important for events after 7 PM Zulu time
-    const fetchStart = checkStart.minus({ hours: 1 }).toISO(); // Buffer of 1 hour before
-    const fetchEnd = checkEnd.plus({ hours: 1 }).toISO();   // Buffer of 1 hour after
+    // This is especially important for events after 7 PM Zulu time. The window covers the
+    // user's buffer, and the whole day when meetings per day are limited (to count them) or
+    // the event is in person (to find where the user is coming from and going to).
+    const padding = { minutes: Math.max(60, constraints.bufferMinutes) };
+    let fetchStart = checkStart.minus(padding);
+    let fetchEnd = checkEnd.plus(padding);
+    if (constraints.maxMeetingsPerDay || inPerson) {
+      fetchStart = DateTime.min(fetchStart, checkStart.setZone(userTimezone).startOf('day'));
+      fetchEnd = DateTime.max(fetchEnd, checkEnd.setZone(userTimezone).endOf('day'));
+    }
+    fetchStart = fetchStart.toISO();
+    fetchEnd = fetchEnd.toISO();
     
-    console.log(`Fetching events from: ${fetchStart} to ${fetchEnd}`);
+    console.log(`Fetching events from: ${fetchStart} to ${fetchEnd} (calendars: ${calendarIds.join(', ')})`);
 
-    const events = await getCachedEvents(tokens, fetchStart, fetchEnd);
+    const fetched = await getEventsForRange(userId, tokens, fetchStart, fetchEnd, calendarIds);
+    const taskBlockIds = await findTaskBlockIds(userId, fetched);
+    const relevant = await markFocusBlocks(userId, fetched.filter(event => !taskBlockIds.has(event.id) && !(inPerson && isTravelBlock(event)) &&
+      !excludeEventIds.includes(event.id) && !excludeEventIds.includes(event.recurringEventId)));
+    const events = inPerson ? await annotateTravelTimes(relevant, location, await getTravelSettings(userId)) : relevant;
+    const blocking = events.filter(event => !event.focusBlock);
     console.log(`Found ${events.length} events in the fetch window`);
 
-    const conflicts = events.filter(event => {
+    const conflicts = blocking.filter(event => {
        try {
            const eventStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
            const eventEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
@@ -74,7 +115,19 @@ async function checkForConflicts(tokens, start, end, overrideConflict = false) {
        } catch { return false; } // Ignore parsing errors for individual events
     });
 
-    if (conflicts.length > 0 && !overrideConflict) {
+    // The user's own rules for this time (working hours, lunch, buffers, limits, blackouts)
+    const violations = findConstraintViolations(constraints, checkStart.setZone(userTimezone), checkEnd.setZone(userTimezone), {
+      isMeeting: isMeetingLike({ summary, attendees }),
+      isMeal: isMealLike({ summary }),
+      busy: toBusyEvents(blocking, userTimezone)
+    });
+    // Enough time to get there from the previous in-person event, and on to the next
+    if (inPerson) violations.push(...findTravelWarnings(blocking, checkStart, checkEnd));
+    if (violations.length > 0) {
+      console.log(`Scheduling constraints broken: ${violations.join('; ')}`);
+    }
+
+    if ((conflicts.length > 0 || violations.length > 0) && !overrideConflict) {
       console.log(`Conflict detected for ${startWithTz} - ${endWithTz}. Override flag: ${overrideConflict}`);
       const duration = checkEnd.diff(checkStart, 'minutes').minutes;
       // Ensure findAvailableSlotsUtil handles potential errors gracefully
@@ -83,14 +136,14 @@ async function checkForConflicts(tokens, start, end, overrideConflict = false) {
             // Use a wider range for suggestions but centered around the requested time
             const suggestStart = checkStart.minus({ hours: 12 }).toISO();
             const suggestEnd = checkEnd.plus({ hours: 12 }).toISO();
-           suggestions = await findAvailableSlots(events, duration, suggestStart, suggestEnd, "Event", "any");
+           suggestions = await findAvailableSlots(events, duration, suggestStart, suggestEnd, summary || "Event", "any", constraints, userTimezone);
       } catch (suggestionError) {
            console.error("Error finding suggestions during conflict check:", suggestionError);
       }
-      return { conflicts: true, suggestions: suggestions || [] };
-    } else if (conflicts.length > 0 && overrideConflict) {
+      return { conflicts: true, suggestions: suggestions || [], conflictingEvents: conflicts, violations };
+    } else if ((conflicts.length > 0 || violations.length > 0) && overrideConflict) {
       console.log(`Conflict detected but override flag is set to true. Proceeding with event creation.`);
-      return { conflicts: false, overridden: true, conflictCount: conflicts.length };
+      return { conflicts: false, overridden: true, conflictCount: conflicts.length, violations };
     }
     return { conflicts: false, suggestions: [] };
   } catch (error) {
@@ -1,16 +1,166 @@
+// lib/tools/conversationHelpers.js
+// Purpose: Conversation threads for the chat sidebar: listing a user's conversations,
+//          reading one back as a transcript, renaming and deleting. Every function takes
+//          the owning user's ID so one user can never reach another user's thread.
+//          A thread's title is kept in Conversation.title.
+import { Conversation, ConversationMessage } from '../postgresClient.js';
 
-// Import from the correct path
-import { Conversation } from '../postgresClient.js';
+const MAX_TITLE_LENGTH = 60;
 
 export async function getConversationsByUserId(userId) {
   try {
     if (!userId) return [];
     return await Conversation.findAll({
       where: { user_id: userId },
-      order: [['created_at', 'DESC']],
+      order: [['updated_at', 'DESC']],
     });
   } catch (error) {
     console.error(`Error getting conversations for user ${userId}:`, error);
     return [];
   }
 }
+
+/**
+ * Builds a title from the first message of a conversation
+ * @param {string} text - The user's first message
+ * @returns {string} - Title of at most MAX_TITLE_LENGTH characters
+ */
+export function generateConversationTitle(text) {
+  const cleaned = String(text || '').replace(/\s+/g, ' ').trim().replace(/[?!.,;:]+$/, '');
+  if (!cleaned) return 'New conversation';
+  const title = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+
+  // Cut at the last whole word that fits
+  const cut = title.slice(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+/**
+ * Sets the title of a new conversation from its first message (existing titles are kept)
+ * @param {Object} conversation - Conversation instance
+ * @param {string} firstMessage - The user's first message
+ * @returns {string} - The conversation's title
+ */
+export async function ensureConversationTitle(conversation, firstMessage) {
+  if (conversation.title) return conversation.title;
+  const title = generateConversationTitle(firstMessage);
+  await conversation.update({ title });
+  return title;
+}
+
+// Shape returned to the client for a conversation
+function toConversationListItem(conversation) {
+  return {
+    conversationId: conversation.conversation_id,
+    title: conversation.title || 'New conversation',
+    startedAt: conversation.start_time,
+    updatedAt: conversation.updated_at
+  };
+}
+
+/**
+ * Lists a user's conversations, most recently active first
+ * @param {string} userId - User ID (UUID)
+ * @param {Object} options - { limit }
+ * @returns {Array<Object>} - [{ conversationId, title, startedAt, updatedAt }]
+ */
+export async function listConversations(userId, { limit = 50 } = {}) {
+  const conversations = await Conversation.findAll({
+    where: { user_id: userId },
+    order: [['updated_at', 'DESC'], ['created_at', 'DESC']],
+    limit
+  });
+
+  // Threads from before titles existed are named after their first message once
+  for (const conversation of conversations.filter(conv => !conv.title)) {
+    const firstMessage = await ConversationMessage.findOne({
+      where: { conversation_id: conversation.conversation_id, role: 'user' },
+      order: [['sequence_number', 'ASC']]
+    });
+    if (firstMessage?.content) await ensureConversationTitle(conversation, firstMessage.content);
+  }
+
+  return conversations.map(toConversationListItem);
+}
+
+/**
+ * Gets one of the user's conversations
+ * @param {string} userId - User ID (UUID)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object|null} - Conversation instance, or null if missing or not the user's
+ */
+export async function findUserConversation(userId, conversationId) {
+  if (!userId || !conversationId) return null;
+  try {
+    return await Conversation.findOne({ where: { conversation_id: conversationId, user_id: userId } });
+  } catch (error) {
+    // Malformed IDs fail the UUID cast; treat them as not found
+    if (error.name === 'SequelizeDatabaseError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Reads a conversation back as the chat page shows it: user messages and the assistant's
+ * replies. System prompts, tool results and tool-call-only steps are left out, and the
+ * assistant's text from consecutive steps of one turn is joined like it was streamed.
+ * @param {string} userId - User ID (UUID)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object|null} - { conversation, messages: [{ id, role, content, createdAt }] } or null
+ */
+export async function getConversationTranscript(userId, conversationId) {
+  const conversation = await findUserConversation(userId, conversationId);
+  if (!conversation) return null;
+
+  const rows = await ConversationMessage.findAll({
+    where: { conversation_id: conversationId },
+    order: [['sequence_number', 'ASC']]
+  });
+
+  const messages = [];
+  for (const row of rows) {
+    if (!['user', 'assistant'].includes(row.role) || !row.content) continue;
+    const previous = messages[messages.length - 1];
+    if (row.role === 'assistant' && previous?.role === 'assistant') {
+      previous.content += `\n\n${row.content}`;
+      continue;
+    }
+    messages.push({ id: row.message_id, role: row.role, content: row.content, createdAt: row.created_at });
+  }
+
+  return { conversation: toConversationListItem(conversation), messages };
+}
+
+/**
+ * Renames one of the user's conversations
+ * @param {string} userId - User ID (UUID)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title
+ * @returns {Object|null} - Updated conversation ({ conversationId, title, ... }), or null if not found
+ */
+export async function renameConversation(userId, conversationId, title) {
+  const cleaned = String(title || '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) throw new Error('Title cannot be empty.');
+  if (cleaned.length > 200) throw new Error('Title must be at most 200 characters.');
+
+  const conversation = await findUserConversation(userId, conversationId);
+  if (!conversation) return null;
+  await conversation.update({ title: cleaned });
+  return toConversationListItem(conversation);
+}
+
+/**
+ * Deletes one of the user's conversations and its messages. Calendar changes made in it
+ * stay undoable (the journal keeps them with no conversation).
+ * @param {string} userId - User ID (UUID)
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean} - True if it was deleted
+ */
+export async function deleteConversation(userId, conversationId) {
+  const conversation = await findUserConversation(userId, conversationId);
+  if (!conversation) return false;
+  await conversation.destroy();
+  return true;
+}
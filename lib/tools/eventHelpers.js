@@ -1,9 +1,76 @@
 
 import { DateTime } from 'luxon';
 import { getCachedEvents } from '../services/cacheService.js';
+import { getEventsForRange } from '../services/syncService.js';
+import { getEventMetadataBatch } from '../postgresClient.js';
 import { formatCalendarEvents, formatToolResponse } from './formatters.js';
 import { findAvailableSlots } from './schedulingUtils.js';
 
+// --- Events in a Range ---
+
+/**
+ * Adds the app's own metadata (priority, tags) to Google events
+ * @param {string} userId - User ID (UUID)
+ * @param {Array<Object>} events - Google event resources (tagged with calendarId)
+ * @returns {Array<Object>} - The events, with priority/tags where set
+ */
+async function enrichEventsWithMetadata(userId, events) {
+  if (!userId || userId === 'default' || events.length === 0) return events;
+  const googleEventIds = events.map(event => event.id).filter(id => id);
+  if (googleEventIds.length === 0) return events;
+
+  try {
+    const eventCalendarIds = [...new Set(events.map(event => event.calendarId || 'primary'))];
+    const metadataRecords = await getEventMetadataBatch(userId, googleEventIds, eventCalendarIds);
+
+    // Event IDs are only unique per calendar
+    const metadataMap = new Map();
+    metadataRecords.forEach(record => {
+      metadataMap.set(`${record.google_calendar_id}|${record.google_event_id}`, record);
+    });
+
+    console.log(`Enriched ${metadataMap.size} events with metadata.`);
+    return events.map(event => {
+      const metadata = metadataMap.get(`${event.calendarId || 'primary'}|${event.id}`);
+      if (!metadata) return event;
+      // Add only non-null metadata fields
+      const enrichment = {};
+      if (metadata.priority !== null) enrichment.priority = metadata.priority;
+      if (metadata.tags !== null && metadata.tags.length > 0) enrichment.tags = metadata.tags;
+      return { ...event, ...enrichment };
+    });
+  } catch (metadataError) {
+    // Events are still useful without metadata
+    console.error('Error fetching or merging event metadata:', metadataError);
+    return events;
+  }
+}
+
+/**
+ * Reads the events overlapping [start, end) across calendars, with their metadata.
+ * Used by the getCalendarEvents tool and the calendar page (/api/events).
+ * @param {string} userId - User ID (UUID)
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {DateTime} start - Range start
+ * @param {DateTime} end - Range end (exclusive)
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @returns {Array<Object>} - Google event resources tagged with calendarId, sorted by start
+ */
+async function getEventsInRange(userId, tokens, start, end, calendarIds) {
+  const mergedEvents = await getEventsForRange(userId, tokens, start.toISO(), end.toISO(), calendarIds);
+
+  // The mirror reads whole rows; keep only events that overlap the exact range
+  const events = mergedEvents.filter(event => {
+    const eventStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
+    const eventEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
+    if (!eventStart.isValid || !eventEnd.isValid) return false;
+    return eventStart < end && eventEnd > start;
+  });
+  console.log(`Fetched ${events.length} events across ${calendarIds.length} calendar(s): ${calendarIds.join(', ')}`);
+
+  return enrichEventsWithMetadata(userId, events);
+}
+
 // --- Additional Utility Functions ---
 async function listTodaysEvents(accessToken = null) {
   if (!accessToken) return "Authentication required.";
@@ -44,4 +111,4 @@ async function suggestEventTime(duration, preferredTime = 'any', accessToken = n
 }
 
 // Export the functions
-export { listTodaysEvents, suggestEventTime };
+export { enrichEventsWithMetadata, getEventsInRange, listTodaysEvents, suggestEventTime };
@@ -0,0 +1,136 @@
+// lib/tools/focusPlanner.js
+// Purpose: Plans focus blocks: long stretches of uninterrupted time towards a weekly target
+//          ("at least 10 hours a week, in blocks of 2 hours or more"). Blocks go into the
+//          largest free gaps in the user's working time first (working hours minus lunch,
+//          blackouts and busy time; see taskPlanner.js), and also works out how much of a
+//          week's target is met. Pure: focusService.js reads the calendar and books the blocks.
+//
+//          Focus settings (preferences scheduling.focus):
+//            weeklyHours      Focus hours to protect each week; null turns it off
+//            minBlockMinutes  Shortest block that counts as focus time (default 120)
+//            maxBlockMinutes  Longest single block (default 240)
+import { findFreeIntervals } from './taskPlanner.js';
+
+export const DEFAULT_FOCUS_SETTINGS = Object.freeze({
+  weeklyHours: null,
+  minBlockMinutes: 120,
+  maxBlockMinutes: 240
+});
+
+export const FOCUS_SETTING_FIELDS = ['weeklyHours', 'minBlockMinutes', 'maxBlockMinutes'];
+
+export const MAX_WEEKLY_FOCUS_HOURS = 40;
+const BLOCK_LIMITS = { min: 30, max: 480 };
+
+const minutesOf = interval => interval.end.diff(interval.start, 'minutes').minutes;
+
+/**
+ * Places focus blocks, largest free gap first (earliest on a tie). A block fills its gap up to
+ * maxBlockMinutes; the last one may go past the target to reach minBlockMinutes.
+ * @param {Object} params - Planning input
+ * @param {number} params.remainingMinutes - Focus time still to book
+ * @param {DateTime} params.from - Earliest start (in the user's timezone)
+ * @param {DateTime} params.until - Latest end
+ * @param {Array<Object>} params.busy - Busy periods ({ start, end } DateTimes), including the
+ *                                      focus blocks that are kept
+ * @param {Object} params.constraints - User's scheduling constraints
+ * @param {Object} params.settings - Focus settings (minBlockMinutes, maxBlockMinutes)
+ * @returns {Object} - { blocks: [{ start, end }] in order, shortMinutes } (shortMinutes: what
+ *                     didn't fit)
+ */
+export function planFocusBlocks({ remainingMinutes, from, until, busy, constraints, settings }) {
+  const { minBlockMinutes, maxBlockMinutes } = { ...DEFAULT_FOCUS_SETTINGS, ...settings };
+  const taken = [...busy];
+  const blocks = [];
+  let remaining = remainingMinutes;
+
+  while (remaining > 0) {
+    const gap = findFreeIntervals(from, until, constraints, taken)
+      .filter(interval => minutesOf(interval) >= minBlockMinutes)
+      .sort((a, b) => (minutesOf(b) - minutesOf(a)) || (a.start.toMillis() - b.start.toMillis()))[0];
+    if (!gap) break;
+    const length = Math.min(maxBlockMinutes, minutesOf(gap), Math.max(minBlockMinutes, remaining));
+    const block = { start: gap.start, end: gap.start.plus({ minutes: length }) };
+    blocks.push(block);
+    taken.push(block);
+    remaining -= length;
+  }
+
+  blocks.sort((a, b) => a.start.toMillis() - b.start.toMillis());
+  return { blocks, shortMinutes: Math.max(0, remaining) };
+}
+
+/**
+ * How a week's focus target stands
+ * @param {Array<Object>} blocks - The week's focus blocks ({ eventId, start, end } DateTimes)
+ * @param {Array<Object>} busy - Other busy periods ({ start, end, summary } DateTimes)
+ * @param {Object} settings - Focus settings
+ * @param {DateTime} now - Current time (in the user's timezone)
+ * @returns {Object} - { targetMinutes, bookedMinutes, doneMinutes, shortMinutes, blocks } where
+ *                     blocks carry interruptedBy (titles of events on top of them); interrupted
+ *                     blocks don't count as booked
+ */
+export function summarizeFocusWeek(blocks, busy, settings, now) {
+  const targetMinutes = Math.round((settings.weeklyHours || 0) * 60);
+  const described = blocks.map(block => ({
+    ...block,
+    interruptedBy: busy.filter(other => other.start < block.end && other.end > block.start).map(other => other.summary || '(No title)')
+  }));
+  const intact = described.filter(block => block.interruptedBy.length === 0);
+  const bookedMinutes = intact.reduce((sum, block) => sum + minutesOf(block), 0);
+  const doneMinutes = intact
+    .filter(block => block.start < now)
+    .reduce((sum, block) => sum + minutesOf({ start: block.start, end: block.end < now ? block.end : now }), 0);
+  return {
+    targetMinutes,
+    bookedMinutes,
+    doneMinutes: Math.round(doneMinutes),
+    shortMinutes: Math.max(0, targetMinutes - bookedMinutes),
+    blocks: described
+  };
+}
+
+/**
+ * Validates changes to focus settings
+ * @param {Object} base - Current settings
+ * @param {Object} changes - Fields from FOCUS_SETTING_FIELDS (weeklyHours 0 or null turns it off)
+ * @returns {Object} - { settings, errors }
+ */
+export function applyFocusSettingChanges(base, changes = {}) {
+  const settings = { ...DEFAULT_FOCUS_SETTINGS, ...base };
+  const errors = [];
+
+  if (changes.weeklyHours !== undefined) {
+    const hours = Number(changes.weeklyHours);
+    if (changes.weeklyHours === null || hours === 0) {
+      settings.weeklyHours = null;
+    } else if (!Number.isFinite(hours) || hours < 0 || hours > MAX_WEEKLY_FOCUS_HOURS) {
+      errors.push(`weeklyHours must be a number of hours from 0 to ${MAX_WEEKLY_FOCUS_HOURS}`);
+    } else {
+      settings.weeklyHours = hours;
+    }
+  }
+  for (const field of ['minBlockMinutes', 'maxBlockMinutes']) {
+    if (changes[field] === undefined) continue;
+    const minutes = Number(changes[field]);
+    if (!Number.isInteger(minutes) || minutes < BLOCK_LIMITS.min || minutes > BLOCK_LIMITS.max) {
+      errors.push(`${field} must be a whole number of minutes from ${BLOCK_LIMITS.min} to ${BLOCK_LIMITS.max}`);
+    } else {
+      settings[field] = minutes;
+    }
+  }
+  if (settings.maxBlockMinutes < settings.minBlockMinutes) {
+    errors.push(`maxBlockMinutes (${settings.maxBlockMinutes}) can't be shorter than minBlockMinutes (${settings.minBlockMinutes})`);
+  }
+  return { settings, errors };
+}
+
+/**
+ * One-line description of the focus settings, for tool results
+ * @param {Object} settings - Focus settings
+ * @returns {string}
+ */
+export function describeFocusSettings(settings) {
+  if (!settings.weeklyHours) return 'Focus time protection is off';
+  return `Protecting ${settings.weeklyHours}h of focus time a week, in blocks of ${settings.minBlockMinutes}-${settings.maxBlockMinutes} min`;
+}
@@ -1,10 +1,12 @@
 
 import { DateTime } from 'luxon';
+import { describeRecurrence } from './recurrenceUtils.js';
 
-function formatEventTime(eventTime) {
+// timezone: the user's IANA timezone; times are shown in the server's zone without it
+function formatEventTime(eventTime, timezone = null) {
     // ... (Keep implementation from chatbot.js) ...
     try {
-        const dt = DateTime.fromISO(eventTime);
+        const dt = DateTime.fromISO(eventTime, timezone ? { zone: timezone } : {});
         if (dt.isValid) {
             return dt.toLocaleString(DateTime.DATETIME_FULL);
         }
@@ -19,15 +21,46 @@ function formatEventTime(eventTime) {
     }
 }
 
-function formatCalendarEvents(events) {
+const ATTENDEE_STATUS_LABELS = {
+    accepted: '✅ accepted',
+    declined: '❌ declined',
+    tentative: '❔ tentative',
+    needsAction: '⏳ awaiting reply'
+};
+
+// Summarizes attendees and their RSVP status, e.g. "👥 3 attendees (2 accepted, 1 awaiting reply)"
+function formatAttendees(event) {
+    const attendees = (event.attendees || []).filter(a => !a.resource);
+    if (attendees.length === 0) return '';
+
+    const counts = attendees.reduce((acc, a) => {
+        const status = a.responseStatus || 'needsAction';
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+    }, {});
+    const countText = Object.entries(counts)
+        .map(([status, count]) => `${count} ${(ATTENDEE_STATUS_LABELS[status] || status).replace(/^\S+ /, '')}`)
+        .join(', ');
+
+    let text = `   👥 ${attendees.length} attendee${attendees.length === 1 ? '' : 's'} (${countText})\n`;
+    attendees.forEach(a => {
+        const name = a.displayName ? `${a.displayName} <${a.email}>` : a.email;
+        const role = a.organizer ? ' [organizer]' : (a.self ? ' [you]' : '');
+        text += `      - ${name}${role}: ${ATTENDEE_STATUS_LABELS[a.responseStatus] || a.responseStatus || 'unknown'}\n`;
+    });
+    return text;
+}
+
+function formatCalendarEvents(events, timezone = null) {
     if (!events) return "No events found or an error occurred.";
     if (!Array.isArray(events)) return "An error occurred processing events.";
     if (events.length === 0) return "No events found for the specified time period.";
 
     return events.map(event => {
         try {
-            const start = DateTime.fromISO(event.start?.dateTime || event.start?.date);
-            const end = DateTime.fromISO(event.end?.dateTime || devent.end?.date);
+            const zoneOptions = timezone ? { zone: timezone } : {};
+            const start = DateTime.fromISO(event.start?.dateTime || event.start?.date, zoneOptions);
+            const end = DateTime.fromISO(event.end?.dateTime || event.end?.date, zoneOptions);
             if (!start.isValid || !end.isValid) return `❓ Invalid date found for event: ${event.summary || event.id}`;
 
             const isAllDay = !event.start?.dateTime;
@@ -41,6 +74,13 @@ function formatCalendarEvents(events) {
             }
             if (event.description) formattedEvent += `   📝 ${event.description}\n`;
             if (event.location) formattedEvent += `   📍 ${event.location}\n`;
+            formattedEvent += formatAttendees(event);
+            if (event.calendarId && event.calendarId !== 'primary') formattedEvent += `   🗂️ Calendar: ${event.calendarId}\n`;
+            if (event.recurringEventId) {
+                formattedEvent += `   🔁 Recurring (Series ID: ${event.recurringEventId})\n`;
+            } else if (Array.isArray(event.recurrence) && event.recurrence.length > 0) {
+                formattedEvent += `   🔁 Repeats ${describeRecurrence(event.recurrence)}\n`;
+            }
             if (event.reminders?.useDefault === false && Array.isArray(event.reminders.overrides)) {
                 formattedEvent += `   🔔 Reminders: ${event.reminders.overrides.map(r => `${r.minutes} min`).join(', ')}\n`;
             }
@@ -61,9 +101,77 @@ function formatCalendarEvents(events) {
 }
 
 
+// Why a suggested slot scored what it did, e.g. "+15 During your working hours; -8 May conflict with lunch time"
+function formatScoreBreakdown(slot) {
+    if (!slot.scoreBreakdown?.length) return '';
+    return slot.scoreBreakdown.map(item => `${item.points > 0 ? '+' : ''}${item.points} ${item.reason}`).join('; ');
+}
+
+// One entry per task: deadline, progress and the work blocks booked for it
+function formatTasks(tasks, timezone = null) {
+    const zoneOptions = timezone ? { zone: timezone } : {};
+    const hours = minutes => `${Math.round(minutes / 6) / 10}h`;
+    return tasks.map(task => {
+        const deadline = DateTime.fromISO(task.deadline, zoneOptions).toFormat('ccc, LLL d h:mm a');
+        const done = task.doneMinutes > 0 ? `, ${hours(task.doneMinutes)} done` : '';
+        let text = `📌 "${task.title}" (${task.priority}, ${task.status}) due ${deadline}: ${hours(task.scheduledMinutes)} of ${hours(task.effortMinutes)} booked${done} (Task ID: ${task.taskId})`;
+        const blocks = (task.blocks || []).map(block =>
+            `${DateTime.fromISO(block.start, zoneOptions).toFormat('ccc, LLL d h:mm a')} - ${DateTime.fromISO(block.end, zoneOptions).toFormat('h:mm a')}`);
+        if (blocks.length > 0) text += `\n   🧱 ${blocks.join('; ')}`;
+        if (task.unplacedMinutes > 0) text += `\n   ⚠️ ${hours(task.unplacedMinutes)} doesn't fit in free working time before the deadline`;
+        return text;
+    }).join('\n');
+}
+
+// Note added to a calendar change that moved task work blocks out of its way
+function describeReplannedTasks(tasks = []) {
+    if (!tasks?.length) return '';
+    const titles = tasks.map(task => `"${task.title}"`).join(', ');
+    const short = tasks.filter(task => task.unplacedMinutes > 0).map(task => `"${task.title}"`);
+    return ` Moved work blocks for ${titles} out of the way.${short.length ? ` ⚠️ Not enough free time left before the deadline of ${short.join(', ')}.` : ''}`;
+}
+
+// Note added to a calendar change that booked or removed travel blocks
+function describeTravelBlocks(added = [], removed = 0, zoneOptions = {}) {
+    const parts = [];
+    if (added?.length) {
+        parts.push(`Blocked travel time: ${added.map(block => `"${block.summary}" ${DateTime.fromISO(block.start, zoneOptions).toFormat('h:mm a')}–${DateTime.fromISO(block.end, zoneOptions).toFormat('h:mm a')}`).join(', ')}.`);
+    }
+    if (removed > 0) parts.push(`Removed ${removed} travel block(s) that were no longer needed.`);
+    return parts.length ? ` 🚗 ${parts.join(' ')}` : '';
+}
+
+// One entry per week: focus time booked against the target, and its blocks
+function formatFocusWeeks(weeks, timezone = null) {
+    const zoneOptions = timezone ? { zone: timezone } : {};
+    const hours = minutes => `${Math.round(minutes / 6) / 10}h`;
+    return weeks.map(week => {
+        const done = week.doneMinutes > 0 ? `, ${hours(week.doneMinutes)} done` : '';
+        let text = `🎯 Week of ${DateTime.fromISO(week.weekStart, zoneOptions).toFormat('LLL d')}: ${hours(week.bookedMinutes)} of ${hours(week.targetMinutes)} protected${done}`;
+        const changes = [];
+        if (week.added?.length) changes.push(`${week.added.length} block(s) booked`);
+        if (week.removed > 0) changes.push(`${week.removed} block(s) removed`);
+        if (changes.length > 0) text += ` (${changes.join(', ')})`;
+        const blocks = (week.blocks || []).map(block =>
+            `${DateTime.fromISO(block.start, zoneOptions).toFormat('ccc, LLL d h:mm a')} - ${DateTime.fromISO(block.end, zoneOptions).toFormat('h:mm a')}` +
+            (block.interruptedBy ? ` (interrupted by ${block.interruptedBy.map(title => `"${title}"`).join(', ')})` : ''));
+        if (blocks.length > 0) text += `\n   🧱 ${blocks.join('; ')}`;
+        if (week.shortMinutes > 0) text += `\n   ⚠️ ${hours(week.shortMinutes)} short of the target`;
+        return text;
+    }).join('\n');
+}
+
+// Note added to a calendar change that moved focus blocks out of its way
+function describeFocusTime(weeks = [], zoneOptions = {}) {
+    if (!weeks?.length) return '';
+    const short = weeks.filter(week => week.shortMinutes > 0).map(week => DateTime.fromISO(week.weekStart, zoneOptions).toFormat('LLL d'));
+    return ` 🎯 Moved focus time out of the way.${short.length ? ` ⚠️ Not enough free time left for the focus target in the week of ${short.join(', ')}.` : ''}`;
+}
+
 // --- Formatting Tool Responses for the LLM ---
-function formatToolResponse(functionName, result) {
+function formatToolResponse(functionName, result, timezone = null) {
     try {
+        const zoneOptions = timezone ? { zone: timezone } : {};
         // Explicitly handle null/undefined results first
         if (result == null) {
             console.warn(`Tool ${functionName} returned null or undefined.`);
@@ -78,6 +186,16 @@ function formatToolResponse(functionName, result) {
         if (typeof result === 'object' && result.success === false)
             return `Tool ${functionName} failed: ${result.message || 'No details.'} (Status: FAILED)`;
 
+        // Destructive tools return a preview first; nothing has been changed yet
+        if (typeof result === 'object' && result.requiresConfirmation) {
+            const targetLines = (result.targets || [])
+                .map(target => `- "${target.summary}" ${formatEventTime(target.start?.dateTime || target.start?.date, timezone)} (ID: ${target.id})`)
+                .join('\n');
+            const moveLine = result.changes?.start ? `\nNew time: ${formatEventTime(result.changes.start, timezone)} to ${formatEventTime(result.changes.end, timezone)}` : '';
+            return `⏸️ Awaiting confirmation: ${result.summary}. Nothing has been changed yet.\nAffected event(s):\n${targetLines}${moveLine}\n` +
+                   `The user has been shown Confirm and Cancel buttons for this action. Do not call the tool again for it; ask them to review the events and press Confirm or Cancel. (Status: PENDING_CONFIRMATION)`;
+        }
+
         // --- Format successful results ---
         switch (functionName) {
             case 'saveUserPreference':
@@ -93,20 +211,29 @@ function formatToolResponse(functionName, result) {
                         if (item.conflict) {
                             // Include suggestions if available
                             const suggestionText = item.suggestions && item.suggestions.length > 0
-                                ? ` Suggested slots: ${item.suggestions.map(s => `${DateTime.fromISO(s.start).toFormat('h:mma')} - ${DateTime.fromISO(s.end).toFormat('h:mma')}`).join(', ')}`
+                                ? ` Suggested slots: ${item.suggestions.map(s => `${DateTime.fromISO(s.start, zoneOptions).toFormat('h:mma')} - ${DateTime.fromISO(s.end, zoneOptions).toFormat('h:mma')}`).join(', ')}`
                                 : '';
-                            return `⚠️ Conflict detected for event "${summary}".${suggestionText} (Status: CONFLICT)`;
+                            return `⚠️ Conflict detected for event "${summary}": ${item.error}${suggestionText} (Status: CONFLICT)`;
                         } else {
                             return `❌ Failed to add event "${summary}": ${item.error} (Status: FAILED)`;
                         }
                     } else if (item.id && item.summary && (item.start?.dateTime || item.start?.date)) { // Assume success if key fields exist
                         try {
-                            const startStr = formatEventTime(item.start.dateTime || item.start.date); // Use existing helper
+                            const startStr = formatEventTime(item.start.dateTime || item.start.date, timezone); // Use existing helper
                             let successMsg = `✅ Event added: "${item.summary}" starting ${startStr}. (ID: ${item.id})`;
+                            if (item.recurrence) {
+                                successMsg += ` Repeats ${describeRecurrence(item.recurrence)}.`;
+                            }
+                            if (item.attendees?.length) {
+                                successMsg += ` Invited ${item.attendees.length} attendee(s).`;
+                            }
                             // Add priority information if available
                             if (item.priority) {
                                 successMsg += ` [Priority: ${item.priority}]`;
                             }
+                            successMsg += describeReplannedTasks(item.replannedTasks);
+                            successMsg += describeFocusTime(item.focusTime, zoneOptions);
+                            successMsg += describeTravelBlocks(item.travelBlocks, 0, zoneOptions);
                             successMsg += " (Status: SUCCESS)";
                             return successMsg;
                         } catch (e) {
@@ -146,36 +273,32 @@ function formatToolResponse(functionName, result) {
                     return "🗓️ No events found. (Status: SUCCESS)";
                 } else {
                     const priorityInfo = events.some(e => e.priority) ? ' (includes priority information)' : '';
-                    const textDescription = `🗓️ Found ${events.length} event(s)${priorityInfo}:\n\n${formatCalendarEvents(events)} (Status: SUCCESS)`;
-                    
-                    // Log the events for debugging
-                    console.log("DEBUG EVENT CARDS: Events to format:", JSON.stringify(events));
-                    
-                    // Send the events directly to the frontend via the chatbot.js responseCallback
-                    // This will be handled in the chatbot.js file
-                    setTimeout(() => {
-                        if (global.currentResponseCallback) {
-                            global.currentResponseCallback({
-                                type: 'events',
-                                content: 'Here are your calendar events:',
-                                events: events
-                            });
-                        }
-                    }, 500);
+                    const textDescription = `🗓️ Found ${events.length} event(s)${priorityInfo}:\n\n${formatCalendarEvents(events, timezone)} (Status: SUCCESS)`;
                     
+                    // Event cards are sent by the chat pipeline from its request context
                     // Return the text description for the message content
                     return textDescription;
                 }
 
             case 'deleteCalendarEvent':
+                if (result.success && result.scope === 'series')
+                    return `🗑️ All occurrences of recurring event "${result.summary || result.eventId}" deleted. (Series ID: ${result.seriesId}) (Status: SUCCESS)`;
+                if (result.success && result.scope === 'following')
+                    return `🗑️ This and all following occurrences of "${result.summary || result.eventId}" deleted. (Series ID: ${result.seriesId}) (Status: SUCCESS)`;
                 return result.success
-                    ? `🗑️ Event "${result.summary || result.eventId}" deleted. (Status: SUCCESS)` // Use eventId if summary wasn't fetched/returned
+                    ? `🗑️ Event "${result.summary || result.eventId}" deleted.${describeTravelBlocks(result.travelBlocks?.added, result.travelBlocks?.removed, zoneOptions)} (Status: SUCCESS)` // Use eventId if summary wasn't fetched/returned
                     : `❌ Failed to delete event ${result.eventId || '?'}: ${result.error || result.message || '?'} (Status: FAILED)`;
 
             case 'updateCalendarEvent':
                  // Check if result has an ID, indicating success from googleCalendar update function
                 if (result && result.id) {
                     let successMsg = `✏️ Event "${result.summary || result.id}" updated. (ID: ${result.id})`;
+                    if (result.attendees?.length) successMsg += ` Attendees: ${result.attendees.length}.`;
+                    if (result.scope === 'series') successMsg += ' Applied to all occurrences.';
+                    if (result.scope === 'following') successMsg += ` Applied to this and following occurrences (new Series ID: ${result.seriesId}).`;
+                    successMsg += describeReplannedTasks(result.replannedTasks);
+                    successMsg += describeFocusTime(result.focusTime, zoneOptions);
+                    successMsg += describeTravelBlocks(result.travelBlocks, 0, zoneOptions);
                     // Add priority information if available
                     if (result.priority) {
                         successMsg += ` [Priority: ${result.priority}]`;
@@ -194,19 +317,108 @@ function formatToolResponse(functionName, result) {
                 if (result.length === 0)
                     return `🕒 No available slots found matching criteria. (Status: SUCCESS)`;
                 // Format slots with success status
-                const formattedSlots = result.map(slot =>
-                    `${DateTime.fromISO(slot.start).toLocaleString(DateTime.DATETIME_SHORT)} - ${DateTime.fromISO(slot.end).toLocaleString(DateTime.TIME_SIMPLE)}`
-                ).join('\n');
+                const formattedSlots = result.map((slot, index) => {
+                    let text = `${index + 1}. ${DateTime.fromISO(slot.start, zoneOptions).toLocaleString(DateTime.DATETIME_SHORT)} - ${DateTime.fromISO(slot.end, zoneOptions).toLocaleString(DateTime.TIME_SIMPLE)}`;
+                    if (typeof slot.score === 'number') text += ` (score ${slot.score})`;
+                    const breakdown = formatScoreBreakdown(slot);
+                    return breakdown ? `${text}\n   📊 ${breakdown}` : text;
+                }).join('\n');
                 return `🕒 Found ${result.length} available slot(s):\n\n${formattedSlots}\n\n(Status: SUCCESS)`;
 
+            case 'respondToInvitation': {
+                const responseLabel = { accepted: 'Accepted', declined: 'Declined', tentative: 'Tentatively accepted' }[result.response] || result.response;
+                const seriesNote = result.scope === 'series' ? ' (all occurrences)' : '';
+                return `📨 ${responseLabel} "${result.summary || result.eventId}"${seriesNote}${result.organizer ? ` from ${result.organizer}` : ''}.${describeReplannedTasks(result.replannedTasks)}${describeFocusTime(result.focusTime, zoneOptions)} (Status: SUCCESS)`;
+            }
+
+            case 'listCalendars':
+                if (!Array.isArray(result.calendars) || result.calendars.length === 0)
+                    return "🗂️ No calendars found. (Status: SUCCESS)";
+                return `🗂️ Found ${result.calendars.length} calendar(s):\n\n${result.calendars.map(calendar =>
+                    `${calendar.selected ? '☑️' : '⬜'} ${calendar.summary || calendar.id}${calendar.primary ? ' (primary)' : ''} [ID: ${calendar.id}] - ${calendar.accessRole}`
+                ).join('\n')}\n\n☑️ = included when reading events and checking conflicts. (Status: SUCCESS)`;
+
+            case 'selectCalendars':
+                return `🗂️ ${result.message} (Status: SUCCESS)`;
+
+            case 'setTimezone':
+                return `🌍 ${result.message}. Times from now on are interpreted and shown in this timezone. (Status: SUCCESS)`;
+
+            case 'setSchedulingConstraints':
+                return `🗓️ ${result.message} Free slots, conflict checks and meeting searches follow these rules from now on. (Status: SUCCESS)`;
+
+            case 'setSlotRankingWeights':
+                return `⚖️ ${result.message} Suggested slots and meeting times are ranked with these from now on. (Status: SUCCESS)`;
+
+            case 'setTravelSettings':
+                return `🚗 ${result.message} In-person events get time to travel between them from now on. (Status: SUCCESS)`;
+
+            case 'protectFocusTime': {
+                if (!result.settings?.weeklyHours) {
+                    const removed = (result.weeks || []).reduce((sum, week) => sum + (week.removed || 0), 0);
+                    return `🎯 ${result.message}${removed > 0 ? ` Removed ${removed} future focus block(s).` : ''} (Status: SUCCESS)`;
+                }
+                return `🎯 ${result.message} Slot suggestions avoid cutting into these blocks, and they move when something is booked over them.\n\n${formatFocusWeeks(result.weeks, timezone)}\n\n(Status: SUCCESS)`;
+            }
+
+            case 'getFocusTimeStatus':
+                if (!Array.isArray(result.weeks) || result.weeks.length === 0)
+                    return `🎯 ${result.message} (Status: SUCCESS)`;
+                return `🎯 ${result.message}\n\n${formatFocusWeeks(result.weeks, timezone)}\n\n(Status: SUCCESS)`;
+
+            case 'createTasks': {
+                const movedText = result.movedTasks?.length ? `\n\nOther tasks re-planned to make room:\n${formatTasks(result.movedTasks, timezone)}` : '';
+                return `📋 Added ${result.tasks.length} task(s) and booked their work blocks:\n\n${formatTasks(result.tasks, timezone)}${movedText}\n\n(Status: SUCCESS)`;
+            }
+
+            case 'listTasks':
+                if (!Array.isArray(result.tasks) || result.tasks.length === 0)
+                    return "📋 No tasks found. (Status: SUCCESS)";
+                return `📋 ${result.tasks.length} task(s):\n\n${formatTasks(result.tasks, timezone)}\n\n(Status: SUCCESS)`;
+
+            case 'planTasks':
+                if (!Array.isArray(result.tasks) || result.tasks.length === 0)
+                    return "📋 No open tasks to plan. (Status: SUCCESS)";
+                return `📋 Re-planned ${result.tasks.length} task(s):\n\n${formatTasks(result.tasks, timezone)}\n\n(Status: SUCCESS)`;
+
+            case 'updateTask':
+                return `📋 Task updated:\n\n${formatTasks([result.task], timezone)}\n\n(Status: SUCCESS)`;
+
+            case 'completeTask':
+                if (result.alreadyCompleted)
+                    return `✅ Task "${result.task.title}" was already completed. (Status: SUCCESS)`;
+                return `✅ Task "${result.task.title}" marked complete.${result.task.removedBlocks ? ` Removed ${result.task.removedBlocks} future work block(s) from the calendar.` : ''} (Status: SUCCESS)`;
+
+            case 'findMeetingTime': {
+                const warningText = result.warnings?.length ? `\n\n⚠️ ${result.warnings.join('\n⚠️ ')}` : '';
+                if (!Array.isArray(result.slots) || result.slots.length === 0)
+                    return `🤝 No time works for all ${result.participants?.length || ''} participants in that window.${warningText} (Status: SUCCESS)`;
+                const meetingSlots = result.slots.map((slot, index) => {
+                    const start = DateTime.fromISO(slot.start, { setZone: true });
+                    const end = DateTime.fromISO(slot.end, { setZone: true });
+                    const localTimes = (slot.localTimes || [])
+                        .filter(local => local.email !== 'you' && local.timeZone !== start.zoneName)
+                        .map(local => `${local.email}: ${DateTime.fromISO(local.start, { setZone: true }).toFormat('h:mm a')} ${local.timeZone}`);
+                    let text = `${index + 1}. ${start.toFormat('ccc, LLL d')} ${start.toFormat('h:mm a')} - ${end.toFormat('h:mm a')} (score ${Math.round(slot.score)})`;
+                    if (localTimes.length > 0) text += `\n   🌍 ${localTimes.join('; ')}`;
+                    if (slot.scoreBreakdown?.length) text += `\n   📊 ${formatScoreBreakdown(slot)}`;
+                    else if (slot.cons?.length) text += `\n   ➖ ${slot.cons.join('; ')}`;
+                    return text;
+                }).join('\n');
+                return `🤝 Found ${result.slots.length} time(s) that work for all ${result.participants.length} participants:\n\n${meetingSlots}${warningText}\n\n(Status: SUCCESS)`;
+            }
+
             case 'getWeatherForecast':
                 return `🌤️ Weather for ${result.location} on ${result.date}: ${result.forecast || 'N/A'} (Status: ${result.forecast && !result.forecast.includes('unavailable') ? 'SUCCESS' : 'PARTIAL'})`;
 
             case 'deleteCalendarEventsByQuery':
                 return result.success
-                    ? `🗑️ ${result.message} (Deleted Count: ${result.deletedCount}) (Status: SUCCESS)`
+                    ? `🗑️ ${result.message}${describeTravelBlocks(result.travelBlocks?.added, result.travelBlocks?.removed, zoneOptions)} (Deleted Count: ${result.deletedCount}) (Status: SUCCESS)`
                     : `❌ Failed bulk delete: ${result.message || result.error || '?'} (Status: FAILED)`;
 
+            case 'undoLastAction':
+                return `↩️ Undid: ${result.summary}. Changes made: ${(result.undone || []).map(item => item.description).join('; ')}. (Status: SUCCESS)`;
+
             default:
                 // Safely stringify other results with status indicators
                 if (typeof result === 'object' && result !== null) {
@@ -0,0 +1,181 @@
+// lib/tools/meetingScheduler.js
+// Purpose: Finds meeting times that work for several people. Busy times come from
+//          Google's free/busy endpoint; each participant's working hours are applied
+//          in their own timezone, then the remaining slots are ranked with evaluateSlots.
+//          The user is also held to their scheduling constraints (lunch, buffers, meeting
+//          limits, no-meeting days, blackouts).
+import { DateTime, Interval } from 'luxon';
+import { evaluateSlots, DEFAULT_WORKING_HOURS, DEFAULT_SLOT_WEIGHTS } from './schedulingUtils.js';
+import { findConstraintViolations, getWorkingHoursForDay } from './schedulingConstraints.js';
+
+// Candidate meetings start on the hour or half hour
+const SLOT_STEP_MINUTES = 30;
+// Slots in the first/last hour of someone's day are allowed but ranked lower
+const EDGE_OF_DAY_MINUTES = 60;
+const EDGE_OF_DAY_PENALTY = 4;
+
+/**
+ * Sets a DateTime to a (possibly fractional) hour of its day, e.g. 8.5 -> 08:30
+ * @param {DateTime} dt - Day to use
+ * @param {number} hour - Hour of day
+ * @returns {DateTime} - DateTime at that hour
+ */
+function atHour(dt, hour) {
+  const whole = Math.floor(hour);
+  return dt.set({ hour: whole, minute: Math.round((hour - whole) * 60), second: 0, millisecond: 0 });
+}
+
+/**
+ * Checks whether a slot falls entirely inside a participant's working hours
+ * @param {DateTime} slotStart - Slot start
+ * @param {DateTime} slotEnd - Slot end
+ * @param {string} timezone - Participant's IANA timezone
+ * @param {Object} workingHours - { start, end, workDays } in the participant's local time
+ * @returns {boolean} - True if the whole slot is within working hours
+ */
+export function isWithinWorkingHours(slotStart, slotEnd, timezone, workingHours) {
+  const localStart = slotStart.setZone(timezone);
+  const localEnd = slotEnd.setZone(timezone);
+  if (!workingHours.workDays.includes(localStart.weekday)) return false;
+  return localStart >= atHour(localStart, workingHours.start) && localEnd <= atHour(localStart, workingHours.end);
+}
+
+/**
+ * Checks whether a slot suits a participant: inside their working hours, or for a participant
+ * with scheduling constraints (the user), breaking none of them
+ * @param {DateTime} slotStart - Slot start
+ * @param {DateTime} slotEnd - Slot end
+ * @param {Object} participant - Participant (see findMeetingSlots)
+ * @returns {boolean}
+ */
+function suitsParticipant(slotStart, slotEnd, participant) {
+  if (!participant.constraints) {
+    return isWithinWorkingHours(slotStart, slotEnd, participant.timeZone, participant.workingHours || DEFAULT_WORKING_HOURS);
+  }
+  const violations = findConstraintViolations(
+    participant.constraints,
+    slotStart.setZone(participant.timeZone),
+    slotEnd.setZone(participant.timeZone),
+    { isMeeting: true, busy: participant.busyEvents || [] }
+  );
+  return violations.length === 0;
+}
+
+/**
+ * A participant's working day around a local time
+ * @param {Object} participant - Participant (see findMeetingSlots)
+ * @param {DateTime} localStart - Time in the participant's timezone
+ * @returns {Object} - { start, end } DateTimes
+ */
+function workingDayFor(participant, localStart) {
+  if (participant.constraints) return getWorkingHoursForDay(participant.constraints, localStart);
+  const hours = participant.workingHours || DEFAULT_WORKING_HOURS;
+  return { start: atHour(localStart, hours.start), end: atHour(localStart, hours.end) };
+}
+
+/**
+ * Finds slots where every participant is free and within their working hours
+ * @param {Object} params - Search parameters
+ * @param {Array} params.participants - [{ email, label, timeZone, workingHours, busy: [{ start, end }], availabilityKnown }];
+ *   the user's entry has constraints (their scheduling constraints) and busyEvents (their events,
+ *   for buffers and meeting counts; see toBusyEvents) instead of workingHours
+ * @param {number} params.duration - Meeting length in minutes
+ * @param {string} params.startDate - Search start (ISO 8601)
+ * @param {string} params.endDate - Search end (ISO 8601)
+ * @param {string} params.organizerTimezone - Timezone results are expressed and ranked in
+ * @param {string} params.activity - Type of meeting (used by slot ranking)
+ * @param {string} params.timePreference - morning | afternoon | evening | any (organizer's local time)
+ * @param {number} params.maxResults - Number of slots to return
+ * @param {Object} params.weights - The organizer's ranking weights (see DEFAULT_SLOT_WEIGHTS)
+ * @returns {Array} - Ranked slots with pros, cons, score, scoreBreakdown and each participant's local time
+ */
+export function findMeetingSlots({
+  participants,
+  duration,
+  startDate,
+  endDate,
+  organizerTimezone,
+  activity = 'meeting',
+  timePreference = 'any',
+  maxResults = 5,
+  weights = DEFAULT_SLOT_WEIGHTS
+}) {
+  const searchStart = DateTime.fromISO(startDate).toUTC();
+  const searchEnd = DateTime.fromISO(endDate).toUTC();
+
+  // Everyone's busy blocks, labelled so slot pros/cons can say whose time it is
+  const busyIntervals = participants.flatMap(participant =>
+    (participant.busy || []).map(block => ({
+      interval: Interval.fromDateTimes(DateTime.fromISO(block.start), DateTime.fromISO(block.end)),
+      summary: participant.label || participant.email
+    }))
+  ).filter(busy => busy.interval.isValid);
+
+  // Align the first candidate to the next half hour
+  const remainder = searchStart.minute % SLOT_STEP_MINUTES;
+  let slotStart = searchStart.set({ second: 0, millisecond: 0 });
+  if (remainder !== 0 || searchStart.second > 0 || searchStart.millisecond > 0) {
+    slotStart = slotStart.plus({ minutes: SLOT_STEP_MINUTES - remainder }).set({ second: 0, millisecond: 0 });
+  }
+
+  const candidates = [];
+  while (slotStart.plus({ minutes: duration }) <= searchEnd) {
+    const slotEnd = slotStart.plus({ minutes: duration });
+    const slotInterval = Interval.fromDateTimes(slotStart, slotEnd);
+
+    const worksForEveryone = participants.every(participant => suitsParticipant(slotStart, slotEnd, participant));
+    const isFree = worksForEveryone && !busyIntervals.some(busy => busy.interval.overlaps(slotInterval));
+
+    if (isFree) {
+      candidates.push({
+        start: slotStart.setZone(organizerTimezone).toISO(),
+        end: slotEnd.setZone(organizerTimezone).toISO()
+      });
+    }
+    slotStart = slotStart.plus({ minutes: SLOT_STEP_MINUTES });
+  }
+
+  const organizerConstraints = participants.find(participant => participant.constraints)?.constraints;
+  const ranked = evaluateSlots(candidates, busyIntervals, duration, activity, timePreference, organizerTimezone, organizerConstraints, weights)
+    .map(slot => {
+      const start = DateTime.fromISO(slot.start);
+      const end = DateTime.fromISO(slot.end);
+      const pros = [...slot.pros];
+      const cons = [...slot.cons];
+      const scoreBreakdown = [...slot.scoreBreakdown];
+      const edgePenalty = -EDGE_OF_DAY_PENALTY * (weights.edgeOfDay ?? 1);
+
+      const localTimes = participants.map(participant => {
+        const localStart = start.setZone(participant.timeZone);
+        const localEnd = end.setZone(participant.timeZone);
+        const name = participant.label || participant.email;
+        const day = workingDayFor(participant, localStart);
+
+        if (localStart < day.start.plus({ minutes: EDGE_OF_DAY_MINUTES })) {
+          const reason = `Early in the day for ${name} (${localStart.toFormat('h:mm a')} ${participant.timeZone})`;
+          cons.push(reason);
+          if (edgePenalty) scoreBreakdown.push({ factor: 'edgeOfDay', reason, points: edgePenalty });
+        } else if (localEnd > day.end.minus({ minutes: EDGE_OF_DAY_MINUTES })) {
+          const reason = `End of the day for ${name} (${localEnd.toFormat('h:mm a')} ${participant.timeZone})`;
+          cons.push(reason);
+          if (edgePenalty) scoreBreakdown.push({ factor: 'edgeOfDay', reason, points: edgePenalty });
+        }
+
+        return {
+          email: participant.email,
+          timeZone: participant.timeZone,
+          start: localStart.toISO(),
+          end: localEnd.toISO()
+        };
+      });
+
+      pros.push(`Within working hours for all ${participants.length} participants`);
+      // evaluateSlots adds a placeholder con when it finds none; drop it once there is a real one
+      const realCons = cons.length > 1 ? cons.filter(con => con !== 'No significant drawbacks identified') : cons;
+      const score = Math.round(scoreBreakdown.reduce((sum, item) => sum + item.points, 0) * 10) / 10;
+      return { start: slot.start, end: slot.end, pros, cons: realCons, score, scoreBreakdown, localTimes };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.slice(0, maxResults);
+}
@@ -0,0 +1,197 @@
+// lib/tools/recurrenceUtils.js
+// Purpose: Helpers for building and editing RFC 5545 recurrence rules (RRULE/EXDATE)
+//          in the shape Google Calendar expects on `event.recurrence`.
+import { DateTime } from 'luxon';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Scopes supported by the update/delete tools for recurring events
+export const RECURRENCE_SCOPES = ['instance', 'following', 'series'];
+
+/**
+ * Formats a DateTime as an RFC 5545 UTC timestamp (e.g. 20250630T235959Z)
+ * @param {DateTime} dt - Luxon DateTime
+ * @returns {string} - Basic-format UTC timestamp
+ */
+function toRRuleUtc(dt) {
+  return dt.toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'");
+}
+
+/**
+ * Normalizes a weekday token ("monday", "Mon", "MO", "1MO", "-1FR") to RRULE BYDAY format
+ * @param {string} day - Weekday token
+ * @returns {string|null} - BYDAY token or null if unrecognized
+ */
+function normalizeWeekday(day) {
+  if (typeof day !== 'string') return null;
+  const match = day.trim().toUpperCase().match(/^([+-]?\d{1,2})?([A-Z]+)$/);
+  if (!match) return null;
+  const [, ordinal = '', name] = match;
+  const code = WEEKDAYS.find(wd => name.startsWith(wd));
+  return code ? `${ordinal}${code}` : null;
+}
+
+/**
+ * Builds the Google Calendar `recurrence` array from a structured recurrence description.
+ * Accepts either a raw rule (`{ rrule: 'FREQ=WEEKLY;BYDAY=MO' }`) or structured fields.
+ *
+ * @param {Object} recurrence - Recurrence description from the tool call
+ * @param {string} recurrence.frequency - daily | weekly | monthly | yearly
+ * @param {number} [recurrence.interval] - Repeat every N periods
+ * @param {Array<string>} [recurrence.byDay] - Weekdays (e.g. ['MO', 'WE', 'FR'] or ['1MO'] for monthly)
+ * @param {Array<number>} [recurrence.byMonthDay] - Days of month (e.g. [1, 15])
+ * @param {number} [recurrence.count] - Total number of occurrences
+ * @param {string} [recurrence.until] - Last date (inclusive) in ISO 8601
+ * @param {Array<string>} [recurrence.exceptions] - Dates (YYYY-MM-DD) or datetimes to skip
+ * @param {string} eventStart - Start of the first occurrence in ISO 8601
+ * @param {string} timezone - IANA timezone the series repeats in
+ * @returns {Array<string>} - Lines for `event.recurrence` (RRULE and optional EXDATE)
+ */
+export function buildRecurrenceRules(recurrence, eventStart, timezone) {
+  if (!recurrence || typeof recurrence !== 'object') {
+    throw new Error('Recurrence must be an object.');
+  }
+
+  const start = DateTime.fromISO(eventStart, { setZone: true }).setZone(timezone);
+  if (!start.isValid) {
+    throw new Error(`Invalid event start for recurrence: ${eventStart}`);
+  }
+
+  let rule;
+  if (recurrence.rrule) {
+    // Raw rule supplied - strip an optional "RRULE:" prefix and trust the caller
+    rule = String(recurrence.rrule).replace(/^RRULE:/i, '').trim();
+    if (!/FREQ=/i.test(rule)) throw new Error(`Invalid RRULE (missing FREQ): ${recurrence.rrule}`);
+  } else {
+    const frequency = String(recurrence.frequency || '').toUpperCase();
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new Error(`Unsupported recurrence frequency "${recurrence.frequency}". Use daily, weekly, monthly or yearly.`);
+    }
+    if (recurrence.count && recurrence.until) {
+      throw new Error('Recurrence cannot have both count and until.');
+    }
+
+    const parts = [`FREQ=${frequency}`];
+
+    if (recurrence.interval && Number(recurrence.interval) > 1) {
+      parts.push(`INTERVAL=${Math.floor(Number(recurrence.interval))}`);
+    }
+
+    if (Array.isArray(recurrence.byDay) && recurrence.byDay.length > 0) {
+      const days = recurrence.byDay.map(normalizeWeekday);
+      const invalid = recurrence.byDay.filter((_, i) => !days[i]);
+      if (invalid.length > 0) throw new Error(`Invalid weekday(s) in byDay: ${invalid.join(', ')}`);
+      parts.push(`BYDAY=${days.join(',')}`);
+    }
+
+    if (Array.isArray(recurrence.byMonthDay) && recurrence.byMonthDay.length > 0) {
+      parts.push(`BYMONTHDAY=${recurrence.byMonthDay.map(d => Math.floor(Number(d))).join(',')}`);
+    }
+
+    if (recurrence.count) {
+      const count = Math.floor(Number(recurrence.count));
+      if (!(count > 0)) throw new Error(`Invalid recurrence count: ${recurrence.count}`);
+      parts.push(`COUNT=${count}`);
+    } else if (recurrence.until) {
+      // "until June 30" should include occurrences on June 30, so use the end of that day
+      let until = DateTime.fromISO(recurrence.until, { zone: timezone });
+      if (!until.isValid) throw new Error(`Invalid recurrence until date: ${recurrence.until}`);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(recurrence.until)) until = until.endOf('day');
+      if (until < start) throw new Error('Recurrence until date is before the first occurrence.');
+      parts.push(`UNTIL=${toRRuleUtc(until.set({ millisecond: 0 }))}`);
+    }
+
+    rule = parts.join(';');
+  }
+
+  const lines = [`RRULE:${rule}`];
+
+  // Exceptions become EXDATE entries matching the local start time of the skipped occurrence
+  if (Array.isArray(recurrence.exceptions) && recurrence.exceptions.length > 0) {
+    const exdates = recurrence.exceptions.map(exception => {
+      const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(exception);
+      let dt = DateTime.fromISO(exception, { zone: timezone });
+      if (!dt.isValid) throw new Error(`Invalid recurrence exception date: ${exception}`);
+      if (isDateOnly) {
+        dt = dt.set({ hour: start.hour, minute: start.minute, second: start.second });
+      } else {
+        dt = dt.setZone(timezone);
+      }
+      return dt.toFormat("yyyyLLdd'T'HHmmss");
+    });
+    lines.push(`EXDATE;TZID=${timezone}:${exdates.join(',')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Ends a series just before the given occurrence. Used for "this and following" edits,
+ * where the original series keeps the earlier occurrences and a new series takes over.
+ *
+ * @param {Array<string>} recurrence - Existing `event.recurrence` lines of the series master
+ * @param {string} occurrenceStart - Original start (ISO 8601) of the first occurrence to drop
+ * @returns {Array<string>} - Recurrence lines with COUNT/UNTIL replaced by an UNTIL before the occurrence
+ */
+export function truncateRecurrenceBefore(recurrence, occurrenceStart) {
+  // All-day series start on a DATE, and RFC 5545 then needs UNTIL to be a DATE too: the day before
+  const isAllDay = /^\d{4}-\d{2}-\d{2}$/.test(occurrenceStart || '');
+  const cutoff = isAllDay
+    ? DateTime.fromISO(occurrenceStart, { zone: 'utc' }).minus({ days: 1 })
+    : DateTime.fromISO(occurrenceStart, { setZone: true }).minus({ seconds: 1 });
+  if (!cutoff.isValid) throw new Error(`Invalid occurrence start: ${occurrenceStart}`);
+  const until = isAllDay ? cutoff.toFormat('yyyyLLdd') : toRRuleUtc(cutoff);
+
+  return (recurrence || []).map(line => {
+    if (!/^RRULE:/i.test(line)) return line;
+    const parts = line
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .filter(part => part && !/^(COUNT|UNTIL)=/i.test(part));
+    parts.push(`UNTIL=${until}`);
+    return `RRULE:${parts.join(';')}`;
+  });
+}
+
+/**
+ * Rewrites the COUNT of a series for the part that continues after a split.
+ * UNTIL-bounded and infinite rules are returned unchanged.
+ *
+ * @param {Array<string>} recurrence - Recurrence lines of the original series
+ * @param {number} occurrencesBefore - Occurrences that stay with the original series
+ * @returns {Array<string>} - Recurrence lines for the new (following) series
+ */
+export function remainingRecurrence(recurrence, occurrencesBefore) {
+  return (recurrence || []).map(line => {
+    const match = line.match(/COUNT=(\d+)/i);
+    if (!/^RRULE:/i.test(line) || !match) return line;
+    const remaining = Math.max(1, Number(match[1]) - occurrencesBefore);
+    return line.replace(/COUNT=\d+/i, `COUNT=${remaining}`);
+  });
+}
+
+/**
+ * Produces a short human-readable description of a recurrence rule for tool responses
+ * @param {Array<string>} recurrence - `event.recurrence` lines
+ * @returns {string} - Description such as "weekly on MO,WE,FR until 2025-06-30"
+ */
+export function describeRecurrence(recurrence) {
+  const rrule = (recurrence || []).find(line => /^RRULE:/i.test(line));
+  if (!rrule) return '';
+
+  const fields = Object.fromEntries(
+    rrule.replace(/^RRULE:/i, '').split(';').map(part => part.split('='))
+  );
+  let description = (fields.FREQ || '').toLowerCase();
+  if (fields.INTERVAL && fields.INTERVAL !== '1') description = `every ${fields.INTERVAL} ${description}`;
+  if (fields.BYDAY) description += ` on ${fields.BYDAY}`;
+  if (fields.BYMONTHDAY) description += ` on day ${fields.BYMONTHDAY}`;
+  if (fields.COUNT) description += `, ${fields.COUNT} times`;
+  if (fields.UNTIL) {
+    const format = fields.UNTIL.includes('T') ? "yyyyLLdd'T'HHmmss'Z'" : 'yyyyLLdd';
+    const until = DateTime.fromFormat(fields.UNTIL, format, { zone: 'utc' });
+    description += ` until ${until.isValid ? until.toISODate() : fields.UNTIL}`;
+  }
+  return description;
+}
@@ -0,0 +1,243 @@
+// lib/tools/recurringEvents.js
+// Purpose: Applies updates and deletes to recurring events with a
+//          "this instance / this and following / whole series" scope.
+//          getCalendarEvents expands series (singleEvents: true), so the IDs the
+//          LLM sees are instance IDs; the series master is found via recurringEventId.
+import { DateTime } from 'luxon';
+
+import {
+    getCalendarEvent,
+    getEventInstances,
+    insertCalendarEvent,
+    patchCalendarEvent,
+    mergeAttendees,
+    deleteCalendarEvent as deleteGCalendarEventInternal,
+    updateCalendarEvent as updateGCalendarEventInternal
+} from '../../googleCalendar.js';
+
+import { RECURRENCE_SCOPES, truncateRecurrenceBefore, remainingRecurrence } from './recurrenceUtils.js';
+
+/**
+ * Resolves an event ID to the event itself plus, for recurring events, its series master.
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - Instance ID, series master ID or plain event ID
+ * @param {string} calendarId - Calendar the event lives in (defaults to 'primary')
+ * @returns {Object} - { event, master, isRecurring, isMaster, occurrenceStart }
+ */
+export async function resolveRecurrenceTarget(tokens, eventId, calendarId = 'primary') {
+    const event = await getCalendarEvent(tokens, eventId, calendarId);
+
+    if (Array.isArray(event.recurrence) && event.recurrence.length > 0) {
+        // The ID is the series master itself
+        return {
+            event,
+            master: event,
+            isRecurring: true,
+            isMaster: true,
+            occurrenceStart: event.start?.dateTime || event.start?.date
+        };
+    }
+
+    if (event.recurringEventId) {
+        const master = await getCalendarEvent(tokens, event.recurringEventId, calendarId);
+        return {
+            event,
+            master,
+            isRecurring: true,
+            isMaster: false,
+            // originalStartTime identifies the occurrence even if this instance was moved
+            occurrenceStart: event.originalStartTime?.dateTime || event.originalStartTime?.date || event.start?.dateTime || event.start?.date
+        };
+    }
+
+    return { event, master: null, isRecurring: false, isMaster: false, occurrenceStart: null };
+}
+
+function validateScope(scope) {
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope "${scope}". Use one of: ${RECURRENCE_SCOPES.join(', ')}.`);
+    }
+}
+
+// True if the occurrence is the first one of the series (a "following" edit then covers the whole series)
+function isFirstOccurrence(master, occurrenceStart) {
+    const seriesStart = DateTime.fromISO(master.start?.dateTime || master.start?.date);
+    const occurrence = DateTime.fromISO(occurrenceStart);
+    return !occurrence.isValid || !seriesStart.isValid || occurrence <= seriesStart;
+}
+
+// A failed delete as an error, carrying Google's status code (404/410 when already deleted)
+function deleteError(result) {
+    const error = new Error(result.error);
+    error.code = result.code;
+    return error;
+}
+
+/**
+ * Deletes an event, honouring the scope for recurring events.
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - ID of the event/instance to delete
+ * @param {string} scope - instance | following | series
+ * @param {string} calendarId - Calendar the event lives in (defaults to 'primary')
+ * @returns {Object} - { success, eventId, summary, scope, seriesId, start, end, calendarId, event, mutations }
+ *                     where event is the deleted event (the series master for a series delete) and
+ *                     mutations lists what changed in Google ({ operation, eventId, before, after })
+ */
+export async function deleteEventWithScope(tokens, eventId, scope = 'instance', calendarId = 'primary') {
+    validateScope(scope);
+    const target = await resolveRecurrenceTarget(tokens, eventId, calendarId);
+    const { event, master } = target;
+    const summary = event.summary || eventId;
+    const start = event.start?.dateTime || event.start?.date;
+    const end = event.end?.dateTime || event.end?.date;
+
+    if (!target.isRecurring) {
+        const result = await deleteGCalendarEventInternal(tokens, eventId, calendarId);
+        if (!result.success) throw deleteError(result);
+        return {
+            success: true, eventId, summary, scope: 'instance', start, end, calendarId, event,
+            mutations: [{ operation: 'delete', eventId, before: event }]
+        };
+    }
+
+    if (scope === 'instance') {
+        if (target.isMaster) {
+            throw new Error(`Event ${eventId} is a recurring series. Pass an instance ID (from getCalendarEvents) to delete a single occurrence, or use scope "series".`);
+        }
+        const result = await deleteGCalendarEventInternal(tokens, eventId, calendarId);
+        if (!result.success) throw deleteError(result);
+        return {
+            success: true, eventId, summary, scope, seriesId: master.id, start, end, calendarId, event,
+            mutations: [{ operation: 'delete', eventId, before: event }]
+        };
+    }
+
+    if (scope === 'series' || isFirstOccurrence(master, target.occurrenceStart)) {
+        const result = await deleteGCalendarEventInternal(tokens, master.id, calendarId);
+        if (!result.success) throw deleteError(result);
+        return {
+            success: true,
+            eventId: master.id,
+            summary,
+            scope: 'series',
+            seriesId: master.id,
+            start: master.start?.dateTime || master.start?.date,
+            end: null, // Open-ended: the whole series is gone
+            calendarId,
+            event: master,
+            mutations: [{ operation: 'delete', eventId: master.id, before: master }]
+        };
+    }
+
+    // scope === 'following': end the series just before this occurrence
+    const truncated = await patchCalendarEvent(tokens, master.id, {
+        recurrence: truncateRecurrenceBefore(master.recurrence, target.occurrenceStart)
+    }, calendarId);
+    console.log(`Truncated series ${master.id} before ${target.occurrenceStart}`);
+    return {
+        success: true, eventId, summary, scope, seriesId: master.id, start, end: null, calendarId, event,
+        mutations: [{ operation: 'update', eventId: master.id, before: master, after: truncated }]
+    };
+}
+
+/**
+ * Updates an event, honouring the scope for recurring events.
+ * Time changes on a series are applied as a shift relative to the chosen occurrence,
+ * so "move this weekly meeting to 3pm" keeps every occurrence on its own day.
+ *
+ * @param {Object} tokens - User's OAuth tokens
+ * @param {string} eventId - ID of the event/instance to update
+ * @param {Object} updates - Fields to update (summary, description, location, start, end, recurrence,
+ *                           attendees/addAttendees/removeAttendees, sendUpdates)
+ * @param {string} scope - instance | following | series
+ * @param {string} calendarId - Calendar the event lives in (defaults to 'primary')
+ * @returns {Object} - Updated event (series master or new series for following edits) plus
+ *                     { scope, seriesId, mutations } (see deleteEventWithScope)
+ */
+export async function updateEventWithScope(tokens, eventId, updates, scope = 'instance', calendarId = 'primary') {
+    validateScope(scope);
+    const target = await resolveRecurrenceTarget(tokens, eventId, calendarId);
+    const { event, master } = target;
+
+    if (!target.isRecurring || (scope === 'instance' && !target.isMaster)) {
+        const { recurrence, ...instanceUpdates } = updates;
+        const updated = await updateGCalendarEventInternal(tokens, eventId, instanceUpdates, calendarId);
+        return {
+            ...updated, scope: 'instance', seriesId: master?.id,
+            mutations: [{ operation: 'update', eventId, before: event, after: updated }]
+        };
+    }
+
+    if (scope === 'instance') {
+        throw new Error(`Event ${eventId} is a recurring series. Pass an instance ID (from getCalendarEvents) to change a single occurrence, or use scope "series".`);
+    }
+
+    // Shift = new occurrence time - current occurrence time
+    const occurrenceStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
+    const occurrenceEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
+    const startShift = updates.start ? DateTime.fromISO(updates.start).diff(occurrenceStart) : null;
+    const endShift = updates.end
+        ? DateTime.fromISO(updates.end).diff(occurrenceEnd)
+        : startShift; // Moving only the start keeps the duration
+
+    const shifted = (eventTime, shift) => {
+        if (!shift || !eventTime?.dateTime) return undefined;
+        return DateTime.fromISO(eventTime.dateTime).plus(shift).toUTC().toISO({ suppressMilliseconds: true });
+    };
+
+    if (scope === 'series' || isFirstOccurrence(master, target.occurrenceStart)) {
+        const seriesUpdates = { ...updates };
+        delete seriesUpdates.start;
+        delete seriesUpdates.end;
+        const newStart = shifted(master.start, startShift);
+        const newEnd = shifted(master.end, endShift);
+        if (newStart) seriesUpdates.start = newStart;
+        if (newEnd) seriesUpdates.end = newEnd;
+
+        const updated = await updateGCalendarEventInternal(tokens, master.id, seriesUpdates, calendarId);
+        return {
+            ...updated, scope: 'series', seriesId: master.id,
+            mutations: [{ operation: 'update', eventId: master.id, before: master, after: updated }]
+        };
+    }
+
+    // scope === 'following': split the series in two at this occurrence
+    let occurrencesBefore = 0;
+    const hasCount = (master.recurrence || []).some(line => /COUNT=/i.test(line));
+    if (hasCount) {
+        const earlier = await getEventInstances(tokens, master.id, { timeMax: target.occurrenceStart }, calendarId);
+        occurrencesBefore = earlier.length;
+    }
+
+    const truncated = await patchCalendarEvent(tokens, master.id, {
+        recurrence: truncateRecurrenceBefore(master.recurrence, target.occurrenceStart)
+    }, calendarId, { sendUpdates: updates.sendUpdates });
+
+    const timeZone = master.start?.timeZone || 'UTC';
+    const newSeries = {
+        summary: updates.summary ?? master.summary,
+        description: updates.description ?? master.description,
+        location: updates.location ?? master.location,
+        reminders: master.reminders,
+        attendees: mergeAttendees(master.attendees, updates) || master.attendees,
+        start: {
+            dateTime: updates.start || event.start?.dateTime,
+            timeZone
+        },
+        end: {
+            dateTime: updates.end || shifted(event.end, endShift) || event.end?.dateTime,
+            timeZone
+        },
+        recurrence: remainingRecurrence(updates.recurrence || master.recurrence, occurrencesBefore)
+    };
+
+    const created = await insertCalendarEvent(tokens, newSeries, calendarId, { sendUpdates: updates.sendUpdates });
+    console.log(`Split series ${master.id} at ${target.occurrenceStart}; new series ${created.id}`);
+    return {
+        ...created, scope, seriesId: created.id, previousSeriesId: master.id,
+        mutations: [
+            { operation: 'update', eventId: master.id, before: master, after: truncated },
+            { operation: 'create', eventId: created.id, after: created }
+        ]
+    };
+}
@@ -0,0 +1,452 @@
+// lib/tools/schedulingConstraints.js
+// Purpose: The typed scheduling-constraints model that slot searches, conflict checks and
+//          slot ranking enforce, and the mapping from saved preferences into it. Times are
+//          wall-clock "HH:mm" in the user's timezone; days are ISO weekdays (1 = Monday).
+//
+//          workingHours       { 1: { start, end }, ... } per weekday; a missing day isn't
+//                             worked. Suggested slots fall inside them, and meetings can't
+//                             be booked outside them.
+//          lunch              { start, end } or null. No meetings then; suggestions skip it
+//                             unless the activity is a meal.
+//          bufferMinutes      Free time kept between a meeting and the events around it
+//          maxMeetingsPerDay  Meetings allowed per day (null = no limit)
+//          noMeetingDays      Weekdays with no meetings at all
+//          blackouts          [{ days, start, end, label }]: weekly periods nothing is booked in
+//
+//          A "meeting" is an event with other attendees or a meeting-like title or activity
+//          (call, sync, interview...). Other events (a workout, focus time) are only held to
+//          blackouts, and to working hours when the assistant suggests a time for them.
+import { DateTime } from 'luxon';
+
+export const DEFAULT_CONSTRAINTS = Object.freeze({
+  workingHours: Object.freeze(Object.fromEntries([1, 2, 3, 4, 5].map(day => [day, Object.freeze({ start: '09:00', end: '17:00' })]))),
+  lunch: null,
+  bufferMinutes: 0,
+  maxMeetingsPerDay: null,
+  noMeetingDays: Object.freeze([]),
+  blackouts: Object.freeze([])
+});
+
+// Fields applyConstraintChanges accepts
+export const CONSTRAINT_FIELDS = ['workingHours', 'daysOff', 'lunch', 'bufferMinutes', 'maxMeetingsPerDay', 'noMeetingDays', 'blackouts'];
+
+// Upper bound for buffers (conflict checks read this far around an event)
+export const MAX_BUFFER_MINUTES = 120;
+
+const WEEKDAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MEETING_KEYWORDS = /\b(meeting|meet|call|sync|standup|stand-up|interview|1:1|one-on-one|review|demo|catch[- ]?up|check[- ]?in|huddle)\b/i;
+const MEAL_KEYWORDS = /\b(lunch|breakfast|brunch|dinner|meal|eat|coffee)\b/i;
+
+// --- Parsing ---
+
+/**
+ * Reads a clock time ("8", "8am", "4:30 pm", "16:30", 8.5)
+ * @param {string|number} value - Time of day
+ * @returns {Object|null} - { minutes, hasMeridiem } (minutes after midnight) or null
+ */
+function parseClock(value) {
+  if (typeof value === 'number') {
+    return value >= 0 && value <= 24 ? { minutes: Math.round(value * 60), hasMeridiem: false } : null;
+  }
+  if (typeof value !== 'string') return null;
+  const match = value.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3]?.[0];
+  if (minute > 59 || hour > 24 || (meridiem && (hour < 1 || hour > 12)) || (hour === 24 && minute > 0)) return null;
+  if (meridiem === 'p' && hour !== 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  return { minutes: hour * 60 + minute, hasMeridiem: !!meridiem };
+}
+
+/**
+ * Reads a time of day ("9:30", "2pm", "14:00", 9.5)
+ * @param {string|number} value - Time
+ * @returns {number|null} - Minutes after midnight, or null
+ */
+export function parseTimeOfDay(value) {
+  return parseClock(value)?.minutes ?? null;
+}
+
+/**
+ * Reads a time range ("8-4", "9am-5pm", "09:00 to 17:30", { start, end }). A bare end hour
+ * earlier than the start is read as afternoon, so "8-4" is 8 AM to 4 PM.
+ * @param {string|Object} value - Range
+ * @returns {Object|null} - { start, end } in minutes after midnight, or null
+ */
+function parseClockRange(value) {
+  let startText;
+  let endText;
+  if (value && typeof value === 'object') {
+    ({ start: startText, end: endText } = value);
+  } else if (typeof value === 'string') {
+    [startText, endText] = value.split(/\s*(?:-|–|—|\bto\b|\buntil\b)\s*/i);
+  }
+  const start = parseClock(startText);
+  const end = parseClock(endText);
+  if (!start || !end) return null;
+
+  let startMinutes = start.minutes;
+  let endMinutes = end.minutes;
+  if (!end.hasMeridiem && endMinutes <= startMinutes && endMinutes < 12 * 60) endMinutes += 12 * 60;
+  // "1-2pm" is 1 PM to 2 PM
+  if (!start.hasMeridiem && end.hasMeridiem && startMinutes + 12 * 60 < endMinutes) startMinutes += 12 * 60;
+  return endMinutes > startMinutes && endMinutes <= 24 * 60 ? { start: startMinutes, end: endMinutes } : null;
+}
+
+/**
+ * Reads weekdays ("Mondays and Fridays", "mon-fri", "weekends", ["Tuesday"], [1, 3])
+ * @param {string|Array} value - Days
+ * @returns {Array<number>|null} - Sorted ISO weekdays, or null if nothing could be read
+ */
+function parseWeekdays(value) {
+  const parts = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/\s*(?:,|;|\band\b|&)\s*/i) : [];
+  const toDay = text => {
+    if (typeof text === 'number') return text >= 1 && text <= 7 ? text : null;
+    const word = String(text).trim().toLowerCase();
+    if (/^[1-7]$/.test(word)) return Number(word);
+    const index = WEEKDAY_NAMES.findIndex(name => word.length >= 3 && (name.startsWith(word.replace(/s$/, '')) || `${name}s` === word));
+    return index === -1 ? null : index + 1;
+  };
+
+  const days = new Set();
+  for (const part of parts) {
+    const word = typeof part === 'string' ? part.trim().toLowerCase() : part;
+    if (word === 'weekdays' || word === 'workdays') [1, 2, 3, 4, 5].forEach(day => days.add(day));
+    else if (word === 'weekends' || word === 'weekend') [6, 7].forEach(day => days.add(day));
+    else if (typeof word === 'string' && /\s*(?:-|–|\bto\b|\bthrough\b)\s*/.test(word)) {
+      const [from, to] = word.split(/\s*(?:-|–|\bto\b|\bthrough\b)\s*/).map(toDay);
+      if (!from || !to) return null;
+      for (let day = from; day !== to % 7 + 1; day = day % 7 + 1) days.add(day);
+    } else {
+      const day = toDay(word);
+      if (!day) return null;
+      days.add(day);
+    }
+  }
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+// Reads a length of time ("15 min", "1 hour", 20) in minutes
+function parseMinutes(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  if (typeof value !== 'string') return null;
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|mins|minutes?|h|hr|hrs|hours?)?$/);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  return Math.round(match[2]?.startsWith('h') ? amount * 60 : amount);
+}
+
+const toClockText = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const toMinutes = clock => Number(clock.slice(0, 2)) * 60 + Number(clock.slice(3, 5));
+
+// Typed range from any accepted range input, or null
+function toRange(value) {
+  const range = parseClockRange(value);
+  return range ? { start: toClockText(range.start), end: toClockText(range.end) } : null;
+}
+
+// --- Building constraints ---
+
+/**
+ * Applies changes to a set of constraints. Each field accepts loose input ("8-4", "Fridays",
+ * "15 min") and is stored typed; a field that can't be read is reported and left unchanged.
+ * @param {Object} base - Current constraints
+ * @param {Object} changes - { workingHours: [{ days, start, end }] | "8-4", daysOff, lunch,
+ *   bufferMinutes, maxMeetingsPerDay, noMeetingDays, blackouts: [{ days, start, end, label }] }
+ *   (lunch/maxMeetingsPerDay null to clear)
+ * @returns {Object} - { constraints, errors }
+ */
+export function applyConstraintChanges(base, changes = {}) {
+  const constraints = {
+    workingHours: { ...base.workingHours },
+    lunch: base.lunch,
+    bufferMinutes: base.bufferMinutes,
+    maxMeetingsPerDay: base.maxMeetingsPerDay,
+    noMeetingDays: [...base.noMeetingDays],
+    blackouts: [...base.blackouts]
+  };
+  const errors = [];
+
+  if (changes.workingHours !== undefined) {
+    // A single range keeps the current work days; entries with days set just those days; a
+    // { 1: { start, end }, ... } map (the stored form) replaces the week
+    let entries = Array.isArray(changes.workingHours) ? changes.workingHours : [{ hours: changes.workingHours }];
+    const isWeekMap = changes.workingHours && typeof changes.workingHours === 'object' && !Array.isArray(changes.workingHours) &&
+      Object.keys(changes.workingHours).every(key => /^[1-7]$/.test(key));
+    if (isWeekMap) {
+      constraints.workingHours = {};
+      entries = Object.entries(changes.workingHours).map(([day, hours]) => ({ days: [Number(day)], ...hours }));
+    }
+    for (const entry of entries) {
+      const range = toRange(entry.hours ?? entry);
+      const days = entry.days !== undefined ? parseWeekdays(entry.days) : Object.keys(constraints.workingHours).map(Number);
+      if (!range || !days) {
+        errors.push(`Could not read working hours ${JSON.stringify(entry)}`);
+        continue;
+      }
+      for (const day of days) constraints.workingHours[day] = range;
+    }
+  }
+  if (changes.daysOff !== undefined) {
+    const days = parseWeekdays(changes.daysOff);
+    if (days) days.forEach(day => delete constraints.workingHours[day]);
+    else errors.push(`Could not read days off "${changes.daysOff}"`);
+  }
+  if (changes.lunch !== undefined) {
+    const lunch = changes.lunch === null ? null : toRange(changes.lunch);
+    if (lunch || changes.lunch === null) constraints.lunch = lunch;
+    else errors.push(`Could not read lunch time ${JSON.stringify(changes.lunch)}`);
+  }
+  if (changes.bufferMinutes !== undefined) {
+    const minutes = changes.bufferMinutes === null ? 0 : parseMinutes(changes.bufferMinutes);
+    if (minutes !== null && minutes <= MAX_BUFFER_MINUTES) constraints.bufferMinutes = minutes;
+    else errors.push(`Buffer must be 0-${MAX_BUFFER_MINUTES} minutes (got ${JSON.stringify(changes.bufferMinutes)})`);
+  }
+  if (changes.maxMeetingsPerDay !== undefined) {
+    const max = changes.maxMeetingsPerDay === null ? null : parseMinutes(changes.maxMeetingsPerDay);
+    if (changes.maxMeetingsPerDay === null || max === 0) constraints.maxMeetingsPerDay = null;
+    else if (max) constraints.maxMeetingsPerDay = max;
+    else errors.push(`Could not read a meeting limit from ${JSON.stringify(changes.maxMeetingsPerDay)}`);
+  }
+  if (changes.noMeetingDays !== undefined) {
+    const empty = Array.isArray(changes.noMeetingDays) && changes.noMeetingDays.length === 0;
+    const days = empty ? [] : parseWeekdays(changes.noMeetingDays);
+    if (days) constraints.noMeetingDays = days;
+    else errors.push(`Could not read no-meeting days "${changes.noMeetingDays}"`);
+  }
+  if (changes.blackouts !== undefined) {
+    const blackouts = [];
+    for (const blackout of Array.isArray(changes.blackouts) ? changes.blackouts : []) {
+      const range = toRange(blackout);
+      const days = blackout.days === undefined ? [1, 2, 3, 4, 5, 6, 7] : parseWeekdays(blackout.days);
+      if (range && days) blackouts.push({ days, ...range, label: blackout.label || 'Blocked' });
+      else errors.push(`Could not read blackout ${JSON.stringify(blackout)}`);
+    }
+    constraints.blackouts = blackouts;
+  }
+
+  return { constraints, errors };
+}
+
+// Free-form preference keys (saveUserPreference, category "scheduling") and the field each maps to
+const PREFERENCE_KEY_FIELDS = [
+  [/^(work|working|office)[\s_-]*(hours|time)/i, 'workingHours'],
+  [/^(work|working)[\s_-]*days/i, 'workDays'],
+  [/^days[\s_-]*off/i, 'daysOff'],
+  [/lunch/i, 'lunch'],
+  [/buffer/i, 'bufferMinutes'],
+  [/^max(imum)?[\s_-]*meetings/i, 'maxMeetingsPerDay'],
+  [/^no[\s_-]*meeting[\s_-]*days?/i, 'noMeetingDays'],
+  [/^(blackout|blocked)[\s_-]*(periods|times|hours)?/i, 'blackouts']
+];
+
+/**
+ * Maps one free-form scheduling preference to constraint changes
+ * @param {string} key - Preference key (e.g., "workHours", "lunchBreak", "bufferBetweenMeetings")
+ * @param {*} value - Its value (e.g., "8-4", "12-1pm", "15 min")
+ * @returns {Object|null} - Changes for applyConstraintChanges, or null if the key isn't a constraint
+ */
+export function constraintChangesFromPreference(key, value) {
+  const field = PREFERENCE_KEY_FIELDS.find(([pattern]) => pattern.test(key))?.[1];
+  if (!field) return null;
+  if (field === 'workDays') {
+    const days = parseWeekdays(value);
+    // Keep the current hours on the listed days; unlisted days become days off
+    return days ? { workDays: days } : null;
+  }
+  if (field === 'blackouts') return { blackouts: Array.isArray(value) ? value : [value] };
+  return { [field]: value };
+}
+
+/**
+ * The constraints stored in a user's preferences: the typed scheduling.constraints when set,
+ * otherwise whatever the free-form scheduling preferences map to
+ * @param {Object} preferencesData - users' preferences_data
+ * @returns {Object} - Constraints (DEFAULT_CONSTRAINTS where nothing is set)
+ */
+export function constraintsFromPreferences(preferencesData) {
+  const scheduling = preferencesData?.scheduling || {};
+  if (scheduling.constraints && typeof scheduling.constraints === 'object') {
+    return applyConstraintChanges(DEFAULT_CONSTRAINTS, scheduling.constraints).constraints;
+  }
+
+  let constraints = DEFAULT_CONSTRAINTS;
+  for (const [key, value] of Object.entries(scheduling)) {
+    const changes = constraintChangesFromPreference(key, value);
+    if (changes) constraints = withChanges(constraints, changes);
+  }
+  return constraints;
+}
+
+/**
+ * Applies changes (including workDays, which sets which days are worked) and ignores any
+ * that can't be read
+ * @param {Object} constraints - Current constraints
+ * @param {Object} changes - From constraintChangesFromPreference or the setSchedulingConstraints tool
+ * @returns {Object} - Updated constraints
+ */
+export function withChanges(constraints, { workDays, ...changes }) {
+  let next = constraints;
+  if (Array.isArray(workDays)) {
+    const hours = Object.values(constraints.workingHours)[0] || DEFAULT_CONSTRAINTS.workingHours[1];
+    next = {
+      ...next,
+      workingHours: Object.fromEntries(workDays.map(day => [day, constraints.workingHours[day] || hours]))
+    };
+  }
+  return applyConstraintChanges(next, changes).constraints;
+}
+
+// --- Evaluating times ---
+
+const MEETING_TYPES = ['meeting', 'call', 'interview'];
+
+/**
+ * Whether an event or activity counts as a meeting for the constraints
+ * @param {Object} details - { summary, activity, attendees } (attendees: emails or Google attendee objects)
+ * @returns {boolean}
+ */
+export function isMeetingLike({ summary, activity, attendees } = {}) {
+  const others = (attendees || []).filter(attendee => !(attendee?.self || attendee?.resource));
+  return others.length > 0 || MEETING_KEYWORDS.test(summary || '') || MEETING_KEYWORDS.test(activity || '') ||
+    MEETING_TYPES.includes(String(activity || '').toLowerCase());
+}
+
+/**
+ * Whether an event or activity is a meal (allowed over lunch)
+ * @param {Object} details - { summary, activity }
+ * @returns {boolean}
+ */
+export function isMealLike({ summary, activity } = {}) {
+  return MEAL_KEYWORDS.test(summary || '') || MEAL_KEYWORDS.test(activity || '');
+}
+
+const atClock = (day, clock) => day.startOf('day').plus({ minutes: toMinutes(clock) });
+const formatClock = clock => DateTime.fromObject({ hour: Number(clock.slice(0, 2)), minute: Number(clock.slice(3, 5)) })
+  .toFormat('h:mm a').replace(':00', '');
+
+/**
+ * A clock-time range ({ start: '12:00', end: '13:00' }) on a given day
+ * @param {Object} range - { start, end } as "HH:mm"
+ * @param {DateTime} day - Any time on the day
+ * @returns {Object} - { start, end } DateTimes
+ */
+export function getClockRangeForDay(range, day) {
+  return { start: atClock(day, range.start), end: atClock(day, range.end) };
+}
+
+/**
+ * A day's working hours
+ * @param {Object} constraints - Constraints
+ * @param {DateTime} day - Any time on the day (in the user's timezone)
+ * @returns {Object|null} - { start, end } DateTimes, or null on a day off
+ */
+export function getWorkingHoursForDay(constraints, day) {
+  const hours = constraints.workingHours[day.weekday];
+  return hours ? getClockRangeForDay(hours, day) : null;
+}
+
+/**
+ * Lists the constraints a time breaks. Overlap with other events is not a constraint (the
+ * conflict check and slot search handle that); busy is only used for buffers and meeting counts.
+ * @param {Object} constraints - Constraints
+ * @param {DateTime} start - Start, in the user's timezone
+ * @param {DateTime} end - End, in the user's timezone
+ * @param {Object} options - { isMeeting, isMeal, forSuggestion, busy: [{ start, end, summary, isMeeting }] }
+ *   forSuggestion: the assistant is picking the time, so working hours and lunch apply to any activity
+ * @returns {Array<string>} - Plain-language reasons (empty when the time is fine)
+ */
+export function findConstraintViolations(constraints, start, end, { isMeeting = false, isMeal = false, forSuggestion = false, busy = [] } = {}) {
+  const violations = [];
+  const dayName = start.toFormat('cccc');
+
+  for (const blackout of constraints.blackouts) {
+    if (!blackout.days.includes(start.weekday)) continue;
+    if (start < atClock(start, blackout.end) && end > atClock(start, blackout.start)) {
+      violations.push(`During "${blackout.label}" (${formatClock(blackout.start)}–${formatClock(blackout.end)}), which is blocked`);
+    }
+  }
+
+  if (isMeeting && constraints.noMeetingDays.includes(start.weekday)) {
+    violations.push(`${dayName}s are no-meeting days`);
+  }
+
+  if (isMeeting || forSuggestion) {
+    const hours = getWorkingHoursForDay(constraints, start);
+    if (!hours) {
+      violations.push(`${dayName} isn't one of your working days`);
+    } else if (start < hours.start || end > hours.end) {
+      violations.push(`Outside your working hours (${formatClock(constraints.workingHours[start.weekday].start)}–${formatClock(constraints.workingHours[start.weekday].end)} on ${dayName}s)`);
+    }
+    const { lunch } = constraints;
+    if (lunch && !isMeal && start < atClock(start, lunch.end) && end > atClock(start, lunch.start)) {
+      violations.push(`During your lunch break (${formatClock(lunch.start)}–${formatClock(lunch.end)})`);
+    }
+  }
+
+  if (isMeeting && busy.length > 0) {
+    const buffer = constraints.bufferMinutes;
+    if (buffer > 0) {
+      for (const event of busy) {
+        if (event.end <= start && event.end.plus({ minutes: buffer }) > start) {
+          violations.push(`Less than your ${buffer}-minute buffer after "${event.summary || 'another event'}"`);
+        } else if (event.start >= end && event.start.minus({ minutes: buffer }) < end) {
+          violations.push(`Less than your ${buffer}-minute buffer before "${event.summary || 'another event'}"`);
+        }
+      }
+    }
+    if (constraints.maxMeetingsPerDay) {
+      const meetingsThatDay = busy.filter(event => event.isMeeting && event.start.hasSame(start, 'day')).length;
+      if (meetingsThatDay >= constraints.maxMeetingsPerDay) {
+        violations.push(`You already have ${meetingsThatDay} meetings on ${dayName} (your limit is ${constraints.maxMeetingsPerDay})`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Turns Google events into the busy list findConstraintViolations takes (timed events only)
+ * @param {Array<Object>} events - Google events
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Array<Object>} - [{ start, end, summary, isMeeting }]
+ */
+export function toBusyEvents(events, timezone) {
+  return events
+    .filter(event => event.start?.dateTime && event.end?.dateTime && event.transparency !== 'transparent')
+    .map(event => ({
+      start: DateTime.fromISO(event.start.dateTime).setZone(timezone),
+      end: DateTime.fromISO(event.end.dateTime).setZone(timezone),
+      summary: event.summary,
+      isMeeting: isMeetingLike(event)
+    }));
+}
+
+/**
+ * One-line description of the constraints, for tool results
+ * @param {Object} constraints - Constraints
+ * @returns {string}
+ */
+export function describeConstraints(constraints) {
+  const dayLabel = day => WEEKDAY_NAMES[day - 1].slice(0, 3).replace(/^./, c => c.toUpperCase());
+  // Group days that share the same hours: "Mon, Tue 9 AM–5 PM; Fri 9 AM–1 PM"
+  const groups = new Map();
+  for (const [day, hours] of Object.entries(constraints.workingHours)) {
+    const label = `${formatClock(hours.start)}–${formatClock(hours.end)}`;
+    groups.set(label, [...(groups.get(label) || []), dayLabel(Number(day))]);
+  }
+  const parts = [groups.size > 0
+    ? `Working hours: ${[...groups].map(([hours, days]) => `${days.join(', ')} ${hours}`).join('; ')}`
+    : 'No working days set'];
+  if (constraints.lunch) parts.push(`lunch ${formatClock(constraints.lunch.start)}–${formatClock(constraints.lunch.end)}`);
+  if (constraints.bufferMinutes) parts.push(`${constraints.bufferMinutes} min buffer around meetings`);
+  if (constraints.maxMeetingsPerDay) parts.push(`at most ${constraints.maxMeetingsPerDay} meetings a day`);
+  if (constraints.noMeetingDays.length > 0) parts.push(`no meetings on ${constraints.noMeetingDays.map(dayLabel).join(', ')}`);
+  for (const blackout of constraints.blackouts) {
+    parts.push(`"${blackout.label}" blocked ${blackout.days.length === 7 ? 'daily' : blackout.days.map(dayLabel).join(', ')} ${formatClock(blackout.start)}–${formatClock(blackout.end)}`);
+  }
+  return parts.join('; ');
+}
@@ -1,10 +1,56 @@
 import { DateTime, Interval, Duration } from 'luxon';
+import {
+  DEFAULT_CONSTRAINTS,
+  findConstraintViolations,
+  getWorkingHoursForDay,
+  getClockRangeForDay,
+  isMeetingLike,
+  isMealLike,
+  toBusyEvents
+} from './schedulingConstraints.js';
+
+// Lunch hours assumed when ranking slots for users who haven't set their own
+const TYPICAL_LUNCH = { start: '12:00', end: '14:00' };
+
+/**
+ * How much each ranking factor counts, as a multiplier of its base points: 1 is the default,
+ * 0 ignores the factor and 2 doubles it. Users can save their own (see userConstraints.js).
+ */
+export const DEFAULT_SLOT_WEIGHTS = Object.freeze({
+  timePreference: 1, // In (or outside) the requested morning/afternoon/evening
+  workingHours: 1, // Inside the user's working hours
+  lunch: 1, // Overlapping lunch (a plus for meals)
+  earlyLate: 1, // Early morning or late evening
+  meetingLimit: 1, // Using up the day's last allowed meeting
+  adjacency: 1, // Right before or after other events
+  dayOfWeek: 1, // Monday mornings, Friday afternoons, weekends
+  activityFit: 1, // Times that suit the activity (e.g. exercise)
+  startTime: 1, // Starting off the hour or half hour
+  edgeOfDay: 1, // Early or late in an attendee's day (meeting searches)
+  focusTime: 1, // Cutting into (or splitting) a protected focus block
+  earlierInDay: 1 // Tie-break towards earlier hours
+});
+export const SLOT_WEIGHT_FACTORS = Object.keys(DEFAULT_SLOT_WEIGHTS);
+export const MAX_SLOT_WEIGHT = 5;
+
+// Base points before weighting: each pro adds PRO_POINTS, each con takes CON_POINTS away,
+// and a few factors carry a bonus on top of their pro
+const PRO_POINTS = 10;
+const CON_POINTS = 8;
+const FACTOR_BONUS = { timePreference: 15, workingHours: 5 };
+// ...and a few carry an extra penalty on top of their con
+const FACTOR_PENALTY = { focusTime: 12 };
+const EARLIER_IN_DAY_POINTS_PER_HOUR = 0.1;
+
+// Slot search defaults (findAvailableSlots options)
+export const DEFAULT_SLOT_STEP_MINUTES = 30;
+export const DEFAULT_MAX_SLOT_RESULTS = 3;
 
 /**
- * Default working hours configuration
- * Can be extended to fetch from user preferences in the future
+ * Working hours assumed for other people (attendees) when finding meeting times.
+ * The user's own hours come from their scheduling constraints.
  */
-const DEFAULT_WORKING_HOURS = {
+export const DEFAULT_WORKING_HOURS = {
   start: 9, // 9 AM
   end: 17,  // 5 PM
   workDays: [1, 2, 3, 4, 5], // Monday to Friday (1-5)
@@ -12,14 +58,27 @@ const DEFAULT_WORKING_HOURS = {
 
 /**
  * Find available time slots for a new event
- * @param {Array} events - List of calendar events
+ * @param {Array} events - List of calendar events. In-person events may carry travelMinutes
+ *                        (see annotateTravelTimes in travelService.js); that much time is kept
+ *                        free before and after them. Focus blocks (focusBlock, see
+ *                        markFocusBlocks in focusService.js) don't make a slot unavailable;
+ *                        slots that cut into them rank lower instead.
  * @param {number} duration - Duration of the event in minutes
  * @param {string} startDate - Start date to search from in ISO format
  * @param {string} endDate - End date to search until in ISO format
  * @param {string} activity - Type of activity being scheduled
  * @param {string} timePreference - Preferred time of day (morning, afternoon, evening, any)
- * @param {Object} workingHours - Optional working hours configuration
- * @returns {Array} - List of available time slots with pros and cons
+ * @param {Object} constraints - User's scheduling constraints (working hours, lunch, buffers,
+ *                               meeting limits, blackouts; see schedulingConstraints.js)
+ * @param {string} timezone - Optional IANA timezone that the constraints and time of day are in
+ *                            (defaults to server local time)
+ * @param {Object} options - Optional search settings:
+ *   stepMinutes: gap between candidate start times (default 30)
+ *   maxResults: number of slots returned (default 3)
+ *   earliest/latest: minutes after midnight no slot may start before / end after, each day
+ *   spreadAcrossDays: return the best slot of each day before a second one from any day
+ *   weights: ranking weights (see DEFAULT_SLOT_WEIGHTS)
+ * @returns {Array} - List of available time slots with pros, cons, score and scoreBreakdown
  */
 export function findAvailableSlots(
   events, 
@@ -28,22 +87,45 @@ export function findAvailableSlots(
   endDate, 
   activity, 
   timePreference = 'any',
-  workingHours = DEFAULT_WORKING_HOURS
+  constraints = DEFAULT_CONSTRAINTS,
+  timezone = null,
+  options = {}
 ) {
-  // Convert inputs to Luxon objects
-  const start = DateTime.fromISO(startDate);
-  const end = DateTime.fromISO(endDate);
+  const {
+    stepMinutes = DEFAULT_SLOT_STEP_MINUTES,
+    maxResults = DEFAULT_MAX_SLOT_RESULTS,
+    earliest = null,
+    latest = null,
+    spreadAcrossDays = false,
+    weights = DEFAULT_SLOT_WEIGHTS
+  } = options;
+  // Convert inputs to Luxon objects (in the user's zone, so 9 AM means 9 AM for them)
+  const zoneOptions = timezone ? { zone: timezone } : {};
+  const start = DateTime.fromISO(startDate, zoneOptions);
+  const end = DateTime.fromISO(endDate, zoneOptions);
   const durationMinutes = duration;
   
   // Create a list of busy intervals from events
   const busyIntervals = events.map(event => {
     const eventStart = DateTime.fromISO(event.start.dateTime || event.start.date);
     const eventEnd = DateTime.fromISO(event.end.dateTime || event.end.date);
+    // Time to get between the event and the slot's location
+    const travel = { minutes: event.travelMinutes || 0 };
     return {
-      interval: Interval.fromDateTimes(eventStart, eventEnd),
-      summary: event.summary
+      interval: Interval.fromDateTimes(eventStart.minus(travel), eventEnd.plus(travel)),
+      summary: event.summary,
+      isMeeting: isMeetingLike(event),
+      isFocus: !!event.focusBlock
     };
   });
+
+  // Which constraints apply depends on what is being scheduled
+  const rules = {
+    isMeeting: isMeetingLike({ activity }),
+    isMeal: isMealLike({ activity }),
+    forSuggestion: true,
+    busy: toBusyEvents(events.filter(event => !event.focusBlock), start.zone)
+  };
   
   // Generate potential slots
   const slots = generatePotentialSlots(
@@ -52,7 +134,9 @@ export function findAvailableSlots(
     durationMinutes, 
     busyIntervals, 
     timePreference,
-    workingHours
+    constraints,
+    rules,
+    { stepMinutes, earliest, latest }
   );
   
   // Evaluate and rank slots
@@ -61,11 +145,41 @@ export function findAvailableSlots(
     busyIntervals, 
     durationMinutes, 
     activity, 
-    timePreference
+    timePreference,
+    timezone,
+    constraints,
+    weights
   );
   
-  // Return top slots (limited to 3)
-  return evaluatedSlots.slice(0, 3);
+  // Return the top slots
+  return spreadAcrossDays
+    ? pickAcrossDays(evaluatedSlots, maxResults, timezone)
+    : evaluatedSlots.slice(0, maxResults);
+}
+
+/**
+ * Picks the best slot of each day first (best days first), then fills up with the next best
+ * slots, so results aren't all on one day
+ * @param {Array} rankedSlots - Slots sorted best first
+ * @param {number} maxResults - Number of slots to return
+ * @param {string} timezone - Optional IANA timezone days are counted in
+ * @returns {Array} - Slots, best first within each round
+ */
+function pickAcrossDays(rankedSlots, maxResults, timezone = null) {
+  const zoneOptions = timezone ? { zone: timezone } : {};
+  const seenDays = new Set();
+  const firstOfDay = [];
+  const rest = [];
+  for (const slot of rankedSlots) {
+    const day = DateTime.fromISO(slot.start, zoneOptions).toISODate();
+    if (seenDays.has(day)) {
+      rest.push(slot);
+    } else {
+      seenDays.add(day);
+      firstOfDay.push(slot);
+    }
+  }
+  return [...firstOfDay, ...rest].slice(0, maxResults);
 }
 
 /**
@@ -73,9 +187,11 @@ export function findAvailableSlots(
  * @param {DateTime} start - Start date/time to search from
  * @param {DateTime} end - End date/time to search until
  * @param {number} durationMinutes - Duration in minutes
- * @param {Array} busyIntervals - List of busy time intervals
+ * @param {Array} busyIntervals - List of busy time intervals (focus blocks don't count)
  * @param {string} timePreference - Preferred time of day
- * @param {Object} workingHours - Working hours configuration
+ * @param {Object} constraints - User's scheduling constraints
+ * @param {Object} rules - Options for findConstraintViolations ({ isMeeting, isMeal, forSuggestion, busy })
+ * @param {Object} search - { stepMinutes, earliest, latest } (see findAvailableSlots)
  * @returns {Array} - List of potential time slots
  */
 function generatePotentialSlots(
@@ -84,7 +200,9 @@ function generatePotentialSlots(
   durationMinutes, 
   busyIntervals, 
   timePreference,
-  workingHours
+  constraints,
+  rules,
+  { stepMinutes = DEFAULT_SLOT_STEP_MINUTES, earliest = null, latest = null } = {}
 ) {
   const slots = [];
   const slotDuration = Duration.fromObject({ minutes: durationMinutes });
@@ -94,43 +212,29 @@ function generatePotentialSlots(
   
   // Iterate through each day in the search period
   while (currentTime < end) {
-    // Check if this is a working day
-    const isWorkingDay = workingHours.workDays.includes(currentTime.weekday);
+    // This day's working hours (none on days off)
+    const hours = getWorkingHoursForDay(constraints, currentTime);
     
-    if (isWorkingDay) {
-      // Set start time to either current time or beginning of working hours
-      let dayStart = currentTime.set({ 
-        hour: workingHours.start, 
-        minute: 0, 
-        second: 0, 
-        millisecond: 0 
-      });
-      
+    if (hours) {
       // If we're already past the working hours start for today, use current time
-      if (currentTime > dayStart) {
-        dayStart = currentTime;
-      }
-      
-      // End of working hours for today
-      const dayEnd = currentTime.set({ 
-        hour: workingHours.end, 
-        minute: 0, 
-        second: 0, 
-        millisecond: 0 
-      });
+      let dayStart = currentTime > hours.start ? currentTime : hours.start;
+      let dayEnd = hours.end;
+      // The caller's bounds for the time of day
+      if (earliest !== null) dayStart = DateTime.max(dayStart, currentTime.startOf('day').plus({ minutes: earliest }));
+      if (latest !== null) dayEnd = DateTime.min(dayEnd, currentTime.startOf('day').plus({ minutes: latest }));
       
-      // Generate slots for this day
-      let slotStart = dayStart;
+      // Generate slots for this day, starting on the step grid (e.g. :00 and :30)
+      let slotStart = alignToStep(dayStart, stepMinutes);
       
-      // Use 30-minute increments for slot generation
       while (slotStart.plus(slotDuration) <= dayEnd) {
         const slotEnd = slotStart.plus(slotDuration);
         const currentSlot = Interval.fromDateTimes(slotStart, slotEnd);
         
-        // Check if this slot overlaps with any busy intervals
+        // Check if this slot overlaps with any busy intervals or breaks a constraint
+        // (lunch, buffers, meeting limits, blackouts...)
         const isAvailable = !busyIntervals.some(busy => 
-          busy.interval.overlaps(currentSlot)
-        );
+          !busy.isFocus && busy.interval.overlaps(currentSlot)
+        ) && findConstraintViolations(constraints, slotStart, slotEnd, rules).length === 0;
         
         if (isAvailable) {
           // Check if this slot matches the time preference
@@ -155,8 +259,8 @@ function generatePotentialSlots(
           }
         }
         
-        // Move to next slot (30-minute increments)
-        slotStart = slotStart.plus({ minutes: 30 });
+        // Move to next slot
+        slotStart = slotStart.plus({ minutes: stepMinutes });
       }
     }
     
@@ -167,6 +271,13 @@ function generatePotentialSlots(
   return slots;
 }
 
+// First time at or after a moment that is a whole number of steps past midnight
+function alignToStep(time, stepMinutes) {
+  const midnight = time.startOf('day');
+  const steps = Math.ceil(time.diff(midnight, 'minutes').minutes / stepMinutes);
+  return midnight.plus({ minutes: steps * stepMinutes });
+}
+
 /**
  * Evaluate and rank available time slots
  * @param {Array} slots - List of potential time slots
@@ -174,32 +285,38 @@ function generatePotentialSlots(
  * @param {number} durationMinutes - Duration in minutes
  * @param {string} activity - Type of activity
  * @param {string} timePreference - Preferred time of day
- * @returns {Array} - Evaluated and ranked slots with pros and cons
+ * @param {string} timezone - Optional IANA timezone to judge time of day in (defaults to server local time)
+ * @param {Object} constraints - User's scheduling constraints (their working hours and lunch shape the pros and cons)
+ * @param {Object} weights - Ranking weights (see DEFAULT_SLOT_WEIGHTS)
+ * @returns {Array} - Evaluated and ranked slots with pros, cons, score and scoreBreakdown
+ *                    ([{ factor, reason, points }], adding up to the score)
  */
-function evaluateSlots(slots, busyIntervals, durationMinutes, activity, timePreference) {
+export function evaluateSlots(slots, busyIntervals, durationMinutes, activity, timePreference, timezone = null, constraints = DEFAULT_CONSTRAINTS, weights = DEFAULT_SLOT_WEIGHTS) {
+  const zoneOptions = timezone ? { zone: timezone } : {};
   return slots.map(slot => {
-    const slotStart = DateTime.fromISO(slot.start);
-    const slotEnd = DateTime.fromISO(slot.end);
-    const slotInterval = Interval.fromDateTimes(slotStart, slotEnd);
+    const slotStart = DateTime.fromISO(slot.start, zoneOptions);
+    const slotEnd = DateTime.fromISO(slot.end, zoneOptions);
     
     // Generate pros and cons
-    const { pros, cons } = generateProsAndCons(
+    const { pros, cons, findings } = generateProsAndCons(
       slotStart, 
       slotEnd, 
       busyIntervals, 
       activity, 
-      timePreference
+      timePreference,
+      constraints
     );
     
     // Calculate a score based on pros and cons
-    const score = calculateScore(slotStart, pros, cons, timePreference);
+    const { score, scoreBreakdown } = calculateScore(slotStart, findings, weights);
     
     return {
       start: slot.start,
       end: slot.end,
       pros,
       cons,
-      score
+      score,
+      scoreBreakdown
     };
   })
   // Sort by score (highest first)
@@ -213,46 +330,77 @@ function evaluateSlots(slots, busyIntervals, durationMinutes, activity, timePref
  * @param {Array} busyIntervals - List of busy time intervals
  * @param {string} activity - Type of activity
  * @param {string} timePreference - Preferred time of day
- * @returns {Object} - Object containing pros and cons arrays
+ * @param {Object} constraints - User's scheduling constraints
+ * @returns {Object} - { pros, cons, findings: [{ factor, reason, isPro, scale }] } (findings are
+ *                     the pros and cons that count towards the score, tagged with their factor;
+ *                     scale multiplies a finding's points and defaults to 1)
  */
-function generateProsAndCons(slotStart, slotEnd, busyIntervals, activity, timePreference) {
+function generateProsAndCons(slotStart, slotEnd, busyIntervals, activity, timePreference, constraints) {
   const pros = [];
   const cons = [];
+  const findings = [];
+  const addPro = (factor, reason) => {
+    pros.push(reason);
+    findings.push({ factor, reason, isPro: true });
+  };
+  const addCon = (factor, reason, scale = 1) => {
+    cons.push(reason);
+    findings.push({ factor, reason, isPro: false, scale });
+  };
   
   // Time of day factors
   const hour = slotStart.hour;
   
   // Check if slot is during preferred time
   if (timePreference === 'morning' && hour >= 8 && hour < 12) {
-    pros.push('Matches your morning time preference');
+    addPro('timePreference', 'Matches your morning time preference');
   } else if (timePreference === 'afternoon' && hour >= 12 && hour < 17) {
-    pros.push('Matches your afternoon time preference');
+    addPro('timePreference', 'Matches your afternoon time preference');
   } else if (timePreference === 'evening' && hour >= 17 && hour < 21) {
-    pros.push('Matches your evening time preference');
+    addPro('timePreference', 'Matches your evening time preference');
   } else if (timePreference !== 'any') {
-    cons.push(`Outside your preferred ${timePreference} time`);
+    addCon('timePreference', `Outside your preferred ${timePreference} time`);
   }
   
   // Early morning/late evening factors
   if (hour < 8) {
-    cons.push('Early morning slot may be difficult to attend');
+    addCon('earlyLate', 'Early morning slot may be difficult to attend');
   } else if (hour >= 20) {
-    cons.push('Late evening slot may interfere with personal time');
+    addCon('earlyLate', 'Late evening slot may interfere with personal time');
+  }
+  
+  // The user's working hours
+  const inWorkingHours = isWithinWorkingHours(slotStart, slotEnd, constraints);
+  if (inWorkingHours) {
+    addPro('workingHours', 'During your working hours');
   }
   
-  // Ideal working hours
-  if (hour >= 9 && hour < 17) {
-    pros.push('During standard working hours');
+  // Lunch time (the user's lunch break if they have one)
+  const lunch = getClockRangeForDay(constraints.lunch || TYPICAL_LUNCH, slotStart);
+  if (slotStart < lunch.end && slotEnd > lunch.start) {
+    if (isMealLike({ activity })) {
+      addPro('lunch', 'Ideal time for a meal');
+    } else {
+      addCon('lunch', constraints.lunch ? 'Overlaps your lunch break' : 'May conflict with lunch time');
+    }
+  }
+
+  // Meeting limit: say when this would use up the day's last meeting
+  if (constraints.maxMeetingsPerDay && isMeetingLike({ activity })) {
+    const meetingsThatDay = busyIntervals.filter(busy => busy.isMeeting && busy.interval.start.hasSame(slotStart, 'day')).length;
+    if (meetingsThatDay + 1 === constraints.maxMeetingsPerDay) {
+      addCon('meetingLimit', `Would be your last meeting allowed that day (limit ${constraints.maxMeetingsPerDay})`);
+    }
   }
   
-  // Lunch time
-  if (hour >= 12 && hour < 14) {
-    if (activity.toLowerCase().includes('lunch') || 
-        activity.toLowerCase().includes('meal') || 
-        activity.toLowerCase().includes('eat')) {
-      pros.push('Ideal time for a meal');
+  // Protected focus blocks: cutting a piece off one costs less than splitting it in two
+  for (const busy of busyIntervals.filter(busy => busy.isFocus)) {
+    const focus = busy.interval;
+    if (!(slotStart < focus.end && slotEnd > focus.start)) continue;
+    if (slotStart > focus.start && slotEnd < focus.end) {
+      addCon('focusTime', 'Splits your focus time in two', 2);
     } else {
-      cons.push('May conflict with lunch time');
+      addCon('focusTime', 'Cuts into your focus time');
     }
   }
   
@@ -261,26 +409,26 @@ function generateProsAndCons(slotStart, slotEnd, busyIntervals, activity, timePr
   let hasEventBefore = false;
   let hasEventAfter = false;
   
-  for (const busy of busyIntervals) {
+  for (const busy of busyIntervals.filter(busy => !busy.isFocus)) {
     const busyEnd = busy.interval.end;
     const busyStart = busy.interval.start;
     
     // Check if there's an event ending right before this slot
     if (busyEnd <= slotStart && busyEnd.plus(bufferTime) >= slotStart) {
       hasEventBefore = true;
-      pros.push(`Convenient timing after "${busy.summary}"`);
+      addPro('adjacency', `Convenient timing after "${busy.summary}"`);
     }
     
     // Check if there's an event starting right after this slot
     if (busyStart >= slotEnd && busyStart.minus(bufferTime) <= slotEnd) {
       hasEventAfter = true;
-      pros.push(`Convenient timing before "${busy.summary}"`);
+      addPro('adjacency', `Convenient timing before "${busy.summary}"`);
     }
   }
   
   // If the slot is sandwiched between events
   if (hasEventBefore && hasEventAfter) {
-    pros.push('Efficiently uses gap between events');
+    addPro('adjacency', 'Efficiently uses gap between events');
   }
   
   // Day of week factors
@@ -288,23 +436,23 @@ function generateProsAndCons(slotStart, slotEnd, busyIntervals, activity, timePr
   
   if (dayOfWeek === 1) { // Monday
     if (hour < 11) {
-      cons.push('Early Monday morning may be busy with weekly planning');
+      addCon('dayOfWeek', 'Early Monday morning may be busy with weekly planning');
     } else {
-      pros.push('Good for setting the tone for the week');
+      addPro('dayOfWeek', 'Good for setting the tone for the week');
     }
   } else if (dayOfWeek === 5) { // Friday
     if (hour >= 15) {
-      cons.push('Late Friday may conflict with weekend plans');
+      addCon('dayOfWeek', 'Late Friday may conflict with weekend plans');
     } else {
-      pros.push('Good for wrapping up the week');
+      addPro('dayOfWeek', 'Good for wrapping up the week');
     }
   } else if (dayOfWeek === 6 || dayOfWeek === 7) { // Weekend
     if (activity.toLowerCase().includes('work') || 
         activity.toLowerCase().includes('meeting') || 
         activity.toLowerCase().includes('call')) {
-      cons.push('Weekend slot for work-related activity');
+      addCon('dayOfWeek', 'Weekend slot for work-related activity');
     } else {
-      pros.push('Weekend slot good for personal activities');
+      addPro('dayOfWeek', 'Weekend slot good for personal activities');
     }
   }
   
@@ -313,65 +461,91 @@ function generateProsAndCons(slotStart, slotEnd, busyIntervals, activity, timePr
       activity.toLowerCase().includes('workout') || 
       activity.toLowerCase().includes('gym')) {
     if (hour >= 6 && hour < 9) {
-      pros.push('Morning exercise can boost energy for the day');
+      addPro('activityFit', 'Morning exercise can boost energy for the day');
     } else if (hour >= 17 && hour < 20) {
-      pros.push('Evening exercise can help unwind after work');
+      addPro('activityFit', 'Evening exercise can help unwind after work');
     }
   }
+
+  // Finer search steps can start slots at :15 or :45
+  if (slotStart.minute !== 0 && slotStart.minute !== 30) {
+    addCon('startTime', 'Starts at an unusual time');
+  }
   
-  // Ensure we have at least one pro and con
+  // Ensure we have at least one pro and con (these don't count towards the score)
   if (pros.length === 0) {
     pros.push('Available time slot that fits your schedule');
   }
   
   if (cons.length === 0) {
-    // Look for any minor drawback
-    if (slotStart.minute !== 0 && slotStart.minute !== 30) {
-      cons.push('Starts at an unusual time');
-    } else if (dayOfWeek >= 1 && dayOfWeek <= 5 && (hour < 9 || hour >= 17)) {
-      cons.push('Outside standard working hours');
-    } else {
-      cons.push('No significant drawbacks identified');
-    }
+    cons.push(inWorkingHours ? 'No significant drawbacks identified' : 'Outside your working hours');
   }
   
-  return { pros, cons };
+  return { pros, cons, findings };
 }
 
 /**
- * Calculate a score for ranking time slots
+ * Checks whether a slot falls entirely inside the user's working hours
  * @param {DateTime} slotStart - Start time of the slot
- * @param {Array} pros - List of pros
- * @param {Array} cons - List of cons
- * @param {string} timePreference - Preferred time of day
- * @returns {number} - Score for ranking
+ * @param {DateTime} slotEnd - End time of the slot
+ * @param {Object} constraints - User's scheduling constraints
+ * @returns {boolean}
  */
-function calculateScore(slotStart, pros, cons, timePreference) {
-  let score = 0;
-  
-  // Base score from pros and cons count
-  score += pros.length * 10;
-  score -= cons.length * 8;
+function isWithinWorkingHours(slotStart, slotEnd, constraints) {
+  const hours = getWorkingHoursForDay(constraints, slotStart);
+  return !!hours && slotStart >= hours.start && slotEnd <= hours.end;
+}
+
+/**
+ * Calculate a score for ranking time slots: each finding's base points (plus its factor's
+ * bonus for pros) times the weight of its factor, and a small tie-break towards earlier hours
+ * @param {DateTime} slotStart - Start time of the slot
+ * @param {Array} findings - Scored pros and cons ({ factor, reason, isPro, scale })
+ * @param {Object} weights - Ranking weights (see DEFAULT_SLOT_WEIGHTS)
+ * @returns {Object} - { score, scoreBreakdown: [{ factor, reason, points }] }
+ */
+function calculateScore(slotStart, findings, weights = DEFAULT_SLOT_WEIGHTS) {
+  const weightOf = factor => weights[factor] ?? DEFAULT_SLOT_WEIGHTS[factor] ?? 1;
+  const scoreBreakdown = findings.map(({ factor, reason, isPro, scale = 1 }) => {
+    const base = isPro ? PRO_POINTS + (FACTOR_BONUS[factor] || 0) : -(CON_POINTS + (FACTOR_PENALTY[factor] || 0));
+    return { factor, reason, points: roundPoints(base * scale * weightOf(factor)) };
+  });
   
-  // Preferred time bonus
-  const hour = slotStart.hour;
-  if (timePreference === 'morning' && hour >= 8 && hour < 12) {
-    score += 15;
-  } else if (timePreference === 'afternoon' && hour >= 12 && hour < 17) {
-    score += 15;
-  } else if (timePreference === 'evening' && hour >= 17 && hour < 21) {
-    score += 15;
+  // Prefer earlier slots when all else is equal (for consistent sorting)
+  const tieBreak = roundPoints(-slotStart.hour * EARLIER_IN_DAY_POINTS_PER_HOUR * weightOf('earlierInDay'));
+  if (tieBreak !== 0) {
+    scoreBreakdown.push({ factor: 'earlierInDay', reason: 'Later in the day (tie-break)', points: tieBreak });
   }
   
-  // Ideal working hours bonus
-  if (hour >= 9 && hour < 17) {
-    score += 5;
+  const score = roundPoints(scoreBreakdown.reduce((sum, item) => sum + item.points, 0));
+  return { score, scoreBreakdown: scoreBreakdown.filter(item => item.points !== 0) };
+}
+
+// Points to one decimal, so breakdowns add up exactly to the score shown
+function roundPoints(points) {
+  return Math.round(points * 10) / 10 || 0;
+}
+
+/**
+ * Validates changes to ranking weights
+ * @param {Object} base - Current weights
+ * @param {Object} changes - { factor: multiplier } (0 to MAX_SLOT_WEIGHT)
+ * @returns {Object} - { weights, errors }
+ */
+export function applySlotWeightChanges(base, changes = {}) {
+  const weights = { ...DEFAULT_SLOT_WEIGHTS, ...base };
+  const errors = [];
+  for (const [factor, value] of Object.entries(changes)) {
+    const weight = Number(value);
+    if (!SLOT_WEIGHT_FACTORS.includes(factor)) {
+      errors.push(`Unknown ranking factor "${factor}" (use ${SLOT_WEIGHT_FACTORS.join(', ')})`);
+    } else if (value === null || value === '' || !Number.isFinite(weight) || weight < 0 || weight > MAX_SLOT_WEIGHT) {
+      errors.push(`Weight for ${factor} must be a number from 0 to ${MAX_SLOT_WEIGHT}`);
+    } else {
+      weights[factor] = weight;
+    }
   }
-  
-  // Prefer earlier slots when all else is equal (for consistent sorting)
-  score -= slotStart.hour * 0.1;
-  
-  return score;
+  return { weights, errors };
 }
 
 /**
@@ -0,0 +1,132 @@
+// lib/tools/taskPlanner.js
+// Purpose: Plans work blocks for tasks. Each task's remaining effort goes into free working
+//          time before its deadline, earliest deadline (then highest priority) first. Work is
+//          split into blocks of at most the task's maxBlockMinutes and spread one block per
+//          day where the deadline allows, then packed closer if it has to be. Free time follows
+//          the user's scheduling constraints (working hours, lunch, blackouts).
+//          Pure: taskService.js loads the tasks and events and books the blocks.
+import { DateTime } from 'luxon';
+import { getWorkingHoursForDay, getClockRangeForDay } from './schedulingConstraints.js';
+
+export const DEFAULT_MAX_BLOCK_MINUTES = 120;
+// Blocks are never shorter than this, unless they finish a task
+export const MIN_BLOCK_MINUTES = 30;
+// Blocks start on the quarter hour
+const GRID_MINUTES = 15;
+// Gap kept between two blocks of the same task on one day
+const BREAK_MINUTES = 15;
+
+const PRIORITY_RANK = { Urgent: 0, High: 1, Medium: 2, Low: 3 };
+
+/**
+ * Order tasks are planned in: earliest deadline first, then highest priority
+ * @param {Object} a - Task ({ deadline: DateTime, priority })
+ * @param {Object} b - Task
+ * @returns {number}
+ */
+export function compareTasks(a, b) {
+  return (a.deadline.toMillis() - b.deadline.toMillis()) ||
+    ((PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.Medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.Medium));
+}
+
+// Next quarter hour at or after a time
+function roundUp(time) {
+  const minutes = time.minute % GRID_MINUTES;
+  const floored = time.set({ second: 0, millisecond: 0 });
+  return minutes === 0 && floored.equals(time) ? time : floored.plus({ minutes: GRID_MINUTES - minutes });
+}
+
+// Removes blocked periods from a list of intervals
+function subtract(intervals, blocked) {
+  return blocked.reduce((remaining, busy) => remaining.flatMap(interval => {
+    if (busy.end <= interval.start || busy.start >= interval.end) return [interval];
+    const pieces = [];
+    if (busy.start > interval.start) pieces.push({ start: interval.start, end: busy.start });
+    if (busy.end < interval.end) pieces.push({ start: busy.end, end: interval.end });
+    return pieces;
+  }), intervals);
+}
+
+/**
+ * Free working time between two moments, in order
+ * @param {DateTime} from - Earliest start (in the user's timezone)
+ * @param {DateTime} until - Latest end
+ * @param {Object} constraints - User's scheduling constraints
+ * @param {Array<Object>} busy - Busy periods ({ start, end } DateTimes)
+ * @returns {Array<Object>} - { start, end } DateTimes, starting on the quarter hour
+ */
+export function findFreeIntervals(from, until, constraints, busy) {
+  const free = [];
+  for (let day = from.startOf('day'); day < until; day = day.plus({ days: 1 })) {
+    const hours = getWorkingHoursForDay(constraints, day);
+    if (!hours) continue;
+    const start = DateTime.max(hours.start, from);
+    const end = DateTime.min(hours.end, until);
+    if (start >= end) continue;
+
+    const blocked = [...busy];
+    if (constraints.lunch) blocked.push(getClockRangeForDay(constraints.lunch, day));
+    for (const blackout of constraints.blackouts) {
+      if (blackout.days.includes(day.weekday)) blocked.push(getClockRangeForDay(blackout, day));
+    }
+    free.push(...subtract([{ start, end }], blocked));
+  }
+  return free
+    .map(interval => ({ start: roundUp(interval.start), end: interval.end }))
+    .filter(interval => interval.start < interval.end);
+}
+
+/**
+ * Places work blocks for tasks
+ * @param {Object} params - Planning input
+ * @param {Array<Object>} params.tasks - [{ id, remainingMinutes, deadline (DateTime), priority, maxBlockMinutes }]
+ * @param {Array<Object>} params.busy - Busy periods the blocks must avoid ({ start, end } DateTimes)
+ * @param {Object} params.constraints - User's scheduling constraints
+ * @param {DateTime} params.now - Planning starts here (in the user's timezone)
+ * @returns {Object} - { blocks: [{ taskId, start, end }], unplaced: [{ taskId, minutes }] }
+ *                     (unplaced: effort that didn't fit before the deadline)
+ */
+export function planTaskBlocks({ tasks, busy, constraints, now }) {
+  const taken = [...busy];
+  const blocks = [];
+  const unplaced = [];
+
+  for (const task of [...tasks].sort(compareTasks)) {
+    let remaining = task.remainingMinutes;
+    const maxBlock = Math.max(MIN_BLOCK_MINUTES, task.maxBlockMinutes || DEFAULT_MAX_BLOCK_MINUTES);
+    const ownBlocks = [];
+
+    const placeIn = interval => {
+      const available = interval.end.diff(interval.start, 'minutes').minutes;
+      const length = Math.min(remaining, maxBlock, available);
+      if (length < Math.min(MIN_BLOCK_MINUTES, remaining)) return false;
+      const block = { taskId: task.id, start: interval.start, end: interval.start.plus({ minutes: length }) };
+      blocks.push(block);
+      ownBlocks.push(block);
+      taken.push(block);
+      remaining -= length;
+      return true;
+    };
+
+    // First pass: at most one block per day, so the work is spread out
+    const daysUsed = new Set();
+    for (const interval of findFreeIntervals(now, task.deadline, constraints, taken)) {
+      if (remaining <= 0) break;
+      if (daysUsed.has(interval.start.toISODate())) continue;
+      if (placeIn(interval)) daysUsed.add(interval.start.toISODate());
+    }
+
+    // Then pack what's left, with a short break after each of the task's own blocks
+    while (remaining > 0) {
+      const breaks = ownBlocks.map(block => ({ start: block.start, end: block.end.plus({ minutes: BREAK_MINUTES }) }));
+      const interval = findFreeIntervals(now, task.deadline, constraints, [...taken, ...breaks])
+        .find(candidate => candidate.end.diff(candidate.start, 'minutes').minutes >= Math.min(MIN_BLOCK_MINUTES, remaining));
+      if (!interval || !placeIn(interval)) break;
+    }
+
+    if (remaining > 0) unplaced.push({ taskId: task.id, minutes: remaining });
+  }
+
+  blocks.sort((a, b) => a.start.toMillis() - b.start.toMillis());
+  return { blocks, unplaced };
+}
@@ -1,33 +1,61 @@
 import { DateTime } from 'luxon';
 import * as chrono from 'chrono-node';
 
+// Used for guests and users whose stored timezone is missing or invalid
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_USER_TIMEZONE || 'UTC';
+
 /**
- * Gets the user's configured timezone.
- * In a real application, this should ideally fetch from user database preferences
- * or potentially derive from the user's session/request context.
- *
- * @returns {string} - User's IANA timezone string (e.g., "America/Winnipeg"). Defaults to 'UTC'.
+ * Checks whether a string is an IANA timezone Luxon can use
+ * @param {string} timezone - Timezone to check (e.g., "Europe/Berlin")
+ * @returns {boolean} - True if valid
  */
-export function getUserTimezone() {
-  try {
-    // --- PLACEHOLDER: Replace with actual logic ---
-    // Option 1: Fetch from User Preferences (requires passing userId or context)
-    // const userPrefs = await fetchUserPreferences(userId);
-    // if (userPrefs?.timezone) return userPrefs.timezone;
-
-    // Option 2: Get from environment/config (less flexible)
-    // if (process.env.DEFAULT_USER_TIMEZONE) return process.env.DEFAULT_USER_TIMEZONE;
+export function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && timezone.trim() !== '' && DateTime.now().setZone(timezone).isValid;
+}
 
-    // Fallback for this example (as used previously)
-    const defaultTimezone = 'America/Winnipeg'; // Or load from .env
-    console.log(`DEBUG: Using timezone: ${defaultTimezone}`); // Add log for visibility
-    return defaultTimezone;
-    // --- End Placeholder ---
+/**
+ * Gets the timezone to interpret a user's times in.
+ * Per-user timezones live on User.timezone; resolve them with getTimezoneForUser
+ * (lib/tools/userTimezone.js) and pass the result here to validate it.
+ *
+ * @param {string} [timezone] - The user's stored IANA timezone, if known
+ * @returns {string} - A valid IANA timezone string. Defaults to DEFAULT_TIMEZONE.
+ */
+export function getUserTimezone(timezone = null) {
+  if (isValidTimezone(timezone)) return timezone;
+  if (timezone) console.warn(`Ignoring invalid timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+  return DEFAULT_TIMEZONE;
+}
 
-  } catch (error) {
-    console.error('Error getting user timezone:', error);
-    return 'UTC'; // Safe fallback
+/**
+ * Describes a timezone's offset at a moment, including the next DST change, so the
+ * prompt can state the correct offset instead of a fixed one.
+ * @param {string} timezone - IANA timezone
+ * @param {DateTime} [at] - Moment to describe (defaults to now)
+ * @returns {Object} - { timezone, offset: "UTC-05:00", abbreviation, isDST, nextTransition: { at, offset } | null }
+ */
+export function describeTimezone(timezone, at = DateTime.now()) {
+  const tz = getUserTimezone(timezone);
+  const current = at.setZone(tz);
+  const formatOffset = dt => `UTC${dt.toFormat('ZZ')}`;
+
+  // Find the next offset change within a year: day by day, then hour by hour within that day
+  let nextTransition = null;
+  for (let day = 1; day <= 366 && !nextTransition; day++) {
+    const candidate = current.plus({ days: day });
+    if (candidate.offset === current.offset) continue;
+    let hour = current.plus({ days: day - 1 });
+    while (hour.offset === current.offset) hour = hour.plus({ hours: 1 });
+    nextTransition = { at: hour.startOf('hour').toISO(), offset: formatOffset(hour) };
   }
+
+  return {
+    timezone: tz,
+    offset: formatOffset(current),
+    abbreviation: current.offsetNameShort,
+    isDST: current.isInDST,
+    nextTransition
+  };
 }
 
 
@@ -38,7 +66,7 @@ export function getUserTimezone() {
  * Interprets ambiguous times relative to the user's local timezone.
  *
  * @param {string} timeString - The date/time string from user/LLM (e.g., "Friday at 2 PM", "tomorrow morning", "2025-04-04T14:00:00").
- * @param {string} [userTimezone] - Optional. The user's IANA timezone (e.g., "America/Winnipeg"). If not provided, getUserTimezone() is called.
+ * @param {string} [userTimezone] - Optional. The user's IANA timezone (e.g., "America/Winnipeg"). If not provided, DEFAULT_TIMEZONE is used.
  * @returns {string | null} - The date/time in ISO 8601 UTC format (ending in 'Z'), or null if parsing fails.
  */
 export function convertToUTCISOString(timeString, userTimezone) {
@@ -47,13 +75,13 @@ export function convertToUTCISOString(timeString, userTimezone) {
     return null;
   }
 
-  const tz = userTimezone || getUserTimezone();
+  const tz = getUserTimezone(userTimezone);
 
   try {
     // --- Step 1: Handle if input is ALREADY a valid ISO string ---
     // Basic check first to avoid unnecessary chrono parsing
     if (typeof timeString === 'string' && timeString.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/)) {
-        const dtFromISO = DateTime.fromISO(timeString, { zone: 'keepLocalTime' }); // Try parsing first
+        const dtFromISO = DateTime.fromISO(timeString, { setZone: true }); // Try parsing first
 
         if (dtFromISO.isValid) {
             let finalDt;
@@ -83,21 +111,32 @@ export function convertToUTCISOString(timeString, userTimezone) {
 
 
     // --- Step 2: Use chrono-node for natural language parsing ---
-    // Create a reference date ("now") in the user's timezone for chrono's context
-    const referenceDate = DateTime.now().setZone(tz).toJSDate();
+    // The reference is "now" at the user's current offset, so "tomorrow" means the user's tomorrow
+    const now = DateTime.now().setZone(tz);
+    const reference = { instant: now.toJSDate(), timezone: now.offset };
 
-    // Use chrono.parseDate which returns a single Date object or null
     // 'forwardDate: true' helps interpret ambiguous dates (like "Friday") as upcoming
-    const parsedDate = chrono.parseDate(timeString, referenceDate, { forwardDate: true });
+    const [parsed] = chrono.parse(timeString, reference, { forwardDate: true });
 
-    if (!parsedDate) {
+    if (!parsed) {
       console.warn(`convertToUTCISOString: chrono-node could not parse: "${timeString}" with reference timezone ${tz}`);
       return null; // Parsing failed
     }
 
-    // --- Step 3: Convert the JS Date (interpreted relative to user TZ) to UTC ISO ---
-    // Wrap the JS Date in Luxon, explicitly state it represents time in the user's zone, then convert to UTC
-    const finalDt = DateTime.fromJSDate(parsedDate, { zone: tz });
+    // --- Step 3: Convert the parsed wall-clock time in the user's zone to UTC ISO ---
+    // Rebuild from the components rather than chrono's Date: that Date uses today's offset,
+    // which is wrong for dates on the other side of a DST change
+    const components = parsed.start;
+    const finalDt = components.isCertain('timezoneOffset')
+        ? DateTime.fromJSDate(components.date(), { zone: tz })
+        : DateTime.fromObject({
+            year: components.get('year'),
+            month: components.get('month'),
+            day: components.get('day'),
+            hour: components.get('hour'),
+            minute: components.get('minute'),
+            second: components.get('second')
+        }, { zone: tz });
 
     if (!finalDt.isValid) {
         console.error(`convertToUTCISOString: Luxon failed to create valid DateTime from chrono result for "${timeString}"`);
@@ -120,7 +159,7 @@ export function convertToUTCISOString(timeString, userTimezone) {
 
 // Example Usage (for testing, not part of the export usually):
 /*
-const userTZ = getUserTimezone(); // e.g., "America/Winnipeg"
+const userTZ = getUserTimezone('America/Winnipeg');
 console.log("User Timezone:", userTZ);
 console.log("--- Examples ---");
 console.log(`"Friday at 2 PM" ->`, convertToUTCISOString("Friday at 2 PM", userTZ));
@@ -5,38 +5,74 @@
 
 // --- IMPORTS ---
 import { DateTime } from 'luxon';
-import { google } from 'googleapis'; // Used for get/update event before calling specific functions
 
 // Import from googleCalendar.js
 import {
-    createOAuth2Client,
-    getCalendarEvents as fetchGCalendarEventsInternal, // Renamed to avoid conflict
+    listCalendars as listGCalendarsInternal,
     addCalendarEvent as addGCalendarEventInternal,
     deleteCalendarEvent as deleteGCalendarEventInternal,
-    updateCalendarEvent as updateGCalendarEventInternal
+    updateCalendarEvent as updateGCalendarEventInternal,
+    respondToEvent as respondToGCalendarEventInternal,
+    queryFreeBusy,
+    getCalendarInfo,
+    getCalendarEvent as getGCalendarEventInternal
 } from '../../googleCalendar.js';
 
-// Import from redisClient.js
-import {
-    getCachedEventsForDateRange,
-    cacheEventsForDateRange,
-    // invalidateDateRangeCache, // Replaced by invalidateCache from cacheService
-} from '../redisClient.js';
-
 // Import from cacheService.js
 import {
-    // getCachedEvents, // Not used directly, using redisClient specific range functions
+    // getCachedEvents, // Not used directly, reads go through the event mirror
     invalidateCache // Used for invalidating based on ranges or tokens
 } from '../services/cacheService.js';
 
+// Import from syncService.js
+import {
+    getEventsForRange, // Reads from the local event mirror (synced incrementally)
+    markCalendarStale // Forces a change pull before the next read after a write
+} from '../services/syncService.js';
+
+// Import from pendingActionService.js
+import { createPendingAction } from '../services/pendingActionService.js'; // Destructive actions wait for user confirmation
+
+// Import from journalService.js
+import { createJournalContext, recordMutations, undoMutationBatch } from '../services/journalService.js'; // Every change is journaled so it can be undone
+
 // Import from schedulingUtils.js
-import { findAvailableSlots as findAvailableSlotsUtil } from './schedulingUtils.js'; // Renamed to avoid conflict with tool name
+import { findAvailableSlots as findAvailableSlotsUtil, DEFAULT_WORKING_HOURS, DEFAULT_SLOT_WEIGHTS, SLOT_WEIGHT_FACTORS, MAX_SLOT_WEIGHT } from './schedulingUtils.js'; // Renamed to avoid conflict with tool name
+
+// Import from meetingScheduler.js
+import { findMeetingSlots } from './meetingScheduler.js';
 
 // Import from checkForConflicts.js
 import { checkForConflicts } from './checkForConflicts.js';
 
 // Import from timeUtils.js
-import { getUserTimezone, convertToUTCISOString } from './timeUtils.js';
+import { convertToUTCISOString, isValidTimezone } from './timeUtils.js';
+import { getTimezoneForUser, saveUserTimezone } from './userTimezone.js';
+
+// Import scheduling constraints (working hours, lunch, buffers, limits, blackouts)
+import { getSchedulingConstraints, saveSchedulingConstraints, mergePreferenceIntoConstraints, getSlotWeights, saveSlotWeights, getTravelSettings, saveTravelSettings, getFocusSettings, saveFocusSettings } from './userConstraints.js';
+import { CONSTRAINT_FIELDS, constraintChangesFromPreference, describeConstraints, toBusyEvents, getWorkingHoursForDay, parseTimeOfDay } from './schedulingConstraints.js';
+
+// Import travel time (travel between in-person events, travel blocks)
+import { TRAVEL_MODES, TRAVEL_SETTING_FIELDS, describeTravelSettings, isInPersonLocation, isTravelBlock } from './travelTime.js';
+import { annotateTravelTimes, getTravelDates, syncTravelBlocks } from '../services/travelService.js';
+
+// Import task management (deadline-driven work blocks)
+import { createTasks, findTask, listTasks, getTaskBlocks, toTaskSummary, planTasks, completeTask, replanDisturbedTasks } from '../services/taskService.js';
+
+// Import focus time (weekly target of uninterrupted focus blocks)
+import { FOCUS_SETTING_FIELDS, MAX_WEEKLY_FOCUS_HOURS, describeFocusSettings } from './focusPlanner.js';
+import { MAX_FOCUS_WEEKS, markFocusBlocks, protectFocusTime, getFocusStatus, reshuffleDisturbedFocusTime } from '../services/focusService.js';
+
+// Import calendar selection helpers
+import { resolveCalendarIds, getSelectedCalendarIds, saveSelectedCalendarIds } from './calendarSelection.js';
+
+// Import event range reads (mirror + metadata)
+import { getEventsInRange } from './eventHelpers.js';
+
+// Import recurring event helpers
+import { buildRecurrenceRules } from './recurrenceUtils.js';
+import { deleteEventWithScope, updateEventWithScope, resolveRecurrenceTarget } from './recurringEvents.js';
 
 // Import from formatters.js - Assuming these might be used by the caller, not directly here
 // import { formatEventTime, formatCalendarEvents, formatToolResponse } from './formatters.js';
@@ -46,11 +82,100 @@ import {
     UserPreference, // Assuming models are exported from postgresClient
     addMessageToConversation, // Needed by potential processToolCalls - *This ideally belongs in databaseService*
     createOrUpdateEventMetadata,
-    getEventMetadataBatch,
     deleteEventMetadata // Corrected: Missing comma added
 } from '../postgresClient.js';
 
 
+// --- Attendee Helpers ---
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SEND_UPDATES_OPTIONS = ['all', 'externalOnly', 'none'];
+
+// Returns the entries of an attendee list that aren't valid email addresses
+function findInvalidEmails(emails) {
+    if (emails === undefined) return [];
+    if (!Array.isArray(emails)) return [String(emails)];
+    return emails.filter(email => typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()));
+}
+
+// Why checkForConflicts refused a time: the overlap (when there is one) and each scheduling
+// constraint the time breaks
+function describeConflict(conflictCheck, overlapMessage) {
+    if (conflictCheck.error) return conflictCheck.error;
+    const reasons = (conflictCheck.conflictingEvents || []).length > 0 ? [overlapMessage] : [];
+    return [...reasons, ...(conflictCheck.violations || []).map(violation => `${violation}.`)].join(' ');
+}
+
+// Longest range findAvailableSlots searches; each candidate start is checked against every
+// event, so a year at a 5-minute step would be ~105k candidates
+const MAX_SLOT_SEARCH_DAYS = 31;
+
+// --- Task Helpers ---
+const TASK_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Reads a task deadline in the user's timezone. A date alone means the end of that day's
+// working hours (or 5 PM on a day off). Returns a DateTime, or null when it can't be read.
+function resolveDeadline(value, timezone, constraints) {
+    if (typeof value !== 'string') return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        const day = DateTime.fromISO(value.trim(), { zone: timezone });
+        if (!day.isValid) return null;
+        return getWorkingHoursForDay(constraints, day)?.end || day.set({ hour: 17 });
+    }
+    const deadline = DateTime.fromISO(convertToUTCISOString(value, timezone) || value);
+    return deadline.isValid ? deadline : null;
+}
+
+// Checks the effort, deadline and priority of a task about to be saved; returns an error or null
+function validateTaskFields(task, deadline) {
+    const label = task.title ? `Task "${task.title}"` : 'Task';
+    if (task.effortMinutes !== undefined && !(Number(task.effortMinutes) > 0)) return `${label} needs an effort estimate in minutes.`;
+    if (task.deadline !== undefined && !deadline) return `${label} has an unreadable deadline "${task.deadline}". Use ISO 8601.`;
+    if (deadline && deadline <= DateTime.now()) return `${label} has a deadline in the past.`;
+    if (task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority)) return `${label} has an invalid priority "${task.priority}". Use ${TASK_PRIORITIES.join(', ')}.`;
+    if (task.maxBlockMinutes !== undefined && !(Number(task.maxBlockMinutes) >= 30)) return `${label} needs work blocks of at least 30 minutes.`;
+    return null;
+}
+
+// --- Confirmation Helpers ---
+// Destructive tools (delete, bulk delete, moving an event) don't act on the first call.
+// They store a pending action listing the exact events affected and return a preview;
+// the action only runs once the user presses Confirm (see resolvePendingAction in chatbot.js),
+// which calls the tool again with options.confirmed and the stored targets.
+
+// Reduces an event to what the confirmation preview shows and what the confirmed run needs
+function toActionTarget(event, calendarId = 'primary') {
+    return {
+        id: event.id,
+        calendarId: event.calendarId || calendarId,
+        summary: event.summary || '(No title)',
+        start: event.start,
+        end: event.end,
+        recurringEventId: event.recurringEventId || null
+    };
+}
+
+async function requestConfirmation(toolName, args, userId, options, { summary, targets, changes = null }) {
+    const action = await createPendingAction({
+        userId,
+        toolName,
+        args,
+        summary,
+        targets,
+        changes,
+        conversationId: options.conversationId || null,
+        toolCallId: options.toolCallId || null
+    });
+    return {
+        success: true,
+        requiresConfirmation: true,
+        actionId: action.actionId,
+        summary,
+        targets,
+        changes,
+        expiresAt: action.expiresAt
+    };
+}
+
 // --- Tool Schema Definitions (for OpenAI) ---
 const tools = [
     {
@@ -83,7 +208,7 @@ const tools = [
         type: "function",
         function: {
             name: "addCalendarEvents",
-            description: "Creates one or more new events directly in the user's primary Google Calendar based on their request. Extracts details like title, location, and resolves start/end times (using current time context for relative references like 'tomorrow 4pm') into absolute ISO 8601 format. Assumes a 1-hour duration if not specified. Checks for conflicts before adding.",
+            description: "Creates one or more new events directly in the user's Google Calendar (the primary calendar unless a calendarId is given) based on their request. Extracts details like title, location, and resolves start/end times (using current time context for relative references like 'tomorrow 4pm') into absolute ISO 8601 format. Assumes a 1-hour duration if not specified. Checks for conflicts before adding.",
             parameters: {
                 type: "object",
                 properties: {
@@ -94,14 +219,31 @@ const tools = [
                             type: "object",
                             properties: {
                                 summary: { type: "string", description: "The title/summary of the event (e.g., 'Meeting with Clyde')." },
-                                start: { type: "string", description: "The start date and time of the event in STRICT ISO 8601 format including timezone offset (e.g., '2025-04-01T16:00:00-07:00'). Resolve relative times (like 'tomorrow 4pm') based on current time context before calling." },
-                                end: { type: "string", description: "The end date and time of the event in STRICT ISO 8601 format including timezone offset (e.g., '2025-04-01T17:00:00-07:00'). Resolve relative times; assume 1hr duration from start if end time is not specified." },
+                                start: { type: "string", description: "The start date and time of the event in ISO 8601 format, as local time in the user's timezone (e.g., '2025-04-01T16:00:00'); an explicit offset is also accepted. Resolve relative times (like 'tomorrow 4pm') based on current time context before calling." },
+                                end: { type: "string", description: "The end date and time of the event in ISO 8601 format, as local time in the user's timezone (e.g., '2025-04-01T17:00:00'); an explicit offset is also accepted. Resolve relative times; assume 1hr duration from start if end time is not specified." },
                                 description: { type: "string", description: "Optional description or notes for the event." },
                                 location: { type: "string", description: "Optional location for the event (e.g., 'Starbucks Main St', 'Zoom Link')." },
                                 reminders: { type: "array", items: { type: "number" }, description: "Optional reminder times in minutes before the event start (e.g., [10, 30])." },
                                 priority: { type: "string", enum: ["Low", "Medium", "High", "Urgent"], description: "Optional priority level for the event." },
                                 tags: { type: "array", items: { type: "string" }, description: "Optional tags to categorize the event." },
-                                overrideConflicts: { type: "boolean", description: "Optional flag to override conflicts and add the event anyway. Default is false." }
+                                overrideConflicts: { type: "boolean", description: "Optional flag to override conflicts and add the event anyway. Default is false." },
+                                calendarId: { type: "string", description: "Optional ID of the calendar to add the event to (from listCalendars). Defaults to 'primary'." },
+                                attendees: { type: "array", items: { type: "string" }, description: "Optional email addresses of people to invite (e.g., ['alex@example.com'])." },
+                                sendUpdates: { type: "string", enum: ["all", "externalOnly", "none"], description: "Optional: who receives invitation emails when attendees are given. 'all' (default), 'externalOnly' (only people outside the user's organization) or 'none'." },
+                                recurrence: {
+                                    type: "object",
+                                    description: "Optional: makes this a recurring series instead of a single event (e.g., 'gym every Mon/Wed/Fri at 7am until June'). 'start'/'end' describe the FIRST occurrence. Create ONE recurring event rather than many single events.",
+                                    properties: {
+                                        frequency: { type: "string", enum: ["daily", "weekly", "monthly", "yearly"], description: "How often the event repeats." },
+                                        interval: { type: "number", description: "Optional: repeat every N periods (e.g., 2 with weekly = every other week). Default 1." },
+                                        byDay: { type: "array", items: { type: "string" }, description: "Optional weekdays as RRULE codes (e.g., ['MO', 'WE', 'FR']). For monthly rules an ordinal may be used (e.g., ['1MO'] = first Monday, ['-1FR'] = last Friday)." },
+                                        byMonthDay: { type: "array", items: { type: "number" }, description: "Optional days of the month for monthly rules (e.g., [1, 15])." },
+                                        count: { type: "number", description: "Optional total number of occurrences. Do not combine with 'until'." },
+                                        until: { type: "string", description: "Optional last date of the series (inclusive) in ISO 8601 (e.g., '2025-06-30'). Do not combine with 'count'." },
+                                        exceptions: { type: "array", items: { type: "string" }, description: "Optional dates (YYYY-MM-DD) on which the occurrence should be skipped." },
+                                        rrule: { type: "string", description: "Optional raw RFC 5545 RRULE (e.g., 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10'). Only use when the structured fields cannot express the pattern." }
+                                    }
+                                }
                             },
                             required: ["summary", "start", "end"],
                         },
@@ -111,16 +253,305 @@ const tools = [
             },
         },
     },
+    {
+        type: "function",
+        function: {
+            name: "listCalendars",
+            description: "Lists the calendars the user has access to (own, shared and subscribed), with their IDs, access level and whether they are currently selected for reading events and checking conflicts.",
+            parameters: {
+                type: "object",
+                properties: {},
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "selectCalendars",
+            description: "Sets which calendars are read when listing events, finding free slots and checking conflicts. Use calendar IDs from listCalendars. The selection is remembered for future requests.",
+            parameters: {
+                type: "object",
+                properties: {
+                    calendarIds: { type: "array", items: { type: "string" }, description: "IDs of the calendars to include (e.g., ['primary', 'team@group.calendar.google.com'])." },
+                },
+                required: ["calendarIds"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "setTimezone",
+            description: "Changes the user's timezone. All times the user mentions are interpreted in it, and events, free slots and conflicts are shown in it. Use when the user says they are in or moving to another timezone.",
+            parameters: {
+                type: "object",
+                properties: {
+                    timezone: { type: "string", description: "IANA timezone name (e.g., 'America/New_York', 'Europe/London', 'Asia/Kolkata'). Not an abbreviation like 'EST'." },
+                },
+                required: ["timezone"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "setSchedulingConstraints",
+            description: "Changes the rules the user's schedule must follow: working hours per weekday, lunch break, buffer around meetings, maximum meetings per day, no-meeting days and blackout periods. Free slots, conflict checks and meeting searches all respect them. Only the fields given change.",
+            parameters: {
+                type: "object",
+                properties: {
+                    workingHours: {
+                        type: "array",
+                        description: "Working hours to set, per group of days (e.g., [{ days: ['Monday','Tuesday','Wednesday','Thursday'], start: '08:00', end: '16:00' }, { days: ['Friday'], start: '08:00', end: '12:00' }]). Days not listed keep their hours.",
+                        items: {
+                            type: "object",
+                            properties: {
+                                days: { type: "array", items: { type: "string" }, description: "Weekday names. Defaults to the current working days." },
+                                start: { type: "string", description: "Start of the working day, 24h 'HH:mm'." },
+                                end: { type: "string", description: "End of the working day, 24h 'HH:mm'." }
+                            },
+                            required: ["start", "end"]
+                        }
+                    },
+                    daysOff: { type: "array", items: { type: "string" }, description: "Weekday names the user doesn't work at all." },
+                    lunch: {
+                        oneOf: [
+                            {
+                                type: "object",
+                                properties: {
+                                    start: { type: "string", description: "24h 'HH:mm'." },
+                                    end: { type: "string", description: "24h 'HH:mm'." }
+                                },
+                                required: ["start", "end"]
+                            },
+                            { type: "null" }
+                        ],
+                        description: "Daily lunch break kept free of meetings, or null to remove it."
+                    },
+                    bufferMinutes: { type: "number", description: "Minutes kept free before and after meetings (0 for none, at most 120)." },
+                    maxMeetingsPerDay: { type: "number", description: "Most meetings allowed in one day (0 for no limit)." },
+                    noMeetingDays: { type: "array", items: { type: "string" }, description: "Weekday names with no meetings at all (e.g., ['Friday']). An empty array clears them." },
+                    blackouts: {
+                        type: "array",
+                        description: "Weekly periods nothing may be booked in. Replaces all current blackouts, so include the ones to keep; an empty array clears them.",
+                        items: {
+                            type: "object",
+                            properties: {
+                                label: { type: "string", description: "What the time is for (e.g., 'School run')." },
+                                days: { type: "array", items: { type: "string" }, description: "Weekday names. Defaults to every day." },
+                                start: { type: "string", description: "24h 'HH:mm'." },
+                                end: { type: "string", description: "24h 'HH:mm'." }
+                            },
+                            required: ["start", "end"]
+                        }
+                    },
+                    reset: { type: "boolean", description: "Go back to the defaults (Monday-Friday 9:00-17:00, nothing else) before applying any other fields." }
+                },
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "setSlotRankingWeights",
+            description: "Changes how suggested slots (findAvailableSlots, findMeetingTime) are ranked. Each factor's points are multiplied by its weight: 1 is the default, 0 ignores the factor, 2 counts it double. Only the factors given change. Use it when the user says what matters more or less to them (e.g., 'I like meetings back to back', 'stop avoiding Monday mornings').",
+            parameters: {
+                type: "object",
+                properties: {
+                    weights: {
+                        type: "object",
+                        description: "Weight per factor, from 0 to 5.",
+                        properties: {
+                            timePreference: { type: "number", description: "Being in (or outside) the requested morning/afternoon/evening." },
+                            workingHours: { type: "number", description: "Being inside the user's working hours." },
+                            lunch: { type: "number", description: "Overlapping lunch (a plus for meals)." },
+                            earlyLate: { type: "number", description: "Early morning or late evening times." },
+                            meetingLimit: { type: "number", description: "Using up the day's last allowed meeting." },
+                            adjacency: { type: "number", description: "Being right before or after other events (keeping time unbroken)." },
+                            dayOfWeek: { type: "number", description: "Monday mornings, Friday afternoons and weekends." },
+                            activityFit: { type: "number", description: "Times that suit the activity (e.g., exercise in the morning or evening)." },
+                            startTime: { type: "number", description: "Starting off the hour or half hour." },
+                            edgeOfDay: { type: "number", description: "Being early or late in an attendee's working day." },
+                            focusTime: { type: "number", description: "Cutting into or splitting a protected focus block (see protectFocusTime)." },
+                            earlierInDay: { type: "number", description: "Small tie-break towards earlier hours." }
+                        }
+                    },
+                    reset: { type: "boolean", description: "Go back to the default weights (all 1) before applying any given ones." }
+                },
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "setTravelSettings",
+            description: "Saves how the user gets between in-person events. Travel time between event locations is then kept free when booking and suggesting times, and bookings that leave too little of it are refused like conflicts. Only the fields given change. Use it when the user says how they travel, where they usually work from, wants travel time blocked on their calendar, or names a place you should know.",
+            parameters: {
+                type: "object",
+                properties: {
+                    mode: { type: "string", enum: Object.keys(TRAVEL_MODES), description: "How the user travels (defaults to driving)." },
+                    homeBase: { type: "string", description: "Where the user's day starts and ends (e.g., 'Office, 5th Ave, New York'). Travel blocks go from here to the first in-person event and back after the last. An empty string clears it." },
+                    travelBlocks: { type: "boolean", description: "Put 'Travel to ...' events on the calendar before in-person events (and back to the home base after the last one)." },
+                    places: {
+                        type: "array",
+                        description: "The user's own places, recognised in event locations by name before anything else. A place with a saved name replaces it.",
+                        items: {
+                            type: "object",
+                            properties: {
+                                name: { type: "string", description: "Name as it appears in locations (e.g., 'Acme HQ')." },
+                                lat: { type: "number", description: "Latitude." },
+                                lon: { type: "number", description: "Longitude." }
+                            },
+                            required: ["name", "lat", "lon"]
+                        }
+                    },
+                    removePlaces: { type: "array", items: { type: "string" }, description: "Names of saved places to forget." },
+                    reset: { type: "boolean", description: "Go back to the defaults (driving, no home base, no travel blocks, no places) before applying any other fields." }
+                },
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "protectFocusTime",
+            description: "Keeps a weekly target of uninterrupted focus time on the user's calendar (e.g., 'at least 10 hours of 2h+ blocks a week'). Saves the target, then books 'Focus' events into the largest free gaps of their working time for this week and the next ones, reshuffling blocks that were booked over. Slot searches then avoid cutting into focus blocks. Use it when the user wants deep-work or focus time protected, changes the target, or asks to redo their focus blocks (call it with no target to redo them). Reports each week's status.",
+            parameters: {
+                type: "object",
+                properties: {
+                    weeklyHours: { type: "number", description: `Focus hours to protect each week, up to ${MAX_WEEKLY_FOCUS_HOURS}. 0 turns focus time off and removes future focus blocks.` },
+                    minBlockMinutes: { type: "number", description: "Shortest block that counts as focus time, in minutes (defaults to 120)." },
+                    maxBlockMinutes: { type: "number", description: "Longest single focus block, in minutes (defaults to 240)." },
+                    weeks: { type: "number", description: `Weeks to book, starting with this one (1 to ${MAX_FOCUS_WEEKS}, defaults to 2).` }
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "getFocusTimeStatus",
+            description: "Reports how the user's weekly focus time target stands: hours booked and done, blocks that meetings were booked over, and how far short the week is. Changes nothing.",
+            parameters: {
+                type: "object",
+                properties: {
+                    weeks: { type: "number", description: `Weeks to report, starting with this one (1 to ${MAX_FOCUS_WEEKS}, defaults to 1).` }
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "createTasks",
+            description: "Adds tasks the user has to get done by a deadline and books work blocks for them in free working time before each deadline (earliest deadline and highest priority first; long tasks are split into several blocks). Use it when the user lists things to do rather than meetings, or asks you to plan their week from a task list.",
+            parameters: {
+                type: "object",
+                properties: {
+                    tasks: {
+                        type: "array",
+                        description: "The tasks to add.",
+                        items: {
+                            type: "object",
+                            properties: {
+                                title: { type: "string", description: "What the task is (e.g., 'Write Q3 report')." },
+                                effortMinutes: { type: "number", description: "Estimated work in minutes (e.g., 240 for 4 hours)." },
+                                deadline: { type: "string", description: "When it must be done, ISO 8601. A date alone means the end of the working day." },
+                                priority: { type: "string", enum: ["Low", "Medium", "High", "Urgent"], description: "Defaults to Medium. Breaks ties between tasks due at the same time." },
+                                maxBlockMinutes: { type: "number", description: "Longest single work block in minutes (defaults to 120)." },
+                                notes: { type: "string", description: "Optional details." },
+                                calendarId: { type: "string", description: "Calendar to book the work blocks in (defaults to 'primary')." }
+                            },
+                            required: ["title", "effortMinutes", "deadline"]
+                        }
+                    }
+                },
+                required: ["tasks"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "listTasks",
+            description: "Lists the user's tasks with their deadline, priority, status and the work blocks booked for them.",
+            parameters: {
+                type: "object",
+                properties: {
+                    includeCompleted: { type: "boolean", description: "Also list completed, blocked and deferred tasks (defaults to false)." }
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "planTasks",
+            description: "Re-plans the work blocks of the user's open tasks around their current calendar. Blocks already started are kept; future ones are moved. Blocks also move on their own when a meeting is booked over one.",
+            parameters: {
+                type: "object",
+                properties: {
+                    taskIds: { type: "array", items: { type: "string" }, description: "Optional task IDs to re-plan. Omit to re-plan every open task." }
+                },
+                required: [],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "updateTask",
+            description: "Changes a task's title, effort, deadline, priority or block length, and re-plans its work blocks.",
+            parameters: {
+                type: "object",
+                properties: {
+                    taskId: { type: "string", description: "ID of the task (from listTasks or createTasks)." },
+                    title: { type: "string", description: "The task's current title, when the ID isn't known." },
+                    updates: {
+                        type: "object",
+                        properties: {
+                            title: { type: "string" },
+                            effortMinutes: { type: "number", description: "New total effort estimate in minutes." },
+                            deadline: { type: "string", description: "ISO 8601. A date alone means the end of the working day." },
+                            priority: { type: "string", enum: ["Low", "Medium", "High", "Urgent"] },
+                            maxBlockMinutes: { type: "number" },
+                            notes: { type: "string" }
+                        }
+                    }
+                },
+                required: ["updates"],
+            },
+        },
+    },
+    {
+        type: "function",
+        function: {
+            name: "completeTask",
+            description: "Marks a task as done. Its remaining future work blocks are removed from the calendar.",
+            parameters: {
+                type: "object",
+                properties: {
+                    taskId: { type: "string", description: "ID of the task (from listTasks or createTasks)." },
+                    title: { type: "string", description: "The task's title, when the ID isn't known." }
+                },
+                required: [],
+            },
+        },
+    },
     {
         type: "function",
         function: {
             name: "getCalendarEvents",
-            description: "Retrieves events from the user's primary Google Calendar within a specified date range.",
+            description: "Retrieves events within a specified date range, merged across the user's selected calendars. Each event includes the calendarId it belongs to.",
             parameters: {
                 type: "object",
                 properties: {
                     start_date: { type: "string", description: "The start date/time for the query range in ISO 8601 format (e.g., '2025-04-01T00:00:00Z' or '2025-04-01')." },
                     end_date: { type: "string", description: "The end date/time for the query range in ISO 8601 format (e.g., '2025-04-02T00:00:00Z' or '2025-04-02')." },
+                    calendarIds: { type: "array", items: { type: "string" }, description: "Optional calendar IDs to read instead of the user's selected calendars." },
                 },
                 required: ["start_date", "end_date"],
             },
@@ -130,14 +561,20 @@ const tools = [
         type: "function",
         function: {
             name: "deleteCalendarEvent",
-            description: "Deletes a specific event from the user's primary Google Calendar using its unique event ID. Retrieves event details first to invalidate specific cache range.",
+            description: "Deletes a specific event from the user's Google Calendar using its unique event ID. Nothing is deleted immediately: the user is shown the exact event and must press Confirm.",
             parameters: {
                 type: "object",
                 properties: {
                     eventId: {
                         type: "string",
                         description: "The unique ID of the event to delete (e.g., '8ut3a6eol1ov5ovv23v85osssg'). The user might provide the event title/time, use getCalendarEvents first if ID is unknown."
-                    }
+                    },
+                    scope: {
+                        type: "string",
+                        enum: ["instance", "following", "series"],
+                        description: "Only for recurring events (events listed with a Series ID): 'instance' deletes just this occurrence (default), 'following' deletes this and all later occurrences, 'series' deletes every occurrence. Ask the user if it is unclear."
+                    },
+                    calendarId: { type: "string", description: "ID of the calendar the event belongs to (as listed by getCalendarEvents). Defaults to 'primary'." }
                 },
                 required: ["eventId"],
             },
@@ -147,7 +584,7 @@ const tools = [
         type: "function",
         function: {
             name: "updateCalendarEvent",
-            description: "Updates details (like time, title, location, description) of an existing event in the user's primary Google Calendar using its ID.",
+            description: "Updates details (like time, title, location, description) of an existing event in the user's Google Calendar using its ID. Supports recurring events via 'scope'. Changes that move the event (new start/end) wait for the user to press Confirm.",
             parameters: {
                 type: "object",
                 properties: {
@@ -164,35 +601,121 @@ const tools = [
                             start: { type: "string", description: "New start time in ISO 8601 format (e.g., '2025-04-01T16:30:00-07:00')." },
                             end: { type: "string", description: "New end time in ISO 8601 format (e.g., '2025-04-01T17:00:00-07:00')." },
                             priority: { type: "string", enum: ["Low", "Medium", "High", "Urgent"], description: "Optional priority level for the event." },
-                            tags: { type: "array", items: { type: "string" }, description: "Optional tags to categorize the event." }
+                            tags: { type: "array", items: { type: "string" }, description: "Optional tags to categorize the event." },
+                            attendees: { type: "array", items: { type: "string" }, description: "Optional full replacement list of attendee emails. Prefer addAttendees/removeAttendees for small changes." },
+                            addAttendees: { type: "array", items: { type: "string" }, description: "Optional email addresses to invite in addition to the current attendees." },
+                            removeAttendees: { type: "array", items: { type: "string" }, description: "Optional email addresses to remove from the invite." },
+                            recurrence: {
+                                type: "object",
+                                description: "Optional new repeat rule for a recurring series (same fields as in addCalendarEvents). Only applies with scope 'following' or 'series'.",
+                                properties: {
+                                    frequency: { type: "string", enum: ["daily", "weekly", "monthly", "yearly"] },
+                                    interval: { type: "number" },
+                                    byDay: { type: "array", items: { type: "string" } },
+                                    byMonthDay: { type: "array", items: { type: "number" } },
+                                    count: { type: "number" },
+                                    until: { type: "string" },
+                                    exceptions: { type: "array", items: { type: "string" } },
+                                    rrule: { type: "string" }
+                                }
+                            }
                             // Note: Add reminders update if needed/implemented
                         },
                         description: "Object containing AT LEAST ONE field to update. Include only fields that are changing.",
                         minProperties: 1 // Ensure at least one update is provided
-                    }
+                    },
+                    scope: {
+                        type: "string",
+                        enum: ["instance", "following", "series"],
+                        description: "Only for recurring events (events listed with a Series ID): 'instance' changes just this occurrence (default), 'following' changes this and all later occurrences, 'series' changes every occurrence. Time changes on a series shift each occurrence by the same amount."
+                    },
+                    calendarId: { type: "string", description: "ID of the calendar the event belongs to (as listed by getCalendarEvents). Defaults to 'primary'." },
+                    sendUpdates: { type: "string", enum: ["all", "externalOnly", "none"], description: "Optional: who is notified of the change when the event has attendees. 'all' (default), 'externalOnly' or 'none'." },
+                    overrideConflicts: { type: "boolean", description: "Optional: move the event even if the new time overlaps other events. Only set it after the user accepts the conflict. Default is false." }
                 },
                 required: ["eventId", "updates"],
             },
         },
     },
+    {
+        type: "function",
+        function: {
+            name: "respondToInvitation",
+            description: "Responds (RSVP) to a meeting invitation the user received: accept, decline or tentatively accept. Only works for events where the user is an attendee, not the organizer.",
+            parameters: {
+                type: "object",
+                properties: {
+                    eventId: { type: "string", description: "The unique ID of the invitation event (from getCalendarEvents)." },
+                    response: { type: "string", enum: ["accepted", "declined", "tentative"], description: "The RSVP to send." },
+                    comment: { type: "string", description: "Optional note to the organizer (e.g., 'Running 10 minutes late')." },
+                    scope: { type: "string", enum: ["instance", "series"], description: "For recurring invitations: 'instance' responds to this occurrence only (default), 'series' responds to every occurrence." },
+                    calendarId: { type: "string", description: "ID of the calendar the event belongs to. Defaults to 'primary'." }
+                },
+                required: ["eventId", "response"],
+            },
+        },
+    },
     {
         type: "function",
         function: {
             name: "findAvailableSlots",
-            description: "Finds multiple available time slots in the user's calendar suitable for scheduling a new event. Considers existing events.",
+            description: "Finds multiple available time slots in the user's calendars suitable for scheduling a new event. Considers existing events on all selected calendars.",
             parameters: {
                 type: "object",
                 properties: {
                     duration: { type: "number", description: "Required duration of the event in minutes (e.g., 30, 60)." },
                     startDate: { type: "string", description: "The start date/time to search from, in ISO 8601 format. Defaults to the current time if not provided." },
-                    endDate: { type: "string", description: "The end date/time to search until, in ISO 8601 format. Defaults to 7 days from startDate if not provided." },
+                    endDate: { type: "string", description: "The end date/time to search until, in ISO 8601 format, at most 31 days after startDate. Defaults to 7 days from startDate if not provided." },
                     timePreference: { type: "string", enum: ["morning", "afternoon", "evening", "any"], description: "Optional preferred time of day (defaults to 'any'). Morning (~9am-12pm), Afternoon (~12pm-5pm), Evening (~5pm-9pm)." },
                     activity: { type: "string", description: "Optional: The type of activity being scheduled (e.g., 'meeting', 'workout', 'call') to potentially influence suggestions or check constraints." },
+                    summary: { type: "string", description: "Optional title of the event being scheduled (e.g., 'Dentist'). The user can book a suggested slot straight from the chat under this title." },
+                    calendarIds: { type: "array", items: { type: "string" }, description: "Optional calendar IDs whose events block time, instead of the user's selected calendars." },
+                    stepMinutes: { type: "number", description: "Optional minutes between candidate start times (defaults to 30; 15 also tries quarter past and quarter to). Between 5 and 120." },
+                    maxResults: { type: "number", description: "Optional number of slots to return (defaults to 3, at most 20)." },
+                    earliestTime: { type: "string", description: "Optional time of day no slot may start before, in the user's timezone (e.g., '10:00' for 'not before 10')." },
+                    latestTime: { type: "string", description: "Optional time of day every slot must end by, in the user's timezone (e.g., '16:00' for 'done by 4')." },
+                    spreadAcrossDays: { type: "boolean", description: "Optional: return the best slot of each day before a second slot on any day, for 'give me options on different days' (defaults to false)." },
+                    location: { type: "string", description: "Optional location of the event, when it is in person. Slots then leave time to get there from the user's other in-person events and on to the next." },
                 },
                 required: ["duration"], // Only duration is strictly required, others can have defaults.
             },
         },
     },
+    {
+        type: "function",
+        function: {
+            name: "findMeetingTime",
+            description: "Finds meeting times that work for the user AND other people, using each person's free/busy information, working hours and timezone. Use this instead of findAvailableSlots whenever other attendees are involved.",
+            parameters: {
+                type: "object",
+                properties: {
+                    attendees: { type: "array", items: { type: "string" }, description: "Email addresses of the other people who must attend (the user is always included)." },
+                    duration: { type: "number", description: "Meeting length in minutes (e.g., 30, 60)." },
+                    startDate: { type: "string", description: "Start of the search window in ISO 8601. Defaults to now." },
+                    endDate: { type: "string", description: "End of the search window in ISO 8601. Defaults to 7 days after startDate; at most 31 days." },
+                    timePreference: { type: "string", enum: ["morning", "afternoon", "evening", "any"], description: "Optional preferred time of day in the user's timezone (defaults to 'any')." },
+                    activity: { type: "string", description: "Optional type of meeting (e.g., 'standup', 'design review')." },
+                    summary: { type: "string", description: "Optional title of the meeting (e.g., 'Design review'). The user can book a suggested time straight from the chat under this title, with the attendees invited." },
+                    attendeeSettings: {
+                        type: "array",
+                        description: "Optional per-person overrides when the user states someone's timezone or hours (e.g., 'Priya is in London and works 8-4').",
+                        items: {
+                            type: "object",
+                            properties: {
+                                email: { type: "string" },
+                                timeZone: { type: "string", description: "IANA timezone (e.g., 'Europe/London')." },
+                                workStart: { type: "number", description: "Start of working day in local hours (e.g., 8 or 8.5 for 8:30)." },
+                                workEnd: { type: "number", description: "End of working day in local hours (e.g., 17)." },
+                                workDays: { type: "array", items: { type: "number" }, description: "ISO weekdays worked (1 = Monday ... 7 = Sunday)." }
+                            },
+                            required: ["email"]
+                        }
+                    }
+                },
+                required: ["attendees", "duration"],
+            },
+        },
+    },
     {
         type: "function",
         function: {
@@ -212,7 +735,7 @@ const tools = [
         type: "function",
         function: {
             name: "deleteCalendarEventsByQuery",
-            description: "Deletes multiple calendar events within a specified date range that match a search query in their title/summary. Use with caution.",
+            description: "Deletes multiple calendar events within a specified date range that match a search query in their title/summary. Nothing is deleted immediately: the user is shown every matching event and must press Confirm.",
             parameters: {
                 type: "object",
                 properties: {
@@ -222,11 +745,26 @@ const tools = [
                     },
                     start_date: { type: "string", description: "The start date/time for the search range in ISO 8601 format (e.g., '2025-04-01'). Required." },
                     end_date: { type: "string", description: "The end date/time for the search range in ISO 8601 format (e.g., '2025-04-30'). Required." },
+                    calendarIds: { type: "array", items: { type: "string" }, description: "Optional calendar IDs to search instead of the user's selected calendars." },
                 },
                 required: ["query", "start_date", "end_date"],
             },
         },
     },
+    {
+        type: "function",
+        function: {
+            name: "undoLastAction",
+            description: "Undoes the user's most recent calendar change made through the assistant (an add, update, move, delete, bulk delete or RSVP): re-creates deleted events, restores previous details, or removes created events. Calling it again undoes the change before that.",
+            parameters: {
+                type: "object",
+                properties: {
+                    batchId: { type: "string", description: "Optional ID of a specific change to undo (from an earlier undo offer). Omit to undo the most recent change." }
+                },
+                required: [],
+            },
+        },
+    },
 ];
 
 
@@ -264,6 +802,11 @@ const toolFunctions = {
             
             // Update the value
             updatedPrefs[category][key] = value;
+
+            // Scheduling preferences that are constraints (work hours, lunch, buffers...) also
+            // update the typed constraints slot searches and conflict checks enforce
+            const constraintChanges = category === 'scheduling' ? constraintChangesFromPreference(key, value) : null;
+            if (constraintChanges) mergePreferenceIntoConstraints(updatedPrefs, constraintChanges);
             
             // Handle context if provided
             if (context !== undefined) {
@@ -299,14 +842,19 @@ const toolFunctions = {
         }
     },
 
-    addCalendarEvents: async (args, userId = 'default', accessToken = null) => {
+    addCalendarEvents: async (args, userId = 'default', accessToken = null, options = {}) => {
         if (!accessToken) return { error: "User not authenticated.", success: false };
         const tokens = { access_token: accessToken };
         const { events } = args;
         if (!Array.isArray(events) || events.length === 0) return { message: "No event data provided.", success: false };
+        const journal = createJournalContext(userId, 'addCalendarEvents', options);
 
         const results = [];
         const affectedDateRanges = [];
+        // Conflicts are checked against every calendar the user reads from
+        const selectedCalendarIds = await getSelectedCalendarIds(userId);
+        // Get user timezone
+        const userTimezone = await getTimezoneForUser(userId);
 
         for (const event of events) {
             if (!event.summary || !event.start || !event.end) {
@@ -314,9 +862,6 @@ const toolFunctions = {
                 continue;
             }
             
-            // Get user timezone
-            const userTimezone = getUserTimezone();
-            
             try {
                 // Convert start and end times to UTC ISO strings with proper timezone handling
                 const startUtc = convertToUTCISOString(event.start, userTimezone);
@@ -340,16 +885,57 @@ const toolFunctions = {
                 continue;
             }
 
+            // Build RRULE lines for recurring series (expanded by Google in the user's timezone)
+            let recurrenceRules = null;
+            if (event.recurrence) {
+                try {
+                    recurrenceRules = buildRecurrenceRules(event.recurrence, event.start, userTimezone);
+                    console.log(`Recurrence for "${event.summary}":`, recurrenceRules);
+                } catch (e) {
+                    results.push({ summary: event.summary, error: `Invalid recurrence: ${e.message}`, success: false });
+                    continue;
+                }
+            }
+            // Invitations: validate emails up front so one typo doesn't send a broken invite
+            const invalidEmails = findInvalidEmails(event.attendees);
+            if (invalidEmails.length > 0) {
+                results.push({ summary: event.summary, error: `Invalid attendee email(s): ${invalidEmails.join(', ')}`, success: false });
+                continue;
+            }
+            if (event.sendUpdates && !SEND_UPDATES_OPTIONS.includes(event.sendUpdates)) {
+                results.push({ summary: event.summary, error: `Invalid sendUpdates "${event.sendUpdates}". Use ${SEND_UPDATES_OPTIONS.join(', ')}.`, success: false });
+                continue;
+            }
+
+            const calendarId = event.calendarId || 'primary';
+            const addOptions = recurrenceRules ? { recurrence: recurrenceRules, timeZone: userTimezone, calendarId } : { calendarId };
+            if (Array.isArray(event.attendees) && event.attendees.length > 0) {
+                addOptions.attendees = event.attendees;
+                addOptions.sendUpdates = event.sendUpdates || 'all';
+            }
+            const conflictCalendarIds = [...new Set([...selectedCalendarIds, calendarId])];
+            // A series can touch any cached range from its first occurrence onwards
+            const affectedEnd = recurrenceRules ? DateTime.fromISO(event.start).plus({ years: 1 }).toISO() : event.end;
+
             try {
                  // Check for conflicts before attempting to add
-                const conflictCheckResult = await checkForConflicts(tokens, event.start, event.end, event.overrideConflicts === true);
+                const conflictCheckResult = await checkForConflicts(tokens, event.start, event.end, event.overrideConflicts === true, conflictCalendarIds, userId, userTimezone, {
+                    summary: event.summary,
+                    attendees: event.attendees,
+                    location: event.location
+                });
                 if (conflictCheckResult.conflicts) {
                     console.warn(`Conflict detected for event: ${event.summary}`);
                     results.push({
                         summary: event.summary,
                         conflict: true,
+                        start: event.start,
+                        end: event.end,
                         suggestions: conflictCheckResult.suggestions || [], // Pass suggestions back
-                        error: conflictCheckResult.error || `Event conflicts with existing schedule.`, // Include error if any from check
+                        conflictingEvents: conflictCheckResult.conflictingEvents || [], // The events in the way
+                        violations: conflictCheckResult.violations || [], // Scheduling constraints the time breaks
+                        requested: event, // So a suggested slot can be booked with the same details
+                        error: describeConflict(conflictCheckResult, `Event conflicts with existing schedule.`), // Include error if any from check
                         success: false
                     });
                 } else if (conflictCheckResult.overridden) {
@@ -363,7 +949,8 @@ const toolFunctions = {
                         event.end,
                         event.description,
                         event.location,
-                        event.reminders
+                        event.reminders,
+                        addOptions
                     );
                     
                     // Store metadata if priority or tags are provided
@@ -373,7 +960,7 @@ const toolFunctions = {
                             await createOrUpdateEventMetadata(userId, addedEvent.id, {
                                 priority: event.priority, // Will be null if undefined
                                 tags: event.tags // Will be null if undefined or empty
-                            });
+                            }, calendarId);
                             console.log(`Metadata saved for event "${event.summary}" (ID: ${addedEvent.id})`);
                         } catch (metadataError) {
                             console.error(`Error saving metadata for event "${event.summary}" (ID: ${addedEvent.id}):`, metadataError);
@@ -388,7 +975,8 @@ const toolFunctions = {
                     
                     // Assuming addGCalendarEventInternal returns the created event object on success
                     results.push({ ...addedEvent, success: true }); // Add success flag
-                    affectedDateRanges.push({ start: event.start, end: event.end });
+                    affectedDateRanges.push({ start: event.start, end: affectedEnd, calendarId });
+                    await recordMutations(journal, calendarId, [{ operation: 'create', eventId: addedEvent.id, after: addedEvent }]);
                     console.log(`Event added despite conflicts: ${event.summary} (ID: ${addedEvent.id})`);
                 } else {
                     // Add the event
@@ -399,7 +987,8 @@ const toolFunctions = {
                         event.end,
                         event.description,
                         event.location,
-                        event.reminders
+                        event.reminders,
+                        addOptions
                     );
 
                     // Store metadata if priority or tags are provided
@@ -409,7 +998,7 @@ const toolFunctions = {
                             await createOrUpdateEventMetadata(userId, addedEvent.id, {
                                 priority: event.priority, // Will be null if undefined
                                 tags: event.tags // Will be null if undefined or empty
-                            });
+                            }, calendarId);
                             console.log(`Metadata saved for event "${event.summary}" (ID: ${addedEvent.id})`);
                         } catch (metadataError) {
                             console.error(`Error saving metadata for event "${event.summary}" (ID: ${addedEvent.id}):`, metadataError);
@@ -420,7 +1009,8 @@ const toolFunctions = {
 
                     // Assuming addGCalendarEventInternal returns the created event object on success
                     results.push({ ...addedEvent, success: true }); // Add success flag
-                    affectedDateRanges.push({ start: event.start, end: event.end });
+                    affectedDateRanges.push({ start: event.start, end: affectedEnd, calendarId });
+                    await recordMutations(journal, calendarId, [{ operation: 'create', eventId: addedEvent.id, after: addedEvent }]);
                     console.log(`Event added: ${event.summary} (ID: ${addedEvent.id})`);
                 }
             } catch (addError) {
@@ -433,16 +1023,371 @@ const toolFunctions = {
         // Use invalidateCache from cacheService
         for (const range of affectedDateRanges) {
             try {
-                await invalidateCache(tokens, range.start, range.end);
-                console.log(`Invalidated cache for range: ${range.start} - ${range.end}`);
+                await invalidateCache(tokens, range.start, range.end, range.calendarId, { timezone: userTimezone });
+                console.log(`Invalidated cache for range: ${range.start} - ${range.end} (calendar: ${range.calendarId})`);
             } catch (cacheError) {
                 console.error("Error invalidating cache after add:", cacheError);
             }
         }
+        if (affectedDateRanges.length > 0) {
+            await markCalendarStale(userId, [...new Set(affectedDateRanges.map(range => range.calendarId))]);
+
+            // Travel to and from new in-person events is blocked out, then task work blocks and
+            // focus blocks the new events (or travel) landed on move elsewhere (all part of the
+            // same undo)
+            const travel = await syncTravelBlocks(userId, tokens, getTravelDates(results.filter(item => item.success && !item.recurrence), userTimezone), journal);
+            const replanned = await replanDisturbedTasks(userId, tokens, journal);
+            const reshuffled = await reshuffleDisturbedFocusTime(userId, tokens, journal);
+            for (const item of results) {
+                if (!item.success || !item.id) continue;
+                item.replannedTasks = replanned.filter(task => task.disturbedBy.includes(item.id));
+                item.focusTime = reshuffled.filter(week => week.disturbedBy.includes(item.id));
+                if (travel) item.travelBlocks = travel.added.filter(block => block.forEventId === item.id);
+            }
+        }
 
         return results; // Return array of result objects (with success flags/errors)
     },
 
+    listCalendars: async (args, userId = 'default', accessToken = null) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false, calendars: [] };
+        const tokens = { access_token: accessToken };
+
+        try {
+            const [calendars, selectedIds] = await Promise.all([
+                listGCalendarsInternal(tokens),
+                getSelectedCalendarIds(userId)
+            ]);
+
+            return {
+                success: true,
+                calendars: calendars.map(calendar => ({
+                    id: calendar.id,
+                    summary: calendar.summaryOverride || calendar.summary,
+                    primary: calendar.primary === true,
+                    accessRole: calendar.accessRole,
+                    timeZone: calendar.timeZone,
+                    backgroundColor: calendar.backgroundColor,
+                    // 'primary' in the selection refers to the user's primary calendar by alias
+                    selected: selectedIds.includes(calendar.id) || (calendar.primary === true && selectedIds.includes('primary'))
+                }))
+            };
+        } catch (error) {
+            console.error(`Error listing calendars for user ${userId}:`, error);
+            return { success: false, error: `Failed to list calendars: ${error.message}`, calendars: [] };
+        }
+    },
+
+    selectCalendars: async (args, userId = 'default', accessToken = null) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        const { calendarIds } = args;
+
+        if (!Array.isArray(calendarIds) || calendarIds.length === 0) {
+            return { error: "At least one calendar ID is required.", success: false };
+        }
+
+        try {
+            // Only accept calendars the user can actually see
+            const calendars = await listGCalendarsInternal(tokens);
+            const knownIds = new Set(calendars.map(calendar => calendar.id));
+            const unknownIds = calendarIds.filter(id => id !== 'primary' && !knownIds.has(id));
+            if (unknownIds.length > 0) {
+                return { error: `Unknown calendar ID(s): ${unknownIds.join(', ')}. Use listCalendars to get valid IDs.`, success: false };
+            }
+
+            const selection = await saveSelectedCalendarIds(userId, calendarIds);
+            return {
+                success: true,
+                message: `Now reading from ${selection.length} calendar(s): ${selection.join(', ')}`,
+                calendarIds: selection
+            };
+        } catch (error) {
+            console.error(`Error selecting calendars for user ${userId}:`, error);
+            return { success: false, error: `Failed to save calendar selection: ${error.message}` };
+        }
+    },
+
+    setTimezone: async (args, userId = 'default', accessToken = null) => {
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const { timezone } = args;
+
+        if (!isValidTimezone(timezone)) {
+            return { error: `"${timezone}" is not a valid IANA timezone. Use a name like 'America/New_York' or 'Europe/London'.`, success: false };
+        }
+
+        try {
+            const saved = await saveUserTimezone(userId, timezone, 'user');
+            const offset = DateTime.now().setZone(saved.timezone).toFormat('ZZ');
+            return {
+                success: true,
+                message: `Timezone set to ${saved.timezone} (currently UTC${offset})`,
+                timezone: saved.timezone
+            };
+        } catch (error) {
+            console.error(`Error setting timezone for user ${userId}:`, error);
+            return { success: false, error: `Failed to save timezone: ${error.message}` };
+        }
+    },
+
+    setSchedulingConstraints: async (args, userId = 'default', accessToken = null) => {
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const changes = Object.fromEntries(Object.entries(args).filter(([field]) => CONSTRAINT_FIELDS.includes(field)));
+        if (Object.keys(changes).length === 0 && args.reset !== true) {
+            return { success: false, error: `Nothing to change. Give at least one of: ${CONSTRAINT_FIELDS.join(', ')}.` };
+        }
+
+        try {
+            const { constraints, errors } = await saveSchedulingConstraints(userId, { ...changes, reset: args.reset === true });
+            if (errors.length > 0) {
+                return { success: false, error: `Nothing was saved. ${errors.join('. ')}.` };
+            }
+            return {
+                success: true,
+                message: `Scheduling constraints saved. ${describeConstraints(constraints)}.`,
+                constraints
+            };
+        } catch (error) {
+            console.error(`Error saving scheduling constraints for user ${userId}:`, error);
+            return { success: false, error: `Failed to save scheduling constraints: ${error.message}` };
+        }
+    },
+
+    setSlotRankingWeights: async (args, userId = 'default', accessToken = null) => {
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const changes = args.weights && typeof args.weights === 'object' ? args.weights : {};
+        if (Object.keys(changes).length === 0 && args.reset !== true) {
+            return { success: false, error: `Nothing to change. Give a weight (0-${MAX_SLOT_WEIGHT}) for at least one of: ${SLOT_WEIGHT_FACTORS.join(', ')}.` };
+        }
+
+        try {
+            const { weights, errors } = await saveSlotWeights(userId, { ...changes, reset: args.reset === true });
+            if (errors.length > 0) {
+                return { success: false, error: `Nothing was saved. ${errors.join('. ')}.` };
+            }
+            const changed = SLOT_WEIGHT_FACTORS.filter(factor => weights[factor] !== DEFAULT_SLOT_WEIGHTS[factor]);
+            return {
+                success: true,
+                message: changed.length > 0
+                    ? `Ranking weights saved: ${changed.map(factor => `${factor} x${weights[factor]}`).join(', ')} (everything else x1).`
+                    : 'Ranking weights are back to the defaults (every factor x1).',
+                weights
+            };
+        } catch (error) {
+            console.error(`Error saving slot weights for user ${userId}:`, error);
+            return { success: false, error: `Failed to save ranking weights: ${error.message}` };
+        }
+    },
+
+    setTravelSettings: async (args, userId = 'default', accessToken = null) => {
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const changes = Object.fromEntries(Object.entries(args).filter(([field]) => TRAVEL_SETTING_FIELDS.includes(field)));
+        if (Object.keys(changes).length === 0 && args.reset !== true) {
+            return { success: false, error: `Nothing to change. Give at least one of: ${TRAVEL_SETTING_FIELDS.join(', ')}.` };
+        }
+
+        try {
+            const { settings, errors } = await saveTravelSettings(userId, { ...changes, reset: args.reset === true });
+            if (errors.length > 0) {
+                return { success: false, error: `Nothing was saved. ${errors.join('. ')}.` };
+            }
+            return {
+                success: true,
+                message: `Travel settings saved. ${describeTravelSettings(settings)}.`,
+                settings
+            };
+        } catch (error) {
+            console.error(`Error saving travel settings for user ${userId}:`, error);
+            return { success: false, error: `Failed to save travel settings: ${error.message}` };
+        }
+    },
+
+    protectFocusTime: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        const changes = Object.fromEntries(Object.entries(args).filter(([field]) => FOCUS_SETTING_FIELDS.includes(field)));
+
+        try {
+            let settings = await getFocusSettings(userId);
+            if (Object.keys(changes).length > 0) {
+                const saved = await saveFocusSettings(userId, changes);
+                if (saved.errors.length > 0) {
+                    return { success: false, error: `Nothing was saved. ${saved.errors.join('. ')}.` };
+                }
+                settings = saved.settings;
+            } else if (!settings.weeklyHours) {
+                return { success: false, error: "No focus time target is set. Give weeklyHours (e.g., 10)." };
+            }
+
+            const weeks = await protectFocusTime(userId, tokens, {
+                weeks: args.weeks ?? 2,
+                journal: createJournalContext(userId, 'protectFocusTime', options)
+            });
+            return {
+                success: true,
+                message: `${describeFocusSettings(settings)}.`,
+                settings,
+                weeks
+            };
+        } catch (error) {
+            console.error(`Error protecting focus time for user ${userId}:`, error);
+            return { success: false, error: `Failed to protect focus time: ${error.message}` };
+        }
+    },
+
+    getFocusTimeStatus: async (args, userId = 'default', accessToken = null) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+
+        try {
+            const { settings, weeks } = await getFocusStatus(userId, tokens, { weeks: args.weeks ?? 1 });
+            return {
+                success: true,
+                message: `${describeFocusSettings(settings)}.`,
+                settings,
+                weeks: settings.weeklyHours ? weeks : []
+            };
+        } catch (error) {
+            console.error(`Error reading focus time status for user ${userId}:`, error);
+            return { success: false, error: `Failed to read focus time status: ${error.message}` };
+        }
+    },
+
+    createTasks: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        const { tasks } = args;
+        if (!Array.isArray(tasks) || tasks.length === 0) return { message: "No tasks provided.", success: false };
+
+        const userTimezone = await getTimezoneForUser(userId);
+        const constraints = await getSchedulingConstraints(userId);
+        // Check every task before saving any, so a typo doesn't leave half the list behind
+        const inputs = [];
+        for (const task of tasks) {
+            if (!task.title || task.effortMinutes === undefined || !task.deadline) {
+                return { success: false, error: `Task "${task.title || '?'}" is missing required fields (title, effortMinutes, deadline). Nothing was saved.` };
+            }
+            const deadline = resolveDeadline(task.deadline, userTimezone, constraints);
+            const problem = validateTaskFields(task, deadline);
+            if (problem) return { success: false, error: `${problem} Nothing was saved.` };
+            inputs.push({ ...task, effortMinutes: Math.round(Number(task.effortMinutes)), deadline: deadline.toJSDate() });
+        }
+
+        try {
+            const created = await createTasks(userId, inputs);
+            const createdIds = created.map(task => task.task_id);
+            const journal = createJournalContext(userId, 'createTasks', options);
+            let planned = await planTasks(userId, tokens, { taskIds: createdIds, journal });
+            // A new task that doesn't fit may have an earlier deadline than blocks already
+            // booked, so plan everything again in deadline order
+            if (planned.some(task => task.unplacedMinutes > 0)) {
+                planned = await planTasks(userId, tokens, { journal });
+            }
+            return {
+                success: true,
+                tasks: planned.filter(task => createdIds.includes(task.taskId)),
+                // Other open tasks, planned again around the new ones
+                movedTasks: planned.filter(task => !createdIds.includes(task.taskId))
+            };
+        } catch (error) {
+            console.error(`Error creating tasks for user ${userId}:`, error);
+            return { success: false, error: `Failed to create tasks: ${error.message}` };
+        }
+    },
+
+    listTasks: async (args, userId = 'default', accessToken = null) => {
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        try {
+            const tasks = await listTasks(userId, { includeClosed: args.includeCompleted === true });
+            const blocks = await getTaskBlocks(userId, tasks.map(task => task.task_id));
+            return {
+                success: true,
+                tasks: tasks.map(task => toTaskSummary(task, blocks.filter(block => block.task_id === task.task_id)))
+            };
+        } catch (error) {
+            console.error(`Error listing tasks for user ${userId}:`, error);
+            return { success: false, error: `Failed to list tasks: ${error.message}` };
+        }
+    },
+
+    planTasks: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        const taskIds = Array.isArray(args.taskIds) && args.taskIds.length > 0 ? args.taskIds : null;
+
+        try {
+            const tasks = await planTasks(userId, tokens, { taskIds, journal: createJournalContext(userId, 'planTasks', options) });
+            return { success: true, tasks };
+        } catch (error) {
+            console.error(`Error planning tasks for user ${userId}:`, error);
+            return { success: false, error: `Failed to plan tasks: ${error.message}` };
+        }
+    },
+
+    updateTask: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        const updates = args.updates && typeof args.updates === 'object' ? args.updates : {};
+        if (Object.keys(updates).length === 0) return { success: false, error: "A non-empty updates object is required." };
+
+        try {
+            const task = await findTask(userId, { taskId: args.taskId, title: args.title });
+            if (!task) return { success: false, error: `No task found matching "${args.taskId || args.title || ''}".` };
+
+            const userTimezone = await getTimezoneForUser(userId);
+            const deadline = updates.deadline !== undefined
+                ? resolveDeadline(updates.deadline, userTimezone, await getSchedulingConstraints(userId))
+                : null;
+            const problem = validateTaskFields({ ...updates, title: updates.title || task.title }, deadline);
+            if (problem) return { success: false, error: problem };
+
+            const changes = {};
+            if (updates.title) changes.title = updates.title;
+            if (updates.notes !== undefined) changes.notes = updates.notes;
+            if (updates.effortMinutes !== undefined) changes.effort_minutes = Math.round(Number(updates.effortMinutes));
+            if (deadline) changes.deadline = deadline.toJSDate();
+            if (updates.priority) changes.priority = updates.priority;
+            if (updates.maxBlockMinutes !== undefined) changes.max_block_minutes = Math.round(Number(updates.maxBlockMinutes));
+            await task.update(changes);
+
+            const [planned] = await planTasks(userId, tokens, {
+                taskIds: [task.task_id],
+                journal: createJournalContext(userId, 'updateTask', options)
+            });
+            // Closed tasks aren't planned; show them as they are
+            return { success: true, task: planned || toTaskSummary(task, await getTaskBlocks(userId, [task.task_id])) };
+        } catch (error) {
+            console.error(`Error updating task for user ${userId}:`, error);
+            return { success: false, error: `Failed to update task: ${error.message}` };
+        }
+    },
+
+    completeTask: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        if (!userId || userId === 'default') return { success: false, message: "Error: User ID is missing." };
+        const tokens = { access_token: accessToken };
+        if (!args.taskId && !args.title) return { success: false, error: "A taskId or title is required." };
+
+        try {
+            const task = await findTask(userId, { taskId: args.taskId, title: args.title });
+            if (!task) return { success: false, error: `No task found matching "${args.taskId || args.title}".` };
+            if (task.status === 'Completed') {
+                return { success: true, alreadyCompleted: true, task: toTaskSummary(task, await getTaskBlocks(userId, [task.task_id])) };
+            }
+            const completed = await completeTask(userId, tokens, task, createJournalContext(userId, 'completeTask', options));
+            return { success: true, task: completed };
+        } catch (error) {
+            console.error(`Error completing task for user ${userId}:`, error);
+            return { success: false, error: `Failed to complete task: ${error.message}` };
+        }
+    },
+
     getCalendarEvents: async (args, userId = 'default', accessToken = null) => {
         if (!accessToken) return { error: "User not authenticated.", success: false, events: [] }; // Return structured error
         const tokens = { access_token: accessToken };
@@ -452,8 +1397,10 @@ const toolFunctions = {
         if (!start_date || !end_date) {
              return { error: "Both start_date and end_date are required.", success: false, events: [] };
         }
-        const startDt = DateTime.fromISO(start_date);
-        const endDt = DateTime.fromISO(end_date);
+        // Dates without an offset (e.g. '2025-04-01') are days in the user's timezone
+        const userTimezone = await getTimezoneForUser(userId);
+        const startDt = DateTime.fromISO(start_date, { zone: userTimezone });
+        const endDt = DateTime.fromISO(end_date, { zone: userTimezone });
         if (!startDt.isValid || !endDt.isValid) {
              return { error: `Invalid date format. Please use ISO 8601 (e.g., YYYY-MM-DD or YYYY-MM-DDTHH:mm:ssZ). Received: start=${start_date}, end=${end_date}`, success: false, events: [] };
         }
@@ -461,85 +1408,10 @@ const toolFunctions = {
             return { error: "Start date must be before end date.", success: false, events: [] };
         }
 
-        let finalEvents = []; // Initialize events array
-
         try {
-            // Define cache keys using daily granularity for broader cache hits
-            const cacheKeyStart = startDt.startOf('day').toISODate();
-            const cacheKeyEnd = endDt.endOf('day').toISODate(); // Inclusive end day for key
-            const tokenHash = accessToken.substring(accessToken.length - 10); // Simple hash
-            const userIdCachePrefix = `user_${tokenHash}`; // Or use actual stable userId
-
-            // Attempt to fetch from cache first
-            let cachedEvents = await getCachedEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd);
-
-            if (cachedEvents) {
-                console.log(`Cache HIT for events ${cacheKeyStart} to ${cacheKeyEnd}`);
-                 // Filter cached events based on the *exact* start/end time requested by the user
-                 finalEvents = cachedEvents.filter(event => {
-                     const eventStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
-                     const eventEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
-                     // Ensure valid dates before comparison
-                     if (!eventStart.isValid || !eventEnd.isValid) return false;
-                     // Event overlaps with the requested range [startDt, endDt)
-                     return eventStart < endDt && eventEnd > startDt;
-                 });
-                 console.log(`Filtered ${cachedEvents.length} cached events down to ${finalEvents.length} for exact range.`);
-
-            } else {
-                console.log(`Cache MISS for events ${cacheKeyStart} to ${cacheKeyEnd}`);
-                // Fetch from Google Calendar API for the *exact* requested range
-                const apiEvents = await fetchGCalendarEventsInternal(tokens, startDt.toJSDate(), endDt.toJSDate()); // Fetch exact range
-
-                if (apiEvents && Array.isArray(apiEvents)) {
-                    finalEvents = apiEvents; // Use the precisely fetched events
-                    console.log(`Fetched ${finalEvents.length} events from API for range ${startDt.toISO()} - ${endDt.toISO()}.`);
-                    // Cache the result using the daily range key for potential future broader queries
-                    // Cache the events fetched for the *exact* range, but use the *daily* key
-                    // This means subsequent wider queries might hit cache, but specific narrow queries within the day will still filter
-                    await cacheEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd, finalEvents, 300); // 5 min TTL
-                    console.log(`Stored ${finalEvents.length} events in Redis cache under key range ${cacheKeyStart} to ${cacheKeyEnd}`);
-                } else {
-                    console.warn(`No events returned or non-array from fetchGCalendarEventsInternal for ${startDt.toISO()}-${endDt.toISO()}`);
-                    finalEvents = []; // Ensure it's an empty array on failure or no results
-                }
-            }
-
-            // Enrich events with metadata if there are any events
-            if (finalEvents.length > 0 && userId !== 'default') {
-                try {
-                    // Extract all Google event IDs
-                    const googleEventIds = finalEvents.map(event => event.id).filter(id => id); // Filter out potential null/undefined IDs
-
-                    if (googleEventIds.length > 0) {
-                        // Fetch metadata for all events in a single batch query
-                        const metadataRecords = await getEventMetadataBatch(userId, googleEventIds);
-
-                        // Create a lookup map for efficient access
-                        const metadataMap = new Map();
-                        metadataRecords.forEach(record => {
-                            metadataMap.set(record.google_event_id, record);
-                        });
-
-                        // Enrich events with metadata
-                        finalEvents = finalEvents.map(event => {
-                            const metadata = metadataMap.get(event.id);
-                            if (metadata) {
-                                // Add only non-null metadata fields
-                                const enrichment = {};
-                                if (metadata.priority !== null) enrichment.priority = metadata.priority;
-                                if (metadata.tags !== null && metadata.tags.length > 0) enrichment.tags = metadata.tags;
-                                return { ...event, ...enrichment };
-                            }
-                            return event; // Return original event if no metadata found
-                        });
-                         console.log(`Enriched ${metadataMap.size} events with metadata.`);
-                    }
-                } catch (metadataError) {
-                    console.error(`Error fetching or merging event metadata:`, metadataError);
-                    // Proceed without metadata, but log the error
-                }
-            }
+            // Every selected calendar (from the event mirror), limited to the exact range and with metadata
+            const calendarIds = await resolveCalendarIds(userId, args.calendarIds);
+            const finalEvents = await getEventsInRange(userId, tokens, startDt, endDt, calendarIds);
 
             console.log("DEBUG: toolFunctions.getCalendarEvents is returning:", JSON.stringify(finalEvents, null, 2)); // Keep debug log
             return finalEvents; // Return just the events array
@@ -551,45 +1423,63 @@ const toolFunctions = {
         }
     },
 
-    deleteCalendarEvent: async (args, userId = 'default', accessToken = null) => {
+    deleteCalendarEvent: async (args, userId = 'default', accessToken = null, options = {}) => {
         if (!accessToken) return { error: "User not authenticated.", success: false, eventId: args.eventId };
         const tokens = { access_token: accessToken };
-        const { eventId } = args;
+        const { eventId, scope = 'instance', calendarId = 'primary' } = args;
         if (!eventId) return { error: "Event ID is required.", success: false };
 
         let originalStartDate, originalEndDate, eventSummary = eventId; // Default summary to ID
+        let deleteResult;
         try {
-            // 1. Get the event details first for cache invalidation and user feedback
-            const oauth2Client = createOAuth2Client(tokens);
-            const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+            // 0. Without confirmation, only preview the exact event that would be deleted
+            if (!options.confirmed) {
+                let event;
+                try {
+                    event = await getGCalendarEventInternal(tokens, eventId, calendarId);
+                } catch (getError) {
+                    if (getError.code === 404 || getError.code === 410) {
+                        return { success: true, message: `Event ${eventId} not found (already deleted?).`, eventId: eventId, summary: eventSummary };
+                    }
+                    throw getError;
+                }
+                const scopeLabel = event.recurringEventId
+                    ? { instance: ' (this occurrence only)', following: ' (this and all following occurrences)', series: ' (every occurrence in the series)' }[scope] || ''
+                    : '';
+                return requestConfirmation('deleteCalendarEvent', args, userId, options, {
+                    summary: `Delete "${event.summary || '(No title)'}"${scopeLabel}`,
+                    targets: [toActionTarget(event, calendarId)]
+                });
+            }
 
+            // 1. Delete the event (or the requested part of its series); this also
+            //    returns the event details needed for cache invalidation and user feedback
             try {
-                console.log(`Fetching event details for deletion: ${eventId}`);
-                const event = await calendar.events.get({ calendarId: 'primary', eventId: eventId });
-                originalStartDate = event.data.start?.dateTime || event.data.start?.date;
-                originalEndDate = event.data.end?.dateTime || event.data.end?.date;
-                eventSummary = event.data.summary || eventId;
-                console.log(`Found event "${eventSummary}" starting ${originalStartDate} for deletion.`);
-            } catch (getError) {
-                 if (getError.code === 404) {
+                console.log(`Attempting to delete event: ${eventId} (scope: ${scope})`);
+                deleteResult = await deleteEventWithScope(tokens, eventId, scope, calendarId);
+                originalStartDate = deleteResult.start;
+                // Series deletes have no single end; invalidate a year ahead instead
+                originalEndDate = deleteResult.end || (deleteResult.start && DateTime.fromISO(deleteResult.start).plus({ years: 1 }).toISO());
+                eventSummary = deleteResult.summary || eventId;
+                console.log(`Successfully deleted "${eventSummary}" from Google Calendar (scope: ${deleteResult.scope}).`);
+            } catch (deleteError) {
+                 if (deleteError.code === 404 || deleteError.code === 410) {
                      console.log(`Event ${eventId} not found for deletion (may already be deleted).`);
                      // Consider this a "success" in the sense that the desired state (event gone) is achieved.
                      return { success: true, message: `Event ${eventId} not found (already deleted?).`, eventId: eventId, summary: eventSummary };
                  }
-                 // Rethrow other errors during get
-                 throw new Error(`Failed to retrieve event details before delete: ${getError.message}`);
+                 throw deleteError;
             }
 
-            // 2. Delete the event via internal function
-            console.log(`Attempting to delete event: ${eventId}`);
-            await deleteGCalendarEventInternal(tokens, eventId); // Assumes this throws on API error
-            console.log(`Successfully deleted event from Google Calendar: ${eventId}`);
+            // 2. Journal the change so it can be undone
+            const journal = createJournalContext(userId, 'deleteCalendarEvent', options);
+            await recordMutations(journal, calendarId, deleteResult.mutations);
 
             // 3. Delete associated metadata
             if (userId !== 'default') {
                 try {
-                    await deleteEventMetadata(userId, eventId);
-                    console.log(`Successfully deleted metadata for event: ${eventId}`);
+                    await deleteEventMetadata(userId, deleteResult.eventId, calendarId);
+                    console.log(`Successfully deleted metadata for event: ${deleteResult.eventId}`);
                 } catch (metadataError) {
                     console.error(`Error deleting metadata for event ${eventId} (proceeding anyway):`, metadataError);
                     // Log error but don't fail the overall deletion if calendar delete succeeded
@@ -599,7 +1489,8 @@ const toolFunctions = {
             // 4. Invalidate cache for the event's date range
             if (originalStartDate && originalEndDate) {
                 try {
-                    await invalidateCache(tokens, originalStartDate, originalEndDate);
+                    const userTimezone = await getTimezoneForUser(userId);
+                    await invalidateCache(tokens, originalStartDate, originalEndDate, calendarId, { timezone: userTimezone });
                     console.log(`Invalidated cache for range: ${originalStartDate} - ${originalEndDate}`);
                 } catch (cacheError) {
                     console.error("Error invalidating cache after delete:", cacheError);
@@ -612,8 +1503,24 @@ const toolFunctions = {
                     console.error("Error invalidating cache after delete (fallback):", cacheError);
                 }
             }
+            await markCalendarStale(userId, calendarId);
+
+            // 5. Travel to and from a deleted in-person event isn't needed any more
+            const travelBlocks = deleteResult.scope === 'instance' && deleteResult.event
+                ? await syncTravelBlocks(userId, tokens, getTravelDates([deleteResult.event], await getTimezoneForUser(userId)), journal)
+                : null;
 
-            return { success: true, message: `Successfully deleted event: "${eventSummary}"`, eventId: eventId, summary: eventSummary }; // Return success object
+            return {
+                success: true,
+                message: `Successfully deleted event: "${eventSummary}"`,
+                eventId: eventId,
+                summary: eventSummary,
+                scope: deleteResult.scope,
+                seriesId: deleteResult.seriesId,
+                calendarId: calendarId,
+                event: deleteResult.event, // The deleted event (the series for a series delete)
+                travelBlocks
+            }; // Return success object
 
         } catch (error) {
             console.error(`Error deleting event ${eventId}:`, error);
@@ -627,15 +1534,30 @@ const toolFunctions = {
         }
     },
 
-    updateCalendarEvent: async (args, userId = 'default', accessToken = null) => {
+    updateCalendarEvent: async (args, userId = 'default', accessToken = null, options = {}) => {
        if (!accessToken) return { error: "User not authenticated.", success: false, eventId: args.eventId };
        const tokens = { access_token: accessToken };
-       const { eventId, updates } = args;
+       const { eventId, scope = 'instance', calendarId = 'primary', sendUpdates } = args;
+       const updates = args.updates && typeof args.updates === 'object' ? { ...args.updates } : null;
 
-       if (!eventId || !updates || typeof updates !== 'object' || Object.keys(updates).length === 0) {
+       if (!eventId || !updates || Object.keys(updates).length === 0) {
            return { error: "Event ID and a non-empty updates object are required.", success: false, eventId: eventId };
        }
 
+       // Times without an offset are the user's local time; Google gets them in UTC
+       const userTimezone = await getTimezoneForUser(userId);
+       for (const field of ['start', 'end']) {
+           if (updates[field]) updates[field] = convertToUTCISOString(updates[field], userTimezone) || updates[field];
+       }
+
+       const invalidEmails = [updates.attendees, updates.addAttendees, updates.removeAttendees].flatMap(findInvalidEmails);
+       if (invalidEmails.length > 0) {
+           return { error: `Invalid attendee email(s): ${invalidEmails.join(', ')}`, success: false, eventId: eventId };
+       }
+       if (sendUpdates && !SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+           return { error: `Invalid sendUpdates "${sendUpdates}". Use ${SEND_UPDATES_OPTIONS.join(', ')}.`, success: false, eventId: eventId };
+       }
+
        // Validate update values (basic check for ISO dates if provided)
        let updateStartDt, updateEndDt;
        try {
@@ -659,13 +1581,10 @@ const toolFunctions = {
        let originalStartDate, originalEndDate, originalSummary = eventId;
        try {
             // 1. Get original event times for cache invalidation and potential date logic
-            const oauth2Client = createOAuth2Client(tokens);
-            const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
             let originalEventData;
             try {
                 console.log(`Fetching event details for update: ${eventId}`);
-                const eventResponse = await calendar.events.get({ calendarId: 'primary', eventId: eventId });
-                originalEventData = eventResponse.data;
+                originalEventData = await getGCalendarEventInternal(tokens, eventId, calendarId);
                 originalStartDate = originalEventData.start?.dateTime || originalEventData.start?.date;
                 originalEndDate = originalEventData.end?.dateTime || originalEventData.end?.date;
                 originalSummary = originalEventData.summary || eventId;
@@ -685,13 +1604,61 @@ const toolFunctions = {
                 throw new Error("Start time must be before end time after updates are applied.");
             }
 
+            // Moving an event waits for the user's confirmation; other edits apply directly
+            const isMove = (updates.start && updateStartDt.toMillis() !== DateTime.fromISO(originalStartDate).toMillis()) ||
+                           (updates.end && updateEndDt.toMillis() !== DateTime.fromISO(originalEndDate).toMillis());
+
+            // A move must land on free time (on every selected calendar), unless the user accepts the overlap.
+            // For series moves only the edited occurrence is checked.
+            if (isMove) {
+                const conflictCalendarIds = [...new Set([...(await getSelectedCalendarIds(userId)), calendarId])];
+                const excludeEventIds = scope === 'instance' ? [eventId] : [eventId, originalEventData.recurringEventId || eventId];
+                const conflictCheck = await checkForConflicts(tokens, finalStart.toISO(), finalEnd.toISO(), args.overrideConflicts === true, conflictCalendarIds, userId, userTimezone, {
+                    excludeEventIds,
+                    summary: updates.summary || originalEventData.summary,
+                    attendees: originalEventData.attendees,
+                    location: updates.location ?? originalEventData.location
+                });
+                if (conflictCheck.conflicts) {
+                    const conflictingEvents = conflictCheck.conflictingEvents || [];
+                    const names = conflictingEvents.map(event => `"${event.summary || '(No title)'}"`).join(', ');
+                    return {
+                        success: false,
+                        conflict: true,
+                        eventId: eventId,
+                        summary: originalSummary,
+                        start: finalStart.toISO(),
+                        end: finalEnd.toISO(),
+                        suggestions: conflictCheck.suggestions || [],
+                        conflictingEvents,
+                        violations: conflictCheck.violations || [],
+                        error: describeConflict(conflictCheck, `The new time for "${originalSummary}" overlaps ${names}.`)
+                    };
+                }
+            }
+            if (isMove && !options.confirmed) {
+                const scopeLabel = originalEventData.recurringEventId && scope !== 'instance'
+                    ? (scope === 'series' ? ' (every occurrence)' : ' (this and following occurrences)')
+                    : '';
+                return requestConfirmation('updateCalendarEvent', args, userId, options, {
+                    summary: `Move "${originalSummary}"${scopeLabel}`,
+                    targets: [toActionTarget(originalEventData, calendarId)],
+                    changes: { start: finalStart.toISO(), end: finalEnd.toISO() }
+                });
+            }
+
 
-            // 2. Update the event via internal function
-            console.log(`Attempting to update event: ${eventId} with updates:`, updates);
+            // 2. Update the event (or the requested part of its series)
+            console.log(`Attempting to update event: ${eventId} (scope: ${scope}) with updates:`, updates);
             // Pass only the fields present in the 'updates' object
-            const updatePayload = { ...updates }; // Shallow copy
-            const updatedEvent = await updateGCalendarEventInternal(tokens, eventId, updatePayload); // Assume throws on API error
-            console.log(`Successfully updated event in Google Calendar: ${eventId}`);
+            const updatePayload = { ...updates, sendUpdates: sendUpdates || 'all' }; // Shallow copy
+            if (updates.recurrence) {
+                updatePayload.recurrence = buildRecurrenceRules(updates.recurrence, updates.start || originalStartDate, userTimezone);
+            }
+            const { mutations, ...updatedEvent } = await updateEventWithScope(tokens, eventId, updatePayload, scope, calendarId); // Throws on API error
+            console.log(`Successfully updated event in Google Calendar: ${updatedEvent.id} (scope: ${updatedEvent.scope})`);
+            const journal = createJournalContext(userId, 'updateCalendarEvent', options);
+            await recordMutations(journal, calendarId, mutations);
 
 
             // 3. Update metadata if priority or tags are provided in the updates
@@ -700,11 +1667,12 @@ const toolFunctions = {
                 try {
                     // We only update the fields provided in the 'updates' object.
                     // createOrUpdateEventMetadata handles merging/overwriting correctly.
-                    await createOrUpdateEventMetadata(userId, eventId, {
+                    // Series edits attach metadata to the series master (or the new series for "following")
+                    await createOrUpdateEventMetadata(userId, updatedEvent.id || eventId, {
                         priority: updates.priority, // Will be null if undefined, handled by DB function
                         tags: updates.tags // Will be null if undefined, handled by DB function
-                    });
-                    console.log(`Metadata updated for event ${eventId}.`);
+                    }, calendarId);
+                    console.log(`Metadata updated for event ${updatedEvent.id || eventId}.`);
                 } catch (metadataError) {
                     console.error(`Error updating metadata for event ${eventId} (proceeding anyway):`, metadataError);
                     // Attach metadata error info to the result, but don't fail the update
@@ -714,7 +1682,13 @@ const toolFunctions = {
 
             // 4. Invalidate cache for both original and new ranges
             const rangesToInvalidate = [];
-            if (originalStartDate && originalEndDate) rangesToInvalidate.push({start: originalStartDate, end: originalEndDate});
+            if (originalStartDate && originalEndDate) {
+                // Series edits touch every later occurrence, so cover a year ahead
+                const affectedEnd = updatedEvent.scope === 'instance'
+                    ? originalEndDate
+                    : DateTime.fromISO(originalStartDate).plus({ years: 1 }).toISO();
+                rangesToInvalidate.push({start: originalStartDate, end: affectedEnd});
+            }
             // Use updated event data for the new range
             const newStartDate = updatedEvent.start?.dateTime || updatedEvent.start?.date;
             const newEndDate = updatedEvent.end?.dateTime || updatedEvent.end?.date;
@@ -729,7 +1703,7 @@ const toolFunctions = {
                  console.log("Invalidating cache ranges:", uniqueRanges);
                  for (const range of uniqueRanges) {
                     try {
-                        await invalidateCache(tokens, range.start, range.end);
+                        await invalidateCache(tokens, range.start, range.end, calendarId, { timezone: userTimezone });
                         console.log(`Invalidated cache for range: ${range.start} - ${range.end}`);
                     }
                     catch (cacheError) { console.error(`Error invalidating cache range ${range.start}-${range.end}:`, cacheError); }
@@ -742,9 +1716,20 @@ const toolFunctions = {
                      console.error("Error invalidating cache after update (fallback):", cacheError);
                  }
              }
+             await markCalendarStale(userId, calendarId);
+
+           // Travel is redone on the days the event left and joined, then a move onto task
+           // work blocks or focus blocks moves those blocks elsewhere
+           const travelChanged = isMove || (updates.location !== undefined && updates.location !== originalEventData.location);
+           const travel = travelChanged && updatedEvent.scope === 'instance'
+               ? await syncTravelBlocks(userId, tokens, getTravelDates([originalEventData, updatedEvent], userTimezone), journal)
+               : null;
+           const replannedTasks = isMove ? await replanDisturbedTasks(userId, tokens, journal) : [];
+           const focusTime = isMove ? await reshuffleDisturbedFocusTime(userId, tokens, journal) : [];
+           const travelBlocks = travel ? travel.added.filter(block => block.forEventId === updatedEvent.id) : [];
 
            // Return the updated event object from the API, adding a success flag
-           return { ...updatedEvent, success: true };
+           return { ...updatedEvent, replannedTasks, focusTime, travelBlocks, success: true };
 
        } catch (error) {
            console.error(`Error updating event ${eventId}:`, error);
@@ -757,20 +1742,102 @@ const toolFunctions = {
        }
     },
 
+    respondToInvitation: async (args, userId = 'default', accessToken = null, options = {}) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false, eventId: args.eventId };
+        const tokens = { access_token: accessToken };
+        const { eventId, response, comment, scope = 'instance', calendarId = 'primary' } = args;
+
+        if (!eventId || !['accepted', 'declined', 'tentative'].includes(response)) {
+            return { error: "Event ID and a response of accepted, declined or tentative are required.", success: false, eventId: eventId };
+        }
+        if (!['instance', 'series'].includes(scope)) {
+            return { error: `Invalid scope "${scope}". Use instance or series.`, success: false, eventId: eventId };
+        }
+
+        try {
+            // A series RSVP is sent on the series master rather than the occurrence
+            let targetId = eventId;
+            if (scope === 'series') {
+                const target = await resolveRecurrenceTarget(tokens, eventId, calendarId);
+                if (target.isRecurring) targetId = target.master.id;
+            }
+
+            console.log(`Responding "${response}" to event ${targetId} (scope: ${scope})`);
+            const { previousResponseStatus, ...updatedEvent } = await respondToGCalendarEventInternal(tokens, targetId, response, calendarId, { comment });
+            // Only the user's own response changes, so that is all the "before" snapshot holds
+            const journal = createJournalContext(userId, 'respondToInvitation', options);
+            await recordMutations(journal, calendarId, [{
+                operation: 'rsvp',
+                eventId: targetId,
+                before: { summary: updatedEvent.summary, responseStatus: previousResponseStatus },
+                after: updatedEvent
+            }]);
+
+            // Declining can change what shows up as busy, so drop cached ranges for this event
+            const start = updatedEvent.start?.dateTime || updatedEvent.start?.date;
+            const end = scope === 'series' && start
+                ? DateTime.fromISO(start).plus({ years: 1 }).toISO()
+                : updatedEvent.end?.dateTime || updatedEvent.end?.date;
+            try {
+                const userTimezone = await getTimezoneForUser(userId);
+                if (start && end) await invalidateCache(tokens, start, end, calendarId, { timezone: userTimezone });
+                else await invalidateCache(tokens);
+            } catch (cacheError) {
+                console.error("Error invalidating cache after RSVP:", cacheError);
+            }
+            await markCalendarStale(userId, calendarId);
+
+            // An accepted meeting on top of task work blocks or focus blocks moves those blocks elsewhere
+            const replannedTasks = response === 'declined' ? [] : await replanDisturbedTasks(userId, tokens, journal);
+            const focusTime = response === 'declined' ? [] : await reshuffleDisturbedFocusTime(userId, tokens, journal);
+
+            return {
+                success: true,
+                eventId: targetId,
+                summary: updatedEvent.summary,
+                response: response,
+                scope: scope,
+                organizer: updatedEvent.organizer?.displayName || updatedEvent.organizer?.email,
+                replannedTasks,
+                focusTime
+            };
+        } catch (error) {
+            console.error(`Error responding to invitation ${eventId}:`, error);
+            return { success: false, error: `Failed to respond to invitation: ${error.message}`, eventId: eventId };
+        }
+    },
+
     findAvailableSlots: async (args, userId = 'default', accessToken = null) => {
         if (!accessToken) return { error: "User not authenticated.", success: false, slots: [] };
         const tokens = { access_token: accessToken };
         const { duration, startDate: reqStartDate, endDate: reqEndDate, timePreference = 'any', activity = 'event' } = args;
+        const { stepMinutes = 30, maxResults = 3, earliestTime, latestTime, spreadAcrossDays = false, location } = args;
 
         if (!duration || typeof duration !== 'number' || duration <= 0) {
             return { error: "Valid duration (in minutes) is required.", success: false, slots: [] };
         }
+        if (!Number.isInteger(stepMinutes) || stepMinutes < 5 || stepMinutes > 120) {
+            return { error: "stepMinutes must be a whole number of minutes from 5 to 120.", success: false, slots: [] };
+        }
+        if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 20) {
+            return { error: "maxResults must be a whole number from 1 to 20.", success: false, slots: [] };
+        }
+        const earliest = earliestTime === undefined ? null : parseTimeOfDay(earliestTime);
+        const latest = latestTime === undefined ? null : parseTimeOfDay(latestTime);
+        if ((earliestTime !== undefined && earliest === null) || (latestTime !== undefined && latest === null)) {
+            return { error: `Could not read earliestTime/latestTime "${earliestTime ?? latestTime}". Use a time of day like '10:00'.`, success: false, slots: [] };
+        }
+        if (earliest !== null && latest !== null && latest - earliest < duration) {
+            return { error: "The time between earliestTime and latestTime is shorter than the duration.", success: false, slots: [] };
+        }
 
-        // Define search range with defaults
-        const now = DateTime.now();
-        const startDate = reqStartDate ? DateTime.fromISO(reqStartDate) : now;
+        // Define search range with defaults, in the user's timezone
+        const userTimezone = await getTimezoneForUser(userId);
+        const constraints = await getSchedulingConstraints(userId);
+        const now = DateTime.now().setZone(userTimezone);
+        const startDate = reqStartDate ? DateTime.fromISO(reqStartDate, { zone: userTimezone }) : now;
         // Default end date is 7 days from the resolved start date
-        const endDate = reqEndDate ? DateTime.fromISO(reqEndDate) : startDate.plus({ days: 7 });
+        const endDate = reqEndDate ? DateTime.fromISO(reqEndDate, { zone: userTimezone }) : startDate.plus({ days: 7 });
 
         if (!startDate.isValid || !endDate.isValid) {
              return { error: `Invalid date format. Use ISO 8601. Received start=${reqStartDate}, end=${reqEndDate}`, success: false, slots: [] };
@@ -778,34 +1845,18 @@ const toolFunctions = {
         if (startDate >= endDate) {
              return { error: "Start date must be before end date.", success: false, slots: [] };
         }
+        if (endDate.diff(startDate, 'days').days > MAX_SLOT_SEARCH_DAYS) {
+            return { error: `The search range can be at most ${MAX_SLOT_SEARCH_DAYS} days. Search a shorter range, e.g. one week at a time.`, success: false, slots: [] };
+        }
 
         let fetchedEvents = []; // Initialize events array
 
         try {
-            // Fetch events for the *entire* potential search range first (cache-aware)
-            // Use daily granularity for cache keys
-            const cacheKeyStart = startDate.startOf('day').toISODate();
-            const cacheKeyEnd = endDate.endOf('day').toISODate(); // Inclusive end day for key
-            const tokenHash = accessToken.substring(accessToken.length - 10);
-            const userIdCachePrefix = `user_${tokenHash}`;
-
-            let cachedEvents = await getCachedEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd);
-            if (cachedEvents) {
-                 console.log(`Cache HIT for slot search events ${cacheKeyStart} to ${cacheKeyEnd}`);
-                 fetchedEvents = cachedEvents; // Use cached events (will be filtered later)
-            } else {
-                 console.log(`Cache MISS for slot search events ${cacheKeyStart} to ${cacheKeyEnd}`);
-                 // Fetch events covering the *broadest* possible range (start of start day to end of end day) for caching
-                 const apiEvents = await fetchGCalendarEventsInternal(tokens, startDate.startOf('day').toJSDate(), endDate.endOf('day').toJSDate());
-                 if (apiEvents && Array.isArray(apiEvents)) {
-                    fetchedEvents = apiEvents;
-                    await cacheEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd, fetchedEvents, 300); // Cache the broad fetch
-                    console.log(`Fetched and cached ${fetchedEvents.length} events for slot search.`);
-                 } else {
-                    fetchedEvents = []; // Assume no events if fetch fails
-                    console.warn(`No events returned or fetch failed for slot search range.`);
-                 }
-            }
+            // Fetch events for the *entire* potential search range first (from the event mirror),
+            // merged across every calendar that should block time
+            const calendarIds = await resolveCalendarIds(userId, args.calendarIds);
+            fetchedEvents = await getEventsForRange(userId, tokens, startDate.startOf('day').toISO(), endDate.endOf('day').toISO(), calendarIds);
+            console.log(`Fetched ${fetchedEvents.length} events from ${calendarIds.length} calendar(s) for slot search.`);
 
             // Filter the fetched events (from cache or API) to the precise requested time window *before* finding slots
              const relevantEvents = fetchedEvents.filter(event => {
@@ -816,23 +1867,31 @@ const toolFunctions = {
              });
              console.log(`Filtered ${fetchedEvents.length} events down to ${relevantEvents.length} relevant for the precise slot search window.`);
 
+            // An in-person event needs time to get there and away: the user's in-person events
+            // (including those just outside the window) are padded by the travel, which replaces
+            // any travel blocks. Focus blocks are marked so slots that cut into them rank lower.
+            const searchEvents = await markFocusBlocks(userId, isInPersonLocation(location)
+                ? await annotateTravelTimes(fetchedEvents.filter(event => !isTravelBlock(event)), location, await getTravelSettings(userId))
+                : relevantEvents);
+
             // Use the imported utility function (renamed to avoid conflict)
             const slotsResult = await findAvailableSlotsUtil(
-                relevantEvents, // Pass precisely filtered events
+                searchEvents, // Precisely filtered events (the whole days when travelling)
                 duration,
                 startDate.toISO(), // Pass precise ISO strings to util
                 endDate.toISO(),
-                timePreference, // Pass preference directly
-                activity // Pass activity directly
+                activity,
+                timePreference,
+                constraints, // The user's working hours, lunch, buffers, limits and blackouts
+                userTimezone, // Constraints and time of day are the user's local ones
+                { stepMinutes, maxResults, earliest, latest, spreadAcrossDays: spreadAcrossDays === true, weights: await getSlotWeights(userId) }
             );
 
-            // findAvailableSlotsUtil should return an object like { slots: [...] } or { error: ..., slots: [] }
-            // Return the result directly, adding a success flag based on whether an error occurred within the util
-           // Return the slots array directly
+            // findAvailableSlotsUtil returns the ranked slots array
            if (slotsResult.error) {
                throw new Error(slotsResult.error);
             }
-            return slotsResult.slots || [];
+            return Array.isArray(slotsResult) ? slotsResult : slotsResult.slots || [];
 
         } catch (error) {
             console.error(`Error in findAvailableSlots tool (${duration}min, ${startDate.toISO()} to ${endDate.toISO()}):`, error);
@@ -841,6 +1900,124 @@ const toolFunctions = {
         }
     },
 
+    findMeetingTime: async (args, userId = 'default', accessToken = null) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false, slots: [] };
+        const tokens = { access_token: accessToken };
+        const { attendees, duration, startDate: reqStartDate, endDate: reqEndDate, timePreference = 'any', activity = 'meeting', attendeeSettings = [] } = args;
+
+        if (!Array.isArray(attendees) || attendees.length === 0) {
+            return { error: "At least one attendee email is required.", success: false, slots: [] };
+        }
+        const invalidEmails = findInvalidEmails(attendees);
+        if (invalidEmails.length > 0) {
+            return { error: `Invalid attendee email(s): ${invalidEmails.join(', ')}`, success: false, slots: [] };
+        }
+        if (!duration || typeof duration !== 'number' || duration <= 0) {
+            return { error: "Valid duration (in minutes) is required.", success: false, slots: [] };
+        }
+
+        const organizerTimezone = await getTimezoneForUser(userId);
+        const startDate = reqStartDate ? DateTime.fromISO(reqStartDate, { zone: organizerTimezone }) : DateTime.now().setZone(organizerTimezone);
+        const endDate = reqEndDate ? DateTime.fromISO(reqEndDate, { zone: organizerTimezone }) : startDate.plus({ days: 7 });
+        if (!startDate.isValid || !endDate.isValid) {
+            return { error: `Invalid date format. Use ISO 8601. Received start=${reqStartDate}, end=${reqEndDate}`, success: false, slots: [] };
+        }
+        if (startDate >= endDate) {
+            return { error: "Start date must be before end date.", success: false, slots: [] };
+        }
+        if (endDate.diff(startDate, 'days').days > 31) {
+            return { error: "The search window can be at most 31 days.", success: false, slots: [] };
+        }
+
+        try {
+            const calendarIds = await getSelectedCalendarIds(userId);
+            const emails = [...new Set(attendees.map(email => email.trim().toLowerCase()))];
+
+            // 1. One free/busy query covers the user's calendars and every attendee
+            const freeBusy = await queryFreeBusy(tokens, [...calendarIds, ...emails], startDate.toUTC().toISO(), endDate.toUTC().toISO());
+            const warnings = [];
+
+            // 2. The user: busy across all selected calendars, own timezone and scheduling
+            //    constraints (their events are read too, for buffers and meetings per day)
+            const ownEvents = await getEventsForRange(userId, tokens, startDate.startOf('day').toISO(), endDate.endOf('day').toISO(), calendarIds);
+            const participants = [{
+                email: 'you',
+                label: 'you',
+                timeZone: organizerTimezone,
+                constraints: await getSchedulingConstraints(userId),
+                busyEvents: toBusyEvents(ownEvents, organizerTimezone),
+                busy: calendarIds.flatMap(id => freeBusy[id]?.busy || []),
+                availabilityKnown: true
+            }];
+
+            // 3. Attendees: free/busy plus timezone/working hours (stated overrides win)
+            for (const email of emails) {
+                const settings = attendeeSettings.find(entry => entry.email?.trim().toLowerCase() === email) || {};
+                const calendarInfo = freeBusy[email] || {};
+                const availabilityKnown = !calendarInfo.errors || calendarInfo.errors.length === 0;
+                if (!availabilityKnown) {
+                    const reason = calendarInfo.errors.map(err => err.reason).join(', ');
+                    warnings.push(`Could not read ${email}'s calendar (${reason}); their busy times are not considered.`);
+                }
+
+                let timeZone = settings.timeZone;
+                if (!timeZone) {
+                    try {
+                        timeZone = (await getCalendarInfo(tokens, email)).timeZone;
+                    } catch (infoError) {
+                        console.log(`Timezone for ${email} not visible (${infoError.message}); assuming ${organizerTimezone}.`);
+                    }
+                }
+                if (!isValidTimezone(timeZone)) {
+                    if (settings.timeZone) warnings.push(`Unknown timezone "${settings.timeZone}" for ${email}; assumed ${organizerTimezone}.`);
+                    else warnings.push(`Timezone for ${email} is unknown; assumed ${organizerTimezone}.`);
+                    timeZone = organizerTimezone;
+                }
+
+                participants.push({
+                    email,
+                    label: email,
+                    timeZone,
+                    workingHours: {
+                        start: settings.workStart ?? DEFAULT_WORKING_HOURS.start,
+                        end: settings.workEnd ?? DEFAULT_WORKING_HOURS.end,
+                        workDays: Array.isArray(settings.workDays) && settings.workDays.length > 0 ? settings.workDays : DEFAULT_WORKING_HOURS.workDays
+                    },
+                    busy: calendarInfo.busy || [],
+                    availabilityKnown
+                });
+            }
+
+            // 4. Intersect availability and rank
+            const slots = findMeetingSlots({
+                participants,
+                duration,
+                startDate: startDate.toISO(),
+                endDate: endDate.toISO(),
+                organizerTimezone,
+                activity,
+                timePreference,
+                weights: await getSlotWeights(userId)
+            });
+            console.log(`findMeetingTime: ${slots.length} slot(s) for ${participants.length} participants`);
+
+            return {
+                success: true,
+                slots,
+                participants: participants.map(({ email, timeZone, workingHours, constraints, availabilityKnown }) => ({
+                    email,
+                    timeZone,
+                    workingHours: constraints ? constraints.workingHours : workingHours,
+                    availabilityKnown
+                })),
+                warnings
+            };
+        } catch (error) {
+            console.error(`Error in findMeetingTime tool (${attendees.join(', ')}):`, error);
+            return { success: false, error: `Failed to find a meeting time: ${error.message}`, slots: [] };
+        }
+    },
+
     getWeatherForecast: async (args, userId = 'default', accessToken = null) => {
         // Placeholder - requires actual weather API integration
         const { location, date: dateString } = args;
@@ -878,7 +2055,7 @@ const toolFunctions = {
         }
     },
 
-    deleteCalendarEventsByQuery: async (args, userId = 'default', accessToken = null) => {
+    deleteCalendarEventsByQuery: async (args, userId = 'default', accessToken = null, options = {}) => {
         if (!accessToken) {
             return { error: "User not authenticated.", success: false, deletedCount: 0 };
         }
@@ -889,8 +2066,9 @@ const toolFunctions = {
             return { error: "Query, start date, and end date are required.", success: false, deletedCount: 0 };
         }
 
-        const startDt = DateTime.fromISO(start_date);
-        const endDt = DateTime.fromISO(end_date);
+        const userTimezone = await getTimezoneForUser(userId);
+        const startDt = DateTime.fromISO(start_date, { zone: userTimezone });
+        const endDt = DateTime.fromISO(end_date, { zone: userTimezone });
          if (!startDt.isValid || !endDt.isValid) {
              return { error: `Invalid date format. Use ISO 8601.`, success: false, deletedCount: 0 };
          }
@@ -902,59 +2080,65 @@ const toolFunctions = {
         let fetchedEvents = []; // Initialize events array
 
         try {
-            // 1. Get all events potentially in the range (use cache)
-            const cacheKeyStart = startDt.startOf('day').toISODate();
-            const cacheKeyEnd = endDt.endOf('day').toISODate(); // Inclusive end day
-            const tokenHash = accessToken.substring(accessToken.length - 10);
-            const userIdCachePrefix = `user_${tokenHash}`;
-
-            let cachedEvents = await getCachedEventsForDateRange(userIdCachePrefix, cacheKeyStart, cacheKeyEnd);
-             if (cachedEvents) {
-                 console.log(`Cache HIT for bulk delete search ${cacheKeyStart} to ${cacheKeyEnd}`);
-                 fetchedEvents = cachedEvents;
-             } else {
-                 console.log(`Cache MISS for bulk delete search ${cacheKeyStart} to ${cacheKeyEnd}`);
-                 // Fetch broadly for potential caching benefit if deletion fails or is partial
-                 const apiEvents = await fetchGCalendarEventsInternal(tokens, startDt.startOf('day').toJSDate(), endDate.endOf('day').toJSDate());
-                 fetchedEvents = (Array.isArray(apiEvents)) ? apiEvents : [];
-                 // Don't cache here immediately, as we might delete many. Cache might get invalidated anyway.
-                 console.log(`Fetched ${fetchedEvents.length} potential events for bulk delete query.`);
-             }
-
-             // 2. Filter fetched events precisely by requested time *and* query
-            const queryLower = query.toLowerCase();
-            const matchingEvents = fetchedEvents.filter(event => {
-                const eventStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
-                const eventEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
-                const summaryLower = event.summary?.toLowerCase() || '';
-
-                return eventStart.isValid && eventEnd.isValid &&
-                       eventStart < endDt && eventEnd > startDt && // Check time overlap with precise range
-                       summaryLower.includes(queryLower); // Check summary match
-            });
+            let matchingEvents;
+            if (options.confirmed && Array.isArray(options.targets)) {
+                // Confirmed: delete exactly the events the user was shown, not a fresh query result
+                matchingEvents = options.targets;
+                console.log(`Deleting the ${matchingEvents.length} confirmed event(s) matching "${query}".`);
+            } else {
+                // 1. Get all events potentially in the range (event mirror), across the selected calendars
+                const calendarIds = await resolveCalendarIds(userId, args.calendarIds);
+                fetchedEvents = await getEventsForRange(userId, tokens, startDt.startOf('day').toISO(), endDt.endOf('day').toISO(), calendarIds);
+                console.log(`Fetched ${fetchedEvents.length} potential events for bulk delete query from ${calendarIds.length} calendar(s).`);
+
+                 // 2. Filter fetched events precisely by requested time *and* query
+                const queryLower = query.toLowerCase();
+                matchingEvents = fetchedEvents.filter(event => {
+                    const eventStart = DateTime.fromISO(event.start?.dateTime || event.start?.date);
+                    const eventEnd = DateTime.fromISO(event.end?.dateTime || event.end?.date);
+                    const summaryLower = event.summary?.toLowerCase() || '';
+
+                    return eventStart.isValid && eventEnd.isValid &&
+                           eventStart < endDt && eventEnd > startDt && // Check time overlap with precise range
+                           summaryLower.includes(queryLower); // Check summary match
+                });
+
+                if (matchingEvents.length === 0) {
+                    console.log(`No events matching "${query}" found in the specified range.`);
+                    return { success: true, message: `No events matching "${query}" found.`, deletedCount: 0 };
+                }
 
-            if (matchingEvents.length === 0) {
-                console.log(`No events matching "${query}" found in the specified range.`);
-                return { success: true, message: `No events matching "${query}" found.`, deletedCount: 0 };
+                if (!options.confirmed) {
+                    console.log(`Found ${matchingEvents.length} events matching query. Waiting for confirmation.`);
+                    return requestConfirmation('deleteCalendarEventsByQuery', args, userId, options, {
+                        summary: `Delete ${matchingEvents.length} event(s) matching "${query}"`,
+                        targets: matchingEvents.map(event => toActionTarget(event))
+                    });
+                }
             }
 
-            console.log(`Found ${matchingEvents.length} events matching query. Proceeding with deletion...`);
+            console.log(`Deleting ${matchingEvents.length} event(s)...`);
 
             // 3. Delete each matching event and invalidate cache individually
             const deleteResults = [];
+            const deletedEvents = []; // Full event objects of deleteResults, for the client
             const failedDeletes = [];
             const invalidatedRanges = new Set(); // Track ranges to invalidate efficiently
+            const journal = createJournalContext(userId, 'deleteCalendarEventsByQuery', options); // One undo restores the whole batch
 
             for (const event of matchingEvents) {
                 try {
                     // Delete from Google Calendar
-                    await deleteGCalendarEventInternal(tokens, event.id);
+                    const eventCalendarId = event.calendarId || 'primary';
+                    const deleteResult = await deleteGCalendarEventInternal(tokens, event.id, eventCalendarId);
+                    if (!deleteResult.success) throw new Error(deleteResult.error);
                      console.log(`Successfully deleted event from Google Calendar: ${event.id} ("${event.summary}")`);
+                    await recordMutations(journal, eventCalendarId, [{ operation: 'delete', eventId: event.id, before: deleteResult.event || event }]);
 
                     // Delete associated metadata
                     if (userId !== 'default') {
                         try {
-                            await deleteEventMetadata(userId, event.id);
+                            await deleteEventMetadata(userId, event.id, eventCalendarId);
                             console.log(`Successfully deleted metadata for event: ${event.id}`);
                         } catch (metadataError) {
                             console.error(`Error deleting metadata for event ${event.id} during bulk delete (proceeding):`, metadataError);
@@ -962,13 +2146,14 @@ const toolFunctions = {
                         }
                     }
 
-                    deleteResults.push({ id: event.id, summary: event.summary });
+                    deleteResults.push({ id: event.id, summary: event.summary, calendarId: eventCalendarId });
+                    deletedEvents.push(deleteResult.event || event);
 
                     // Add event's range to the set for cache invalidation
                     const eventStartIso = event.start?.dateTime || event.start?.date;
                     const eventEndIso = event.end?.dateTime || event.end?.date;
                     if (eventStartIso && eventEndIso) {
-                        invalidatedRanges.add(`${eventStartIso}|${eventEndIso}`);
+                        invalidatedRanges.add(`${eventStartIso}|${eventEndIso}|${eventCalendarId}`);
                     }
 
                 } catch (deleteError) {
@@ -981,9 +2166,9 @@ const toolFunctions = {
             if (invalidatedRanges.size > 0) {
                 console.log(`Invalidating cache for ${invalidatedRanges.size} unique date ranges.`);
                 for (const rangeString of invalidatedRanges) {
-                    const [start, end] = rangeString.split('|');
+                    const [start, end, rangeCalendarId] = rangeString.split('|');
                     try {
-                        await invalidateCache(tokens, start, end);
+                        await invalidateCache(tokens, start, end, rangeCalendarId, { timezone: userTimezone });
                          console.log(`Invalidated cache range: ${start} - ${end}`);
                     } catch(cacheError) {
                         console.error(`Cache invalidation error during bulk delete for range ${start}-${end}:`, cacheError);
@@ -995,6 +2180,11 @@ const toolFunctions = {
                 try { await invalidateCache(tokens); }
                 catch(cacheError) { console.error("Error invalidating cache after bulk delete (fallback):", cacheError); }
             }
+            if (deleteResults.length > 0) {
+                await markCalendarStale(userId, [...new Set(deleteResults.map(result => result.calendarId || 'primary'))]);
+            }
+            // Travel to and from deleted in-person events isn't needed any more
+            const travelBlocks = await syncTravelBlocks(userId, tokens, getTravelDates(deletedEvents, userTimezone), journal);
 
 
             // 5. Compile and return result
@@ -1010,7 +2200,9 @@ const toolFunctions = {
                 message: message,
                 deletedCount: successCount,
                 deletedItems: deleteResults, // List successful ones
-                failedItems: failedDeletes   // List failures
+                deletedEvents,
+                failedItems: failedDeletes,  // List failures
+                travelBlocks
             };
 
         } catch (error) {
@@ -1021,6 +2213,28 @@ const toolFunctions = {
                  deletedCount: 0
              };
         }
+    },
+
+    undoLastAction: async (args, userId = 'default', accessToken = null) => {
+        if (!accessToken) return { error: "User not authenticated.", success: false };
+        const tokens = { access_token: accessToken };
+
+        try {
+            const result = await undoMutationBatch(userId, tokens, args.batchId || null);
+            if (result.error) return result;
+            if (result.failed.length > 0) {
+                // Partial undo: report what was reverted as well as what wasn't
+                const undoneText = result.undone.length > 0 ? `Undid ${result.undone.map(item => item.description).join('; ')}. ` : '';
+                return {
+                    ...result,
+                    message: `${undoneText}Could not undo ${result.failed.length} change(s): ${result.failed.map(item => `${item.summary} (${item.error})`).join('; ')}`
+                };
+            }
+            return result;
+        } catch (error) {
+            console.error(`Error undoing last action for user ${userId}:`, error);
+            return { success: false, error: `Failed to undo: ${error.message}` };
+        }
     }
 };
 
@@ -0,0 +1,273 @@
+// lib/tools/travelTime.js
+// Purpose: Travel time between event locations. Tells in-person events (a place) from
+//          virtual ones (a video link, "Zoom", "Phone"), estimates travel without network
+//          access (geocode table + straight-line distance × speed), finds bookings that leave
+//          too little time to get somewhere, plans "Travel to ..." blocks for a day and
+//          validates the user's travel settings. Pure: travelService.js picks the provider,
+//          reads the calendar and books the blocks.
+//
+//          Travel settings (preferences scheduling.travel):
+//            mode          driving (default) | transit | cycling | walking
+//            homeBase      Where the user's day starts and ends (e.g. "Office, Brooklyn"),
+//                          or null. Only used for travel blocks.
+//            travelBlocks  Put travel blocks on the calendar around in-person events
+//            places        [{ name, lat, lon }]: the user's own places, matched before the table
+import { geocodes } from '../data/geocodes.js';
+
+export const DEFAULT_TRAVEL_SETTINGS = Object.freeze({
+  mode: 'driving',
+  homeBase: null,
+  travelBlocks: false,
+  places: Object.freeze([])
+});
+
+export const TRAVEL_SETTING_FIELDS = ['mode', 'homeBase', 'travelBlocks', 'places', 'removePlaces'];
+
+// Average speeds: in town for the first LOCAL_KM, then between towns. overheadMinutes covers
+// parking, waiting for a train or finding the room.
+export const TRAVEL_MODES = Object.freeze({
+  driving: { localKmPerHour: 30, longKmPerHour: 80, overheadMinutes: 10 },
+  transit: { localKmPerHour: 20, longKmPerHour: 60, overheadMinutes: 10 },
+  cycling: { localKmPerHour: 15, longKmPerHour: 15, overheadMinutes: 5 },
+  walking: { localKmPerHour: 4.5, longKmPerHour: 4.5, overheadMinutes: 0 }
+});
+
+const LOCAL_KM = 20;
+// Roads and rails aren't straight
+const DETOUR_FACTOR = 1.3;
+// Two different addresses that resolve to the same table entry (e.g. both "..., Brooklyn")
+const SAME_AREA_MINUTES = 15;
+const ROUND_TO_MINUTES = 5;
+const EARTH_RADIUS_KM = 6371;
+
+const VIRTUAL_LOCATION = /https?:\/\/|meet\.google\.com|\b(zoom|google meet|teams|webex|skype|hangouts?|online|virtual|remote|phone|dial[- ]in|conference call|tbd|tba)\b/i;
+
+// Lowercase words only, so "Washington, D.C." and "washington dc" compare equal
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[.'’]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Whether a location is a place someone has to get to (not a video link or a phone number)
+ * @param {string} location - Event location
+ * @returns {boolean}
+ */
+export function isInPersonLocation(location) {
+  return normalize(location) !== '' && !VIRTUAL_LOCATION.test(location);
+}
+
+/**
+ * Whether an event is a travel block booked by the assistant
+ * @param {Object} event - Google Calendar event
+ * @returns {boolean}
+ */
+export function isTravelBlock(event) {
+  return event?.extendedProperties?.private?.travelBlock === 'true';
+}
+
+/**
+ * Whether the user has to be somewhere for an event: a timed, in-person event they haven't
+ * declined, that isn't marked free
+ * @param {Object} event - Google Calendar event
+ * @returns {boolean}
+ */
+export function isInPersonEvent(event) {
+  return !!event?.start?.dateTime && isInPersonLocation(event.location) && !isTravelBlock(event) &&
+    event.transparency !== 'transparent' &&
+    !event.attendees?.some(attendee => attendee.self && attendee.responseStatus === 'declined');
+}
+
+/**
+ * Places a location on the map: the user's own places first, then the geocode table
+ * @param {string} location - Free-text location
+ * @param {Array<Object>} places - User's places ({ name, lat, lon })
+ * @returns {Object|null} - { name, lat, lon } or null when nothing matches
+ */
+export function geocode(location, places = []) {
+  const text = ` ${normalize(location)} `;
+  const matchIn = entries => {
+    let best = null;
+    let bestLength = 0;
+    for (const entry of entries) {
+      for (const name of [entry.name, ...(entry.aliases || [])]) {
+        const needle = normalize(name);
+        if (needle && needle.length > bestLength && text.includes(` ${needle} `)) {
+          best = entry;
+          bestLength = needle.length;
+        }
+      }
+    }
+    return best && { name: best.name, lat: best.lat, lon: best.lon };
+  };
+  return matchIn(places) || matchIn(geocodes);
+}
+
+/**
+ * Straight-line (great-circle) distance between two points
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} - Kilometres
+ */
+export function distanceKm(a, b) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(b.lat - a.lat);
+  const dLon = radians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(radians(a.lat)) * Math.cos(radians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Estimates travel between two locations without network access
+ * @param {string} from - Location travelled from
+ * @param {string} to - Location travelled to
+ * @param {Object} options - { mode (see TRAVEL_MODES), places (user's places) }
+ * @returns {Object|null} - { minutes, distanceKm, from, to } (from/to: the matched places),
+ *                          or null when either location can't be placed
+ */
+export function estimateTravelOffline(from, to, { mode = DEFAULT_TRAVEL_SETTINGS.mode, places = [] } = {}) {
+  if (normalize(from) === normalize(to)) return { minutes: 0, distanceKm: 0, from: null, to: null };
+  const origin = geocode(from, places);
+  const destination = geocode(to, places);
+  if (!origin || !destination) return null;
+
+  const speeds = TRAVEL_MODES[mode] || TRAVEL_MODES[DEFAULT_TRAVEL_SETTINGS.mode];
+  const km = distanceKm(origin, destination) * DETOUR_FACTOR;
+  const localKm = Math.min(km, LOCAL_KM);
+  const hours = localKm / speeds.localKmPerHour + (km - localKm) / speeds.longKmPerHour;
+  const minutes = origin.name === destination.name
+    ? SAME_AREA_MINUTES
+    : Math.ceil((hours * 60 + speeds.overheadMinutes) / ROUND_TO_MINUTES) * ROUND_TO_MINUTES;
+  return { minutes, distanceKm: Math.round(km * 10) / 10, from: origin.name, to: destination.name };
+}
+
+/**
+ * Finds the in-person events around a booking that leave too little time to travel.
+ * Only the nearest in-person event on each side counts.
+ * @param {Array<Object>} events - Events; in-person ones carry travelMinutes (to or from the
+ *                                 booking's location, null when unknown; see annotateTravelTimes)
+ * @param {DateTime} start - Booking start
+ * @param {DateTime} end - Booking end
+ * @returns {Array<string>} - Warnings, in the style of findConstraintViolations
+ */
+export function findTravelWarnings(events, start, end) {
+  const timed = events
+    .filter(event => event.travelMinutes !== undefined)
+    .map(event => ({ event, start: new Date(event.start.dateTime), end: new Date(event.end.dateTime) }));
+  const before = timed.filter(item => item.end <= start.toJSDate()).sort((a, b) => b.end - a.end)[0];
+  const after = timed.filter(item => item.start >= end.toJSDate()).sort((a, b) => a.start - b.start)[0];
+
+  const warnings = [];
+  const describe = item => `"${item.event.summary || 'another event'}" (${item.event.location})`;
+  if (before?.event.travelMinutes) {
+    const gap = Math.round((start.toMillis() - before.end.getTime()) / 60000);
+    if (gap < before.event.travelMinutes) {
+      warnings.push(`Not enough time to get here from ${describe(before)}: ${gap} min free, about ${before.event.travelMinutes} min of travel`);
+    }
+  }
+  if (after?.event.travelMinutes) {
+    const gap = Math.round((after.start.getTime() - end.toMillis()) / 60000);
+    if (gap < after.event.travelMinutes) {
+      warnings.push(`Not enough time to get from here to ${describe(after)}: ${gap} min free, about ${after.event.travelMinutes} min of travel`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Plans the travel blocks for one day: before each in-person event, from the previous one (or
+ * from the home base for the first), and back to the home base after the last. A block never
+ * starts before the previous event ends.
+ * @param {Array<Object>} events - The day's in-person events, in order ({ id, summary, location,
+ *                                 start, end } with DateTimes)
+ * @param {string|null} homeBase - Where the day starts and ends
+ * @param {Function} minutesBetween - (from, to) => minutes, or null when unknown
+ * @returns {Array<Object>} - [{ summary, from, to, minutes, start, end, forEventId }]
+ */
+export function planTravelBlocks(events, homeBase, minutesBetween) {
+  const blocks = [];
+  events.forEach((event, index) => {
+    const previous = events[index - 1];
+    const from = previous ? previous.location : homeBase;
+    if (!from) return;
+    const minutes = minutesBetween(from, event.location);
+    if (!minutes) return;
+    let start = event.start.minus({ minutes });
+    if (previous && previous.end > start) start = previous.end;
+    if (start >= event.start) return;
+    blocks.push({ summary: `Travel to ${event.summary || event.location}`, from, to: event.location, minutes, start, end: event.start, forEventId: event.id });
+  });
+
+  const last = events[events.length - 1];
+  if (last && homeBase) {
+    const minutes = minutesBetween(last.location, homeBase);
+    if (minutes) {
+      blocks.push({ summary: `Travel back to ${homeBase}`, from: last.location, to: homeBase, minutes, start: last.end, end: last.end.plus({ minutes }), forEventId: last.id });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Validates changes to travel settings
+ * @param {Object} base - Current settings
+ * @param {Object} changes - Fields from TRAVEL_SETTING_FIELDS. places are added, replacing a
+ *                           saved place with the same name; removePlaces lists names to drop.
+ * @returns {Object} - { settings, errors }
+ */
+export function applyTravelSettingChanges(base, changes = {}) {
+  const settings = { ...DEFAULT_TRAVEL_SETTINGS, ...base };
+  const errors = [];
+  const sameName = (a, b) => normalize(a) === normalize(b);
+
+  if (changes.mode !== undefined) {
+    if (TRAVEL_MODES[changes.mode]) settings.mode = changes.mode;
+    else errors.push(`Unknown travel mode "${changes.mode}" (use ${Object.keys(TRAVEL_MODES).join(', ')})`);
+  }
+  if (changes.homeBase !== undefined) {
+    if (changes.homeBase === null || changes.homeBase === '') settings.homeBase = null;
+    else if (typeof changes.homeBase === 'string' && isInPersonLocation(changes.homeBase)) settings.homeBase = changes.homeBase.trim();
+    else errors.push('homeBase must be an address or place name');
+  }
+  if (changes.travelBlocks !== undefined) {
+    if (typeof changes.travelBlocks === 'boolean') settings.travelBlocks = changes.travelBlocks;
+    else errors.push('travelBlocks must be true or false');
+  }
+  if (changes.removePlaces !== undefined) {
+    const names = Array.isArray(changes.removePlaces) ? changes.removePlaces : [changes.removePlaces];
+    for (const name of names) {
+      if (!settings.places.some(place => sameName(place.name, name))) errors.push(`No saved place called "${name}"`);
+    }
+    settings.places = settings.places.filter(place => !names.some(name => sameName(place.name, name)));
+  }
+  if (changes.places !== undefined) {
+    if (!Array.isArray(changes.places)) {
+      errors.push('places must be a list of { name, lat, lon }');
+    } else {
+      for (const place of changes.places) {
+        const lat = Number(place?.lat);
+        const lon = Number(place?.lon);
+        if (typeof place?.name !== 'string' || place.name.trim() === '') {
+          errors.push('Every place needs a name');
+        } else if (place.lat == null || place.lon == null || !(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+          errors.push(`Place "${place.name}" needs a latitude (-90 to 90) and longitude (-180 to 180)`);
+        } else {
+          settings.places = [...settings.places.filter(saved => !sameName(saved.name, place.name)), { name: place.name.trim(), lat, lon }];
+        }
+      }
+    }
+  }
+  return { settings, errors };
+}
+
+/**
+ * One-line description of the travel settings, for tool results
+ * @param {Object} settings - Travel settings
+ * @returns {string}
+ */
+export function describeTravelSettings(settings) {
+  const parts = [`Travel by ${settings.mode}`];
+  parts.push(settings.homeBase ? `home base ${settings.homeBase}` : 'no home base');
+  parts.push(settings.travelBlocks ? 'travel blocks on' : 'travel blocks off');
+  if (settings.places.length > 0) parts.push(`saved places: ${settings.places.map(place => place.name).join(', ')}`);
+  return parts.join('; ');
+}
@@ -0,0 +1,179 @@
+// lib/tools/userConstraints.js
+// Purpose: Reads and saves each user's scheduling constraints (working hours, lunch,
+//          buffers, meeting limits, no-meeting days, blackouts). They are stored typed in
+//          the user's preferences under scheduling.constraints; until the user sets them,
+//          free-form scheduling preferences ("workHours": "8-4") are mapped in instead.
+//          See schedulingConstraints.js for the model and how it is enforced. Also stores the
+//          user's slot ranking weights (scheduling.slotWeights; see schedulingUtils.js),
+//          travel settings (scheduling.travel; see travelTime.js) and focus time target
+//          (scheduling.focus; see focusPlanner.js).
+import { UserPreference } from '../postgresClient.js';
+import { DEFAULT_CONSTRAINTS, constraintsFromPreferences, applyConstraintChanges, withChanges } from './schedulingConstraints.js';
+import { DEFAULT_SLOT_WEIGHTS, applySlotWeightChanges } from './schedulingUtils.js';
+import { DEFAULT_TRAVEL_SETTINGS, applyTravelSettingChanges } from './travelTime.js';
+import { DEFAULT_FOCUS_SETTINGS, applyFocusSettingChanges } from './focusPlanner.js';
+
+/**
+ * Gets the constraints a user's scheduling should respect
+ * @param {string} userId - User ID
+ * @returns {Object} - Constraints (DEFAULT_CONSTRAINTS for guests or on error)
+ */
+export async function getSchedulingConstraints(userId) {
+    if (!userId || userId === 'default') return DEFAULT_CONSTRAINTS;
+    try {
+        const userPref = await UserPreference.findOne({ where: { user_id: userId } });
+        return constraintsFromPreferences(userPref?.preferences_data);
+    } catch (error) {
+        console.error(`Error loading scheduling constraints for user ${userId}:`, error);
+        return DEFAULT_CONSTRAINTS;
+    }
+}
+
+/**
+ * Changes some of a user's constraints, keeping the rest
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields to change (see applyConstraintChanges), or { reset: true }
+ *                           to go back to the defaults
+ * @returns {Object} - { constraints, errors }; nothing is saved when a field can't be read
+ */
+export async function saveSchedulingConstraints(userId, { reset = false, ...changes }) {
+    const [userPref] = await UserPreference.findOrCreate({
+        where: { user_id: userId },
+        defaults: { user_id: userId, preferences_data: {} }
+    });
+
+    const current = reset ? DEFAULT_CONSTRAINTS : constraintsFromPreferences(userPref.preferences_data);
+    const { constraints, errors } = applyConstraintChanges(current, changes);
+    if (errors.length > 0) return { constraints: current, errors };
+
+    await storeSchedulingValue(userId, userPref.preferences_data, 'constraints', constraints);
+    return { constraints, errors };
+}
+
+/**
+ * Gets the weights a user's slot suggestions are ranked with
+ * @param {string} userId - User ID
+ * @returns {Object} - Weights (DEFAULT_SLOT_WEIGHTS for guests, on error or until set)
+ */
+export async function getSlotWeights(userId) {
+    if (!userId || userId === 'default') return DEFAULT_SLOT_WEIGHTS;
+    try {
+        const userPref = await UserPreference.findOne({ where: { user_id: userId } });
+        return { ...DEFAULT_SLOT_WEIGHTS, ...(userPref?.preferences_data?.scheduling?.slotWeights || {}) };
+    } catch (error) {
+        console.error(`Error loading slot weights for user ${userId}:`, error);
+        return DEFAULT_SLOT_WEIGHTS;
+    }
+}
+
+/**
+ * Changes some of a user's ranking weights, keeping the rest
+ * @param {string} userId - User ID
+ * @param {Object} changes - { factor: multiplier }, or { reset: true } to go back to the defaults
+ * @returns {Object} - { weights, errors }; nothing is saved when a weight is invalid
+ */
+export async function saveSlotWeights(userId, { reset = false, ...changes }) {
+    const [userPref] = await UserPreference.findOrCreate({
+        where: { user_id: userId },
+        defaults: { user_id: userId, preferences_data: {} }
+    });
+
+    const current = reset ? DEFAULT_SLOT_WEIGHTS : (userPref.preferences_data?.scheduling?.slotWeights || DEFAULT_SLOT_WEIGHTS);
+    const { weights, errors } = applySlotWeightChanges(current, changes);
+    if (errors.length > 0) return { weights: { ...DEFAULT_SLOT_WEIGHTS, ...current }, errors };
+
+    await storeSchedulingValue(userId, userPref.preferences_data, 'slotWeights', weights);
+    return { weights, errors };
+}
+
+/**
+ * Gets how a user travels between in-person events
+ * @param {string} userId - User ID
+ * @returns {Object} - Travel settings (DEFAULT_TRAVEL_SETTINGS for guests, on error or until set)
+ */
+export async function getTravelSettings(userId) {
+    if (!userId || userId === 'default') return DEFAULT_TRAVEL_SETTINGS;
+    try {
+        const userPref = await UserPreference.findOne({ where: { user_id: userId } });
+        return { ...DEFAULT_TRAVEL_SETTINGS, ...(userPref?.preferences_data?.scheduling?.travel || {}) };
+    } catch (error) {
+        console.error(`Error loading travel settings for user ${userId}:`, error);
+        return DEFAULT_TRAVEL_SETTINGS;
+    }
+}
+
+/**
+ * Changes some of a user's travel settings, keeping the rest
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields to change (see applyTravelSettingChanges), or { reset: true }
+ *                           to go back to the defaults
+ * @returns {Object} - { settings, errors }; nothing is saved when a field is invalid
+ */
+export async function saveTravelSettings(userId, { reset = false, ...changes }) {
+    const [userPref] = await UserPreference.findOrCreate({
+        where: { user_id: userId },
+        defaults: { user_id: userId, preferences_data: {} }
+    });
+
+    const current = { ...DEFAULT_TRAVEL_SETTINGS, ...(reset ? {} : userPref.preferences_data?.scheduling?.travel) };
+    const { settings, errors } = applyTravelSettingChanges(current, changes);
+    if (errors.length > 0) return { settings: current, errors };
+
+    await storeSchedulingValue(userId, userPref.preferences_data, 'travel', settings);
+    return { settings, errors };
+}
+
+/**
+ * Gets how much focus time a user wants protected each week
+ * @param {string} userId - User ID
+ * @returns {Object} - Focus settings (DEFAULT_FOCUS_SETTINGS, i.e. off, for guests, on error or until set)
+ */
+export async function getFocusSettings(userId) {
+    if (!userId || userId === 'default') return DEFAULT_FOCUS_SETTINGS;
+    try {
+        const userPref = await UserPreference.findOne({ where: { user_id: userId } });
+        return { ...DEFAULT_FOCUS_SETTINGS, ...(userPref?.preferences_data?.scheduling?.focus || {}) };
+    } catch (error) {
+        console.error(`Error loading focus settings for user ${userId}:`, error);
+        return DEFAULT_FOCUS_SETTINGS;
+    }
+}
+
+/**
+ * Changes some of a user's focus settings, keeping the rest
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields to change (see applyFocusSettingChanges)
+ * @returns {Object} - { settings, errors }; nothing is saved when a field is invalid
+ */
+export async function saveFocusSettings(userId, changes) {
+    const [userPref] = await UserPreference.findOrCreate({
+        where: { user_id: userId },
+        defaults: { user_id: userId, preferences_data: {} }
+    });
+
+    const current = { ...DEFAULT_FOCUS_SETTINGS, ...userPref.preferences_data?.scheduling?.focus };
+    const { settings, errors } = applyFocusSettingChanges(current, changes);
+    if (errors.length > 0) return { settings: current, errors };
+
+    await storeSchedulingValue(userId, userPref.preferences_data, 'focus', settings);
+    return { settings, errors };
+}
+
+/**
+ * Folds a free-form scheduling preference into the typed constraints, once the user has
+ * any (before that they are mapped when read)
+ * @param {Object} preferencesData - Preferences about to be saved (updated in place)
+ * @param {Object} changes - From constraintChangesFromPreference
+ */
+export function mergePreferenceIntoConstraints(preferencesData, changes) {
+    if (!preferencesData.scheduling?.constraints) return;
+    preferencesData.scheduling.constraints = withChanges(constraintsFromPreferences(preferencesData), changes);
+}
+
+async function storeSchedulingValue(userId, preferencesData, key, value) {
+    const updatedPrefs = { ...(preferencesData || {}) };
+    updatedPrefs.scheduling = { ...(updatedPrefs.scheduling || {}), [key]: value };
+
+    // Use UPDATE so Sequelize picks up the JSONB change (see saveUserPreference)
+    await UserPreference.update({ preferences_data: updatedPrefs }, { where: { user_id: userId } });
+}
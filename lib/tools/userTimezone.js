@@ -0,0 +1,53 @@
+// lib/tools/userTimezone.js
+// Purpose: Reads and saves each user's timezone (users.timezone). It is detected from
+//          the browser on first login and can be changed in chat (setTimezone) or the
+//          settings API; a timezone the user chose is never overwritten by detection.
+import { User } from '../postgresClient.js';
+import { getUserTimezone, isValidTimezone } from './timeUtils.js';
+
+export const TIMEZONE_SOURCES = ['browser', 'user'];
+
+/**
+ * Gets the timezone a user's times should be interpreted in
+ * @param {string} userId - User ID
+ * @returns {string} - The user's IANA timezone (DEFAULT_TIMEZONE for guests or on error)
+ */
+export async function getTimezoneForUser(userId) {
+    if (!userId || userId === 'default') return getUserTimezone();
+    try {
+        const user = await User.findByPk(userId, { attributes: ['timezone'] });
+        return getUserTimezone(user?.timezone);
+    } catch (error) {
+        console.error(`Error loading timezone for user ${userId}:`, error);
+        return getUserTimezone();
+    }
+}
+
+/**
+ * Saves a user's timezone
+ * @param {string} userId - User ID
+ * @param {string} timezone - IANA timezone (e.g., "Europe/Berlin")
+ * @param {string} source - 'user' when chosen explicitly, 'browser' when detected
+ * @returns {Object} - { timezone, source, updated } (updated is false when a detected
+ *                     timezone was ignored because one is already set)
+ */
+export async function saveUserTimezone(userId, timezone, source = 'user') {
+    if (!isValidTimezone(timezone)) {
+        throw new Error(`"${timezone}" is not a valid IANA timezone (e.g., "America/New_York", "Europe/London").`);
+    }
+    if (!TIMEZONE_SOURCES.includes(source)) {
+        throw new Error(`Invalid timezone source "${source}".`);
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) throw new Error(`User ${userId} not found.`);
+
+    // Detection only fills in a timezone that was never set
+    if (source === 'browser' && user.timezone_source) {
+        return { timezone: user.timezone, source: user.timezone_source, updated: false };
+    }
+
+    await user.update({ timezone, timezone_source: source });
+    console.log(`Timezone for user ${userId} set to ${timezone} (${source})`);
+    return { timezone, source, updated: true };
+}
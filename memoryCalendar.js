@@ -0,0 +1,953 @@
+// memoryCalendar.js
+// Purpose: In-memory stand-in for the Google Calendar v3 API, selected with CALENDAR_BACKEND=memory.
+//          getCalendarClient (googleCalendar.js) returns it in place of google.calendar(), so it
+//          mirrors the googleapis call shapes: methods take the same params and resolve to
+//          { data }, and failures throw errors carrying `code` and `response.status` like
+//          GaxiosError (404 not found, 409 duplicate ID, 410 deleted / expired sync token,
+//          429 rate limit, 400 invalid event).
+//
+//          Each account has its own calendars ('primary' is the account's email). Accounts are
+//          keyed by email once a token is linked to one (linkMemoryCalendarAccount, called at
+//          sign-in and token refresh), so a refreshed token keeps the same calendar; an unlinked
+//          token is an account of its own. Tokens are only stored as SHA-256 hashes. Recurring events are expanded from their RRULE/EXDATE lines;
+//          instance IDs follow Google's "<seriesId>_<UTC start>" format and editing an
+//          instance stores it as an exception, as Google does.
+//
+//          Optional settings:
+//            CALENDAR_MEMORY_FILE        JSON file the state is loaded from and saved to
+//            CALENDAR_MEMORY_RATE_LIMIT  requests per second per account before 429s
+const crypto = require('crypto');
+const fs = require('fs');
+const { DateTime } = require('luxon');
+
+const DEFAULT_ACCOUNT = 'default';
+const DEFAULT_TIMEZONE = 'UTC';
+// Recurrence expansion stops here even for unbounded rules without a timeMax
+const EXPANSION_HORIZON_YEARS = 2;
+const MAX_OCCURRENCES = 5000;
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const INSTANCE_SUFFIX = /^(.+)_(\d{8}(?:T\d{6}Z)?)$/;
+
+let state = null;
+// Errors queued by injectMemoryCalendarError: operation -> [{ code, message, remaining }]
+const injectedErrors = new Map();
+// Request timestamps per account, for CALENDAR_MEMORY_RATE_LIMIT
+const recentRequests = new Map();
+
+const ERROR_REASONS = {
+  400: 'invalid',
+  403: 'forbidden',
+  404: 'notFound',
+  409: 'duplicate',
+  410: 'deleted',
+  429: 'rateLimitExceeded',
+  500: 'backendError'
+};
+
+/**
+ * Builds an error shaped like the ones googleapis throws
+ * @param {number} code - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code, status and response.data.error
+ */
+function apiError(code, message) {
+  const reason = ERROR_REASONS[code] || 'unknown';
+  const error = new Error(message);
+  error.code = code;
+  error.status = code;
+  error.errors = [{ domain: 'global', reason, message }];
+  error.response = { status: code, data: { error: { code, message, errors: error.errors } } };
+  return error;
+}
+
+// --- State & persistence ---
+
+function loadState() {
+  if (state) return state;
+  const file = process.env.CALENDAR_MEMORY_FILE;
+  if (file && fs.existsSync(file)) {
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`Loaded in-memory calendar state from ${file}`);
+    } catch (error) {
+      console.error(`Could not read ${file}; starting with an empty in-memory calendar:`, error);
+    }
+  }
+  if (!state || !state.accounts) state = { accounts: {}, channels: {} };
+  if (!state.links) state.links = {};
+  if (!state.channels) state.channels = {};
+  // Files written before tokens were hashed keyed accounts (and channels' accounts) by the raw token
+  const isStale = key => key !== DEFAULT_ACCOUNT && !isAccountKey(key);
+  for (const key of Object.keys(state.accounts).filter(isStale)) {
+    state.accounts[hashToken(key)] = state.accounts[key];
+    delete state.accounts[key];
+  }
+  for (const channel of Object.values(state.channels)) {
+    if (channel.account && isStale(channel.account)) channel.account = hashToken(channel.account);
+  }
+  return state;
+}
+
+function saveState() {
+  const file = process.env.CALENDAR_MEMORY_FILE;
+  if (!file) return;
+  try {
+    fs.writeFileSync(file, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error(`Could not save in-memory calendar state to ${file}:`, error);
+  }
+}
+
+function hashToken(accessToken) {
+  return crypto.createHash('sha256').update(accessToken).digest('hex');
+}
+
+// Keys are emails (linked accounts) or token hashes, never tokens
+function isAccountKey(key) {
+  return key.includes('@') || /^[0-9a-f]{64}$/.test(key);
+}
+
+/**
+ * Account key for a token: the linked email, else the token's hash
+ * @param {Object|string} tokens - OAuth tokens or an access token
+ * @returns {string} - Account key
+ */
+function accountKey(tokens) {
+  const accessToken = typeof tokens === 'string' ? tokens : tokens?.access_token;
+  if (!accessToken || accessToken === DEFAULT_ACCOUNT) return DEFAULT_ACCOUNT;
+  const hash = hashToken(accessToken);
+  return loadState().links[hash] || hash;
+}
+
+/**
+ * Gets (creating on first use) an account
+ * @param {string} key - Account key (see accountKey)
+ * @param {Object} defaults - { email, timeZone } used when creating
+ * @returns {Object} - Account { email, timeZone, calendars }
+ */
+function getAccount(key, defaults = {}) {
+  const { accounts } = loadState();
+  if (!accounts[key]) {
+    const fallbackEmail = key.includes('@') ? key : `${key.slice(0, 32)}@memory.local`;
+    const email = defaults.email || fallbackEmail;
+    const timeZone = defaults.timeZone || DEFAULT_TIMEZONE;
+    accounts[key] = {
+      email,
+      timeZone,
+      calendars: {
+        primary: newCalendar({ id: email, summary: email, timeZone, primary: true })
+      }
+    };
+  }
+  return accounts[key];
+}
+
+function newCalendar({ id, summary, description, timeZone, primary = false, accessRole = 'owner' }) {
+  return { id, summary: summary || id, description, timeZone: timeZone || DEFAULT_TIMEZONE, primary, accessRole, seq: 0, minSyncSeq: 0, events: {} };
+}
+
+function findCalendar(account, calendarId) {
+  if (!calendarId || calendarId === 'primary' || calendarId === account.email) return account.calendars.primary;
+  return account.calendars[calendarId] || null;
+}
+
+function requireCalendar(account, calendarId) {
+  const calendar = findCalendar(account, calendarId);
+  if (!calendar) throw apiError(404, 'Not Found');
+  return calendar;
+}
+
+// Another account's primary calendar, looked up by its email (for free/busy and calendars.get)
+function findCalendarByOwnerEmail(email) {
+  const { accounts } = loadState();
+  const owner = Object.values(accounts).find(account => account.email.toLowerCase() === String(email).toLowerCase());
+  return owner ? { account: owner, calendar: owner.calendars.primary } : null;
+}
+
+// --- Faults & rate limiting ---
+
+function checkFaults(key, operation) {
+  const queue = injectedErrors.get(operation) || injectedErrors.get('*');
+  if (queue && queue.length > 0) {
+    const fault = queue[0];
+    fault.remaining -= 1;
+    if (fault.remaining <= 0) queue.shift();
+    throw apiError(fault.code, fault.message || `Injected ${fault.code} for ${operation}`);
+  }
+
+  const limit = Number(process.env.CALENDAR_MEMORY_RATE_LIMIT);
+  if (limit > 0) {
+    const now = Date.now();
+    const recent = (recentRequests.get(key) || []).filter(time => now - time < 1000);
+    if (recent.length >= limit) {
+      recentRequests.set(key, recent);
+      throw apiError(429, 'Rate Limit Exceeded');
+    }
+    recent.push(now);
+    recentRequests.set(key, recent);
+  }
+}
+
+// --- Event helpers ---
+
+// Google event IDs use base32hex characters (a-v, 0-9)
+function generateEventId() {
+  const alphabet = '0123456789abcdefghijklmnopqrstuv';
+  return Array.from(crypto.randomBytes(26), byte => alphabet[byte % 32]).join('');
+}
+
+function isValidEventId(id) {
+  return typeof id === 'string' && /^[a-v0-9]{5,1024}$/.test(id);
+}
+
+// Removes internal bookkeeping fields before an event leaves the backend
+function publicEvent(event) {
+  if (!event) return event;
+  const copy = JSON.parse(JSON.stringify(event));
+  Object.keys(copy).filter(key => key.startsWith('_')).forEach(key => delete copy[key]);
+  return copy;
+}
+
+/**
+ * Parses an event time ({ dateTime, timeZone } or { date }) to a DateTime
+ * @param {Object} eventTime - Event start/end
+ * @param {string} fallbackZone - Zone for all-day dates and offset-less times
+ * @returns {DateTime|null} - Parsed time, or null if missing/invalid
+ */
+function parseEventTime(eventTime, fallbackZone) {
+  if (!eventTime) return null;
+  if (eventTime.dateTime) {
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(eventTime.dateTime);
+    const zone = eventTime.timeZone || fallbackZone;
+    let dt = hasOffset
+      ? DateTime.fromISO(eventTime.dateTime, { setZone: true })
+      : DateTime.fromISO(eventTime.dateTime, { zone });
+    // Recurring events repeat at the wall-clock time of their own zone
+    if (hasOffset && eventTime.timeZone) dt = dt.setZone(eventTime.timeZone);
+    return dt.isValid ? dt : null;
+  }
+  if (eventTime.date) {
+    const dt = DateTime.fromISO(eventTime.date, { zone: fallbackZone });
+    return dt.isValid ? dt : null;
+  }
+  return null;
+}
+
+function eventZone(event, calendar) {
+  return event.start?.timeZone || calendar.timeZone || DEFAULT_TIMEZONE;
+}
+
+function eventRange(event, calendar) {
+  const zone = eventZone(event, calendar);
+  const start = parseEventTime(event.start, zone);
+  const end = parseEventTime(event.end, zone);
+  return start && end ? { start, end } : null;
+}
+
+/**
+ * Validates the times of an event being written, with Google's error messages
+ * @param {Object} event - Event resource
+ * @param {Object} calendar - Calendar it is written to
+ */
+function validateEventTimes(event, calendar) {
+  if (!event.start || (!event.start.dateTime && !event.start.date)) throw apiError(400, 'Missing start time.');
+  if (!event.end || (!event.end.dateTime && !event.end.date)) throw apiError(400, 'Missing end time.');
+  if (event.recurrence?.length && event.start.dateTime && !event.start.timeZone) {
+    throw apiError(400, 'Missing time zone definition for start time.');
+  }
+  for (const field of ['start', 'end']) {
+    const value = event[field].dateTime;
+    if (value && !/(Z|[+-]\d{2}:?\d{2})$/.test(value) && !event[field].timeZone) {
+      throw apiError(400, `Missing time zone definition for ${field} time.`);
+    }
+  }
+  const range = eventRange(event, calendar);
+  if (!range) throw apiError(400, 'Invalid start or end time.');
+  if (range.end < range.start) throw apiError(400, 'The specified time range is empty.');
+}
+
+// Marks the account's own attendee entry with self: true, as Google does
+function markSelf(event, account) {
+  const email = account.email.toLowerCase();
+  if (Array.isArray(event.attendees)) {
+    event.attendees = event.attendees.map(attendee => {
+      const copy = { ...attendee };
+      if (copy.email?.toLowerCase() === email) copy.self = true;
+      else delete copy.self;
+      if (!copy.responseStatus) copy.responseStatus = 'needsAction';
+      return copy;
+    });
+  }
+  if (event.organizer?.email?.toLowerCase() === email) event.organizer.self = true;
+  if (Array.isArray(event.attendees)) {
+    const organizerEmail = event.organizer?.email?.toLowerCase();
+    event.attendees.forEach(attendee => {
+      if (organizerEmail && attendee.email?.toLowerCase() === organizerEmail) attendee.organizer = true;
+    });
+  }
+}
+
+// Bumps the calendar's change counter and stamps the event with it
+function touch(calendar, event) {
+  calendar.seq += 1;
+  event._seq = calendar.seq;
+  event.etag = `"${calendar.seq}"`;
+  event.updated = new Date().toISOString();
+}
+
+// --- Recurrence expansion ---
+
+function parseRRule(line) {
+  const fields = {};
+  line.replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) fields[key.toUpperCase()] = value;
+  });
+  return {
+    freq: (fields.FREQ || '').toUpperCase(),
+    interval: Math.max(1, parseInt(fields.INTERVAL || '1', 10)),
+    count: fields.COUNT ? parseInt(fields.COUNT, 10) : null,
+    until: fields.UNTIL ? parseRRuleTime(fields.UNTIL, 'utc') : null,
+    byDay: fields.BYDAY ? fields.BYDAY.split(',').map(token => {
+      const match = token.trim().toUpperCase().match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+      return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAY_CODES.indexOf(match[2]) + 1 } : null;
+    }).filter(day => day && day.weekday > 0) : null,
+    byMonthDay: fields.BYMONTHDAY ? fields.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: fields.BYMONTH ? fields.BYMONTH.split(',').map(Number) : null
+  };
+}
+
+// Parses RFC 5545 times: 20250630T235959Z, 20250630T235959 (in zone) or 20250630 (date)
+function parseRRuleTime(value, zone) {
+  if (/Z$/.test(value)) return DateTime.fromFormat(value, "yyyyLLdd'T'HHmmss'Z'", { zone: 'utc' });
+  if (value.includes('T')) return DateTime.fromFormat(value, "yyyyLLdd'T'HHmmss", { zone });
+  return DateTime.fromFormat(value, 'yyyyLLdd', { zone });
+}
+
+// Excluded occurrence starts (epoch ms) from EXDATE lines
+function parseExDates(recurrence, zone) {
+  const excluded = new Set();
+  for (const line of recurrence || []) {
+    const match = line.match(/^EXDATE([^:]*):(.+)$/i);
+    if (!match) continue;
+    const tzid = match[1].match(/TZID=([^;:]+)/i);
+    match[2].split(',').forEach(value => {
+      const dt = parseRRuleTime(value.trim(), tzid ? tzid[1] : zone);
+      if (dt.isValid) excluded.add(dt.toMillis());
+    });
+  }
+  return excluded;
+}
+
+// Candidate days of one period (week/month/year) for a rule, at the series' wall-clock time
+function periodCandidates(rule, periodStart, dtstart) {
+  const atTime = day => day.set({ hour: dtstart.hour, minute: dtstart.minute, second: dtstart.second, millisecond: 0 });
+
+  if (rule.freq === 'DAILY') {
+    return [atTime(periodStart)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [dtstart.weekday];
+    return weekdays.sort().map(weekday => atTime(periodStart.plus({ days: weekday - 1 })));
+  }
+
+  const monthsInPeriod = rule.freq === 'YEARLY'
+    ? (rule.byMonth || [dtstart.month]).map(month => periodStart.set({ month, day: 1 }))
+    : [periodStart];
+
+  const days = [];
+  for (const monthStart of monthsInPeriod) {
+    const daysInMonth = monthStart.daysInMonth;
+    if (rule.byMonthDay) {
+      rule.byMonthDay.forEach(day => {
+        const dayNumber = day > 0 ? day : daysInMonth + day + 1;
+        if (dayNumber >= 1 && dayNumber <= daysInMonth) days.push(atTime(monthStart.set({ day: dayNumber })));
+      });
+    } else if (rule.byDay) {
+      rule.byDay.forEach(({ ordinal, weekday }) => {
+        const matching = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+          const candidate = monthStart.set({ day });
+          if (candidate.weekday === weekday) matching.push(candidate);
+        }
+        const picked = ordinal == null ? matching : [matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]];
+        picked.filter(Boolean).forEach(day => days.push(atTime(day)));
+      });
+    } else if (dtstart.day <= daysInMonth) {
+      days.push(atTime(monthStart.set({ day: dtstart.day })));
+    }
+  }
+  return days.sort((a, b) => a - b);
+}
+
+/**
+ * Expands a series master into occurrence starts
+ * @param {Object} master - Event with recurrence
+ * @param {Object} calendar - Calendar the series lives in
+ * @param {DateTime} rangeEnd - Stop after this time
+ * @returns {Array<DateTime>} - Occurrence starts in the series' zone (EXDATEs removed)
+ */
+function expandOccurrences(master, calendar, rangeEnd) {
+  const zone = eventZone(master, calendar);
+  const dtstart = parseEventTime(master.start, zone);
+  const rruleLine = (master.recurrence || []).find(line => /^RRULE:/i.test(line));
+  if (!dtstart || !rruleLine) return dtstart ? [dtstart] : [];
+
+  const rule = parseRRule(rruleLine);
+  const periodUnit = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[rule.freq];
+  if (!periodUnit) return [dtstart];
+
+  const excluded = parseExDates(master.recurrence, zone);
+  const horizon = DateTime.min(rangeEnd, DateTime.now().plus({ years: EXPANSION_HORIZON_YEARS }).setZone(zone));
+  const firstPeriod = rule.freq === 'WEEKLY'
+    ? dtstart.startOf('day').minus({ days: dtstart.weekday - 1 })
+    : rule.freq === 'DAILY' ? dtstart.startOf('day') : dtstart.startOf(rule.freq === 'MONTHLY' ? 'month' : 'year');
+
+  const occurrences = [];
+  let generated = 0;
+  for (let period = 0; generated < MAX_OCCURRENCES; period++) {
+    const periodStart = firstPeriod.plus({ [periodUnit]: period * rule.interval });
+    if (periodStart > horizon && periodStart > dtstart) break;
+
+    let candidates = periodCandidates(rule, periodStart, dtstart);
+    if (rule.freq === 'DAILY' && rule.byDay) {
+      candidates = candidates.filter(day => rule.byDay.some(byDay => byDay.weekday === day.weekday));
+    }
+
+    for (const candidate of candidates) {
+      if (candidate < dtstart) continue;
+      if (rule.until && candidate > rule.until) return occurrences;
+      if (rule.count != null && generated >= rule.count) return occurrences;
+      if (candidate > horizon) return occurrences;
+      generated += 1;
+      // COUNT includes excluded dates, as in RFC 5545
+      if (!excluded.has(candidate.toMillis())) occurrences.push(candidate);
+    }
+  }
+  return occurrences;
+}
+
+function instanceSuffix(start, isAllDay) {
+  return isAllDay ? start.toFormat('yyyyLLdd') : start.toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'");
+}
+
+function formatEventTime(dt, isAllDay, timeZone) {
+  if (isAllDay) return { date: dt.toISODate() };
+  return { dateTime: dt.toISO({ suppressMilliseconds: true }), ...(timeZone ? { timeZone } : {}) };
+}
+
+/**
+ * Builds the instances of a series, applying stored exceptions
+ * @param {Object} master - Series master
+ * @param {Object} calendar - Calendar
+ * @param {Object} range - { start, end } DateTimes (end bounds the expansion)
+ * @param {boolean} showDeleted - Include cancelled instances
+ * @returns {Array<Object>} - Instance events
+ */
+function buildInstances(master, calendar, range, showDeleted = false) {
+  const masterRange = eventRange(master, calendar);
+  if (!masterRange) return [];
+  const duration = masterRange.end.diff(masterRange.start);
+  const isAllDay = !!master.start?.date;
+  const { recurrence, ...template } = master;
+
+  const instances = [];
+  for (const start of expandOccurrences(master, calendar, range.end)) {
+    const id = `${master.id}_${instanceSuffix(start, isAllDay)}`;
+    const exception = calendar.events[id];
+    let instance;
+    if (exception) {
+      instance = exception;
+    } else {
+      instance = {
+        ...JSON.parse(JSON.stringify(template)),
+        id,
+        recurringEventId: master.id,
+        originalStartTime: formatEventTime(start, isAllDay, master.start.timeZone),
+        start: formatEventTime(start, isAllDay, master.start.timeZone),
+        end: formatEventTime(start.plus(duration), isAllDay, master.end?.timeZone)
+      };
+    }
+    if (instance.status === 'cancelled' && !showDeleted) continue;
+    const instanceRange = eventRange(instance, calendar);
+    if (instanceRange && instanceRange.end > range.start && instanceRange.start < range.end) instances.push(instance);
+  }
+  return instances;
+}
+
+// Finds a stored event, or generates an unmodified instance of a series from its ID
+function lookupEvent(calendar, eventId) {
+  if (calendar.events[eventId]) return calendar.events[eventId];
+  const match = String(eventId).match(INSTANCE_SUFFIX);
+  const master = match && calendar.events[match[1]];
+  if (!master?.recurrence || master.status === 'cancelled') return null;
+  const zone = eventZone(master, calendar);
+  const isAllDay = !!master.start?.date;
+  const start = isAllDay
+    ? DateTime.fromFormat(match[2], 'yyyyLLdd', { zone })
+    : DateTime.fromFormat(match[2], "yyyyLLdd'T'HHmmss'Z'", { zone: 'utc' }).setZone(zone);
+  if (!start.isValid) return null;
+  const window = { start: start.minus({ minutes: 1 }), end: start.plus({ days: 1 }) };
+  return buildInstances(master, calendar, window, true).find(instance => instance.id === eventId) || null;
+}
+
+// Stores a generated instance as an exception so it can be edited independently
+function materialize(calendar, event) {
+  if (!calendar.events[event.id]) calendar.events[event.id] = event;
+  return calendar.events[event.id];
+}
+
+// --- API surface ---
+
+function paginate(items, params) {
+  const maxResults = Math.min(Number(params.maxResults) || 250, 2500);
+  const offset = params.pageToken ? parseInt(String(params.pageToken).replace(/^page-/, ''), 10) || 0 : 0;
+  const page = items.slice(offset, offset + maxResults);
+  const nextOffset = offset + maxResults;
+  return { page, nextPageToken: nextOffset < items.length ? `page-${nextOffset}` : undefined };
+}
+
+function listEvents(account, params) {
+  const calendar = requireCalendar(account, params.calendarId);
+  const zone = calendar.timeZone;
+  let sinceSeq = null;
+
+  if (params.syncToken) {
+    if (params.timeMin || params.timeMax) throw apiError(400, 'Sync token cannot be used with timeMin/timeMax.');
+    const match = String(params.syncToken).match(/^mem-(\d+)$/);
+    sinceSeq = match ? parseInt(match[1], 10) : -1;
+    if (sinceSeq < calendar.minSyncSeq || sinceSeq > calendar.seq) throw apiError(410, 'Sync token is no longer valid, a full sync is required.');
+  }
+
+  const rangeStart = params.timeMin ? DateTime.fromISO(params.timeMin, { setZone: true }) : DateTime.fromMillis(0).setZone(zone);
+  const rangeEnd = params.timeMax ? DateTime.fromISO(params.timeMax, { setZone: true }) : DateTime.now().plus({ years: EXPANSION_HORIZON_YEARS });
+  if (!rangeStart.isValid || !rangeEnd.isValid) throw apiError(400, 'Bad Request');
+  const range = { start: rangeStart, end: rangeEnd };
+  // Deleted events are included with a sync token, as Google does
+  const showDeleted = !!params.showDeleted || sinceSeq !== null;
+
+  const changed = Object.values(calendar.events).filter(event => sinceSeq === null || event._seq > sinceSeq);
+  let items = [];
+
+  for (const event of changed) {
+    const isMaster = event.recurrence?.length;
+    if (!params.singleEvents) {
+      if (event.status === 'cancelled' && !showDeleted) continue;
+      if (sinceSeq === null) {
+        const eventRangeValue = eventRange(event, calendar);
+        const endsAfter = isMaster || (eventRangeValue && eventRangeValue.end > range.start && eventRangeValue.start < range.end);
+        if (!endsAfter) continue;
+      }
+      items.push(event);
+      continue;
+    }
+
+    if (isMaster) {
+      if (event.status === 'cancelled') {
+        if (showDeleted) items.push(event);
+        continue;
+      }
+      // A changed series is sent as "cancel everything" followed by its current instances,
+      // so mirrors drop occurrences a truncated or moved series no longer has
+      if (sinceSeq !== null) items.push({ id: event.id, status: 'cancelled', _seq: event._seq });
+      items.push(...buildInstances(event, calendar, range, showDeleted));
+      continue;
+    }
+
+    if (event.recurringEventId) {
+      const master = calendar.events[event.recurringEventId];
+      // Exceptions are listed with their series unless only they changed
+      if (master && (sinceSeq === null || master._seq > sinceSeq)) continue;
+      if (master?.status === 'cancelled') continue;
+    }
+    if (event.status === 'cancelled' && !showDeleted) continue;
+    if (sinceSeq === null) {
+      const eventRangeValue = eventRange(event, calendar);
+      if (!eventRangeValue || eventRangeValue.end <= range.start || eventRangeValue.start >= range.end) continue;
+    }
+    items.push(event);
+  }
+
+  if (params.q) {
+    const query = String(params.q).toLowerCase();
+    items = items.filter(event => [event.summary, event.description, event.location]
+      .some(text => text && text.toLowerCase().includes(query)));
+  }
+
+  if (params.orderBy === 'startTime') {
+    if (!params.singleEvents) throw apiError(400, 'The requested ordering is not available for the particular query.');
+    items.sort((a, b) => (eventRange(a, calendar)?.start || 0) - (eventRange(b, calendar)?.start || 0));
+  } else {
+    items.sort((a, b) => (a._seq || 0) - (b._seq || 0));
+  }
+
+  const { page, nextPageToken } = paginate(items, params);
+  return {
+    kind: 'calendar#events',
+    summary: calendar.summary,
+    timeZone: calendar.timeZone,
+    items: page.map(publicEvent),
+    nextPageToken,
+    // Only the last page carries the sync token
+    nextSyncToken: nextPageToken ? undefined : `mem-${calendar.seq}`
+  };
+}
+
+function insertEvent(account, calendar, resource) {
+  const event = JSON.parse(JSON.stringify(resource || {}));
+  if (event.id !== undefined) {
+    if (!isValidEventId(event.id)) throw apiError(400, 'Invalid resource id value.');
+    const existing = calendar.events[event.id];
+    if (existing) throw apiError(409, 'The requested identifier already exists.');
+  } else {
+    event.id = generateEventId();
+  }
+  validateEventTimes(event, calendar);
+
+  const now = new Date().toISOString();
+  event.kind = 'calendar#event';
+  event.status = event.status || 'confirmed';
+  event.created = now;
+  event.iCalUID = event.iCalUID || `${event.id}@memory.local`;
+  event.htmlLink = `https://calendar.memory.local/event?eid=${event.id}`;
+  event.sequence = event.sequence || 0;
+  event.creator = event.creator || { email: account.email, self: true };
+  event.organizer = event.organizer || { email: account.email, self: true };
+  markSelf(event, account);
+  touch(calendar, event);
+  calendar.events[event.id] = event;
+  return event;
+}
+
+function writeEvent(account, calendar, eventId, changes, mode) {
+  let event = lookupEvent(calendar, eventId);
+  if (!event) throw apiError(404, 'Not Found');
+  event = materialize(calendar, event);
+
+  const protectedFields = {
+    id: event.id,
+    kind: event.kind,
+    created: event.created,
+    iCalUID: event.iCalUID,
+    htmlLink: event.htmlLink,
+    creator: event.creator,
+    recurringEventId: event.recurringEventId,
+    originalStartTime: event.originalStartTime
+  };
+  const previous = JSON.parse(JSON.stringify(event));
+  let next;
+  if (mode === 'update') {
+    next = { ...JSON.parse(JSON.stringify(changes || {})), ...protectedFields };
+    next.status = changes?.status || 'confirmed';
+    next.organizer = changes?.organizer || event.organizer;
+  } else {
+    next = { ...event };
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (key in protectedFields) continue;
+      if (value === null) delete next[key];
+      else next[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+  Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+  if (next.status !== 'cancelled') validateEventTimes(next, calendar);
+
+  const timesChanged = JSON.stringify(previous.start) !== JSON.stringify(next.start) ||
+    JSON.stringify(previous.end) !== JSON.stringify(next.end);
+  next.sequence = (previous.sequence || 0) + (timesChanged ? 1 : 0);
+  markSelf(next, account);
+  Object.keys(event).forEach(key => delete event[key]);
+  Object.assign(event, next);
+  touch(calendar, event);
+  return event;
+}
+
+function deleteEvent(calendar, eventId) {
+  let event = lookupEvent(calendar, eventId);
+  if (!event) throw apiError(404, 'Not Found');
+  if (event.status === 'cancelled') throw apiError(410, 'Resource has been deleted');
+  event = materialize(calendar, event);
+  // Google keeps deleted events as cancelled (sync reports them; undo can restore them)
+  event.status = 'cancelled';
+  touch(calendar, event);
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+function busyIntervals(ownerEmail, calendar, range) {
+  const intervals = [];
+  for (const event of Object.values(calendar.events)) {
+    if (event.status === 'cancelled' || event.transparency === 'transparent') continue;
+    const candidates = event.recurrence?.length ? buildInstances(event, calendar, range) : event.recurringEventId ? [] : [event];
+    for (const occurrence of candidates) {
+      if (occurrence.status === 'cancelled' || occurrence.transparency === 'transparent') continue;
+      const declined = (occurrence.attendees || []).some(attendee =>
+        attendee.email?.toLowerCase() === ownerEmail.toLowerCase() && attendee.responseStatus === 'declined');
+      if (declined) continue;
+      const occurrenceRange = eventRange(occurrence, calendar);
+      if (!occurrenceRange || occurrenceRange.end <= range.start || occurrenceRange.start >= range.end) continue;
+      intervals.push({
+        start: DateTime.max(occurrenceRange.start, range.start),
+        end: DateTime.min(occurrenceRange.end, range.end)
+      });
+    }
+  }
+  return mergeIntervals(intervals).map(interval => ({
+    start: interval.start.toUTC().toISO({ suppressMilliseconds: true }),
+    end: interval.end.toUTC().toISO({ suppressMilliseconds: true })
+  }));
+}
+
+/**
+ * Creates a client for one account with the same call shapes as google.calendar({ version: 'v3' })
+ * @param {Object} tokens - OAuth tokens; access_token selects the account
+ * @returns {Object} - { calendarList, calendars, events, freebusy, channels }
+ */
+function createMemoryCalendarClient(tokens) {
+  const key = accountKey(tokens);
+
+  // Runs an operation against the account, applying faults/rate limits and persisting writes
+  const call = (operation, handler, { write = false } = {}) => async (params = {}) => {
+    checkFaults(key, operation);
+    const account = getAccount(key);
+    const data = handler(account, params);
+    if (write) saveState();
+    return { status: 200, data };
+  };
+
+  return {
+    calendarList: {
+      list: call('calendarList.list', account => ({
+        kind: 'calendar#calendarList',
+        items: Object.values(account.calendars).map(calendar => ({
+          kind: 'calendar#calendarListEntry',
+          id: calendar.id,
+          summary: calendar.summary,
+          description: calendar.description,
+          timeZone: calendar.timeZone,
+          accessRole: calendar.accessRole,
+          primary: calendar.primary || undefined,
+          selected: true
+        }))
+      }))
+    },
+
+    calendars: {
+      get: call('calendars.get', (account, params) => {
+        const calendar = findCalendar(account, params.calendarId) || findCalendarByOwnerEmail(params.calendarId)?.calendar;
+        if (!calendar) throw apiError(404, 'Not Found');
+        return { kind: 'calendar#calendar', id: calendar.id, summary: calendar.summary, timeZone: calendar.timeZone };
+      })
+    },
+
+    events: {
+      list: call('events.list', listEvents),
+
+      get: call('events.get', (account, params) => {
+        const event = lookupEvent(requireCalendar(account, params.calendarId), params.eventId);
+        if (!event) throw apiError(404, 'Not Found');
+        return publicEvent(event);
+      }),
+
+      instances: call('events.instances', (account, params) => {
+        const calendar = requireCalendar(account, params.calendarId);
+        const master = calendar.events[params.eventId];
+        if (!master) throw apiError(404, 'Not Found');
+        if (master.status === 'cancelled') throw apiError(410, 'Resource has been deleted');
+        const range = {
+          start: params.timeMin ? DateTime.fromISO(params.timeMin, { setZone: true }) : DateTime.fromMillis(0),
+          end: params.timeMax ? DateTime.fromISO(params.timeMax, { setZone: true }) : DateTime.now().plus({ years: EXPANSION_HORIZON_YEARS })
+        };
+        const instances = master.recurrence?.length ? buildInstances(master, calendar, range, !!params.showDeleted) : [];
+        const { page, nextPageToken } = paginate(instances, params);
+        return { kind: 'calendar#events', timeZone: calendar.timeZone, items: page.map(publicEvent), nextPageToken };
+      }),
+
+      insert: call('events.insert', (account, params) => {
+        const calendar = requireCalendar(account, params.calendarId);
+        return publicEvent(insertEvent(account, calendar, params.requestBody || params.resource));
+      }, { write: true }),
+
+      patch: call('events.patch', (account, params) => {
+        const calendar = requireCalendar(account, params.calendarId);
+        return publicEvent(writeEvent(account, calendar, params.eventId, params.requestBody || params.resource, 'patch'));
+      }, { write: true }),
+
+      update: call('events.update', (account, params) => {
+        const calendar = requireCalendar(account, params.calendarId);
+        return publicEvent(writeEvent(account, calendar, params.eventId, params.requestBody || params.resource, 'update'));
+      }, { write: true }),
+
+      delete: call('events.delete', (account, params) => {
+        deleteEvent(requireCalendar(account, params.calendarId), params.eventId);
+        return '';
+      }, { write: true }),
+
+      watch: call('events.watch', (account, params) => {
+        const calendar = requireCalendar(account, params.calendarId);
+        const body = params.requestBody || params.resource || {};
+        const ttlSeconds = Number(body.params?.ttl) || 7 * 24 * 3600;
+        const channel = {
+          kind: 'api#channel',
+          id: body.id,
+          resourceId: `mem-resource-${crypto.createHash('sha1').update(`${key}:${calendar.id}`).digest('hex').slice(0, 16)}`,
+          resourceUri: `memory://calendars/${encodeURIComponent(calendar.id)}/events`,
+          token: body.token,
+          expiration: String(Date.now() + ttlSeconds * 1000)
+        };
+        loadState().channels[channel.id] = { ...channel, account: key, calendarId: calendar.id, address: body.address };
+        return channel;
+      }, { write: true })
+    },
+
+    channels: {
+      stop: call('channels.stop', (account, params) => {
+        const body = params.requestBody || params.resource || {};
+        const channels = loadState().channels;
+        if (!channels[body.id] || channels[body.id].resourceId !== body.resourceId) throw apiError(404, 'Channel not found');
+        delete channels[body.id];
+        return '';
+      }, { write: true })
+    },
+
+    freebusy: {
+      query: call('freebusy.query', (account, params) => {
+        const body = params.requestBody || params.resource || {};
+        const range = { start: DateTime.fromISO(body.timeMin, { setZone: true }), end: DateTime.fromISO(body.timeMax, { setZone: true }) };
+        if (!range.start.isValid || !range.end.isValid) throw apiError(400, 'Bad Request');
+        const calendars = {};
+        for (const { id } of body.items || []) {
+          const own = findCalendar(account, id);
+          const other = own ? null : findCalendarByOwnerEmail(id);
+          if (!own && !other) {
+            calendars[id] = { errors: [{ domain: 'global', reason: 'notFound' }], busy: [] };
+            continue;
+          }
+          const ownerEmail = own ? account.email : other.account.email;
+          calendars[id] = { busy: busyIntervals(ownerEmail, own || other.calendar, range) };
+        }
+        return { kind: 'calendar#freeBusy', timeMin: body.timeMin, timeMax: body.timeMax, calendars };
+      })
+    }
+  };
+}
+
+// --- Test & development helpers ---
+
+/**
+ * Seeds accounts, calendars and events. Events keep any id/organizer/attendees given,
+ * so invitations from other people can be set up.
+ * @param {Object} seed - { accounts: { [accessToken]: { email, timeZone, calendars: [{ id, summary, timeZone,
+ *                         accessRole, events: [...] }], events: [...] (primary) } } }
+ * @param {Object} options - { reset: true to clear existing state first }
+ * @returns {Object} - Map of accessToken -> inserted event IDs
+ */
+function seedMemoryCalendar(seed = {}, options = {}) {
+  if (options.reset) resetMemoryCalendar();
+  const inserted = {};
+  for (const [key, accountSeed] of Object.entries(seed.accounts || {})) {
+    const account = getAccount(accountKey(key), accountSeed);
+    inserted[key] = [];
+    const calendarSeeds = [{ id: 'primary', events: accountSeed.events || [] }, ...(accountSeed.calendars || [])];
+    for (const calendarSeed of calendarSeeds) {
+      let calendar = findCalendar(account, calendarSeed.id);
+      if (!calendar) {
+        calendar = newCalendar({ timeZone: account.timeZone, ...calendarSeed });
+        account.calendars[calendarSeed.id] = calendar;
+      }
+      for (const event of calendarSeed.events || []) {
+        inserted[key].push(insertEvent(account, calendar, event).id);
+      }
+    }
+  }
+  saveState();
+  return inserted;
+}
+
+/** Clears all accounts, events, channels and injected errors */
+function resetMemoryCalendar() {
+  state = { accounts: {}, channels: {}, links: {} };
+  injectedErrors.clear();
+  recentRequests.clear();
+  saveState();
+}
+
+/**
+ * Returns stored events for assertions (series masters and exceptions, not expanded)
+ * @param {string} accessToken - Account
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ * @param {Object} options - { includeCancelled }
+ * @returns {Array<Object>} - Events
+ */
+function getMemoryCalendarEvents(accessToken = DEFAULT_ACCOUNT, calendarId = 'primary', options = {}) {
+  const calendar = findCalendar(getAccount(accountKey(accessToken)), calendarId);
+  if (!calendar) return [];
+  return Object.values(calendar.events)
+    .filter(event => options.includeCancelled || event.status !== 'cancelled')
+    .map(publicEvent);
+}
+
+/**
+ * Makes the next calls to an operation fail (e.g. 'events.insert', or '*' for any)
+ * @param {string} operation - API method name
+ * @param {number} code - HTTP status to fail with (404, 409, 410, 429, 500...)
+ * @param {Object} options - { times (default 1), message }
+ */
+function injectMemoryCalendarError(operation, code, options = {}) {
+  const queue = injectedErrors.get(operation) || [];
+  queue.push({ code, message: options.message, remaining: options.times || 1 });
+  injectedErrors.set(operation, queue);
+}
+
+/**
+ * Invalidates existing sync tokens so the next incremental sync gets a 410
+ * @param {string} accessToken - Account
+ * @param {string} calendarId - Calendar ID (defaults to 'primary')
+ */
+function expireMemorySyncTokens(accessToken = DEFAULT_ACCOUNT, calendarId = 'primary') {
+  const calendar = findCalendar(getAccount(accountKey(accessToken)), calendarId);
+  if (calendar) calendar.minSyncSeq = calendar.seq + 1;
+}
+
+/**
+ * Links an access token to the account of the user it was issued to, so the user keeps
+ * their calendar across token refreshes. What the token already wrote moves to the
+ * account if the account is new.
+ * @param {string} accessToken - Access token
+ * @param {string} email - The user's email
+ */
+function linkMemoryCalendarAccount(accessToken, email) {
+  if (!accessToken || !email) return;
+  const { accounts, links } = loadState();
+  const hash = hashToken(accessToken);
+  const key = email.toLowerCase();
+  if (links[hash] === key) return;
+  if (accounts[hash] && !accounts[key]) {
+    accounts[key] = accounts[hash];
+    delete accounts[hash];
+  }
+  links[hash] = key;
+  saveState();
+}
+
+module.exports = {
+  createMemoryCalendarClient,
+  linkMemoryCalendarAccount,
+  seedMemoryCalendar,
+  resetMemoryCalendar,
+  getMemoryCalendarEvents,
+  injectMemoryCalendarError,
+  expireMemorySyncTokens
+};
@@ -0,0 +1,47 @@
+// pages/api/actions/book-slot.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { bookSuggestedSlot } from '../../../lib/chatbot';
+import { User } from '../../../lib/postgresClient';
+
+// Books a time slot the user picked from the assistant's suggestions (slot picker cards).
+// Body: { booking: { summary, ... }, start, end, conversationId }
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (session.error === 'RefreshAccessTokenError') {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const { booking, start, end, conversationId } = req.body || {};
+    if (!booking || typeof booking !== 'object' || !start || !end) {
+      return res.status(400).json({ error: 'booking, start and end are required' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const outcome = await bookSuggestedSlot(user.user_id, { booking, start, end, conversationId }, session.accessToken);
+    if (outcome.error) {
+      return res.status(400).json(outcome);
+    }
+    return res.status(200).json({
+      success: outcome.success,
+      message: outcome.message,
+      artifacts: outcome.artifacts || [],
+      undo: outcome.undo || null
+    });
+  } catch (error) {
+    console.error('Error booking suggested slot:', error);
+    return res.status(500).json({ error: 'Failed to book the slot' });
+  }
+}
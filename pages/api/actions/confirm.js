@@ -0,0 +1,50 @@
+// pages/api/actions/confirm.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { resolvePendingAction } from '../../../lib/chatbot';
+import { User } from '../../../lib/postgresClient';
+
+// Confirms or cancels a pending destructive action (delete, bulk delete, move)
+// that a tool returned for review instead of running immediately.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (session.error === 'RefreshAccessTokenError') {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const { actionId, decision } = req.body || {};
+    if (!actionId || !['confirm', 'cancel'].includes(decision)) {
+      return res.status(400).json({ error: "actionId and a decision of 'confirm' or 'cancel' are required" });
+    }
+
+    // Pending actions are stored against the database user, not the session email
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const outcome = await resolvePendingAction(user.user_id, actionId, decision, session.accessToken);
+    if (!outcome.success && !outcome.status) {
+      // Expired, already handled or not this user's action
+      return res.status(410).json(outcome);
+    }
+    return res.status(200).json({
+      success: outcome.success,
+      status: outcome.status,
+      message: outcome.message,
+      artifacts: outcome.artifacts || [],
+      undo: outcome.undo || null
+    });
+  } catch (error) {
+    console.error('Error resolving pending action:', error);
+    return res.status(500).json({ error: 'Failed to process the action' });
+  }
+}
@@ -0,0 +1,47 @@
+// pages/api/actions/undo.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { undoCalendarChange } from '../../../lib/chatbot';
+import { User } from '../../../lib/postgresClient';
+
+// Undoes a journaled calendar change (the one given by batchId, or the user's most recent)
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (session.error === 'RefreshAccessTokenError') {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const { batchId } = req.body || {};
+    if (batchId !== undefined && typeof batchId !== 'string') {
+      return res.status(400).json({ error: 'batchId must be a string' });
+    }
+
+    // The journal is stored against the database user, not the session email
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const outcome = await undoCalendarChange(user.user_id, batchId || null, session.accessToken);
+    if (!outcome.success && !outcome.result?.batchId) {
+      // Nothing to undo, already undone, or an undo is in progress
+      return res.status(409).json({ success: false, error: outcome.result?.error || outcome.message });
+    }
+    return res.status(200).json({
+      success: outcome.success,
+      batchId: outcome.result.batchId,
+      message: outcome.message
+    });
+  } catch (error) {
+    console.error('Error undoing calendar change:', error);
+    return res.status(500).json({ error: 'Failed to undo the change' });
+  }
+}
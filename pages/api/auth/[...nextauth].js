@@ -1,5 +1,6 @@
 import NextAuth from 'next-auth';
 import GoogleProvider from 'next-auth/providers/google';
+import { linkCalendarAccount } from '../../../googleCalendar';
 
 export const authOptions = {
   providers: [
@@ -19,6 +20,7 @@ export const authOptions = {
     async jwt({ token, account, user }) {
       // Initial sign in
       if (account && user) {
+        linkCalendarAccount(account.access_token, user.email);
         return {
           accessToken: account.access_token,
           refreshToken: account.refresh_token,
@@ -50,6 +52,7 @@ export const authOptions = {
         if (!response.ok) {
           throw refreshedTokens;
         }
+        linkCalendarAccount(refreshedTokens.access_token, token.user?.email);
 
         return {
           ...token,
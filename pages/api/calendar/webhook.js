@@ -0,0 +1,18 @@
+import { handleWatchNotification } from '../../../lib/services/watchService';
+
+// Receives Google Calendar push notifications (events.watch channels).
+// Google sends everything in X-Goog-* headers; the body is empty.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { status, message } = await handleWatchNotification(req.headers);
+    return res.status(status).json({ message });
+  } catch (error) {
+    console.error('Error handling calendar notification:', error);
+    // A 5xx makes Google retry the notification with backoff
+    return res.status(500).json({ error: 'Failed to process notification' });
+  }
+}
@@ -16,7 +16,7 @@ export default async function handler(req, res) {
 
   try {
     const session = await getServerSession(req, res, authOptions);
-    const { message, startNew } = req.query; // Read startNew query param
+    const { message, startNew, conversationId } = req.query; // Read startNew query param
     const startNewConversation = startNew === 'true'; // Convert to boolean
     
     if (!message) {
@@ -80,10 +80,8 @@ export default async function handler(req, res) {
     
     try {
       // Call the chatbot with streaming enabled
-      await chatbot(message, userId, accessToken, streamCallback, startNewConversation);
-      
-      // Add a small delay before sending the end message to ensure all processing steps are visible
-      await new Promise(resolve => setTimeout(resolve, 800));
+      // conversationId continues a thread picked in the sidebar (ignored when starting a new one)
+      await chatbot(message, userId, accessToken, streamCallback, startNewConversation, startNewConversation ? null : conversationId || null);
       
       // Send completion message
       const endMessage = JSON.stringify({ type: 'end' });
@@ -98,9 +96,6 @@ export default async function handler(req, res) {
         }
       }
       
-      // Add another small delay before ending the response
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
       res.end();
     } catch (error) {
       // Send error message
@@ -0,0 +1,65 @@
+// pages/api/conversations/[id].js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import {
+  getConversationTranscript,
+  renameConversation,
+  deleteConversation
+} from '../../../lib/tools/conversationHelpers';
+import { User } from '../../../lib/postgresClient';
+
+// One conversation thread: GET reads its messages back, PATCH { title } renames it,
+// DELETE removes it. To continue a thread, pass its ID to /api/chat-stream as conversationId.
+export default async function handler(req, res) {
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+      const transcript = await getConversationTranscript(user.user_id, id);
+      if (!transcript) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      return res.status(200).json(transcript);
+    }
+
+    if (req.method === 'PATCH') {
+      const { title } = req.body || {};
+      if (typeof title !== 'string') {
+        return res.status(400).json({ error: 'title must be a string' });
+      }
+      let conversation;
+      try {
+        conversation = await renameConversation(user.user_id, id, title);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      return res.status(200).json({ conversation });
+    }
+
+    const deleted = await deleteConversation(user.user_id, id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error handling conversation request:', error);
+    return res.status(500).json({ error: 'Failed to process the conversation request' });
+  }
+}
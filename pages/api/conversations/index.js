@@ -0,0 +1,32 @@
+// pages/api/conversations/index.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { listConversations } from '../../../lib/tools/conversationHelpers';
+import { User } from '../../../lib/postgresClient';
+
+// Lists the signed-in user's conversations for the chat sidebar, most recently active first
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      // No chats yet
+      return res.status(200).json({ conversations: [] });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const conversations = await listConversations(user.user_id, { limit });
+    return res.status(200).json({ conversations });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return res.status(500).json({ error: 'Failed to load conversations' });
+  }
+}
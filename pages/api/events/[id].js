@@ -0,0 +1,54 @@
+// pages/api/events/[id].js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { editCalendarEvent } from '../../../lib/chatbot';
+import { User } from '../../../lib/postgresClient';
+
+// Edits one event from its card in the chat (inline form or drag to a new time).
+// PATCH body: { updates: { summary, description, location, start, end, priority, tags },
+//               calendarId, scope, overrideConflicts, conversationId }
+// Returns { success, message, event, undo }; a move onto busy time is refused with 409
+// and { conflict } unless overrideConflicts is set.
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (session.error === 'RefreshAccessTokenError') {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { id } = req.query;
+    const { updates, calendarId, scope, overrideConflicts, conversationId } = req.body || {};
+    const outcome = await editCalendarEvent(
+      user.user_id,
+      { eventId: id, calendarId, updates, scope, overrideConflicts, conversationId },
+      session.accessToken
+    );
+    if (outcome.error) {
+      return res.status(400).json(outcome);
+    }
+    if (outcome.conflict) {
+      return res.status(409).json({ success: false, message: outcome.message, conflict: outcome.conflict });
+    }
+    return res.status(200).json({
+      success: outcome.success,
+      message: outcome.message,
+      event: outcome.event,
+      undo: outcome.undo || null
+    });
+  } catch (error) {
+    console.error('Error editing event:', error);
+    return res.status(500).json({ error: 'Failed to update the event' });
+  }
+}
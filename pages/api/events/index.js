@@ -0,0 +1,62 @@
+// pages/api/events/index.js
+import { getServerSession } from 'next-auth/next';
+import { DateTime } from 'luxon';
+import { authOptions } from '../auth/[...nextauth]';
+import { getEventsInRange } from '../../../lib/tools/eventHelpers';
+import { resolveCalendarIds } from '../../../lib/tools/calendarSelection';
+import { getTimezoneForUser } from '../../../lib/tools/userTimezone';
+import { User } from '../../../lib/postgresClient';
+
+// A month view spans six weeks; anything longer is refused rather than read whole
+const MAX_RANGE_DAYS = 62;
+
+// Lists the signed-in user's events for the calendar page.
+// Query: start, end (ISO 8601; without an offset they are read in the user's timezone),
+//        calendarIds (optional, comma separated; defaults to the user's selected calendars)
+// Returns { events, timezone, start, end } with priority/tags merged in from event metadata.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (session.error === 'RefreshAccessTokenError') {
+      return res.status(401).json({ error: 'Your session has expired. Please sign in again.' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { start, end, calendarIds } = req.query;
+    if (!start || !end) {
+      return res.status(400).json({ error: 'start and end are required (ISO 8601)' });
+    }
+    const timezone = await getTimezoneForUser(user.user_id);
+    const startDt = DateTime.fromISO(start, { zone: timezone });
+    const endDt = DateTime.fromISO(end, { zone: timezone });
+    if (!startDt.isValid || !endDt.isValid) {
+      return res.status(400).json({ error: `Invalid start or end: ${start}, ${end}` });
+    }
+    if (startDt >= endDt) {
+      return res.status(400).json({ error: 'start must be before end' });
+    }
+    if (endDt.diff(startDt, 'days').days > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `The range can be at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    const requestedIds = calendarIds ? String(calendarIds).split(',').map(id => id.trim()).filter(Boolean) : undefined;
+    const ids = await resolveCalendarIds(user.user_id, requestedIds);
+    const events = await getEventsInRange(user.user_id, { access_token: session.accessToken }, startDt, endDt, ids);
+
+    return res.status(200).json({ events, timezone, start: startDt.toISO(), end: endDt.toISO() });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    return res.status(500).json({ error: 'Failed to fetch events' });
+  }
+}
@@ -0,0 +1,43 @@
+// pages/api/user/llm-settings.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { resolveModelSettings, validateUserSettings } from '../../../lib/services/openaiService';
+import { User } from '../../../lib/postgresClient';
+
+// Reads or changes the signed-in user's model overrides ({ model, temperature, max_tokens }).
+// POST null (or {}) to go back to the deployment's defaults.
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.method === 'POST') {
+      let settings;
+      try {
+        settings = req.body?.settings ? validateUserSettings(req.body.settings) : null;
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      await user.update({ llm_settings: settings && Object.keys(settings).length > 0 ? settings : null });
+    }
+
+    return res.status(200).json({
+      settings: user.llm_settings || null,
+      effective: resolveModelSettings(user.llm_settings)
+    });
+  } catch (error) {
+    console.error('Error handling LLM settings request:', error);
+    return res.status(500).json({ error: 'Failed to process the LLM settings request' });
+  }
+}
@@ -0,0 +1,47 @@
+// pages/api/user/timezone.js
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import { saveUserTimezone, TIMEZONE_SOURCES } from '../../../lib/tools/userTimezone';
+import { getUserTimezone, isValidTimezone } from '../../../lib/tools/timeUtils';
+import { User } from '../../../lib/postgresClient';
+
+// Reads or changes the signed-in user's timezone. The chat page posts the browser's
+// timezone with source 'browser' on login; that only fills in a timezone never set before.
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await User.findOne({ where: { email: session.user?.email } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        timezone: getUserTimezone(user.timezone),
+        source: user.timezone_source || null
+      });
+    }
+
+    const { timezone, source = 'user' } = req.body || {};
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `"${timezone}" is not a valid IANA timezone` });
+    }
+    if (!TIMEZONE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${TIMEZONE_SOURCES.join(', ')}` });
+    }
+
+    const result = await saveUserTimezone(user.user_id, timezone, source);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error handling timezone request:', error);
+    return res.status(500).json({ error: 'Failed to process the timezone request' });
+  }
+}
@@ -0,0 +1,202 @@
+// pages/calendar.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import Link from 'next/link';
+import { FiLoader, FiChevronLeft, FiChevronRight, FiMessageSquare } from 'react-icons/fi';
+import { DateTime } from 'luxon';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from './api/auth/[...nextauth]';
+import CalendarTimeGrid from '../components/CalendarTimeGrid';
+import CalendarMonthGrid from '../components/CalendarMonthGrid';
+import CalendarSidePanel from '../components/CalendarSidePanel';
+import { CALENDAR_VIEWS, getViewRange, shiftAnchor, formatViewTitle } from '../utils/calendarViewUtils';
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const CalendarPage = () => {
+  const { status } = useSession();
+  const router = useRouter();
+  const [view, setView] = useState('week');
+  const [zone, setZone] = useState(null);
+  const [anchor, setAnchor] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // { type: 'event', event } or { type: 'range', start, end }
+  const [selection, setSelection] = useState(null);
+
+  // --- Authentication Handling ---
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/');
+    }
+  }, [status, router]);
+
+  // Times are shown in the user's saved timezone so they match what Athena says
+  useEffect(() => {
+    if (status !== 'authenticated') return;
+    const applyZone = (timezone) => {
+      setZone(timezone);
+      setAnchor(DateTime.now().setZone(timezone).startOf('day'));
+    };
+    fetch('/api/user/timezone')
+      .then(response => (response.ok ? response.json() : {}))
+      .then(result => applyZone(result.timezone || browserTimezone()))
+      .catch(() => applyZone(browserTimezone()));
+  }, [status]);
+
+  const range = useMemo(() => (anchor ? getViewRange(view, anchor) : null), [view, anchor]);
+
+  const loadEvents = useCallback(async () => {
+    if (!range) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const query = `start=${encodeURIComponent(range.start.toISO())}&end=${encodeURIComponent(range.end.toISO())}`;
+      const response = await fetch(`/api/events?${query}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`);
+      setEvents(result.events || []);
+    } catch (loadError) {
+      console.error('Failed to load events:', loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  // Keep an open event's details current after the calendar reloads
+  useEffect(() => {
+    setSelection(prev => {
+      if (prev?.type !== 'event') return prev;
+      const current = events.find(event => event.id === prev.event.id && event.calendarId === prev.event.calendarId);
+      return current ? { type: 'event', event: current } : prev;
+    });
+  }, [events]);
+
+  const selectEvent = (event) => setSelection({ type: 'event', event });
+  const selectRange = (start, end) => setSelection({ type: 'range', start, end });
+  const openDay = (day) => {
+    setView('day');
+    setAnchor(day);
+  };
+
+  // --- Render Logic ---
+  if (status === 'loading' || (status === 'authenticated' && !anchor)) {
+    return (
+      <div className="flex justify-center items-center min-h-screen bg-white text-gray-600">
+        <FiLoader className="animate-spin text-2xl mr-3" /> Loading...
+      </div>
+    );
+  }
+
+  if (status === 'unauthenticated') {
+    return (
+      <div className="flex justify-center items-center min-h-screen bg-white text-gray-600">
+        Redirecting to login...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-screen bg-gray-50">
+      {/* Toolbar */}
+      <header className="flex flex-wrap items-center gap-2 border-b border-gray-200 bg-white px-4 py-2">
+        <button
+          onClick={() => setAnchor(DateTime.now().setZone(zone).startOf('day'))}
+          className="rounded-full border border-gray-300 px-3 py-1 text-sm text-gray-700 hover:bg-gray-100"
+        >
+          Today
+        </button>
+        <button onClick={() => setAnchor(shiftAnchor(view, anchor, -1))} className="p-1.5 rounded-full text-gray-600 hover:bg-gray-100" aria-label="Previous">
+          <FiChevronLeft />
+        </button>
+        <button onClick={() => setAnchor(shiftAnchor(view, anchor, 1))} className="p-1.5 rounded-full text-gray-600 hover:bg-gray-100" aria-label="Next">
+          <FiChevronRight />
+        </button>
+        <h1 className="text-lg font-medium text-gray-800">{formatViewTitle(view, anchor)}</h1>
+        {isLoading && <FiLoader className="animate-spin text-gray-500" />}
+        <span className="text-xs text-gray-400">{zone}</span>
+
+        <div className="ml-auto flex items-center gap-2">
+          <div className="flex rounded-full border border-gray-300 overflow-hidden text-sm" role="group" aria-label="View">
+            {CALENDAR_VIEWS.map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 capitalize ${view === option ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          <Link href="/chat" className="inline-flex items-center rounded-full px-3 py-1 text-sm text-blue-600 hover:bg-blue-50">
+            <FiMessageSquare className="mr-1" /> Chat
+          </Link>
+        </div>
+      </header>
+
+      {error && (
+        <div className="flex items-center justify-between bg-red-50 px-4 py-2 text-sm text-red-700">
+          <span>Could not load your events: {error}</span>
+          <button onClick={loadEvents} className="underline">Retry</button>
+        </div>
+      )}
+
+      <div className="flex flex-grow min-h-0">
+        <main className="flex-grow min-w-0">
+          {view === 'month' ? (
+            <CalendarMonthGrid
+              days={range.days}
+              month={anchor}
+              events={events}
+              zone={zone}
+              selection={selection}
+              onSelectEvent={selectEvent}
+              onSelectRange={selectRange}
+              onOpenDay={openDay}
+            />
+          ) : (
+            <CalendarTimeGrid
+              days={range.days}
+              events={events}
+              zone={zone}
+              selection={selection}
+              onSelectEvent={selectEvent}
+              onSelectRange={selectRange}
+            />
+          )}
+        </main>
+        <CalendarSidePanel
+          selection={selection}
+          zone={zone}
+          onClose={() => setSelection(null)}
+          onCalendarChanged={loadEvents}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CalendarPage;
+
+// Same authentication check as the chat page
+export async function getServerSideProps(context) {
+  const session = await getServerSession(context.req, context.res, authOptions);
+
+  if (!session || session.error === "RefreshAccessTokenError") {
+    return {
+      redirect: {
+        destination: session?.error === "RefreshAccessTokenError" ? '/api/auth/signin' : '/',
+        permanent: false,
+      },
+    };
+  }
+
+  return { props: {} };
+}
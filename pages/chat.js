@@ -5,11 +5,14 @@ import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from './api/auth/[...nextauth]';
-import ChatMessage from './components/ChatMessage';
-import DateSeparator from './components/DateSeparator';
-import NotificationMessage from './components/NotificationMessage';
-import ResponsiveContainer from './components/ResponsiveContainer';
-import ProcessingCardStack from './components/ProcessingCardStack';
+import ChatMessage from '../components/ChatMessage';
+import DateSeparator from '../components/DateSeparator';
+import NotificationMessage from '../components/NotificationMessage';
+import ResponsiveContainer from '../components/ResponsiveContainer';
+import ProcessingCardStack from '../components/ProcessingCardStack';
+import ConversationSidebar from '../components/ConversationSidebar';
+import RescheduleTimePicker from '../components/RescheduleTimePicker';
+import { applyEventUpdates, getMoveUpdates, replaceEventInArtifacts, submitEventEdit } from '../utils/eventEditUtils';
 
 const Chat = () => {
   const { data: session, status } = useSession();
@@ -21,8 +24,13 @@ const Chat = () => {
   const chatAreaRef = useRef(null);
   const currentBotMessageIdRef = useRef(null);
   const eventSourceRef = useRef(null);
-  const [isFirstMessageSent, setIsFirstMessageSent] = useState(false);
+  // Conversation threads: null means the next message starts a new one
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [isLoadingConversations, setIsLoadingConversations] = useState(false);
   const [processingSteps, setProcessingSteps] = useState([]);
+  // The event card being dragged to a new time ({ messageId, event }), while the drag lasts
+  const [draggedCard, setDraggedCard] = useState(null);
   // Track completed processing steps for persistence (use localStorage to persist across page refreshes)
   const [completedProcessingSets, setCompletedProcessingSets] = useState([]);
   
@@ -56,6 +64,119 @@ const Chat = () => {
     }
   }, [status, router]);
 
+  // Report the browser's timezone once per login; the server only uses it if none is set yet
+  useEffect(() => {
+    if (status !== 'authenticated') return;
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!timezone) return;
+    fetch('/api/user/timezone', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timezone, source: 'browser' }),
+    }).catch(error => console.error('Failed to report timezone:', error));
+  }, [status]);
+
+  // --- Conversation Threads ---
+  const loadConversations = useCallback(async () => {
+    setIsLoadingConversations(true);
+    try {
+      const response = await fetch('/api/conversations');
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`);
+      setConversations(result.conversations || []);
+    } catch (loadError) {
+      console.error('Failed to load conversations:', loadError);
+    } finally {
+      setIsLoadingConversations(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (status === 'authenticated') loadConversations();
+  }, [status, loadConversations]);
+
+  // Moves a thread to the top of the list (new threads are added)
+  const touchConversation = (conversation) => {
+    setConversations(prev => [
+      { ...prev.find(conv => conv.conversationId === conversation.conversationId), ...conversation, updatedAt: new Date().toISOString() },
+      ...prev.filter(conv => conv.conversationId !== conversation.conversationId)
+    ]);
+  };
+
+  const startNewConversation = () => {
+    if (isLoading) return;
+    setActiveConversationId(null);
+    setMessages([]);
+    setProcessingSteps([]);
+    setError(null);
+    currentBotMessageIdRef.current = null;
+  };
+
+  const selectConversation = async (conversationId) => {
+    if (isLoading || conversationId === activeConversationId) return;
+    setError(null);
+    try {
+      const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`);
+
+      setMessages(result.messages.map(msg => {
+        const createdAt = new Date(msg.createdAt);
+        return {
+          id: `${msg.role === 'user' ? 'user' : 'bot'}-${msg.id}`,
+          text: msg.content,
+          sender: msg.role === 'user' ? 'user' : 'bot',
+          type: msg.role === 'user' ? 'user' : 'bot',
+          name: msg.role === 'user' ? (session?.user?.name || 'You') : 'Athena',
+          timestamp: createdAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+          date: createdAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+        };
+      }));
+      setActiveConversationId(conversationId);
+      setProcessingSteps([]);
+      currentBotMessageIdRef.current = null;
+    } catch (selectError) {
+      console.error('Failed to open conversation:', selectError);
+      setError('Could not open that conversation.');
+      if (/not found/i.test(selectError.message)) {
+        setConversations(prev => prev.filter(conv => conv.conversationId !== conversationId));
+      }
+    }
+  };
+
+  const renameConversation = async (conversationId, title) => {
+    try {
+      const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`);
+      setConversations(prev => prev.map(conv =>
+        conv.conversationId === conversationId ? { ...conv, title: result.conversation.title } : conv
+      ));
+    } catch (renameError) {
+      console.error('Failed to rename conversation:', renameError);
+      setError(`Could not rename the conversation: ${renameError.message}`);
+    }
+  };
+
+  const deleteConversation = async (conversationId) => {
+    try {
+      const response = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        const result = await response.json();
+        throw new Error(result.error || `Request failed (${response.status})`);
+      }
+      setConversations(prev => prev.filter(conv => conv.conversationId !== conversationId));
+      if (conversationId === activeConversationId) startNewConversation();
+    } catch (deleteError) {
+      console.error('Failed to delete conversation:', deleteError);
+      setError(`Could not delete the conversation: ${deleteError.message}`);
+    }
+  };
+
   // Function to add a notification message
   const addNotification = (text, icon = "🔔") => {
     const notification = {
@@ -228,9 +349,10 @@ const Chat = () => {
 
       const encodedMessage = encodeURIComponent(trimmedInput);
       let eventSourceUrl = `/api/chat-stream?message=${encodedMessage}&t=${Date.now()}`;
-      if (!isFirstMessageSent) {
+      if (activeConversationId) {
+        eventSourceUrl += `&conversationId=${encodeURIComponent(activeConversationId)}`;
+      } else {
         eventSourceUrl += '&startNew=true';
-        setIsFirstMessageSent(true);
       }
 
       const eventSource = new EventSource(eventSourceUrl);
@@ -262,6 +384,13 @@ const Chat = () => {
         try {
           const data = JSON.parse(event.data);
 
+          // The server says which thread this turn went to (a new one gets its ID and title here)
+          if (data.type === 'conversation') {
+            setActiveConversationId(data.conversation.conversationId);
+            touchConversation(data.conversation);
+            return;
+          }
+
           setMessages(prevMessages => {
             const targetMsgIndex = prevMessages.findIndex(msg => msg.id === currentBotMessageIdRef.current);
 
@@ -286,27 +415,44 @@ const Chat = () => {
                  // No need to update processingSteps here, handled by 'processing' type
                 break; // Ensure we don't fall through
 
-                case 'events':
-                  // Handle event data from the backend
-                  console.log('DEBUG EVENT CARDS: Received events message:', data);
-                  updatedMessages[targetMsgIndex] = {
-                    ...currentMsg,
-                    text: data.content || currentMsg.text,
-                    events: data.events, // Store the events data
-                    type: 'events', // Set the message type to 'events'
-                    isStreaming: false,
-                    isProcessing: false,
-                  };
-                  console.log('DEBUG EVENT CARDS: Updated message with events:', updatedMessages[targetMsgIndex]);
-                  break; // Ensure we don't fall through
+              case 'event_created':
+              case 'event_updated':
+              case 'event_deleted':
+              case 'events_listed':
+              case 'slots_suggested':
+              case 'conflict_detected': {
+                // A tool finished with a calendar outcome; the message renders a card for each
+                updatedMessages[targetMsgIndex] = {
+                  ...currentMsg,
+                  artifacts: [...(currentMsg.artifacts || []), data],
+                };
+                break;
+              }
+
+              case 'confirmation_required':
+                // A destructive tool is waiting for the user; show Confirm/Cancel on this message
+                updatedMessages[targetMsgIndex] = {
+                  ...currentMsg,
+                  pendingAction: { ...data.action, status: 'pending' },
+                };
+                break;
+
+              case 'undo_available':
+                // A tool changed the calendar; offer Undo for that change on this message
+                updatedMessages[targetMsgIndex] = {
+                  ...currentMsg,
+                  undos: [...(currentMsg.undos || []), { ...data.undo, status: 'available' }],
+                };
+                break;
 
               case 'processing':
                  console.log("Processing:", data.content);
                  handleProcessingStep(data);
                  // Update the message state to ensure isProcessing is true if it wasn't
+                 // Steps can arrive after text has started streaming; keep showing the text then
                  updatedMessages[targetMsgIndex] = {
                    ...currentMsg,
-                   isProcessing: true, // Ensure processing flag is true while steps are active
+                   isProcessing: !currentMsg.text, // Processing indicator only until text arrives
                    isStreaming: true, // Still streaming contextually
                  };
                  break; // Ensure we don't fall through
@@ -474,7 +620,161 @@ const Chat = () => {
       setProcessingSteps([]); // Clear steps
       // Don't clear completedProcessingSets to maintain persistence
     }
-  }, [input, isLoading, isFirstMessageSent, session?.user?.name]); // Dependencies updated
+  }, [input, isLoading, activeConversationId, session?.user?.name]); // Dependencies updated
+
+  // --- Pending Action Confirmation ---
+  const updatePendingAction = (actionId, changes) => {
+    setMessages(prev => prev.map(msg =>
+      msg.pendingAction?.actionId === actionId
+        ? { ...msg, pendingAction: { ...msg.pendingAction, ...changes } }
+        : msg
+    ));
+  };
+
+  const handleActionDecision = async (actionId, decision) => {
+    updatePendingAction(actionId, { status: 'submitting' });
+    try {
+      const response = await fetch('/api/actions/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ actionId, decision }),
+      });
+      const result = await response.json();
+
+      if (response.status === 410) {
+        updatePendingAction(actionId, { status: 'expired', resultMessage: result.error });
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+      }
+      updatePendingAction(actionId, { status: result.status, resultMessage: result.message });
+      if (result.undo || result.artifacts?.length) {
+        setMessages(prev => prev.map(msg =>
+          msg.pendingAction?.actionId === actionId
+            ? {
+                ...msg,
+                undos: result.undo ? [...(msg.undos || []), { ...result.undo, status: 'available' }] : msg.undos,
+                artifacts: [...(msg.artifacts || []), ...(result.artifacts || [])],
+              }
+            : msg
+        ));
+      }
+    } catch (decisionError) {
+      console.error('Error resolving pending action:', decisionError);
+      updatePendingAction(actionId, { status: 'failed', resultMessage: decisionError.message });
+    }
+  };
+
+  // --- Slot Picker ---
+  // Tracks a booking on the slot suggestions it came from (one booking per suggestion list)
+  const updateSlotBooking = (messageId, artifactIndex, bookingState) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId
+        ? { ...msg, artifacts: msg.artifacts.map((artifact, index) => (index === artifactIndex ? { ...artifact, bookingState } : artifact)) }
+        : msg
+    ));
+  };
+
+  const handleBookSlot = async (messageId, artifactIndex, booking, slot) => {
+    updateSlotBooking(messageId, artifactIndex, { status: 'booking', slotStart: slot.start });
+    try {
+      const response = await fetch('/api/actions/book-slot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ booking, start: slot.start, end: slot.end, conversationId: activeConversationId }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+      }
+      updateSlotBooking(messageId, artifactIndex, {
+        status: result.success ? 'booked' : 'failed',
+        slotStart: slot.start,
+        resultMessage: result.message,
+      });
+      // The new event (or the conflict that stopped it) shows as a card, with Undo
+      setMessages(prev => prev.map(msg =>
+        msg.id === messageId
+          ? {
+              ...msg,
+              artifacts: [...msg.artifacts, ...(result.artifacts || [])],
+              undos: result.undo ? [...(msg.undos || []), { ...result.undo, status: 'available' }] : msg.undos,
+            }
+          : msg
+      ));
+      if (result.success) loadConversations();
+    } catch (bookingError) {
+      console.error('Error booking slot:', bookingError);
+      updateSlotBooking(messageId, artifactIndex, { status: 'failed', slotStart: slot.start, resultMessage: bookingError.message });
+    }
+  };
+
+  // --- Event Card Edits ---
+  // Shows an event's new state on every card of it (the same event can be listed and updated)
+  const replaceEvent = (target, nextEvent) => {
+    setMessages(prev => prev.map(msg => {
+      if (!msg.artifacts) return msg;
+      const artifacts = replaceEventInArtifacts(msg.artifacts, target, nextEvent);
+      return artifacts === msg.artifacts ? msg : { ...msg, artifacts };
+    }));
+  };
+
+  // Edits are shown right away and rolled back if the server refuses them
+  const handleEditEvent = async (messageId, event, updates, options = {}) => {
+    const optimistic = applyEventUpdates(event, updates);
+    replaceEvent(event, optimistic);
+    const outcome = await submitEventEdit(event, updates, { ...options, conversationId: activeConversationId });
+    if (!outcome.success) {
+      replaceEvent(optimistic, event);
+      return outcome;
+    }
+    replaceEvent(optimistic, outcome.event);
+    if (outcome.undo) {
+      setMessages(prev => prev.map(msg =>
+        msg.id === messageId ? { ...msg, undos: [...(msg.undos || []), { ...outcome.undo, status: 'available' }] } : msg
+      ));
+    }
+    return outcome;
+  };
+
+  const handleDropOnTime = async (start) => {
+    const { messageId, event } = draggedCard;
+    setDraggedCard(null);
+    setError(null);
+    const outcome = await handleEditEvent(messageId, event, getMoveUpdates(event, start));
+    if (!outcome.success) {
+      setError(`Couldn't move "${event.summary || 'the event'}": ${outcome.message}`);
+    }
+  };
+
+  // --- Undo ---
+  const updateUndo = (batchId, changes) => {
+    setMessages(prev => prev.map(msg =>
+      msg.undos?.some(undo => undo.batchId === batchId)
+        ? { ...msg, undos: msg.undos.map(undo => (undo.batchId === batchId ? { ...undo, ...changes } : undo)) }
+        : msg
+    ));
+  };
+
+  const handleUndo = async (batchId) => {
+    updateUndo(batchId, { status: 'undoing' });
+    try {
+      const response = await fetch('/api/actions/undo', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ batchId }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed (${response.status})`);
+      }
+      updateUndo(batchId, { status: result.success ? 'undone' : 'failed', resultMessage: result.message });
+    } catch (undoError) {
+      console.error('Error undoing change:', undoError);
+      updateUndo(batchId, { status: 'failed', resultMessage: undoError.message });
+    }
+  };
 
   // --- Input Handling ---
   const handleInputChange = (e) => {
@@ -488,6 +788,15 @@ const Chat = () => {
     }
   };
 
+  // Opens the thread named in ?conversation= (the calendar page links here to continue a thread)
+  useEffect(() => {
+    const { conversation } = router.query;
+    if (status === 'authenticated' && typeof conversation === 'string') {
+      selectConversation(conversation);
+      router.replace('/chat', undefined, { shallow: true });
+    }
+  }, [status, router.query.conversation]);
+
   // --- Feature Card Click ---
    const handleCardClick = (prompt) => {
     setInput(prompt);
@@ -515,98 +824,124 @@ const Chat = () => {
   const processedMessages = groupMessagesByDate(messages);
 
   return (
-    <div className="flex flex-col h-screen bg-gray-50">
-      {/* Main Content Area */}
-      <main className="flex-grow overflow-y-auto scrollbar-thin" ref={chatAreaRef}>
-        <ResponsiveContainer className="py-4">
-          {/* Chat Messages */}
-          {processedMessages.map((msg, index) => {
-             // Check if *this* message is the bot message currently being processed/streamed
-             const isTargetBotMessage = msg.id === currentBotMessageIdRef.current;
-             // Find completed processing steps for this message (with fallback to empty array)
-             const completedStepsForMessage = completedProcessingSets.find(set => set.id === msg.id)?.steps || [];
+    <div className="flex h-screen bg-gray-50">
+      <ConversationSidebar
+        className="hidden md:flex"
+        conversations={conversations}
+        activeConversationId={activeConversationId}
+        isLoading={isLoadingConversations}
+        isBusy={isLoading}
+        onSelect={selectConversation}
+        onNewConversation={startNewConversation}
+        onRename={renameConversation}
+        onDelete={deleteConversation}
+      />
+      <div className="flex flex-col flex-grow min-w-0">
+        {/* Main Content Area */}
+        <main className="flex-grow overflow-y-auto scrollbar-thin" ref={chatAreaRef}>
+          <ResponsiveContainer className="py-4">
+            {/* Chat Messages */}
+            {processedMessages.map((msg, index) => {
+               // Check if *this* message is the bot message currently being processed/streamed
+               const isTargetBotMessage = msg.id === currentBotMessageIdRef.current;
+               // Find completed processing steps for this message (with fallback to empty array)
+               const completedStepsForMessage = completedProcessingSets.find(set => set.id === msg.id)?.steps || [];
              
-             // Always show processing steps after bot messages if they exist
-             // This ensures they stay visible in the chat
-             const showProcessingStepsAfterThis = msg.sender === 'bot' && (
-               // Either show active steps for current message or completed steps for any message
-               (isTargetBotMessage && isLoading && processingSteps.length > 0) || 
-               // Or show completed steps for any bot message (only if there are steps)
-               (completedStepsForMessage && completedStepsForMessage.length > 0)
-             );
-
-            return (
-              // Use message ID as key for stable identity, fallback for date separators
-              <React.Fragment key={msg.id || `fragment-${index}`}>
+               // Always show processing steps after bot messages if they exist
+               // This ensures they stay visible in the chat
+               const showProcessingStepsAfterThis = msg.sender === 'bot' && (
+                 // Either show active steps for current message or completed steps for any message
+                 (isTargetBotMessage && isLoading && processingSteps.length > 0) || 
+                 // Or show completed steps for any bot message (only if there are steps)
+                 (completedStepsForMessage && completedStepsForMessage.length > 0)
+               );
+
+              return (
+                // Use message ID as key for stable identity, fallback for date separators
+                <React.Fragment key={msg.id || `fragment-${index}`}>
                 
-                {/* Show processing cards BEFORE the message content so they appear above the response */}
-                {showProcessingStepsAfterThis && (
-                  <ProcessingCardStack
-                    processingSteps={isTargetBotMessage && isLoading ? processingSteps : completedStepsForMessage}
-                    isPersistent={!isTargetBotMessage || !isLoading}
-                    className="mt-2 mb-4 animate-fadeIn" // Add margin above and below the stack
-                  />
-                )}
-                {/* Render the actual message component */}
-                {(() => { // Use an IIFE for clean conditional rendering logic
-                  if (msg.type === 'date') {
-                    return <DateSeparator key={msg.id} date={msg.date} />;
-                  } else if (msg.type === 'notification') {
-                    return <NotificationMessage key={msg.id} text={msg.text} icon={msg.icon || "🔔"} />;
-                  } else {
-                    // Pass the message object to ChatMessage
-                    // ChatMessage can internally handle its appearance based on isStreaming, isProcessing etc.
-                    return <ChatMessage key={msg.id} message={msg} />;
-                  }
-                })()}
-              </React.Fragment>
-            );
-          })}
-
-          {/* Display Global Error (if not loading) */}
-          {error && !isLoading && (
-            <div className="flex justify-center py-4">
-              <div className="p-3 rounded-md bg-red-100 text-red-700 text-sm border border-red-200 max-w-md text-center">
-                {error}
+                  {/* Show processing cards BEFORE the message content so they appear above the response */}
+                  {showProcessingStepsAfterThis && (
+                    <ProcessingCardStack
+                      processingSteps={isTargetBotMessage && isLoading ? processingSteps : completedStepsForMessage}
+                      isPersistent={!isTargetBotMessage || !isLoading}
+                      className="mt-2 mb-4 animate-fadeIn" // Add margin above and below the stack
+                    />
+                  )}
+                  {/* Render the actual message component */}
+                  {(() => { // Use an IIFE for clean conditional rendering logic
+                    if (msg.type === 'date') {
+                      return <DateSeparator key={msg.id} date={msg.date} />;
+                    } else if (msg.type === 'notification') {
+                      return <NotificationMessage key={msg.id} text={msg.text} icon={msg.icon || "🔔"} />;
+                    } else {
+                      // Pass the message object to ChatMessage
+                      // ChatMessage can internally handle its appearance based on isStreaming, isProcessing etc.
+                      return (
+                        <ChatMessage
+                          key={msg.id}
+                          message={msg}
+                          onActionDecision={handleActionDecision}
+                          onUndo={handleUndo}
+                          onBookSlot={handleBookSlot}
+                          onEditEvent={handleEditEvent}
+                          onDragEvent={setDraggedCard}
+                        />
+                      );
+                    }
+                  })()}
+                </React.Fragment>
+              );
+            })}
+
+            {/* Display Global Error (if not loading) */}
+            {error && !isLoading && (
+              <div className="flex justify-center py-4">
+                <div className="p-3 rounded-md bg-red-100 text-red-700 text-sm border border-red-200 max-w-md text-center">
+                  {error}
+                </div>
               </div>
+            )}
+          </ResponsiveContainer>
+        </main>
+
+        {/* Drop target while an event card is dragged to a new time */}
+        {draggedCard && <RescheduleTimePicker event={draggedCard.event} onPick={handleDropOnTime} />}
+
+        {/* Input Footer */}
+        <footer className="flex-shrink-0 p-3 md:p-4 bg-white border-t border-gray-200 z-10">
+          <ResponsiveContainer>
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Ask Athena about your calendar..." // More specific placeholder
+                value={input}
+                onChange={handleInputChange}
+                onKeyDown={handleKeyDown}
+                disabled={isLoading} // Disable input while loading/streaming
+                className="w-full bg-white border border-gray-300 rounded-full py-3 pl-4 pr-12 text-gray-700 placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-60 transition-all"
+                aria-label="Chat input"
+              />
+              <button
+                onClick={sendMessage}
+                disabled={isLoading || !input.trim()} // Disable button if loading or input empty
+                className={`absolute right-2 top-1/2 transform -translate-y-1/2 p-2 rounded-full text-white transition-all duration-200 ease-in-out ${
+                  isLoading || !input.trim()
+                    ? 'bg-gray-400 cursor-not-allowed'
+                    : 'bg-blue-600 hover:bg-blue-700'
+                }`}
+                aria-label="Send message"
+              >
+                {isLoading ? (
+                  <FiLoader className="animate-spin h-5 w-5" />
+                ) : (
+                  <FiSend className="h-5 w-5" />
+                )}
+              </button>
             </div>
-          )}
-        </ResponsiveContainer>
-      </main>
-
-      {/* Input Footer */}
-      <footer className="flex-shrink-0 p-3 md:p-4 bg-white border-t border-gray-200 z-10">
-        <ResponsiveContainer>
-          <div className="relative">
-            <input
-              type="text"
-              placeholder="Ask Athena about your calendar..." // More specific placeholder
-              value={input}
-              onChange={handleInputChange}
-              onKeyDown={handleKeyDown}
-              disabled={isLoading} // Disable input while loading/streaming
-              className="w-full bg-white border border-gray-300 rounded-full py-3 pl-4 pr-12 text-gray-700 placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-60 transition-all"
-              aria-label="Chat input"
-            />
-            <button
-              onClick={sendMessage}
-              disabled={isLoading || !input.trim()} // Disable button if loading or input empty
-              className={`absolute right-2 top-1/2 transform -translate-y-1/2 p-2 rounded-full text-white transition-all duration-200 ease-in-out ${
-                isLoading || !input.trim()
-                  ? 'bg-gray-400 cursor-not-allowed'
-                  : 'bg-blue-600 hover:bg-blue-700'
-              }`}
-              aria-label="Send message"
-            >
-              {isLoading ? (
-                <FiLoader className="animate-spin h-5 w-5" />
-              ) : (
-                <FiSend className="h-5 w-5" />
-              )}
-            </button>
-          </div>
-        </ResponsiveContainer>
-      </footer>
+          </ResponsiveContainer>
+        </footer>
+      </div>
     </div>
   );
 };
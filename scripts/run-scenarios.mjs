@@ -0,0 +1,342 @@
+// scripts/run-scenarios.mjs
+// Purpose: Runs the end-to-end scenarios in tests/scenarios through chat(): seeds the
+//          in-memory calendar, sends each user turn with a scripted model (the mock LLM
+//          provider), then checks the SSE events, the resulting calendar, the
+//          ConversationMessage rows and saved preferences.
+//
+//          No network access is needed: Google and OpenAI are replaced by the in-memory
+//          backends. A local Postgres (database SCENARIO_POSTGRES_DB, default
+//          gcalendarapp_test) and Redis are still used, as in the app.
+//
+// Usage:   npm run test:scenarios [-- <name filter>] [--verbose] [--skip-unavailable]
+//          Without Postgres or Redis the run stops before any scenario with a message saying
+//          which to start, and fails. --skip-unavailable (used by npm test) skips the scenarios
+//          instead, except when CI is set: a CI run must never pass without running them.
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Must be set before the app modules load (they read these at import time)
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CALENDAR_WEBHOOK_URL = '';
+process.env.CALENDAR_MEMORY_FILE = '';
+process.env.POSTGRES_DB = process.env.SCENARIO_POSTGRES_DB || 'gcalendarapp_test';
+
+const SCENARIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'tests', 'scenarios');
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const skipUnavailable = args.includes('--skip-unavailable') && !process.env.CI;
+const filter = args.find(arg => !arg.startsWith('--'));
+const STORE_CHECK_TIMEOUT_MS = 2000;
+
+// True if something accepts TCP connections at host:port
+function canConnect(host, port) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port: Number(port) });
+    const done = reachable => {
+      socket.destroy();
+      resolve(reachable);
+    };
+    socket.setTimeout(STORE_CHECK_TIMEOUT_MS, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+// Postgres and Redis have no in-memory stand-ins; check them before the app modules connect,
+// rather than failing every scenario with ECONNREFUSED
+await import('dotenv/config');
+const stores = [
+  { name: 'Postgres', host: process.env.POSTGRES_HOST || 'localhost', port: process.env.POSTGRES_PORT || 5432 },
+  { name: 'Redis', host: process.env.REDIS_HOST || 'localhost', port: process.env.REDIS_PORT || 6379 }
+];
+const unavailable = [];
+for (const store of stores) {
+  if (!(await canConnect(store.host, store.port))) unavailable.push(`${store.name} (${store.host}:${store.port})`);
+}
+if (unavailable.length > 0) {
+  const message = `Scenarios need a running ${unavailable.join(' and ')}. Start ${unavailable.length > 1 ? 'them' : 'it'}, ` +
+    'or set POSTGRES_HOST/POSTGRES_PORT and REDIS_HOST/REDIS_PORT to where they run (see TESTING.md).';
+  const scenarioCount = fs.readdirSync(SCENARIO_DIR).filter(file => /\.(ya?ml|json)$/.test(file)).length;
+  if (skipUnavailable) {
+    console.log(`SKIPPED: 0 of ${scenarioCount} scenarios ran. ${message}`);
+    process.exit(0);
+  }
+  console.error(`FAILED: 0 of ${scenarioCount} scenarios ran. ${message}`);
+  if (args.includes('--skip-unavailable')) console.error('CI is set, so the scenarios are not skipped.');
+  process.exit(1);
+}
+
+// The app logs every step; keep the output to the scenario results unless asked
+const originalLog = console.log;
+if (!verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.info = () => {};
+}
+const report = (...parts) => originalLog(...parts);
+
+const { default: YAML } = await import('yaml');
+const { DateTime } = await import('luxon');
+const { default: chat, resolvePendingAction } = await import('../lib/chatbot.js');
+const {
+  sequelize,
+  initializeDatabase,
+  getOrCreateUser,
+  User,
+  UserPreference,
+  Conversation,
+  ConversationMessage
+} = await import('../lib/postgresClient.js');
+const { createMockProvider, setLLMProvider, expandPlaceholders } = await import('../lib/services/openaiService.js');
+const { saveUserTimezone } = await import('../lib/tools/userTimezone.js');
+const memoryCalendar = await import('../memoryCalendar.js');
+const { seedMemoryCalendar, resetMemoryCalendar, getMemoryCalendarEvents } = memoryCalendar.default || memoryCalendar;
+
+// --- Matching ---
+
+/**
+ * Checks that `actual` contains everything in `expected`. Objects match by subset,
+ * arrays element by element, and strings when the actual value contains them
+ * (case-insensitive).
+ * @param {*} actual - Value produced by the app
+ * @param {*} expected - Value from the scenario
+ * @returns {boolean} - True if it matches
+ */
+function matches(actual, expected) {
+  if (expected === null || expected === undefined) return actual === expected;
+  if (typeof expected === 'string') {
+    return actual != null && String(actual).toLowerCase().includes(expected.toLowerCase());
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every((item, index) => matches(actual[index], item));
+  }
+  if (typeof expected === 'object') {
+    return actual != null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => matches(actual[key], value));
+  }
+  return actual === expected;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+// --- Expectations ---
+
+// Checks one turn's SSE events, streamed reply, tool results and model input
+function checkTurn(turnExpect, turnResult, failures, label) {
+  if (!turnExpect) return;
+  const { chunks, reply, modelRequests, outcome } = turnResult;
+
+  if (turnExpect.reply !== undefined && !matches(reply, turnExpect.reply)) {
+    failures.push(`${label}: reply ${describe(reply)} does not contain ${describe(turnExpect.reply)}`);
+  }
+  for (const expected of turnExpect.sse || []) {
+    if (!chunks.some(chunk => matches(chunk, expected))) {
+      failures.push(`${label}: no SSE event matching ${describe(expected)} (got types ${describe(chunks.map(chunk => chunk.type))})`);
+    }
+  }
+  for (const unexpected of turnExpect.noSse || []) {
+    if (chunks.some(chunk => matches(chunk, unexpected))) {
+      failures.push(`${label}: unexpected SSE event matching ${describe(unexpected)}`);
+    }
+  }
+
+  // Tool results are what the model is sent on the call after the tools ran
+  const toolMessages = modelRequests.flatMap(request => request.messages.filter(msg => msg.role === 'tool'));
+  for (const expected of turnExpect.toolResults || []) {
+    if (!toolMessages.some(msg => matches(msg.content, expected))) {
+      failures.push(`${label}: no tool result containing ${describe(expected)}`);
+    }
+  }
+
+  if (turnExpect.modelInput) {
+    const firstRequest = modelRequests[0]?.messages || [];
+    const text = firstRequest.map(msg => msg.content || '').join('\n');
+    for (const expected of turnExpect.modelInput.contains || []) {
+      if (!matches(text, expected)) failures.push(`${label}: model input does not contain ${describe(expected)}`);
+    }
+    if (turnExpect.modelInput.roles && !matches(firstRequest.map(msg => msg.role), turnExpect.modelInput.roles)) {
+      failures.push(`${label}: model input roles ${describe(firstRequest.map(msg => msg.role))} do not match ${describe(turnExpect.modelInput.roles)}`);
+    }
+  }
+
+  if (turnExpect.outcome && !matches(outcome, turnExpect.outcome)) {
+    failures.push(`${label}: outcome ${describe(outcome)} does not match ${describe(turnExpect.outcome)}`);
+  }
+}
+
+// Checks the calendar, stored messages and preferences after all turns
+async function checkFinalState(scenarioExpect, context, failures) {
+  if (!scenarioExpect) return;
+
+  for (const [calendarId, expected] of Object.entries(scenarioExpect.calendar || {})) {
+    const events = getMemoryCalendarEvents(context.accessToken, calendarId);
+    if (expected.count !== undefined && events.length !== expected.count) {
+      failures.push(`calendar ${calendarId}: expected ${expected.count} events, found ${events.length} (${describe(events.map(event => event.summary))})`);
+    }
+    for (const wanted of expected.contains || []) {
+      if (!events.some(event => matches(event, wanted))) failures.push(`calendar ${calendarId}: no event matching ${describe(wanted)}`);
+    }
+    for (const unwanted of expected.notContains || []) {
+      if (events.some(event => matches(event, unwanted))) failures.push(`calendar ${calendarId}: unexpected event matching ${describe(unwanted)}`);
+    }
+  }
+
+  if (scenarioExpect.messages) {
+    const rows = await ConversationMessage.findAll({
+      include: [{ model: Conversation, where: { user_id: context.user.user_id }, attributes: [] }],
+      order: [['created_at', 'ASC'], ['sequence_number', 'ASC']]
+    });
+    const roles = rows.map(row => row.role);
+    const expected = scenarioExpect.messages;
+    if (expected.count !== undefined && rows.length !== expected.count) {
+      failures.push(`messages: expected ${expected.count} rows, found ${rows.length} (${describe(roles)})`);
+    }
+    if (expected.roles && describe(roles) !== describe(expected.roles)) {
+      failures.push(`messages: roles ${describe(roles)} do not equal ${describe(expected.roles)}`);
+    }
+    for (const wanted of expected.contains || []) {
+      if (!rows.some(row => matches(row.get({ plain: true }), wanted))) failures.push(`messages: no row matching ${describe(wanted)}`);
+    }
+  }
+
+  if (scenarioExpect.preferences) {
+    const preference = await UserPreference.findOne({ where: { user_id: context.user.user_id } });
+    if (!matches(preference?.preferences_data, scenarioExpect.preferences)) {
+      failures.push(`preferences: ${describe(preference?.preferences_data)} do not match ${describe(scenarioExpect.preferences)}`);
+    }
+  }
+}
+
+// --- Running ---
+
+function loadScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(file => /\.(ya?ml|json)$/.test(file))
+    .sort()
+    .map(file => {
+      const text = fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8');
+      const scenario = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+      return { file, ...scenario };
+    })
+    .filter(scenario => !filter || scenario.file.includes(filter) || scenario.name?.includes(filter));
+}
+
+/**
+ * Runs one scenario and returns its failures
+ * @param {Object} rawScenario - Parsed scenario file
+ * @returns {Array<string>} - Failure messages (empty if it passed)
+ */
+async function runScenario(rawScenario) {
+  const slug = path.basename(rawScenario.file).replace(/\.[^.]+$/, '').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+  const timezone = rawScenario.user?.timezone || 'UTC';
+  const scenario = expandPlaceholders(rawScenario, DateTime.now().setZone(timezone));
+  const email = scenario.user?.email || `${slug}@scenarios.local`;
+  const accessToken = `scenario-token-${slug}`;
+  const failures = [];
+
+  // Fresh user, conversation history and calendar for every run
+  await User.destroy({ where: { email } });
+  const user = await getOrCreateUser(email, scenario.user?.name || slug, 'google', email);
+  await saveUserTimezone(user.user_id, timezone, 'user');
+  resetMemoryCalendar();
+  seedMemoryCalendar({
+    accounts: {
+      [accessToken]: { email, timeZone: timezone, ...(scenario.calendar || {}) },
+      ...(scenario.otherAccounts || {})
+    }
+  });
+
+  const provider = createMockProvider([]);
+  let modelRequests = [];
+  setLLMProvider({
+    name: 'scenario',
+    async streamChat(params, onContentDelta) {
+      modelRequests.push(JSON.parse(JSON.stringify(params)));
+      return provider.streamChat(params, onContentDelta);
+    }
+  });
+
+  let lastPendingAction = null;
+  const context = { user, accessToken };
+
+  for (const [index, turn] of (scenario.turns || []).entries()) {
+    const label = `turn ${index + 1}`;
+    const chunks = [];
+    modelRequests = [];
+    let outcome = null;
+
+    if (turn.user !== undefined) {
+      provider.setScript([{ steps: turn.model || [] }]);
+      await chat(turn.user, email, accessToken, chunk => chunks.push(chunk), turn.newConversation === true);
+    } else if (turn.confirm !== undefined) {
+      if (!lastPendingAction) {
+        failures.push(`${label}: nothing is awaiting confirmation`);
+        continue;
+      }
+      outcome = await resolvePendingAction(user.user_id, lastPendingAction.actionId, turn.confirm ? 'confirm' : 'cancel', accessToken);
+      lastPendingAction = null;
+    } else {
+      failures.push(`${label}: a turn needs either "user" or "confirm"`);
+      continue;
+    }
+
+    const pending = chunks.filter(chunk => chunk.type === 'confirmation_required').pop();
+    if (pending) lastPendingAction = pending.action;
+
+    const reply = chunks.filter(chunk => chunk.type === 'content').map(chunk => chunk.content).join('');
+    const stepsUsed = modelRequests.length;
+    const stepsScripted = (turn.model || []).length;
+    if (turn.user !== undefined && stepsUsed < stepsScripted) {
+      failures.push(`${label}: only ${stepsUsed} of ${stepsScripted} scripted model steps were used`);
+    }
+    checkTurn(turn.expect, { chunks, reply, modelRequests, outcome }, failures, label);
+  }
+
+  await checkFinalState(scenario.expect, context, failures);
+  return failures;
+}
+
+async function main() {
+  const scenarios = loadScenarios();
+  if (scenarios.length === 0) {
+    report(`No scenarios found in ${SCENARIO_DIR}${filter ? ` matching "${filter}"` : ''}.`);
+    return 1;
+  }
+
+  await initializeDatabase();
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let failures;
+    try {
+      failures = await runScenario(scenario);
+    } catch (error) {
+      failures = [`threw: ${error.stack || error.message}`];
+    }
+    if (failures.length === 0) {
+      report(`✓ ${scenario.name || scenario.file}`);
+    } else {
+      failed += 1;
+      report(`✗ ${scenario.name || scenario.file} (${scenario.file})`);
+      failures.forEach(failure => report(`    - ${failure}`));
+    }
+  }
+
+  report(`\n${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0 ? 0 : 1;
+}
+
+main()
+  .then(async code => {
+    await sequelize.close().catch(() => {});
+    process.exit(code);
+  })
+  .catch(error => {
+    report('Scenario run failed:', error);
+    process.exit(1);
+  });
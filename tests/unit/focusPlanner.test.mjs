@@ -0,0 +1,79 @@
+// tests/unit/focusPlanner.test.mjs
+// Focus block planning and weekly focus status (lib/tools/focusPlanner.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { DEFAULT_CONSTRAINTS } from '../../lib/tools/schedulingConstraints.js';
+import { planFocusBlocks, summarizeFocusWeek } from '../../lib/tools/focusPlanner.js';
+
+const ZONE = 'America/Chicago';
+// Monday 19 October 2026; working hours default to 9-5 on weekdays
+const at = (time, date = '2026-10-19') => DateTime.fromISO(`${date}T${time}`, { zone: ZONE });
+const times = blocks => blocks.map(block => `${block.start.toFormat('ccc HH:mm')}-${block.end.toFormat('HH:mm')}`);
+
+const settings = { minBlockMinutes: 120, maxBlockMinutes: 240 };
+// Monday's free gaps: 9-10 (1h), 11-2 (3h) and 2:30-5 (2.5h)
+const mondayBusy = [
+  { start: at('10:00'), end: at('11:00') },
+  { start: at('14:00'), end: at('14:30') }
+];
+const planMonday = remainingMinutes => planFocusBlocks({
+  remainingMinutes,
+  from: at('09:00'),
+  until: at('17:00'),
+  busy: mondayBusy,
+  constraints: DEFAULT_CONSTRAINTS,
+  settings
+});
+
+test('blocks go into the largest free gaps first and come back in time order', () => {
+  const { blocks, shortMinutes } = planMonday(300);
+  assert.deepEqual(times(blocks), ['Mon 11:00-14:00', 'Mon 14:30-16:30']);
+  assert.equal(shortMinutes, 0);
+});
+
+test('gaps shorter than the minimum block are left alone and the rest is reported short', () => {
+  const { blocks, shortMinutes } = planMonday(400);
+  assert.deepEqual(times(blocks), ['Mon 11:00-14:00', 'Mon 14:30-17:00']);
+  assert.equal(shortMinutes, 70);
+});
+
+test('the last block runs past the target to reach the minimum length', () => {
+  const { blocks, shortMinutes } = planMonday(30);
+  assert.deepEqual(times(blocks), ['Mon 11:00-13:00']);
+  assert.equal(shortMinutes, 0);
+});
+
+test('blocks are capped at the maximum length, so the next one goes into the larger gap left', () => {
+  const { blocks } = planFocusBlocks({
+    remainingMinutes: 480,
+    from: at('09:00'),
+    until: at('17:00', '2026-10-20'),
+    busy: [],
+    constraints: DEFAULT_CONSTRAINTS,
+    settings
+  });
+  // Monday and Tuesday tie at 8h, so Monday goes first; Tuesday's 8h then beats Monday's 4h left
+  assert.deepEqual(times(blocks), ['Mon 09:00-13:00', 'Tue 09:00-13:00']);
+});
+
+test('the week summary counts intact blocks as booked and the past part of them as done', () => {
+  const blocks = [
+    { eventId: 'mon', start: at('09:00'), end: at('11:00') },
+    { eventId: 'tue', start: at('09:00', '2026-10-20'), end: at('11:00', '2026-10-20') }
+  ];
+  const busy = [{ start: at('10:00', '2026-10-20'), end: at('10:30', '2026-10-20'), summary: 'Standup' }];
+  const status = summarizeFocusWeek(blocks, busy, { weeklyHours: 4 }, at('10:00'));
+
+  assert.equal(status.targetMinutes, 240);
+  assert.equal(status.bookedMinutes, 120);
+  assert.equal(status.doneMinutes, 60);
+  assert.equal(status.shortMinutes, 120);
+  assert.deepEqual(status.blocks.map(block => block.interruptedBy), [[], ['Standup']]);
+});
+
+test('without a weekly target nothing is short', () => {
+  const status = summarizeFocusWeek([], [], { weeklyHours: null }, at('10:00'));
+  assert.equal(status.targetMinutes, 0);
+  assert.equal(status.shortMinutes, 0);
+});
@@ -0,0 +1,159 @@
+// tests/unit/historyService.test.mjs
+// Turn grouping and folding older turns into the running summary (lib/services/historyService.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLLMProvider } from '../../lib/services/openaiService.js';
+import { groupIntoTurns, prepareConversationHistory } from '../../lib/services/historyService.js';
+
+let sequence = 0;
+const entry = message => ({ sequence: ++sequence, message });
+
+// A user request, the tool call it led to, the tool's result and (unless cut short) Athena's reply
+function toolTurn(n, { resultChars = 40, reply = true } = {}) {
+  const callId = `call-${n}`;
+  return [
+    entry({ role: 'user', content: `Find event ${n}` }),
+    entry({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: callId, type: 'function', function: { name: 'getCalendarEvents', arguments: `{"n":${n}}` } }]
+    }),
+    entry({ role: 'tool', tool_call_id: callId, content: 'x'.repeat(resultChars) }),
+    ...(reply ? [entry({ role: 'assistant', content: `Here is event ${n}` })] : [])
+  ];
+}
+
+// Stands in for a Conversation row, recording the updates it is asked to save
+function conversationWith(summary = null) {
+  return {
+    conversation_id: 'conversation-1',
+    summary,
+    updates: [],
+    async update(fields) {
+      this.updates.push(fields);
+    }
+  };
+}
+
+// A model that answers each summarization call with "Summary <n>" and remembers the requests
+function summarizingProvider() {
+  const requests = [];
+  return {
+    name: 'test',
+    requests,
+    async streamChat(request) {
+      requests.push(request);
+      return { content: `Summary ${requests.length}` };
+    }
+  };
+}
+
+beforeEach(() => {
+  sequence = 0;
+  process.env.HISTORY_KEEP_TURNS = '2';
+  process.env.HISTORY_MAX_TOKENS = '100000';
+});
+
+test('a turn holds the user message, the tool calls and their results; earlier entries join the first turn', () => {
+  const entries = [entry({ role: 'assistant', content: 'Hello!' }), ...toolTurn(1), ...toolTurn(2, { reply: false })];
+  const turns = groupIntoTurns(entries);
+
+  assert.deepEqual(turns.map(turn => turn.entries.length), [5, 3]);
+  assert.deepEqual(turns.map(turn => turn.lastSequence), [5, 8]);
+  for (const turn of turns) {
+    const callIds = turn.entries.flatMap(({ message }) => (message.tool_calls || []).map(call => call.id));
+    const resultIds = turn.entries.filter(({ message }) => message.role === 'tool').map(({ message }) => message.tool_call_id);
+    assert.deepEqual(resultIds, callIds);
+  }
+});
+
+test('nothing is folded while the history is short and within budget', async () => {
+  const provider = summarizingProvider();
+  setLLMProvider(provider);
+  const conversation = conversationWith();
+  const entries = [...toolTurn(1), ...toolTurn(2)];
+
+  const { messages, summary } = await prepareConversationHistory(conversation, entries);
+  assert.equal(messages.length, entries.length);
+  assert.equal(summary, null);
+  assert.equal(provider.requests.length, 0);
+  assert.deepEqual(conversation.updates, []);
+});
+
+test('when the budget ends inside a tool call and its result, the whole turn is kept or folded', async () => {
+  const provider = summarizingProvider();
+  setLLMProvider(provider);
+  // Only part of the last turn fits, which would leave a tool result without its call
+  process.env.HISTORY_MAX_TOKENS = '100';
+  const conversation = conversationWith();
+  const entries = [...toolTurn(1), ...toolTurn(2, { reply: false }), ...toolTurn(3, { resultChars: 2000 })];
+
+  const { messages, summary } = await prepareConversationHistory(conversation, entries);
+  assert.deepEqual(messages, entries.slice(7).map(({ message }) => message));
+  assert.equal(messages[0].role, 'user');
+  assert.equal(summary, 'Summary 1');
+
+  // The folded turns go to the model whole, each call next to its result
+  const transcript = provider.requests[0].messages[1].content;
+  assert.match(transcript, /\[Athena called getCalendarEvents\] \{"n":2\}\n\[Tool result\] x+$/);
+});
+
+test('summarized_through advances to the last message of the last folded turn', async () => {
+  setLLMProvider(summarizingProvider());
+  const conversation = conversationWith();
+  // Seven turns is more than the two kept plus the batch of four, so the first five fold
+  const entries = [1, 2, 3, 4].flatMap(n => toolTurn(n)).concat(toolTurn(5, { reply: false }), toolTurn(6), toolTurn(7));
+  const lastFolded = entries.filter(({ message }) => message.role === 'tool').at(4);
+
+  await prepareConversationHistory(conversation, entries);
+  assert.equal(conversation.updates.length, 1);
+  assert.deepEqual(conversation.updates[0], { summary: 'Summary 1', summarized_through: lastFolded.sequence });
+});
+
+test('a long backlog is summarized in several calls that never split a turn', async () => {
+  const provider = summarizingProvider();
+  setLLMProvider(provider);
+  const conversation = conversationWith('Earlier: booked the dentist');
+  // Each turn is about 2000 tokens, so only a few fit one summarization call
+  const entries = Array.from({ length: 12 }, (_, i) => toolTurn(i + 1, { resultChars: 8000 })).flat();
+
+  const { summary } = await prepareConversationHistory(conversation, entries);
+  assert.ok(provider.requests.length > 1);
+  assert.equal(summary, `Summary ${provider.requests.length}`);
+
+  provider.requests.forEach((request, i) => {
+    const input = request.messages[1].content;
+    const transcript = input.split('New messages:\n')[1];
+    assert.ok(transcript.startsWith('[User] '), `call ${i + 1} starts mid-turn`);
+    assert.equal(transcript.match(/\[Athena called /g).length, transcript.match(/\[Tool result\] /g).length);
+    // Each call builds on the summary so far
+    assert.ok(input.includes(`Earlier summary:\n${i === 0 ? 'Earlier: booked the dentist' : `Summary ${i}`}`));
+  });
+});
+
+test('when the model call fails, the summary falls back to the requests and replies', async () => {
+  setLLMProvider({
+    name: 'failing',
+    async streamChat() {
+      throw new Error('model unavailable');
+    }
+  });
+  const conversation = conversationWith('Earlier: booked the dentist');
+  const entries = Array.from({ length: 7 }, (_, i) => toolTurn(i + 1)).flat();
+
+  const originalError = console.error;
+  console.error = () => {};
+  let summary;
+  try {
+    ({ summary } = await prepareConversationHistory(conversation, entries));
+  } finally {
+    console.error = originalError;
+  }
+
+  const lines = summary.split('\n');
+  assert.equal(lines[0], 'Earlier: booked the dentist');
+  assert.deepEqual(lines.slice(1, 3), ['User: Find event 1', 'Athena: Here is event 1']);
+  assert.equal(lines.length, 1 + 5 * 2);
+  assert.ok(!summary.includes('xxxx'), 'tool results are left out');
+  assert.equal(conversation.updates[0].summary, summary);
+});
@@ -0,0 +1,50 @@
+// tests/unit/recurrenceUtils.test.mjs
+// Splitting and describing recurrence rules (lib/tools/recurrenceUtils.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeRecurrence, remainingRecurrence, truncateRecurrenceBefore } from '../../lib/tools/recurrenceUtils.js';
+
+const EXDATE = 'EXDATE;TZID=America/Chicago:20261026T090000';
+
+test('a timed series ends one second before the occurrence, in UTC, replacing its COUNT', () => {
+  const truncated = truncateRecurrenceBefore(['RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=10', EXDATE], '2026-11-02T09:00:00-06:00');
+  assert.deepEqual(truncated, ['RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261102T145959Z', EXDATE]);
+});
+
+test('an all-day series ends on the day before the occurrence, as a DATE', () => {
+  assert.deepEqual(
+    truncateRecurrenceBefore(['RRULE:FREQ=DAILY;UNTIL=20261231'], '2026-11-02'),
+    ['RRULE:FREQ=DAILY;UNTIL=20261101']
+  );
+  // The day comes from the date itself, so the server's timezone can't shift it
+  assert.deepEqual(
+    truncateRecurrenceBefore(['RRULE:FREQ=WEEKLY;BYDAY=MO'], '2026-11-02'),
+    ['RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20261101']
+  );
+});
+
+test('an unreadable occurrence start is an error', () => {
+  assert.throws(() => truncateRecurrenceBefore(['RRULE:FREQ=DAILY'], 'next week'), /Invalid occurrence start/);
+});
+
+test('the following part of a split keeps the occurrences the original did not use', () => {
+  assert.deepEqual(remainingRecurrence(['RRULE:FREQ=WEEKLY;COUNT=10', EXDATE], 4), ['RRULE:FREQ=WEEKLY;COUNT=6', EXDATE]);
+  assert.deepEqual(remainingRecurrence(['RRULE:FREQ=WEEKLY;COUNT=3'], 5), ['RRULE:FREQ=WEEKLY;COUNT=1']);
+});
+
+test('UNTIL-bounded and endless rules carry over unchanged', () => {
+  assert.deepEqual(remainingRecurrence(['RRULE:FREQ=DAILY;UNTIL=20261231T235959Z'], 4), ['RRULE:FREQ=DAILY;UNTIL=20261231T235959Z']);
+  assert.deepEqual(remainingRecurrence(['RRULE:FREQ=DAILY'], 4), ['RRULE:FREQ=DAILY']);
+});
+
+test('descriptions cover interval, days, count and both forms of UNTIL', () => {
+  assert.equal(describeRecurrence(['RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5']), 'every 2 weekly on MO,WE, 5 times');
+  assert.equal(describeRecurrence(['RRULE:FREQ=MONTHLY;BYMONTHDAY=15']), 'monthly on day 15');
+  assert.equal(describeRecurrence([EXDATE, 'RRULE:FREQ=DAILY;UNTIL=20261101T145959Z']), 'daily until 2026-11-01');
+  assert.equal(describeRecurrence(['RRULE:FREQ=DAILY;UNTIL=20261101']), 'daily until 2026-11-01');
+});
+
+test('no RRULE gives no description', () => {
+  assert.equal(describeRecurrence([EXDATE]), '');
+  assert.equal(describeRecurrence(undefined), '');
+});
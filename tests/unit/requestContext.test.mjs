@@ -0,0 +1,111 @@
+// tests/unit/requestContext.test.mjs
+// Typed tool outcome payloads the chat cards render from (lib/services/requestContext.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectToolArtifacts, createRequestContext, toolOutcomePayloads } from '../../lib/services/requestContext.js';
+
+const googleEvent = {
+  id: 'evt-1',
+  summary: 'Design review',
+  start: { dateTime: '2026-10-20T10:00:00-04:00' },
+  end: { dateTime: '2026-10-20T11:00:00-04:00' },
+  htmlLink: 'https://calendar.google.com/event?eid=evt-1'
+};
+const slot = { start: '2026-10-21T14:00:00-04:00', end: '2026-10-21T15:00:00-04:00', score: 42 };
+const conflict = {
+  conflict: true,
+  summary: 'Design review',
+  start: '2026-10-20T10:00:00-04:00',
+  end: '2026-10-20T11:00:00-04:00',
+  conflictingEvents: [{ id: 'evt-2', summary: 'Standup' }],
+  violations: ['Outside your working hours (9:00 AM-5:00 PM)'],
+  suggestions: [slot]
+};
+
+test('a created event carries the calendar, priority and tags it was added with', () => {
+  const args = { events: [{ summary: 'Design review', calendarId: 'work', priority: 'high', tags: ['project'] }] };
+  assert.deepEqual(toolOutcomePayloads('addCalendarEvents', [{ success: true, ...googleEvent }], args), [{
+    type: 'event_created',
+    event: { ...googleEvent, calendarId: 'work', priority: 'high', tags: ['project'] }
+  }]);
+});
+
+test('an add blocked by a conflict offers the slots nearby, booked with the requested details', () => {
+  const result = [{ ...conflict, requested: { summary: 'Design review', location: 'Room 4', start: 'ignored' } }];
+  assert.deepEqual(toolOutcomePayloads('addCalendarEvents', result, {}), [{
+    type: 'conflict_detected',
+    change: 'add',
+    summary: 'Design review',
+    start: conflict.start,
+    end: conflict.end,
+    conflicts: conflict.conflictingEvents,
+    violations: conflict.violations,
+    suggestions: [slot],
+    booking: { summary: 'Design review', location: 'Room 4' }
+  }]);
+});
+
+test('an updated event defaults to the primary calendar and keeps the new priority and tags', () => {
+  const args = { eventId: 'evt-1', updates: { priority: 'low', tags: ['moved'] } };
+  assert.deepEqual(toolOutcomePayloads('updateCalendarEvent', { success: true, ...googleEvent }, args), [{
+    type: 'event_updated',
+    event: { ...googleEvent, calendarId: 'primary', priority: 'low', tags: ['moved'] }
+  }]);
+});
+
+test('a blocked move is a conflict with nothing to book', () => {
+  const [payload] = toolOutcomePayloads('updateCalendarEvent', { ...conflict, error: 'Conflicts found' }, {});
+  assert.equal(payload.type, 'conflict_detected');
+  assert.equal(payload.change, 'move');
+  assert.equal(payload.booking, null);
+  assert.deepEqual(payload.suggestions, [slot]);
+});
+
+test('deleted events come from single and bulk deletes', () => {
+  assert.deepEqual(toolOutcomePayloads('deleteCalendarEvent', { success: true, event: googleEvent }), [{ type: 'event_deleted', event: googleEvent }]);
+  assert.deepEqual(
+    toolOutcomePayloads('deleteCalendarEventsByQuery', { success: true, deletedEvents: [googleEvent, { ...googleEvent, id: 'evt-3' }] }).map(payload => [payload.type, payload.event.id]),
+    [['event_deleted', 'evt-1'], ['event_deleted', 'evt-3']]
+  );
+});
+
+test('listed events are read from an array or an { events } result', () => {
+  const expected = [{ type: 'events_listed', events: [googleEvent] }];
+  assert.deepEqual(toolOutcomePayloads('getCalendarEvents', [googleEvent]), expected);
+  assert.deepEqual(toolOutcomePayloads('getCalendarEvents', { events: [googleEvent] }), expected);
+  assert.deepEqual(toolOutcomePayloads('getCalendarEvents', []), []);
+});
+
+test('suggested slots are booked as the activity, or with the attendees for a meeting time', () => {
+  assert.deepEqual(toolOutcomePayloads('findAvailableSlots', [slot], { activity: 'workout', location: ' Gym ' }), [{
+    type: 'slots_suggested',
+    slots: [slot],
+    source: 'findAvailableSlots',
+    booking: { summary: 'Workout', location: 'Gym' }
+  }]);
+
+  const attendees = ['ana@example.com'];
+  assert.deepEqual(toolOutcomePayloads('findMeetingTime', { slots: [slot] }, { summary: 'Sync', attendees }), [{
+    type: 'slots_suggested',
+    slots: [slot],
+    source: 'findMeetingTime',
+    booking: { summary: 'Sync', attendees }
+  }]);
+});
+
+test('failures, previews awaiting confirmation and other tools have no payloads', () => {
+  assert.deepEqual(toolOutcomePayloads('deleteCalendarEvent', { requiresConfirmation: true, targets: [googleEvent] }), []);
+  assert.deepEqual(toolOutcomePayloads('updateCalendarEvent', { error: 'Event not found' }), []);
+  assert.deepEqual(toolOutcomePayloads('addCalendarEvents', [{ success: false, error: 'Invalid start' }], {}), []);
+  assert.deepEqual(toolOutcomePayloads('setTimezone', { success: true, timezone: 'UTC' }), []);
+});
+
+test('collected payloads are kept on the context and streamed as they arrive', () => {
+  const emitted = [];
+  const context = createRequestContext({ userId: 'user-1', emit: payload => emitted.push(payload) });
+  const payloads = collectToolArtifacts(context, 'getCalendarEvents', [googleEvent]);
+
+  assert.deepEqual(context.artifacts, payloads);
+  assert.deepEqual(emitted, payloads);
+  assert.deepEqual(collectToolArtifacts(null, 'getCalendarEvents', [googleEvent]), []);
+});
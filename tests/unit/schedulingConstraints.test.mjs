@@ -0,0 +1,82 @@
+// tests/unit/schedulingConstraints.test.mjs
+// Working hours, lunch and blackout rules (lib/tools/schedulingConstraints.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import {
+  DEFAULT_CONSTRAINTS,
+  applyConstraintChanges,
+  findConstraintViolations
+} from '../../lib/tools/schedulingConstraints.js';
+
+const ZONE = 'America/New_York';
+// Tuesday 20 October 2026 and the Saturday after it
+const at = (time, date = '2026-10-20') => DateTime.fromISO(`${date}T${time}`, { zone: ZONE });
+
+function constraintsWith(changes) {
+  const { constraints, errors } = applyConstraintChanges(DEFAULT_CONSTRAINTS, changes);
+  assert.deepEqual(errors, []);
+  return constraints;
+}
+
+test('a bare working-hours range keeps the current work days and reads "8-4" as 8 AM to 4 PM', () => {
+  const constraints = constraintsWith({ workingHours: '8-4' });
+  assert.deepEqual(Object.keys(constraints.workingHours).map(Number), [1, 2, 3, 4, 5]);
+  assert.deepEqual(constraints.workingHours[2], { start: '08:00', end: '16:00' });
+});
+
+test('days off drop out of the working week', () => {
+  const constraints = constraintsWith({ daysOff: 'Fridays' });
+  assert.equal(constraints.workingHours[5], undefined);
+  assert.ok(constraints.workingHours[4]);
+});
+
+test('an unreadable lunch is reported and the current one kept', () => {
+  const base = constraintsWith({ lunch: '12-1pm' });
+  const { constraints, errors } = applyConstraintChanges(base, { lunch: 'whenever' });
+  assert.equal(errors.length, 1);
+  assert.deepEqual(constraints.lunch, { start: '12:00', end: '13:00' });
+});
+
+test('meetings must fall inside working hours on a working day', () => {
+  const constraints = constraintsWith({ workingHours: '9-5' });
+  assert.deepEqual(findConstraintViolations(constraints, at('10:00'), at('11:00'), { isMeeting: true }), []);
+
+  const early = findConstraintViolations(constraints, at('08:00'), at('09:00'), { isMeeting: true });
+  assert.equal(early.length, 1);
+  assert.match(early[0], /Outside your working hours/);
+
+  const saturday = findConstraintViolations(constraints, at('10:00', '2026-10-24'), at('11:00', '2026-10-24'), { isMeeting: true });
+  assert.deepEqual(saturday, ["Saturday isn't one of your working days"]);
+});
+
+test('working hours only bind other events when the assistant picks the time', () => {
+  const constraints = constraintsWith({ workingHours: '9-5' });
+  assert.deepEqual(findConstraintViolations(constraints, at('07:00'), at('08:00')), []);
+  assert.equal(findConstraintViolations(constraints, at('07:00'), at('08:00'), { forSuggestion: true }).length, 1);
+});
+
+test('lunch blocks meetings but not meals', () => {
+  const constraints = constraintsWith({ lunch: '12-1pm' });
+  const meeting = findConstraintViolations(constraints, at('12:30'), at('13:30'), { isMeeting: true });
+  assert.equal(meeting.length, 1);
+  assert.match(meeting[0], /lunch break/);
+
+  assert.deepEqual(findConstraintViolations(constraints, at('12:00'), at('13:00'), { isMeeting: true, isMeal: true }), []);
+  // Touching the edge of lunch isn't an overlap
+  assert.deepEqual(findConstraintViolations(constraints, at('13:00'), at('14:00'), { isMeeting: true }), []);
+});
+
+test('blackouts apply to every event, on their days only', () => {
+  const constraints = constraintsWith({ blackouts: [{ days: 'Tuesdays', start: '15:00', end: '16:00', label: 'School run' }] });
+  const overlap = findConstraintViolations(constraints, at('15:30'), at('16:30'));
+  assert.equal(overlap.length, 1);
+  assert.match(overlap[0], /"School run"/);
+
+  assert.deepEqual(findConstraintViolations(constraints, at('15:30', '2026-10-21'), at('16:30', '2026-10-21')), []);
+});
+
+test('a blackout without days covers the whole week', () => {
+  const { constraints } = applyConstraintChanges(DEFAULT_CONSTRAINTS, { blackouts: [{ start: '18:00', end: '20:00' }] });
+  assert.deepEqual(constraints.blackouts, [{ days: [1, 2, 3, 4, 5, 6, 7], start: '18:00', end: '20:00', label: 'Blocked' }]);
+});
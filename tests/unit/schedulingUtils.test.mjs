@@ -0,0 +1,69 @@
+// tests/unit/schedulingUtils.test.mjs
+// Slot search options and weighted ranking (lib/tools/schedulingUtils.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { DEFAULT_SLOT_WEIGHTS, findAvailableSlots } from '../../lib/tools/schedulingUtils.js';
+
+const ZONE = 'Europe/London';
+// Tuesday 20 to Thursday 22 October 2026; working hours default to 9-5 on weekdays
+const search = (startDate, endDate, options = {}, activity = 'deep work') =>
+  findAvailableSlots([], 60, startDate, endDate, activity, 'any', undefined, ZONE, { maxResults: 100, ...options });
+
+const startsOf = slots => slots.map(slot => DateTime.fromISO(slot.start, { zone: ZONE }));
+const sum = points => Math.round(points.reduce((total, value) => total + value, 0) * 10) / 10;
+
+test('candidate starts sit on the step grid, from the first step after the search start', () => {
+  for (const stepMinutes of [15, 20, 30]) {
+    const starts = startsOf(search('2026-10-20T09:10', '2026-10-20T17:00', { stepMinutes }));
+    const minutesAfterMidnight = starts.map(start => start.hour * 60 + start.minute);
+    assert.ok(minutesAfterMidnight.every(minutes => minutes % stepMinutes === 0), `step ${stepMinutes}`);
+    assert.equal(Math.min(...minutesAfterMidnight), Math.ceil((9 * 60 + 10) / stepMinutes) * stepMinutes);
+  }
+});
+
+test('earliest and latest bound the time of day', () => {
+  const starts = startsOf(search('2026-10-20T00:00', '2026-10-20T23:59', { earliest: 10 * 60, latest: 12 * 60 }));
+  assert.deepEqual(starts.map(start => start.toFormat('HH:mm')).sort(), ['10:00', '10:30', '11:00']);
+});
+
+test('spreading across days returns the best slot of each day before any second one', () => {
+  const slots = search('2026-10-20T00:00', '2026-10-22T23:59', { maxResults: 4, spreadAcrossDays: true });
+  const days = startsOf(slots).map(start => start.toISODate());
+  assert.equal(slots.length, 4);
+  assert.deepEqual(new Set(days.slice(0, 3)), new Set(['2026-10-20', '2026-10-21', '2026-10-22']));
+
+  const bestOfEach = search('2026-10-20T00:00', '2026-10-22T23:59');
+  for (const slot of slots.slice(0, 3)) {
+    const day = DateTime.fromISO(slot.start, { zone: ZONE }).toISODate();
+    const best = bestOfEach.find(candidate => DateTime.fromISO(candidate.start, { zone: ZONE }).toISODate() === day);
+    assert.equal(slot.score, best.score);
+  }
+});
+
+test('without spreading, the results are the top-ranked slots', () => {
+  const slots = search('2026-10-20T00:00', '2026-10-22T23:59', { maxResults: 3 });
+  assert.deepEqual(slots, search('2026-10-20T00:00', '2026-10-22T23:59').slice(0, 3));
+});
+
+test('each score breakdown adds up to the score', () => {
+  const slots = search('2026-10-20T07:00', '2026-10-20T21:00', {}, 'team meeting');
+  assert.ok(slots.length > 0);
+  for (const slot of slots) {
+    assert.ok(slot.scoreBreakdown.length > 0);
+    assert.equal(sum(slot.scoreBreakdown.map(item => item.points)), slot.score, slot.start);
+  }
+});
+
+test('weights scale their factor in the breakdown, and a weight of 0 drops it', () => {
+  const at = slots => slots.find(slot => slot.start.includes('T09:00'));
+  const normal = at(search('2026-10-20T09:00', '2026-10-20T17:00'));
+  const doubled = at(search('2026-10-20T09:00', '2026-10-20T17:00', { weights: { ...DEFAULT_SLOT_WEIGHTS, workingHours: 2 } }));
+  const ignored = at(search('2026-10-20T09:00', '2026-10-20T17:00', { weights: { ...DEFAULT_SLOT_WEIGHTS, workingHours: 0 } }));
+
+  const workingHoursPoints = slot => slot.scoreBreakdown.find(item => item.factor === 'workingHours')?.points;
+  assert.ok(workingHoursPoints(normal) > 0);
+  assert.equal(workingHoursPoints(doubled), workingHoursPoints(normal) * 2);
+  assert.equal(workingHoursPoints(ignored), undefined);
+  assert.equal(sum(doubled.scoreBreakdown.map(item => item.points)), doubled.score);
+});
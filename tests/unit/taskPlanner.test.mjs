@@ -0,0 +1,76 @@
+// tests/unit/taskPlanner.test.mjs
+// Work-block planning for tasks (lib/tools/taskPlanner.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { DEFAULT_CONSTRAINTS, applyConstraintChanges } from '../../lib/tools/schedulingConstraints.js';
+import { findFreeIntervals, planTaskBlocks } from '../../lib/tools/taskPlanner.js';
+
+const ZONE = 'Europe/London';
+// Tuesday 20 October 2026; working hours default to 9-5 on weekdays
+const at = (date, time) => DateTime.fromISO(`${date}T${time}`, { zone: ZONE });
+const now = at('2026-10-20', '08:00');
+
+const minutes = block => block.end.diff(block.start, 'minutes').minutes;
+const times = blocks => blocks.map(block => `${block.start.toFormat('ccc HH:mm')}-${block.end.toFormat('HH:mm')}`);
+
+test('free time is working hours minus lunch and busy periods, starting on the quarter hour', () => {
+  const { constraints } = applyConstraintChanges(DEFAULT_CONSTRAINTS, { lunch: '12-1pm' });
+  const busy = [{ start: at('2026-10-20', '14:00'), end: at('2026-10-20', '14:50') }];
+  const free = findFreeIntervals(now, at('2026-10-20', '23:00'), constraints, busy);
+  assert.deepEqual(times(free), ['Tue 09:00-12:00', 'Tue 13:00-14:00', 'Tue 15:00-17:00']);
+});
+
+test('weekends have no free time', () => {
+  const free = findFreeIntervals(at('2026-10-24', '00:00'), at('2026-10-26', '00:00'), DEFAULT_CONSTRAINTS, []);
+  assert.deepEqual(free, []);
+});
+
+test('effort is split into blocks of at most maxBlockMinutes, one per day', () => {
+  const { blocks, unplaced } = planTaskBlocks({
+    tasks: [{ id: 'report', remainingMinutes: 300, deadline: at('2026-10-23', '17:00'), maxBlockMinutes: 120 }],
+    busy: [],
+    constraints: DEFAULT_CONSTRAINTS,
+    now
+  });
+  assert.deepEqual(times(blocks), ['Tue 09:00-11:00', 'Wed 09:00-11:00', 'Thu 09:00-10:00']);
+  assert.deepEqual(blocks.map(minutes), [120, 120, 60]);
+  assert.deepEqual(unplaced, []);
+});
+
+test('a tight deadline packs blocks into one day with a break between them', () => {
+  const { blocks, unplaced } = planTaskBlocks({
+    tasks: [{ id: 'slides', remainingMinutes: 180, deadline: at('2026-10-20', '17:00'), maxBlockMinutes: 120 }],
+    busy: [],
+    constraints: DEFAULT_CONSTRAINTS,
+    now
+  });
+  assert.deepEqual(times(blocks), ['Tue 09:00-11:00', 'Tue 11:15-12:15']);
+  assert.deepEqual(unplaced, []);
+});
+
+test('effort that does not fit before the deadline is reported as unplaced', () => {
+  const busy = [{ start: at('2026-10-20', '09:00'), end: at('2026-10-20', '16:00') }];
+  const { blocks, unplaced } = planTaskBlocks({
+    tasks: [{ id: 'essay', remainingMinutes: 120, deadline: at('2026-10-20', '17:00') }],
+    busy,
+    constraints: DEFAULT_CONSTRAINTS,
+    now
+  });
+  assert.deepEqual(times(blocks), ['Tue 16:00-17:00']);
+  assert.deepEqual(unplaced, [{ taskId: 'essay', minutes: 60 }]);
+});
+
+test('the task with the earliest deadline is planned first', () => {
+  const { blocks } = planTaskBlocks({
+    tasks: [
+      { id: 'later', remainingMinutes: 60, deadline: at('2026-10-23', '17:00') },
+      { id: 'sooner', remainingMinutes: 60, deadline: at('2026-10-21', '17:00') }
+    ],
+    busy: [],
+    constraints: DEFAULT_CONSTRAINTS,
+    now
+  });
+  assert.deepEqual(blocks.map(block => block.taskId), ['sooner', 'later']);
+  assert.deepEqual(times(blocks), ['Tue 09:00-10:00', 'Tue 10:00-11:00']);
+});
@@ -0,0 +1,89 @@
+// tests/unit/travelTime.test.mjs
+// Offline travel estimates, travel warnings and travel blocks (lib/tools/travelTime.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { estimateTravelOffline, findTravelWarnings, planTravelBlocks } from '../../lib/tools/travelTime.js';
+
+// A fixed geocode table, passed as the user's places so the built-in one never matches.
+// On the equator 0.09° of longitude is about 10 km.
+const places = [
+  { name: 'Alpha Office', lat: 0, lon: 0 },
+  { name: 'Beta Lab', lat: 0, lon: 0.09 },
+  { name: 'Gamma Depot', lat: 0, lon: 0.9 }
+];
+const estimate = (from, to, mode = 'driving') => estimateTravelOffline(from, to, { mode, places });
+const minutesBetween = (from, to) => estimate(from, to)?.minutes ?? null;
+
+const ZONE = 'UTC';
+const at = time => DateTime.fromISO(`2026-10-20T${time}`, { zone: ZONE });
+const times = blocks => blocks.map(block => `${block.start.toFormat('HH:mm')}-${block.end.toFormat('HH:mm')} ${block.summary}`);
+
+test('estimates scale with distance and mode, rounded up to 5 minutes', () => {
+  // About 13 km by road: 26 min in town plus 10 min parking by car
+  assert.deepEqual(estimate('Alpha Office', 'Beta Lab'), { minutes: 40, distanceKm: 13, from: 'Alpha Office', to: 'Beta Lab' });
+  assert.equal(estimate('Alpha Office', 'Beta Lab', 'cycling').minutes, 60);
+  assert.equal(estimate('Alpha Office', 'Beta Lab', 'walking').minutes, 175);
+  // Past the first 20 km the car goes at out-of-town speed
+  assert.equal(estimate('Alpha Office', 'Gamma Depot').minutes, 135);
+});
+
+test('the same location takes no time, and two addresses in one place take a short hop', () => {
+  assert.equal(estimate('Alpha Office', 'alpha office').minutes, 0);
+  assert.equal(estimate('Room 1, Alpha Office', 'Lobby, Alpha Office').minutes, 15);
+});
+
+test('locations that cannot be placed give no estimate', () => {
+  assert.equal(estimate('Alpha Office', 'Somewhere Unheard Of'), null);
+});
+
+test('warnings come from the nearest in-person event on each side that leaves too little time', () => {
+  const event = (summary, start, end, travelMinutes) => ({
+    summary,
+    location: summary,
+    start: { dateTime: at(start).toISO() },
+    end: { dateTime: at(end).toISO() },
+    travelMinutes
+  });
+  const events = [
+    event('Beta Lab', '07:00', '08:00', 40),
+    event('Alpha Office', '09:00', '09:45', 30),
+    event('Gamma Depot', '11:40', '12:30', 30),
+    { summary: 'Call', start: { dateTime: at('09:50').toISO() }, end: { dateTime: at('09:55').toISO() } }
+  ];
+
+  const warnings = findTravelWarnings(events, at('10:00'), at('11:00'));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /from "Alpha Office" \(Alpha Office\): 15 min free, about 30 min of travel/);
+
+  assert.deepEqual(findTravelWarnings(events, at('10:15'), at('11:00')), []);
+});
+
+test('travel blocks run from home to each event in turn and back home', () => {
+  const events = [
+    { id: 'a', summary: 'Design review', location: 'Beta Lab', start: at('10:00'), end: at('11:00') },
+    { id: 'b', summary: 'Site visit', location: 'Gamma Depot', start: at('14:00'), end: at('15:00') }
+  ];
+  const blocks = planTravelBlocks(events, 'Alpha Office', minutesBetween);
+  assert.deepEqual(times(blocks), [
+    '09:20-10:00 Travel to Design review',
+    '11:55-14:00 Travel to Site visit',
+    '15:00-17:15 Travel back to Alpha Office'
+  ]);
+  assert.deepEqual(blocks.map(block => block.forEventId), ['a', 'b', 'b']);
+});
+
+test('a travel block never starts before the previous event ends', () => {
+  const events = [
+    { id: 'a', summary: 'Design review', location: 'Beta Lab', start: at('10:00'), end: at('11:00') },
+    { id: 'b', summary: 'Site visit', location: 'Gamma Depot', start: at('12:00'), end: at('13:00') }
+  ];
+  const [toSecond] = planTravelBlocks(events, null, minutesBetween);
+  assert.equal(toSecond.start.toFormat('HH:mm'), '11:00');
+  assert.equal(toSecond.end.toFormat('HH:mm'), '12:00');
+});
+
+test('without a home base there is no first or last leg', () => {
+  const events = [{ id: 'a', summary: 'Design review', location: 'Beta Lab', start: at('10:00'), end: at('11:00') }];
+  assert.deepEqual(planTravelBlocks(events, null, minutesBetween), []);
+});
@@ -0,0 +1,170 @@
+// utils/calendarViewUtils.js
+import { DateTime } from 'luxon';
+
+export const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+// Chip colors per event priority (from the app's event metadata)
+export const PRIORITY_STYLES = {
+  Urgent: 'bg-red-100 border-red-400 text-red-900',
+  High: 'bg-orange-100 border-orange-400 text-orange-900',
+  Medium: 'bg-blue-100 border-blue-400 text-blue-900',
+  Low: 'bg-gray-100 border-gray-300 text-gray-700'
+};
+export const DEFAULT_EVENT_STYLE = 'bg-blue-50 border-blue-300 text-blue-900';
+
+/**
+ * Chip classes for an event (by its priority)
+ * @param {Object} event - Google event, with priority from metadata if set
+ * @returns {string} - Tailwind classes
+ */
+export const getEventStyle = (event) => PRIORITY_STYLES[event?.priority] || DEFAULT_EVENT_STYLE;
+
+/**
+ * Gets the days a view shows around a date
+ * @param {string} view - day | week | month
+ * @param {DateTime} anchor - Any date in the period
+ * @returns {Object} - { start, end (exclusive), days: [DateTime] }; a month view is six full weeks
+ */
+export const getViewRange = (view, anchor) => {
+  let start;
+  let dayCount;
+  if (view === 'day') {
+    start = anchor.startOf('day');
+    dayCount = 1;
+  } else if (view === 'week') {
+    start = anchor.startOf('week');
+    dayCount = 7;
+  } else {
+    start = anchor.startOf('month').startOf('week');
+    dayCount = 42;
+  }
+  const days = Array.from({ length: dayCount }, (_, index) => start.plus({ days: index }));
+  return { start, end: start.plus({ days: dayCount }), days };
+};
+
+/**
+ * Moves the anchor date one period back or forward
+ * @param {string} view - day | week | month
+ * @param {DateTime} anchor - Current anchor
+ * @param {number} direction - -1 or 1
+ * @returns {DateTime} - New anchor
+ */
+export const shiftAnchor = (view, anchor, direction) => {
+  const unit = { day: 'days', week: 'weeks', month: 'months' }[view] || 'weeks';
+  return anchor.plus({ [unit]: direction });
+};
+
+/**
+ * Title for the toolbar ("April 2025", "Mar 31 – Apr 6, 2025", "Tuesday, Apr 1, 2025")
+ * @param {string} view - day | week | month
+ * @param {DateTime} anchor - Anchor date
+ * @returns {string}
+ */
+export const formatViewTitle = (view, anchor) => {
+  if (view === 'day') return anchor.toFormat('cccc, MMM d, yyyy');
+  if (view === 'month') return anchor.toFormat('LLLL yyyy');
+  const { start, end } = getViewRange('week', anchor);
+  const last = end.minus({ days: 1 });
+  return start.month === last.month
+    ? `${start.toFormat('MMM d')} – ${last.toFormat('d, yyyy')}`
+    : `${start.toFormat('MMM d')} – ${last.toFormat('MMM d, yyyy')}`;
+};
+
+/**
+ * Reads a Google event's times in the given timezone
+ * @param {Object} event - Google event resource
+ * @param {string} zone - IANA timezone
+ * @returns {Object|null} - { start, end, isAllDay } or null if the times can't be read
+ */
+export const getEventTimes = (event, zone) => {
+  const isAllDay = !event.start?.dateTime;
+  // All-day dates are calendar days, not instants; read them in the display zone
+  const start = isAllDay
+    ? DateTime.fromISO(event.start?.date, { zone })
+    : DateTime.fromISO(event.start.dateTime).setZone(zone);
+  const end = isAllDay
+    ? DateTime.fromISO(event.end?.date || event.start?.date, { zone })
+    : DateTime.fromISO(event.end?.dateTime || event.start.dateTime).setZone(zone);
+  if (!start.isValid || !end.isValid) return null;
+  return { start, end: end > start ? end : start.plus({ minutes: isAllDay ? 24 * 60 : 30 }), isAllDay };
+};
+
+/**
+ * Events that touch a day (all-day first, then by start time)
+ * @param {Array<Object>} events - Google events
+ * @param {DateTime} day - Start of the day
+ * @param {string} zone - IANA timezone
+ * @returns {Array<Object>} - [{ event, start, end, isAllDay }]
+ */
+export const getEventsForDay = (events, day, zone) => {
+  const dayEnd = day.plus({ days: 1 });
+  return events
+    .map(event => ({ event, ...getEventTimes(event, zone) }))
+    .filter(item => item.start && item.start < dayEnd && item.end > day)
+    .sort((a, b) => (a.isAllDay === b.isAllDay ? a.start - b.start : a.isAllDay ? -1 : 1));
+};
+
+/**
+ * Positions a day's timed events in a time grid. Overlapping events share the width in
+ * columns, like Google Calendar; an event running past midnight is clipped to the day.
+ * @param {Array<Object>} dayItems - From getEventsForDay
+ * @param {DateTime} day - Start of the day
+ * @returns {Array<Object>} - [{ event, start, end, top, height, left, width }] (percentages of the day/column)
+ */
+export const layoutTimedEvents = (dayItems, day) => {
+  const dayEnd = day.plus({ days: 1 });
+  const minutesInDay = dayEnd.diff(day, 'minutes').minutes;
+  const items = dayItems
+    .filter(item => !item.isAllDay)
+    .map(item => {
+      const from = item.start < day ? day : item.start;
+      const to = item.end > dayEnd ? dayEnd : item.end;
+      return { ...item, from, to: to.diff(from, 'minutes').minutes < 15 ? from.plus({ minutes: 15 }) : to };
+    });
+
+  // Group events that overlap (directly or through each other), then give each a column
+  const positioned = [];
+  let group = [];
+  let groupEnd = null;
+  const flush = () => {
+    const columns = [];
+    for (const item of group) {
+      let column = columns.findIndex(lastEnd => lastEnd <= item.from);
+      if (column === -1) column = columns.length;
+      columns[column] = item.to;
+      item.column = column;
+    }
+    for (const item of group) {
+      positioned.push({
+        event: item.event,
+        start: item.start,
+        end: item.end,
+        top: (item.from.diff(day, 'minutes').minutes / minutesInDay) * 100,
+        height: (item.to.diff(item.from, 'minutes').minutes / minutesInDay) * 100,
+        left: (item.column / columns.length) * 100,
+        width: 100 / columns.length
+      });
+    }
+    group = [];
+    groupEnd = null;
+  };
+
+  for (const item of items.sort((a, b) => a.from - b.from)) {
+    if (groupEnd && item.from >= groupEnd) flush();
+    group.push(item);
+    groupEnd = groupEnd && groupEnd > item.to ? groupEnd : item.to;
+  }
+  if (group.length > 0) flush();
+  return positioned;
+};
+
+/**
+ * Short time range for an event ("All day", "10 AM – 11:30 AM")
+ * @param {Object} item - { start, end, isAllDay }
+ * @returns {string}
+ */
+export const formatTimeRange = ({ start, end, isAllDay }) => {
+  if (isAllDay) return 'All day';
+  const format = dt => dt.toFormat('h:mm a').replace(':00', '');
+  return `${format(start)} – ${format(end)}`;
+};
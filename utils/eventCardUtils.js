@@ -38,7 +38,19 @@ export const formatEventForCard = (event) => {
       location: event.location || '',
       description: event.description || '',
       id: event.id,
+      eventUrl: event.htmlLink || '', // Google's own link to the event
+      priority: event.priority || null, // From the app's event metadata
+      tags: event.tags || [],
       isAllDay,
+      attendees: (event.attendees || [])
+        .filter(attendee => !attendee.resource) // Skip meeting rooms
+        .map(attendee => ({
+          email: attendee.email,
+          name: attendee.displayName || attendee.email,
+          responseStatus: attendee.responseStatus || 'needsAction',
+          organizer: attendee.organizer === true,
+          self: attendee.self === true
+        })),
       rawEvent: event // Include the raw event for reference if needed
     };
   } catch (error) {
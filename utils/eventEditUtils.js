@@ -0,0 +1,139 @@
+// utils/eventEditUtils.js
+import { DateTime } from 'luxon';
+
+export const EVENT_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Format of <input type="datetime-local"> values (read in the browser's timezone)
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+/**
+ * Whether two event objects are the same Google event
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {boolean}
+ */
+export const isSameEvent = (a, b) =>
+  !!a?.id && a.id === b?.id && (a.calendarId || 'primary') === (b.calendarId || 'primary');
+
+/**
+ * Form values for editing an event inline
+ * @param {Object} event - Google event (with priority/tags from metadata if set)
+ * @returns {Object} - { summary, location, description, start, end, priority, tags }
+ */
+export const toEditForm = (event) => ({
+  summary: event.summary || '',
+  location: event.location || '',
+  description: event.description || '',
+  start: event.start?.dateTime ? DateTime.fromISO(event.start.dateTime).toFormat(INPUT_FORMAT) : '',
+  end: event.end?.dateTime ? DateTime.fromISO(event.end.dateTime).toFormat(INPUT_FORMAT) : '',
+  priority: event.priority || '',
+  tags: (event.tags || []).join(', ')
+});
+
+/**
+ * Changed fields between an event and its edit form, as the updates the events API takes
+ * @param {Object} event - Event being edited
+ * @param {Object} form - Values from toEditForm, as edited
+ * @returns {Object} - { updates } or { error } when the times don't make sense
+ */
+export const getEditUpdates = (event, form) => {
+  const original = toEditForm(event);
+  const updates = {};
+  for (const field of ['summary', 'location', 'description']) {
+    if (form[field].trim() !== original[field]) updates[field] = form[field].trim();
+  }
+  if (updates.summary === '') return { error: "The title can't be empty." };
+
+  // All-day events have no times to edit
+  if (original.start && (form.start !== original.start || form.end !== original.end)) {
+    const start = DateTime.fromFormat(form.start, INPUT_FORMAT);
+    const end = DateTime.fromFormat(form.end, INPUT_FORMAT);
+    if (!start.isValid || !end.isValid) return { error: 'Enter a start and end time.' };
+    if (start >= end) return { error: 'The event must end after it starts.' };
+    updates.start = start.toISO();
+    updates.end = end.toISO();
+  }
+
+  if (form.priority !== original.priority) updates.priority = form.priority || null;
+  const tags = form.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.join(', ') !== original.tags) updates.tags = tags;
+  return { updates };
+};
+
+/**
+ * Moves an event to start at a new time, keeping its length
+ * @param {Object} event - Timed Google event
+ * @param {DateTime} start - New start
+ * @returns {Object} - { start, end } updates (ISO with offset)
+ */
+export const getMoveUpdates = (event, start) => {
+  const duration = DateTime.fromISO(event.end.dateTime).diff(DateTime.fromISO(event.start.dateTime));
+  return { start: start.toISO(), end: start.plus(duration).toISO() };
+};
+
+/**
+ * The event as it should look once updates apply, for showing an edit before the server answers
+ * @param {Object} event - Event before the edit
+ * @param {Object} updates - From getEditUpdates or getMoveUpdates
+ * @returns {Object} - Edited copy of the event
+ */
+export const applyEventUpdates = (event, updates) => {
+  const { start, end, priority, tags, ...fields } = updates;
+  const next = { ...event, ...fields };
+  if (start) next.start = { ...event.start, dateTime: start };
+  if (end) next.end = { ...event.end, dateTime: end };
+  if (priority !== undefined) next.priority = priority;
+  if (tags !== undefined) next.tags = tags;
+  return next;
+};
+
+/**
+ * Replaces an event wherever it appears in a message's outcome payloads
+ * @param {Array<Object>} artifacts - Typed payloads of one message
+ * @param {Object} target - Event to replace (matched by ID and calendar)
+ * @param {Object} nextEvent - Replacement
+ * @returns {Array<Object>} - Updated payloads (the same array if the event isn't in them)
+ */
+export const replaceEventInArtifacts = (artifacts = [], target, nextEvent) => {
+  let changed = false;
+  const next = artifacts.map(artifact => {
+    if (artifact.event && isSameEvent(artifact.event, target)) {
+      changed = true;
+      return { ...artifact, event: nextEvent };
+    }
+    if (artifact.type === 'events_listed' && artifact.events?.some(event => isSameEvent(event, target))) {
+      changed = true;
+      return { ...artifact, events: artifact.events.map(event => (isSameEvent(event, target) ? nextEvent : event)) };
+    }
+    return artifact;
+  });
+  return changed ? next : artifacts;
+};
+
+/**
+ * Sends an edit to the events API
+ * @param {Object} event - Event being edited
+ * @param {Object} updates - Changed fields
+ * @param {Object} options - { overrideConflicts, conversationId }
+ * @returns {Promise<Object>} - { success, message, event, undo, conflict }
+ */
+export const submitEventEdit = async (event, updates, { overrideConflicts = false, conversationId = null } = {}) => {
+  try {
+    const response = await fetch(`/api/events/${encodeURIComponent(event.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ updates, calendarId: event.calendarId || 'primary', overrideConflicts, conversationId }),
+    });
+    const result = await response.json();
+    if (response.status === 409) {
+      return { success: false, message: result.message, conflict: result.conflict };
+    }
+    if (!response.ok || !result.success) {
+      return { success: false, message: result.message || result.error || `Request failed (${response.status})` };
+    }
+    // Google's event has no calendarId/priority/tags; keep what the card already knew
+    return { success: true, message: result.message, event: { ...event, ...result.event }, undo: result.undo };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+};